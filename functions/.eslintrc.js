@@ -0,0 +1,25 @@
+module.exports = {
+  root: true,
+  env: {
+    es2022: true,
+    node: true
+  },
+  parserOptions: {
+    ecmaVersion: 2022
+  },
+  extends: ['eslint:recommended'],
+  rules: {
+    quotes: ['error', 'single', { avoidEscape: true, allowTemplateLiterals: true }],
+    semi: ['error', 'always'],
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }],
+    'prefer-const': 'error'
+  },
+  overrides: [
+    {
+      files: ['**/*.test.js', 'test/**/*.js'],
+      env: {
+        jest: true
+      }
+    }
+  ]
+};
@@ -0,0 +1,96 @@
+/**
+ * Moderation analytics API endpoints
+ */
+
+const functions = require('firebase-functions');
+const { getDocById } = require('../utils/db');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { getOrganizationId } = require('../utils/tenancy');
+const { getModerationStatistics } = require('./stats');
+
+// Range covered when no dates are given
+const DEFAULT_RANGE_DAYS = 30;
+
+// Longest range that can be requested at once
+const MAX_RANGE_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an optional date filter
+ * @param {string} value - ISO date string
+ * @param {string} name - Name of the filter, for the error message
+ * @returns {Date|null} - Date or null if not provided
+ */
+const parseDate = (value, name) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `${name} must be a valid date.`
+    );
+  }
+  return date;
+};
+
+/**
+ * Get moderation statistics of the admin's organization (analytics.view).
+ * Status counts are current; everything else covers the days (UTC) from `from`
+ * to `to`, by default the last 30 days. Pass courseId to limit them to one course.
+ */
+const getModerationStats = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may view analytics
+    await requirePermission(context, PERMISSIONS.ANALYTICS_VIEW, 'view moderation statistics');
+
+    const organizationId = getOrganizationId(context);
+    const { courseId } = data || {};
+
+    const to = parseDate(data?.to, 'to') || new Date();
+    const from = parseDate(data?.from, 'from') || new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+    const fromDay = from.toISOString().slice(0, 10);
+    const toDay = to.toISOString().slice(0, 10);
+
+    if (fromDay > toDay) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'from must not be after to.'
+      );
+    }
+    if (Date.parse(toDay) - Date.parse(fromDay) >= MAX_RANGE_DAYS * DAY_MS) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `The date range cannot be longer than ${MAX_RANGE_DAYS} days.`
+      );
+    }
+
+    // Make sure the course belongs to the admin's organization
+    if (courseId) {
+      await getDocById('courses', courseId, organizationId);
+    }
+
+    const stats = await getModerationStatistics(organizationId, { courseId, fromDay, toDay });
+
+    return {
+      success: true,
+      from: fromDay,
+      to: toDay,
+      courseId: courseId || null,
+      stats
+    };
+  } catch (error) {
+    console.error('Error getting moderation statistics:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  getModerationStats
+};
@@ -0,0 +1,270 @@
+/**
+ * Moderation statistics maintained by the assessment triggers
+ *
+ * Reading statistics never scans assessments. Instead the triggers keep:
+ * - moderationStatusCounts/{organizationId}_{scope}: how many assessments are
+ *   in each status right now
+ * - moderationStats/{organizationId}_{scope}_{YYYY-MM-DD}: what happened on a
+ *   day (UTC): transitions into each status, decisions, turnaround from
+ *   submission to decision, decisions per moderator and per lecturer, and
+ *   resubmission rounds of finished assessments
+ * Every document exists for the whole organization (scope 'all') and for the
+ * assessment's course (scope = course ID).
+ */
+
+const { admin, db } = require('../config/firebase');
+const { STATUSES, DECISION_STATUSES, isLifecycleCorrection } = require('../assessments/lifecycle');
+
+// Scope of the organization-wide documents
+const ALL_SCOPE = 'all';
+
+// Decisions that end an assessment's moderation
+const FINAL_STATUSES = [STATUSES.APPROVED, STATUSES.REJECTED];
+
+const increment = (value) => admin.firestore.FieldValue.increment(value);
+
+/**
+ * Get the scopes an assessment counts towards
+ * @param {Object} assessment - Assessment data
+ * @returns {Array} - Scopes
+ */
+const getScopes = (assessment) => {
+  return assessment.courseId ? [ALL_SCOPE, assessment.courseId] : [ALL_SCOPE];
+};
+
+/**
+ * Get the UTC day of a time
+ * @param {number} millis - Time in milliseconds
+ * @returns {string} - Day as YYYY-MM-DD
+ */
+const toDay = (millis) => new Date(millis).toISOString().slice(0, 10);
+
+/**
+ * Get the current status counts document of a scope
+ * @param {string} organizationId - Organization ID
+ * @param {string} scope - 'all' or a course ID
+ * @returns {Object} - Document reference
+ */
+const statusCountsRef = (organizationId, scope) => {
+  return db.collection('moderationStatusCounts').doc(`${organizationId}_${scope}`);
+};
+
+/**
+ * Get the daily statistics document of a scope
+ * @param {string} organizationId - Organization ID
+ * @param {string} scope - 'all' or a course ID
+ * @param {string} day - Day as YYYY-MM-DD
+ * @returns {Object} - Document reference
+ */
+const dailyStatsRef = (organizationId, scope, day) => {
+  return db.collection('moderationStats').doc(`${organizationId}_${scope}_${day}`);
+};
+
+/**
+ * Keep the current status counts in line with an assessment change.
+ * Works for creates (before is null), updates and deletes (after is null).
+ * Corrections of lifecycle violations are skipped: the violation they undo
+ * was never counted either.
+ * @param {Object|null} beforeData - Assessment data before the change
+ * @param {Object|null} afterData - Assessment data after the change
+ * @returns {Promise<void>}
+ */
+const syncStatusCounts = async (beforeData, afterData) => {
+  const assessment = afterData || beforeData;
+  if (!assessment.organizationId || beforeData?.status === afterData?.status) {
+    return;
+  }
+  if (beforeData && afterData && isLifecycleCorrection(beforeData, afterData)) {
+    return;
+  }
+
+  const counts = {};
+  if (beforeData) {
+    counts[beforeData.status] = increment(-1);
+  }
+  if (afterData) {
+    counts[afterData.status] = increment(1);
+  }
+
+  const batch = db.batch();
+  getScopes(assessment).forEach(scope => {
+    batch.set(statusCountsRef(assessment.organizationId, scope), {
+      organizationId: assessment.organizationId,
+      scope,
+      counts,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  });
+  await batch.commit();
+};
+
+/**
+ * Add a status transition to the daily statistics. Corrections of lifecycle
+ * violations are not transitions and are skipped.
+ * @param {Object} beforeData - Assessment data before the transition
+ * @param {Object} afterData - Assessment data after the transition
+ * @returns {Promise<void>}
+ */
+const recordTransitionStats = async (beforeData, afterData) => {
+  if (!afterData.organizationId || beforeData.status === afterData.status ||
+    isLifecycleCorrection(beforeData, afterData)) {
+    return;
+  }
+
+  const to = afterData.status;
+  // Writes that bypass transitionAssessment leave statusChangedAt as it was
+  const stampedAt = afterData.statusChangedAt?.toMillis();
+  const changedAt = stampedAt && stampedAt !== beforeData.statusChangedAt?.toMillis()
+    ? stampedAt
+    : Date.now();
+  const stats = {
+    transitions: { [to]: increment(1) }
+  };
+
+  if (DECISION_STATUSES.includes(to)) {
+    stats.decisions = { [to]: increment(1) };
+
+    if (afterData.moderatorId) {
+      stats.moderators = { [afterData.moderatorId]: { [to]: increment(1) } };
+    }
+    if (afterData.lecturerId) {
+      stats.lecturers = { [afterData.lecturerId]: { [to]: increment(1) } };
+    }
+
+    // Turnaround of this round, from (re)submission to decision
+    if (afterData.submittedAt) {
+      const turnaroundMs = Math.max(0, changedAt - afterData.submittedAt.toMillis());
+      stats.turnaround = { count: increment(1), totalMs: increment(turnaroundMs) };
+    }
+
+    // How many rounds finished assessments needed
+    if (FINAL_STATUSES.includes(to)) {
+      stats.rounds = {
+        count: increment(1),
+        resubmissions: increment(afterData.resubmissionCount || 0)
+      };
+    }
+  }
+
+  const day = toDay(changedAt);
+  const batch = db.batch();
+  getScopes(afterData).forEach(scope => {
+    batch.set(dailyStatsRef(afterData.organizationId, scope, day), {
+      organizationId: afterData.organizationId,
+      scope,
+      day,
+      ...stats,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+  });
+  await batch.commit();
+};
+
+/**
+ * Add up decision counts ({ approved, rejected, pending_changes }) from a map keyed by user ID
+ * @param {Object} target - Totals keyed by user ID, updated in place
+ * @param {Object} source - Counts keyed by user ID
+ */
+const addUserDecisions = (target, source = {}) => {
+  Object.entries(source).forEach(([userId, decisions]) => {
+    target[userId] = target[userId] || {};
+    Object.entries(decisions).forEach(([status, count]) => {
+      target[userId][status] = (target[userId][status] || 0) + count;
+    });
+  });
+};
+
+/**
+ * Add approval and rejection rates to decision counts
+ * @param {Object} decisions - Counts by decision status
+ * @returns {Object} - Counts with total, approvalRate and rejectionRate (0-1, null without decisions)
+ */
+const withRates = (decisions) => {
+  const approved = decisions[STATUSES.APPROVED] || 0;
+  const rejected = decisions[STATUSES.REJECTED] || 0;
+  const pendingChanges = decisions[STATUSES.PENDING_CHANGES] || 0;
+  const total = approved + rejected + pendingChanges;
+  return {
+    approved,
+    rejected,
+    pendingChanges,
+    total,
+    approvalRate: total > 0 ? approved / total : null,
+    rejectionRate: total > 0 ? rejected / total : null
+  };
+};
+
+/**
+ * Read and combine the statistics of an organization or course
+ * @param {string} organizationId - Organization ID
+ * @param {Object} options - Filters ({ courseId, fromDay, toDay } with days as YYYY-MM-DD)
+ * @returns {Promise<Object>} - Combined statistics
+ */
+const getModerationStatistics = async (organizationId, { courseId = null, fromDay, toDay: untilDay }) => {
+  const scope = courseId || ALL_SCOPE;
+
+  const [countsDoc, dailySnapshot] = await Promise.all([
+    statusCountsRef(organizationId, scope).get(),
+    db.collection('moderationStats')
+      .where('organizationId', '==', organizationId)
+      .where('scope', '==', scope)
+      .where('day', '>=', fromDay)
+      .where('day', '<=', untilDay)
+      .get()
+  ]);
+
+  const transitions = {};
+  const decisions = {};
+  const moderators = {};
+  const lecturers = {};
+  const turnaround = { count: 0, totalMs: 0 };
+  const rounds = { count: 0, resubmissions: 0 };
+
+  dailySnapshot.docs.forEach(doc => {
+    const day = doc.data();
+    Object.entries(day.transitions || {}).forEach(([status, count]) => {
+      transitions[status] = (transitions[status] || 0) + count;
+    });
+    Object.entries(day.decisions || {}).forEach(([status, count]) => {
+      decisions[status] = (decisions[status] || 0) + count;
+    });
+    addUserDecisions(moderators, day.moderators);
+    addUserDecisions(lecturers, day.lecturers);
+    turnaround.count += day.turnaround?.count || 0;
+    turnaround.totalMs += day.turnaround?.totalMs || 0;
+    rounds.count += day.rounds?.count || 0;
+    rounds.resubmissions += day.rounds?.resubmissions || 0;
+  });
+
+  const perUser = (totals, key) => Object.entries(totals)
+    .map(([userId, counts]) => ({ [key]: userId, ...withRates(counts) }))
+    .sort((a, b) => b.rejected - a.rejected || b.total - a.total);
+
+  return {
+    statusCounts: countsDoc.exists ? countsDoc.data().counts || {} : {},
+    transitions,
+    decisions: withRates(decisions),
+    turnaround: {
+      count: turnaround.count,
+      averageHours: turnaround.count > 0
+        ? Math.round((turnaround.totalMs / turnaround.count / 3600000) * 10) / 10
+        : null
+    },
+    resubmissions: transitions[STATUSES.RESUBMITTED] || 0,
+    rounds: {
+      finished: rounds.count,
+      averageResubmissions: rounds.count > 0
+        ? Math.round((rounds.resubmissions / rounds.count) * 100) / 100
+        : null
+    },
+    moderators: perUser(moderators, 'moderatorId'),
+    lecturers: perUser(lecturers, 'lecturerId')
+  };
+};
+
+module.exports = {
+  syncStatusCounts,
+  recordTransitionStats,
+  withRates,
+  getModerationStatistics
+};
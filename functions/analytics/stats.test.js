@@ -0,0 +1,105 @@
+const { admin, db } = require('../config/firebase');
+const { STATUSES, buildLifecycleViolation } = require('../assessments/lifecycle');
+const {
+  syncStatusCounts,
+  recordTransitionStats,
+  withRates,
+  getModerationStatistics
+} = require('./stats');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('../test/emulator');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+describe('withRates', () => {
+  test('adds totals and rates to decision counts', () => {
+    expect(withRates({ approved: 3, rejected: 1, pending_changes: 4 })).toEqual({
+      approved: 3,
+      rejected: 1,
+      pendingChanges: 4,
+      total: 8,
+      approvalRate: 0.375,
+      rejectionRate: 0.125
+    });
+  });
+
+  test('has no rates without decisions', () => {
+    expect(withRates({})).toMatchObject({ total: 0, approvalRate: null, rejectionRate: null });
+  });
+});
+
+describe('corrections of lifecycle violations', () => {
+  const forged = { organizationId: 'org1', status: STATUSES.APPROVED, moderatorId: 'moderator' };
+  const restored = {
+    ...forged,
+    status: STATUSES.DRAFT,
+    lifecycleViolation: buildLifecycleViolation(STATUSES.DRAFT, STATUSES.APPROVED)
+  };
+
+  beforeEach(() => {
+    jest.spyOn(db, 'batch');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('are not counted as status changes', async () => {
+    await syncStatusCounts(forged, restored);
+    expect(db.batch).not.toHaveBeenCalled();
+  });
+
+  test('are not recorded as transitions', async () => {
+    await recordTransitionStats(forged, restored);
+    expect(db.batch).not.toHaveBeenCalled();
+  });
+});
+
+describeWithEmulator('moderation statistics', () => {
+  const submittedAt = admin.firestore.Timestamp.fromMillis(Date.now() - 4 * 60 * 60 * 1000);
+  const inReview = {
+    organizationId: 'org1',
+    courseId: 'cs101',
+    lecturerId: 'lecturer',
+    moderatorId: 'moderator',
+    status: STATUSES.IN_REVIEW,
+    submittedAt
+  };
+
+  beforeEach(clearEmulators);
+
+  afterAll(closeFirebase);
+
+  test('adds decisions to the organization and the course', async () => {
+    const approved = { ...inReview, status: STATUSES.APPROVED, resubmissionCount: 1 };
+    await syncStatusCounts(null, inReview);
+    await syncStatusCounts(inReview, approved);
+    await recordTransitionStats(inReview, approved);
+
+    const range = { fromDay: today(), toDay: today() };
+    const organization = await getModerationStatistics('org1', range);
+    const course = await getModerationStatistics('org1', { ...range, courseId: 'cs101' });
+
+    [organization, course].forEach(statistics => {
+      expect(statistics.statusCounts).toEqual({ [STATUSES.IN_REVIEW]: 0, [STATUSES.APPROVED]: 1 });
+      expect(statistics.decisions).toMatchObject({ approved: 1, total: 1, approvalRate: 1 });
+      expect(statistics.turnaround).toEqual({ count: 1, averageHours: 4 });
+      expect(statistics.rounds).toEqual({ finished: 1, averageResubmissions: 1 });
+      expect(statistics.moderators).toEqual([expect.objectContaining({ moderatorId: 'moderator', approved: 1 })]);
+    });
+  });
+
+  test('leaves the counts alone when a violation is undone', async () => {
+    const forged = { ...inReview, status: STATUSES.APPROVED };
+    const restored = {
+      ...inReview,
+      lifecycleViolation: buildLifecycleViolation(STATUSES.IN_REVIEW, STATUSES.APPROVED)
+    };
+    await syncStatusCounts(null, inReview);
+    await syncStatusCounts(forged, restored);
+    await recordTransitionStats(forged, restored);
+
+    const statistics = await getModerationStatistics('org1', { fromDay: today(), toDay: today() });
+    expect(statistics.statusCounts).toEqual({ [STATUSES.IN_REVIEW]: 1 });
+    expect(statistics.transitions).toEqual({});
+  });
+});
@@ -3,12 +3,75 @@
  */
 
 const functions = require('firebase-functions');
-const { admin } = require('../config/firebase');
-const { getDocById, queryDocs, createDoc, updateDoc } = require('../utils/db');
-const { verifyUserRole } = require('../utils/auth');
+const { admin, db } = require('../config/firebase');
+const { getDocById, queryPage, createDoc, updateDoc } = require('../utils/db');
+const { getApprovedUser, requirePermission, withPermissions } = require('../utils/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { parseListOptions } = require('../utils/pagination');
+const {
+  STATUSES,
+  INITIAL_STATUS,
+  DECISION_STATUSES,
+  OPEN_STATUSES,
+  EDITABLE_STATUSES,
+  transitionAssessment
+} = require('./lifecycle');
+const {
+  isEligibleModerator,
+  isCourseModerator,
+  pickModerator,
+  assignModeratorToAssessment
+} = require('./assignment');
+const { getRevision, listRevisions, diffRevisions } = require('./revisions');
+const { AUDIT_ACTIONS, recordAuditEntry } = require('../utils/audit');
+const { getViewer, getVisibilityConditions, getViewableAssessment } = require('./policy');
+const { getActiveRubric, scoreAgainstRubric } = require('../rubrics/scoring');
+const { getOrganizationId } = require('../utils/tenancy');
+const { validateAssessmentContent } = require('./schemas');
+const { DEADLINE_STATES, computeDueBy, getDeadlineRisks } = require('./deadlines');
+const { searchAssessments: runSearch, rebuildSearchIndex } = require('./search');
+
+// Filters of getAssessments. firestore.indexes.json has an index for each of
+// them with every sort order, but not for several filters at once. Lists of
+// users who see only some assessments are indexed for the scoped filters only.
+const LIST_FILTERS = ['status', 'lecturerId', 'moderatorId', 'courseId', 'department'];
+const SCOPED_LIST_FILTERS = ['status', 'courseId'];
+
+/**
+ * Describe a user as the actor of a status change
+ * @param {Object} user - User data including permissions
+ * @returns {Object} - Actor ({ id, permissions, organizationId })
+ */
+const toActor = (user) => ({ id: user.id, permissions: user.permissions, organizationId: user.organizationId });
 
 /**
- * Get all assessments with optional filters
+ * Check if a user may review assessments, as a moderator or an assessment manager
+ * @param {Object|null} user - Approved user data including permissions
+ * @returns {boolean} - Whether the user may review assessments
+ */
+const isReviewer = (user) => {
+  return hasPermission(user, PERMISSIONS.ASSESSMENT_MODERATE) ||
+    hasPermission(user, PERMISSIONS.ASSESSMENT_MANAGE);
+};
+
+/**
+ * Throw an invalid-argument error listing the content errors, if any
+ * @param {string} type - Assessment type
+ * @param {Object} content - Assessment content
+ */
+const assertValidContent = (type, content) => {
+  const errors = validateAssessmentContent(type, content);
+  if (errors.length > 0) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'The assessment content is invalid.',
+      { errors }
+    );
+  }
+};
+
+/**
+ * Get a page of assessments with an optional filter, sorting and date ranges
  */
 const getAssessments = functions.https.onCall(async (data, context) => {
   try {
@@ -20,23 +83,127 @@ const getAssessments = functions.https.onCall(async (data, context) => {
       );
     }
 
-    // Apply filters if provided
-    const conditions = [];
-    if (data.status) {
-      conditions.push({ field: 'status', operator: '==', value: data.status });
+    // Only list what the user is allowed to see
+    const viewer = await getViewer(context.auth.uid);
+
+    // Paging, sorting and date range options
+    const { conditions, options } = parseListOptions(data, ['createdAt', 'updatedAt', 'title']);
+    conditions.push(...getVisibilityConditions(viewer));
+
+    // Apply the filter if provided, refusing combinations there are no indexes for
+    const filters = LIST_FILTERS.filter(field => data[field]);
+    if (filters.length > 1) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Filter on one of ${LIST_FILTERS.join(', ')} at a time.`
+      );
     }
-    if (data.lecturerId) {
-      conditions.push({ field: 'lecturerId', operator: '==', value: data.lecturerId });
+    if (filters.length > 0 && !hasPermission(viewer, PERMISSIONS.ASSESSMENT_MANAGE) &&
+      !SCOPED_LIST_FILTERS.includes(filters[0])) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Your assessments can be filtered on ${SCOPED_LIST_FILTERS.join(' or ')}.`
+      );
     }
-    if (data.moderatorId) {
-      conditions.push({ field: 'moderatorId', operator: '==', value: data.moderatorId });
+    filters.forEach(field => {
+      conditions.push({ field, operator: '==', value: data[field] });
+    });
+    
+    // Archived assessments are left out unless asked for. Assessments
+    // written before archiving existed get the field from backfill-archived.js,
+    // which runs after every functions deploy.
+    // Including them still filters on both values, so every list uses the
+    // same indexes.
+    if (data.archived !== undefined) {
+      conditions.push({ field: 'archived', operator: '==', value: Boolean(data.archived) });
+    } else if (data.includeArchived) {
+      conditions.push({ field: 'archived', operator: 'in', value: [false, true] });
+    } else {
+      conditions.push({ field: 'archived', operator: '==', value: false });
     }
 
-    const assessments = await queryDocs('assessments', conditions);
+    const { docs: assessments, nextPageToken, totalCount } = await queryPage('assessments', conditions, {
+      ...options,
+      organizationId: getOrganizationId(context)
+    });
     
-    return { success: true, assessments };
+    return { success: true, assessments, nextPageToken, totalCount };
   } catch (error) {
     console.error('Error getting assessments:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Search the title, description and question text of the assessments the
+ * caller can see. Results are ranked, the last word may be left unfinished,
+ * and facets count the matches per course and status. Only the first 1000
+ * candidates are ranked; truncated is true when there were more.
+ */
+const searchAssessments = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to search assessments.'
+      );
+    }
+
+    // Only search what the user is allowed to see
+    const viewer = await getViewer(context.auth.uid);
+
+    const result = await runSearch(viewer, {
+      query: data?.query,
+      status: data?.status,
+      courseId: data?.courseId,
+      includeArchived: data?.includeArchived === true,
+      pageSize: data?.pageSize,
+      pageToken: data?.pageToken
+    });
+
+    if (result.errors) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'The search is invalid.',
+        { errors: result.errors }
+      );
+    }
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error searching assessments:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Rebuild the search index of the caller's organization, e.g. for assessments
+ * written before search existed (assessment.manage)
+ */
+const rebuildAssessmentSearchIndex = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may manage every assessment
+    await requirePermission(context, PERMISSIONS.ASSESSMENT_MANAGE, 'rebuild the search index');
+
+    const indexed = await rebuildSearchIndex(getOrganizationId(context));
+
+    return {
+      success: true,
+      message: `Indexed ${indexed} assessments`,
+      indexed
+    };
+  } catch (error) {
+    console.error('Error rebuilding the assessment search index:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
@@ -63,45 +230,54 @@ const getAssessmentById = functions.https.onCall(async (data, context) => {
       );
     }
 
-    const assessment = await getDocById('assessments', assessmentId);
+    const { assessment } = await getViewableAssessment(context.auth.uid, assessmentId);
     
     return { success: true, assessment };
   } catch (error) {
     console.error('Error getting assessment by ID:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
 /**
- * Create a new assessment
+ * Create a new assessment for a course the lecturer teaches
  */
 const createAssessment = functions.https.onCall(async (data, context) => {
   try {
-    // Check if the user is authenticated and is a lecturer
-    if (!context.auth) {
+    // Check if the user is authenticated and may create assessments
+    const user = await requirePermission(context, PERMISSIONS.ASSESSMENT_CREATE, 'create assessments');
+    const userId = user.id;
+
+    const { title, description, content, type, subject, courseId } = data;
+    
+    if (!title || !content || !type || !courseId) {
       throw new functions.https.HttpsError(
-        'unauthenticated',
-        'You must be logged in to create an assessment.'
+        'invalid-argument',
+        'Title, content, type, and course are required.'
       );
     }
 
-    // Check if user is a lecturer
-    const userId = context.auth.uid;
-    const isLecturer = await verifyUserRole(userId, ['lecturer', 'admin']);
-    
-    if (!isLecturer) {
+    assertValidContent(type, content);
+
+    const organizationId = getOrganizationId(context);
+    const course = await getDocById('courses', courseId, organizationId);
+
+    if (course.active === false) {
       throw new functions.https.HttpsError(
-        'permission-denied',
-        'Only lecturers can create assessments.'
+        'failed-precondition',
+        'Assessments cannot be added to an inactive course.'
       );
     }
 
-    const { title, description, content, type } = data;
-    
-    if (!title || !content || !type) {
+    const isManager = hasPermission(user, PERMISSIONS.ASSESSMENT_MANAGE);
+
+    if (!isManager && !(course.lecturerIds || []).includes(userId)) {
       throw new functions.https.HttpsError(
-        'invalid-argument',
-        'Title, content, and type are required.'
+        'permission-denied',
+        'You can only create assessments for courses you teach.'
       );
     }
 
@@ -111,10 +287,19 @@ const createAssessment = functions.https.onCall(async (data, context) => {
       description: description || '',
       content,
       type,
-      status: 'draft',
+      subject: subject || null,
+      organizationId,
+      courseId,
+      courseCode: course.code,
+      faculty: course.faculty || null,
+      department: course.department,
+      courseModeratorIds: course.moderatorIds || [],
+      status: INITIAL_STATUS,
       lecturerId: userId,
       moderatorId: null,
       feedback: null,
+      archived: false,
+      updatedBy: userId,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
@@ -128,12 +313,233 @@ const createAssessment = functions.https.onCall(async (data, context) => {
     };
   } catch (error) {
     console.error('Error creating assessment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+// Fields a lecturer can change with updateAssessment
+const EDITABLE_FIELDS = ['title', 'description', 'content', 'type', 'subject'];
+
+/**
+ * Update an assessment (owning lecturer only, while in draft or pending changes)
+ */
+const updateAssessment = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may edit assessments
+    const user = await requirePermission(context, PERMISSIONS.ASSESSMENT_CREATE, 'edit assessments');
+    const userId = user.id;
+    const { assessmentId } = data;
+
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        changes[field] = data[field];
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Provide at least one field to update: ${EDITABLE_FIELDS.join(', ')}`
+      );
+    }
+    if (changes.title !== undefined && !changes.title) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Title cannot be empty.'
+      );
+    }
+
+    const organizationId = getOrganizationId(context);
+    const docRef = db.collection('assessments').doc(assessmentId);
+
+    // Check ownership and status in the same transaction as the write,
+    // so an assessment submitted in the meantime is not edited
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists || doc.data().organizationId !== organizationId) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          `Assessment not found with ID: ${assessmentId}`
+        );
+      }
+
+      const assessment = doc.data();
+
+      if (assessment.lecturerId !== userId) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only the lecturer who owns this assessment can edit it.'
+        );
+      }
+      if (assessment.archived) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'Archived assessments cannot be edited. Restore it first.'
+        );
+      }
+      if (!EDITABLE_STATUSES.includes(assessment.status)) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `Assessments can only be edited while ${EDITABLE_STATUSES.join(' or ')}.`
+        );
+      }
+
+      // The content has to match the schema of the (possibly new) type
+      if (changes.content !== undefined || changes.type !== undefined) {
+        assertValidContent(changes.type ?? assessment.type, changes.content ?? assessment.content);
+      }
+
+      transaction.update(docRef, {
+        ...changes,
+        updatedBy: userId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    return {
+      success: true,
+      message: 'Assessment updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating assessment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
 /**
- * Moderate an assessment (update status and provide feedback)
+ * Archive an assessment, or restore it with restore: true (owning lecturer or assessment manager).
+ * Archived assessments are hidden from getAssessments and cannot change status.
+ */
+const archiveAssessment = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to archive an assessment.'
+      );
+    }
+
+    const userId = context.auth.uid;
+    const { assessmentId } = data;
+    const restore = data.restore === true;
+
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    const { viewer, assessment } = await getViewableAssessment(userId, assessmentId);
+
+    if (!hasPermission(viewer, PERMISSIONS.ASSESSMENT_MANAGE) && assessment.lecturerId !== userId) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Only the lecturer who owns this assessment or an admin can archive it.'
+      );
+    }
+    if (Boolean(assessment.archived) !== restore) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        restore ? 'This assessment is not archived.' : 'This assessment is already archived.'
+      );
+    }
+    if (!restore && OPEN_STATUSES.includes(assessment.status)) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'Assessments waiting for or in review cannot be archived. Withdraw it first.'
+      );
+    }
+
+    await updateDoc('assessments', assessmentId, {
+      archived: !restore,
+      archivedAt: restore ? null : admin.firestore.FieldValue.serverTimestamp(),
+      archivedBy: restore ? null : userId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      message: restore ? 'Assessment restored successfully' : 'Assessment archived successfully'
+    };
+  } catch (error) {
+    console.error('Error archiving assessment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Permanently delete an assessment with its revisions and comments (assessment.delete).
+ * Its attachment files are removed by onAssessmentDeleted.
+ */
+const deleteAssessment = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may delete assessments
+    const { id: userId } = await requirePermission(context, PERMISSIONS.ASSESSMENT_DELETE, 'delete assessments');
+
+    const { assessmentId } = data;
+
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    const assessment = await getDocById('assessments', assessmentId, getOrganizationId(context));
+
+    // Deletes the document and every subcollection under it
+    await db.recursiveDelete(db.collection('assessments').doc(assessmentId));
+
+    await recordAuditEntry({
+      organizationId: assessment.organizationId,
+      actorId: userId,
+      action: AUDIT_ACTIONS.ASSESSMENT_DELETE,
+      targetType: 'assessment',
+      targetId: assessmentId,
+      before: {
+        title: assessment.title,
+        status: assessment.status,
+        lecturerId: assessment.lecturerId,
+        courseId: assessment.courseId || null
+      },
+      after: {}
+    });
+
+    return {
+      success: true,
+      message: 'Assessment deleted successfully'
+    };
+  } catch (error) {
+    console.error('Error deleting assessment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Moderate an assessment (update status and provide feedback).
+ * When the assessment type has a rubric, every criterion must be scored.
  */
 const moderateAssessment = functions.https.onCall(async (data, context) => {
   try {
@@ -145,11 +551,11 @@ const moderateAssessment = functions.https.onCall(async (data, context) => {
       );
     }
 
-    // Check if user is a moderator
+    // Check if user may moderate
     const userId = context.auth.uid;
-    const isModerator = await verifyUserRole(userId, ['moderator', 'admin']);
+    const user = await getApprovedUser(userId);
     
-    if (!isModerator) {
+    if (!isReviewer(user)) {
       throw new functions.https.HttpsError(
         'permission-denied',
         'Only moderators can moderate assessments.'
@@ -166,40 +572,617 @@ const moderateAssessment = functions.https.onCall(async (data, context) => {
     }
 
     // Valid statuses
-    const validStatuses = ['approved', 'rejected', 'pending_changes'];
-    if (!validStatuses.includes(status)) {
+    if (!DECISION_STATUSES.includes(status)) {
       throw new functions.https.HttpsError(
         'invalid-argument',
-        `Status must be one of: ${validStatuses.join(', ')}`
+        `Status must be one of: ${DECISION_STATUSES.join(', ')}`
       );
     }
 
-    // Update assessment
-    const updateData = {
-      status,
-      moderatorId: userId,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+    // Update assessment, the review must have been started first
+    const updateData = {};
+    
+    if (!hasPermission(user, PERMISSIONS.ASSESSMENT_MANAGE)) {
+      updateData.moderatorId = userId;
+    }
     
     if (feedback) {
       updateData.feedback = feedback;
     }
     
-    await updateDoc('assessments', assessmentId, updateData);
+    // Score the assessment against the rubric for its type, if there is one.
+    // The rubric is read in the transaction that records the decision, so a
+    // rubric changed meanwhile makes the decision retry with the new rubric.
+    const scoreDecision = async (assessment, transaction) => {
+      const rubric = await getActiveRubric(assessment.type, assessment.organizationId, transaction);
+      if (!rubric) {
+        return updateData;
+      }
+      
+      const result = scoreAgainstRubric(rubric, data.scores);
+      
+      if (result.errors.length > 0) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'The rubric scores are invalid.',
+          { errors: result.errors }
+        );
+      }
+      
+      if (status === STATUSES.APPROVED && result.mandatoryFailures.length > 0) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'The assessment cannot be approved while mandatory criteria are below their threshold.',
+          { mandatoryFailures: result.mandatoryFailures }
+        );
+      }
+      
+      return {
+        ...updateData,
+        moderationResult: {
+          rubricId: rubric.id,
+          rubricName: rubric.name,
+          criteria: result.criteria,
+          weightedScore: result.weightedScore,
+          mandatoryFailures: result.mandatoryFailures,
+          status,
+          moderatedBy: userId
+        }
+      };
+    };
+    
+    const { previous, extraData: decision } = await transitionAssessment(
+      assessmentId, status, toActor(user), scoreDecision
+    );
+    
+    await recordAuditEntry({
+      organizationId: previous.organizationId,
+      actorId: userId,
+      action: AUDIT_ACTIONS.ASSESSMENT_MODERATE,
+      targetType: 'assessment',
+      targetId: assessmentId,
+      before: {
+        status: previous.status,
+        feedback: previous.feedback || null,
+        moderatorId: previous.moderatorId || null
+      },
+      after: {
+        status,
+        feedback: updateData.feedback || previous.feedback || null,
+        moderatorId: updateData.moderatorId || previous.moderatorId || null,
+        weightedScore: decision.moderationResult?.weightedScore ?? null
+      }
+    });
     
     return { 
       success: true, 
-      message: `Assessment ${status} successfully` 
+      message: `Assessment ${status} successfully`,
+      moderationResult: decision.moderationResult || null
     };
   } catch (error) {
     console.error('Error moderating assessment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Submit an assessment for moderation (or resubmit it after changes were requested).
+ * The moderation deadline is the optional dueBy, or the course's SLA from now.
+ */
+const submitAssessment = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to submit an assessment.'
+      );
+    }
+
+    const userId = context.auth.uid;
+    const user = await getApprovedUser(userId);
+    
+    if (!user) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Your account must be approved to submit assessments.'
+      );
+    }
+
+    const { assessmentId } = data;
+    
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    // Drafts are submitted, assessments waiting on changes are resubmitted
+    const assessment = await getDocById('assessments', assessmentId, getOrganizationId(context));
+    const status = assessment.status === STATUSES.PENDING_CHANGES
+      ? STATUSES.RESUBMITTED
+      : STATUSES.SUBMITTED;
+    
+    const course = assessment.courseId
+      ? await getDocById('courses', assessment.courseId, assessment.organizationId)
+      : null;
+    const moderationDueBy = computeDueBy(course, data.dueBy);
+    
+    await transitionAssessment(assessmentId, status, toActor(user), {
+      submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+      moderationDueBy,
+      deadlineReminderSentAt: null,
+      deadlineEscalatedAt: null,
+      // Counts the rounds of changes for the moderation statistics
+      ...(status === STATUSES.RESUBMITTED
+        ? { resubmissionCount: admin.firestore.FieldValue.increment(1) }
+        : {})
+    });
+    
+    return { 
+      success: true, 
+      message: `Assessment ${status} successfully`,
+      status,
+      moderationDueBy: moderationDueBy.toDate().toISOString()
+    };
+  } catch (error) {
+    console.error('Error submitting assessment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Withdraw a submitted assessment back to draft before its review starts
+ */
+const withdrawAssessment = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to withdraw an assessment.'
+      );
+    }
+
+    const userId = context.auth.uid;
+    const user = await getApprovedUser(userId);
+    
+    if (!user) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Your account must be approved to withdraw assessments.'
+      );
+    }
+
+    const { assessmentId } = data;
+    
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    await transitionAssessment(assessmentId, STATUSES.DRAFT, toActor(user));
+    
+    return { 
+      success: true, 
+      message: 'Assessment withdrawn successfully'
+    };
+  } catch (error) {
+    console.error('Error withdrawing assessment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Start reviewing a submitted assessment (moderator only)
+ */
+const startAssessmentReview = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to review an assessment.'
+      );
+    }
+
+    // Check if user may moderate
+    const userId = context.auth.uid;
+    const user = await getApprovedUser(userId);
+    
+    if (!isReviewer(user)) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Only moderators can review assessments.'
+      );
+    }
+
+    const { assessmentId } = data;
+    
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    // Moderators picking up an unassigned assessment become its moderator,
+    // as long as it is in the queue of one of their courses
+    const { assessment } = await getViewableAssessment(userId, assessmentId);
+    const updateData = {
+      reviewStartedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    
+    if (!assessment.moderatorId && !hasPermission(user, PERMISSIONS.ASSESSMENT_MANAGE)) {
+      updateData.moderatorId = userId;
+    }
+    
+    await transitionAssessment(assessmentId, STATUSES.IN_REVIEW, toActor(user), updateData);
+    
+    return { 
+      success: true, 
+      message: 'Assessment review started successfully'
+    };
+  } catch (error) {
+    console.error('Error starting assessment review:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * List the open assessments of the admin's organization that are at risk
+ * of missing their moderation deadline or already overdue (assessment.assign)
+ */
+const getModerationDeadlines = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may follow moderation deadlines
+    await requirePermission(context, PERMISSIONS.ASSESSMENT_ASSIGN, 'view moderation deadlines');
+
+    const assessments = await getDeadlineRisks({ organizationId: getOrganizationId(context) });
+    const summarize = (assessment) => ({
+      id: assessment.id,
+      title: assessment.title,
+      status: assessment.status,
+      courseId: assessment.courseId || null,
+      courseCode: assessment.courseCode || null,
+      lecturerId: assessment.lecturerId,
+      moderatorId: assessment.moderatorId || null,
+      moderationDueBy: assessment.moderationDueBy.toDate().toISOString(),
+      escalated: Boolean(assessment.deadlineEscalatedAt)
+    });
+
+    return {
+      success: true,
+      overdue: assessments
+        .filter(assessment => assessment.deadlineState === DEADLINE_STATES.OVERDUE)
+        .map(summarize),
+      atRisk: assessments
+        .filter(assessment => assessment.deadlineState === DEADLINE_STATES.AT_RISK)
+        .map(summarize)
+    };
+  } catch (error) {
+    console.error('Error getting moderation deadlines:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Look up a moderator that an admin wants to assign
+ * @param {string} moderatorId - Moderator user ID
+ * @param {Object} assessment - Assessment data
+ * @returns {Promise<Object>} - Moderator data
+ * @throws {functions.https.HttpsError} - When the user cannot moderate the assessment
+ */
+const getAssignableModerator = async (moderatorId, assessment) => {
+  const moderator = await withPermissions(await getDocById('users', moderatorId, assessment.organizationId));
+  if (!isEligibleModerator(moderator)) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'The selected user is not an approved, active moderator.'
+    );
+  }
+  if (moderator.id === assessment.lecturerId) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'The lecturer of an assessment cannot moderate it.'
+    );
+  }
+  if (!isCourseModerator(assessment, moderatorId)) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'The selected moderator does not moderate this assessment\'s course.'
+    );
+  }
+  return moderator;
+};
+
+/**
+ * Assign a moderator to an assessment that has none (assessment.assign).
+ * Without a moderatorId the configured assignment strategy picks one.
+ */
+const assignModerator = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may assign moderators
+    const { id: userId } = await requirePermission(context, PERMISSIONS.ASSESSMENT_ASSIGN, 'assign moderators');
+
+    const { assessmentId, moderatorId } = data;
+    
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    const assessment = await getDocById('assessments', assessmentId, getOrganizationId(context));
+    
+    if (assessment.moderatorId) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'This assessment already has a moderator. Use reassignModerator instead.'
+      );
+    }
+
+    const moderator = moderatorId
+      ? await getAssignableModerator(moderatorId, assessment)
+      : await pickModerator(assessment);
+    
+    if (!moderator) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'No eligible moderator is available.'
+      );
+    }
+
+    await assignModeratorToAssessment(assessmentId, moderator.id, userId, { expectedModeratorId: null });
+    
+    await recordAuditEntry({
+      organizationId: assessment.organizationId,
+      actorId: userId,
+      action: AUDIT_ACTIONS.MODERATOR_ASSIGN,
+      targetType: 'assessment',
+      targetId: assessmentId,
+      before: { moderatorId: assessment.moderatorId || null },
+      after: { moderatorId: moderator.id }
+    });
+    
+    return { 
+      success: true, 
+      message: 'Moderator assigned successfully',
+      moderatorId: moderator.id
+    };
+  } catch (error) {
+    console.error('Error assigning moderator:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Replace the moderator of an assessment (assessment.assign).
+ * Without a moderatorId the configured assignment strategy picks someone else.
+ */
+const reassignModerator = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may assign moderators
+    const { id: userId } = await requirePermission(context, PERMISSIONS.ASSESSMENT_ASSIGN, 'reassign moderators');
+
+    const { assessmentId, moderatorId } = data;
+    
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    const assessment = await getDocById('assessments', assessmentId, getOrganizationId(context));
+    
+    if (!assessment.moderatorId) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'This assessment has no moderator yet. Use assignModerator instead.'
+      );
+    }
+
+    if (DECISION_STATUSES.includes(assessment.status)) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'The moderator of an assessment that has been decided on cannot be changed.'
+      );
+    }
+
+    if (moderatorId === assessment.moderatorId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'The assessment is already assigned to this moderator.'
+      );
+    }
+
+    const moderator = moderatorId
+      ? await getAssignableModerator(moderatorId, assessment)
+      : await pickModerator(assessment, { exclude: [assessment.moderatorId] });
+    
+    if (!moderator) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'No other eligible moderator is available.'
+      );
+    }
+
+    await assignModeratorToAssessment(assessmentId, moderator.id, userId, {
+      expectedModeratorId: assessment.moderatorId
+    });
+    
+    await recordAuditEntry({
+      organizationId: assessment.organizationId,
+      actorId: userId,
+      action: AUDIT_ACTIONS.MODERATOR_ASSIGN,
+      targetType: 'assessment',
+      targetId: assessmentId,
+      before: { moderatorId: assessment.moderatorId || null },
+      after: { moderatorId: moderator.id }
+    });
+    
+    return { 
+      success: true, 
+      message: 'Moderator reassigned successfully',
+      previousModeratorId: assessment.moderatorId,
+      moderatorId: moderator.id
+    };
+  } catch (error) {
+    console.error('Error reassigning moderator:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get the revision history of an assessment
+ */
+const getAssessmentRevisions = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get assessment revisions.'
+      );
+    }
+
+    const { assessmentId } = data;
+    
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    // Revisions are visible to whoever can see the assessment itself
+    await getViewableAssessment(context.auth.uid, assessmentId);
+    
+    const revisions = await listRevisions(assessmentId);
+    
+    return { success: true, revisions };
+  } catch (error) {
+    console.error('Error getting assessment revisions:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Compare two revisions of an assessment.
+ * Defaults to the changes since the last moderation decision. Revision 0 is
+ * the empty assessment before its first revision, so the first revision is
+ * compared against nothing.
+ */
+const diffAssessmentRevisions = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to compare assessment revisions.'
+      );
+    }
+
+    const { assessmentId } = data;
+    
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    const { assessment } = await getViewableAssessment(context.auth.uid, assessmentId);
+    const latest = assessment.revisionCount || 0;
+    
+    const toRevision = Number(data.toRevision ?? latest);
+    const fromRevision = Number(data.fromRevision ?? (assessment.lastReviewedRevision || toRevision - 1));
+    
+    if (!Number.isInteger(toRevision) || toRevision < 1) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        latest > 0 ? 'toRevision must be a revision number.' : 'This assessment has no revisions yet.'
+      );
+    }
+    if (!Number.isInteger(fromRevision) || fromRevision < 0 || fromRevision > toRevision) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'fromRevision must be a revision number, or 0, no higher than toRevision.'
+      );
+    }
+
+    const [from, to] = await Promise.all([
+      fromRevision === 0 ? {} : getRevision(assessmentId, fromRevision),
+      getRevision(assessmentId, toRevision)
+    ]);
+    
+    if (!from || !to) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Revision ${!from ? fromRevision : toRevision} not found for assessment ${assessmentId}`
+      );
+    }
+
+    return { 
+      success: true, 
+      fromRevision,
+      toRevision,
+      changes: diffRevisions(from, to)
+    };
+  } catch (error) {
+    console.error('Error comparing assessment revisions:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
 module.exports = {
   getAssessments,
+  searchAssessments,
+  rebuildAssessmentSearchIndex,
   getAssessmentById,
   createAssessment,
-  moderateAssessment
+  updateAssessment,
+  archiveAssessment,
+  deleteAssessment,
+  moderateAssessment,
+  submitAssessment,
+  withdrawAssessment,
+  startAssessmentReview,
+  assignModerator,
+  reassignModerator,
+  getModerationDeadlines,
+  getAssessmentRevisions,
+  diffAssessmentRevisions
 };
\ No newline at end of file
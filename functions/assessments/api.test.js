@@ -0,0 +1,44 @@
+const { getAssessments } = require('./api');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  contextFor
+} = require('../test/emulator');
+
+describe('getAssessments', () => {
+  test('requires a signed-in user', async () => {
+    await expect(getAssessments.run({}, {})).rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+});
+
+describeWithEmulator('getAssessments filters', () => {
+  let lecturer;
+  let orgAdmin;
+
+  beforeAll(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+    lecturer = await seedUser('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+    orgAdmin = await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+  });
+
+  afterAll(closeFirebase);
+
+  test('refuses more than one filter at a time', async () => {
+    await expect(getAssessments.run({ status: 'draft', courseId: 'cs101' }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({
+        code: 'invalid-argument',
+        message: 'Filter on one of status, lecturerId, moderatorId, courseId, department at a time.'
+      });
+  });
+
+  test('limits users who see only some assessments to the scoped filters', async () => {
+    await expect(getAssessments.run({ department: 'Testing' }, contextFor(lecturer)))
+      .rejects.toMatchObject({ code: 'invalid-argument', message: 'Your assessments can be filtered on status or courseId.' });
+    await expect(getAssessments.run({ status: 'draft', sortBy: 'title', sortDirection: 'asc' }, contextFor(lecturer)))
+      .resolves.toMatchObject({ success: true });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Moderator assignment and review workload tracking
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { PERMISSIONS, hasPermission, getUsersWithPermission } = require('../utils/permissions');
+const { OPEN_STATUSES } = require('./lifecycle');
+
+// Strategy used when MODERATOR_ASSIGNMENT_STRATEGY is not set
+const DEFAULT_STRATEGY = 'least_loaded';
+
+// How long the events already counted are remembered. Firestore removes the
+// records after expiresAt through the TTL policy in firestore.indexes.json.
+const COUNTED_EVENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Pick the moderator with the fewest open reviews,
+ * preferring the one who was assigned least recently on a tie
+ * @param {Array} moderators - Eligible moderators
+ * @returns {Promise<Object|null>} - Chosen moderator
+ */
+const leastLoaded = async (moderators) => {
+  const sorted = [...moderators].sort((a, b) => {
+    const loadDiff = (a.openReviews || 0) - (b.openReviews || 0);
+    if (loadDiff !== 0) {
+      return loadDiff;
+    }
+    const aAssigned = a.lastAssignedAt ? a.lastAssignedAt.toMillis() : 0;
+    const bAssigned = b.lastAssignedAt ? b.lastAssignedAt.toMillis() : 0;
+    return aAssigned - bAssigned;
+  });
+
+  return sorted[0] || null;
+};
+
+/**
+ * Pick the moderator after the previously picked one, in a stable order
+ * @param {Array} moderators - Eligible moderators
+ * @param {Object} assessment - Assessment data
+ * @returns {Promise<Object|null>} - Chosen moderator
+ */
+const roundRobin = async (moderators, assessment) => {
+  if (moderators.length === 0) {
+    return null;
+  }
+
+  // Each organization keeps its own rotation
+  const sorted = [...moderators].sort((a, b) => a.id.localeCompare(b.id));
+  const stateRef = db.collection('organizations').doc(assessment.organizationId)
+    .collection('settings').doc('moderatorAssignment');
+
+  return db.runTransaction(async (transaction) => {
+    const state = await transaction.get(stateRef);
+    const lastModeratorId = state.exists ? state.data().lastModeratorId : null;
+
+    // Continue with the first moderator that sorts after the last pick
+    const next = (lastModeratorId && sorted.find(moderator => moderator.id > lastModeratorId)) ||
+      sorted[0];
+
+    transaction.set(stateRef, {
+      lastModeratorId: next.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return next;
+  });
+};
+
+/**
+ * Pick among moderators whose subjects include the assessment's subject,
+ * falling back to all moderators when nobody matches
+ * @param {Array} moderators - Eligible moderators
+ * @param {Object} assessment - Assessment data
+ * @returns {Promise<Object|null>} - Chosen moderator
+ */
+const subjectMatch = async (moderators, assessment) => {
+  const subject = (assessment.subject || '').toLowerCase();
+  const matching = subject
+    ? moderators.filter(moderator => (moderator.subjects || [])
+      .some(s => s.toLowerCase() === subject))
+    : [];
+
+  return leastLoaded(matching.length > 0 ? matching : moderators);
+};
+
+// Assignment strategies, keyed by name
+const strategies = {
+  least_loaded: leastLoaded,
+  round_robin: roundRobin,
+  subject_match: subjectMatch
+};
+
+/**
+ * Get the strategy configured for this deployment
+ * @returns {Function} - Assignment strategy
+ */
+const getAssignmentStrategy = () => {
+  const name = process.env.MODERATOR_ASSIGNMENT_STRATEGY || DEFAULT_STRATEGY;
+  if (!strategies[name]) {
+    console.warn(`Unknown moderator assignment strategy '${name}', using '${DEFAULT_STRATEGY}'`);
+    return strategies[DEFAULT_STRATEGY];
+  }
+  return strategies[name];
+};
+
+/**
+ * Check if a user can be assigned assessments to moderate
+ * @param {Object} user - User data including permissions (only approved, active users have any)
+ * @returns {boolean} - Whether the user is an approved, active moderator
+ */
+const isEligibleModerator = (user) => {
+  return hasPermission(user, PERMISSIONS.ASSESSMENT_MODERATE);
+};
+
+/**
+ * Check if a moderator belongs to the course of an assessment.
+ * Assessments created before courses existed can go to any moderator.
+ * @param {Object} assessment - Assessment data
+ * @param {string} moderatorId - Moderator user ID
+ * @returns {boolean} - Whether the moderator may review the assessment
+ */
+const isCourseModerator = (assessment, moderatorId) => {
+  if (!assessment.courseId) {
+    return true;
+  }
+  return (assessment.courseModeratorIds || []).includes(moderatorId);
+};
+
+/**
+ * Get the moderators of an organization who can currently be assigned assessments
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<Array>} - Eligible moderators
+ */
+const getEligibleModerators = async (organizationId) => {
+  return getUsersWithPermission(organizationId, PERMISSIONS.ASSESSMENT_MODERATE);
+};
+
+/**
+ * Pick a moderator of the assessment's course using the configured strategy.
+ * The assessment's own lecturer is never picked.
+ * @param {Object} assessment - Assessment data
+ * @param {Object} options - Options ({ exclude: moderator IDs to skip })
+ * @returns {Promise<Object|null>} - Chosen moderator, or null if none is available
+ */
+const pickModerator = async (assessment, options = {}) => {
+  const exclude = [...(options.exclude || []), assessment.lecturerId];
+  const moderators = (await getEligibleModerators(assessment.organizationId))
+    .filter(moderator => !exclude.includes(moderator.id))
+    .filter(moderator => isCourseModerator(assessment, moderator.id));
+
+  if (moderators.length === 0) {
+    return null;
+  }
+
+  const strategy = getAssignmentStrategy();
+  return strategy(moderators, assessment);
+};
+
+/**
+ * Get the moderator whose review queue holds an assessment, if any
+ * @param {Object|null} assessment - Assessment data
+ * @returns {string|null} - Moderator ID
+ */
+const getOpenReviewModerator = (assessment) => {
+  if (!assessment || !assessment.moderatorId || !OPEN_STATUSES.includes(assessment.status)) {
+    return null;
+  }
+  return assessment.moderatorId;
+};
+
+/**
+ * Assign a moderator to an assessment, or return it to the review queue.
+ * The assignment and the open review counters of both moderators are written
+ * in one transaction, so concurrent assignments cannot count a review twice.
+ * @param {string} assessmentId - Assessment ID
+ * @param {string|null} moderatorId - Moderator user ID, or null to return the assessment to the queue
+ * @param {string|null} assignedBy - User ID of the admin, or null when assigned automatically
+ * @param {Object} options - Options ({ changes: other assessment fields to write along with the
+ *   assignment, expectedModeratorId: moderator ID, or null, the assessment must still have })
+ * @returns {Promise<void>}
+ * @throws {functions.https.HttpsError} - When the assessment no longer has the expected moderator
+ */
+const assignModeratorToAssessment = async (assessmentId, moderatorId, assignedBy = null, options = {}) => {
+  const { changes = {}, expectedModeratorId } = options;
+  const assessmentRef = db.collection('assessments').doc(assessmentId);
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(assessmentRef);
+    if (!doc.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Assessment not found with ID: ${assessmentId}`
+      );
+    }
+
+    const assessment = doc.data();
+    if (expectedModeratorId !== undefined && (assessment.moderatorId || null) !== expectedModeratorId) {
+      throw new functions.https.HttpsError(
+        'aborted',
+        'The moderator of this assessment changed meanwhile. Try again.'
+      );
+    }
+
+    transaction.update(assessmentRef, {
+      ...changes,
+      moderatorId,
+      moderatorAssignedAt: moderatorId ? admin.firestore.FieldValue.serverTimestamp() : null,
+      moderatorAssignedBy: moderatorId ? assignedBy : null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const beforeModeratorId = getOpenReviewModerator(assessment);
+    const afterModeratorId = getOpenReviewModerator({ ...assessment, moderatorId });
+    if (beforeModeratorId !== afterModeratorId) {
+      addOpenReviewCounts(transaction, beforeModeratorId, afterModeratorId);
+    }
+
+    if (moderatorId) {
+      transaction.update(db.collection('users').doc(moderatorId), {
+        lastAssignedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+  });
+};
+
+/**
+ * Move one open review from one moderator's counter to another's
+ * @param {Object} writer - Batch or transaction to write with
+ * @param {string|null} fromModeratorId - Moderator losing the review
+ * @param {string|null} toModeratorId - Moderator getting the review
+ */
+const addOpenReviewCounts = (writer, fromModeratorId, toModeratorId) => {
+  if (fromModeratorId) {
+    writer.update(db.collection('users').doc(fromModeratorId), {
+      openReviews: admin.firestore.FieldValue.increment(-1)
+    });
+  }
+  if (toModeratorId) {
+    writer.update(db.collection('users').doc(toModeratorId), {
+      openReviews: admin.firestore.FieldValue.increment(1)
+    });
+  }
+};
+
+/**
+ * Keep moderators' open review counters in line with an assessment change.
+ * Works for creates (before is null), updates and deletes (after is null).
+ * Changes of moderator alone are counted by assignModeratorToAssessment.
+ * Triggers can run more than once for the same change, so the event is
+ * recorded in the transaction that moves the counters and counted only once.
+ * @param {Object|null} beforeData - Assessment data before the change
+ * @param {Object|null} afterData - Assessment data after the change
+ * @param {string} eventId - ID of the trigger event
+ * @returns {Promise<void>}
+ */
+const syncOpenReviewCounts = async (beforeData, afterData, eventId) => {
+  if (beforeData && afterData && beforeData.status === afterData.status) {
+    return;
+  }
+
+  const beforeModeratorId = getOpenReviewModerator(beforeData);
+  const afterModeratorId = getOpenReviewModerator(afterData);
+
+  if (beforeModeratorId === afterModeratorId) {
+    return;
+  }
+
+  const eventRef = db.collection('openReviewEvents').doc(eventId);
+  await db.runTransaction(async (transaction) => {
+    if ((await transaction.get(eventRef)).exists) {
+      return;
+    }
+    addOpenReviewCounts(transaction, beforeModeratorId, afterModeratorId);
+    transaction.create(eventRef, {
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + COUNTED_EVENT_RETENTION_MS)
+    });
+  });
+};
+
+module.exports = {
+  isEligibleModerator,
+  isCourseModerator,
+  getEligibleModerators,
+  getOpenReviewModerator,
+  pickModerator,
+  assignModeratorToAssessment,
+  syncOpenReviewCounts
+};
@@ -0,0 +1,61 @@
+const { db } = require('../config/firebase');
+const { PERMISSIONS } = require('../utils/permissions');
+const {
+  isEligibleModerator,
+  isCourseModerator,
+  getOpenReviewModerator,
+  syncOpenReviewCounts
+} = require('./assignment');
+const { describeWithEmulator, clearEmulators, closeFirebase, seedUser } = require('../test/emulator');
+
+describe('isEligibleModerator', () => {
+  test('needs the moderate permission', () => {
+    expect(isEligibleModerator({ permissions: [PERMISSIONS.ASSESSMENT_MODERATE] })).toBe(true);
+    expect(isEligibleModerator({ permissions: [PERMISSIONS.ASSESSMENT_CREATE] })).toBe(false);
+  });
+});
+
+describe('isCourseModerator', () => {
+  test('limits assessments of a course to its moderators', () => {
+    const assessment = { courseId: 'cs101', courseModeratorIds: ['m1'] };
+    expect(isCourseModerator(assessment, 'm1')).toBe(true);
+    expect(isCourseModerator(assessment, 'm2')).toBe(false);
+    expect(isCourseModerator({ courseId: 'cs101' }, 'm1')).toBe(false);
+  });
+
+  test('lets any moderator review assessments without a course', () => {
+    expect(isCourseModerator({}, 'm1')).toBe(true);
+  });
+});
+
+describe('getOpenReviewModerator', () => {
+  test('only counts assigned assessments that are under review', () => {
+    expect(getOpenReviewModerator({ status: 'in_review', moderatorId: 'm1' })).toBe('m1');
+    expect(getOpenReviewModerator({ status: 'approved', moderatorId: 'm1' })).toBeNull();
+    expect(getOpenReviewModerator({ status: 'in_review', moderatorId: null })).toBeNull();
+    expect(getOpenReviewModerator(null)).toBeNull();
+  });
+});
+
+describeWithEmulator('syncOpenReviewCounts', () => {
+  const openReviews = async (id) => (await db.collection('users').doc(id).get()).data().openReviews;
+
+  beforeEach(async () => {
+    await clearEmulators();
+    await seedUser('m1', { organizationId: 'org1', roles: ['moderator'], openReviews: 0 });
+  });
+
+  afterAll(closeFirebase);
+
+  test('counts an event once when the trigger runs again', async () => {
+    const before = { status: 'pending_changes', moderatorId: 'm1' };
+    const after = { status: 'resubmitted', moderatorId: 'm1' };
+
+    await syncOpenReviewCounts(before, after, 'event1');
+    await syncOpenReviewCounts(before, after, 'event1');
+    expect(await openReviews('m1')).toBe(1);
+
+    await syncOpenReviewCounts(after, { ...after, status: 'approved' }, 'event2');
+    expect(await openReviews('m1')).toBe(0);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Scheduled function that chases moderation deadlines
+ */
+
+const functions = require('firebase-functions');
+const { admin } = require('../config/firebase');
+const { getDocById, updateDoc } = require('../utils/db');
+const {
+  NOTIFICATION_TYPES,
+  createNotifications,
+  getUserIdsWithPermission
+} = require('../utils/notifications');
+const { PERMISSIONS } = require('../utils/permissions');
+const { AUDIT_ACTIONS, recordAuditEntry } = require('../utils/audit');
+const { STATUSES } = require('./lifecycle');
+const { pickModerator, assignModeratorToAssessment } = require('./assignment');
+const { DEADLINE_STATES, computeDueBy, getDeadlineRisks } = require('./deadlines');
+
+/**
+ * Check if overdue assessments should go to another moderator
+ * @returns {boolean} - Whether MODERATION_AUTO_REASSIGN is enabled
+ */
+const isAutoReassignEnabled = () => process.env.MODERATION_AUTO_REASSIGN === 'true';
+
+/**
+ * Give an overdue assessment to another moderator of its course, with a new
+ * deadline of its own so that the new moderator is reminded and escalated
+ * again. Reviews that were already started stay with their moderator.
+ * @param {Object} assessment - Assessment data
+ * @returns {Promise<string|null>} - ID of the new moderator, or null if it was not reassigned
+ */
+const reassignOverdue = async (assessment) => {
+  if (!assessment.moderatorId || assessment.status === STATUSES.IN_REVIEW) {
+    return null;
+  }
+
+  const moderator = await pickModerator(assessment, { exclude: [assessment.moderatorId] });
+  if (!moderator) {
+    return null;
+  }
+
+  const course = assessment.courseId
+    ? await getDocById('courses', assessment.courseId, assessment.organizationId)
+    : null;
+  const moderationDueBy = computeDueBy(course);
+
+  await assignModeratorToAssessment(assessment.id, moderator.id, null, {
+    changes: {
+      moderationDueBy,
+      deadlineReminderSentAt: null,
+      deadlineEscalatedAt: null
+    },
+    expectedModeratorId: assessment.moderatorId
+  });
+  await recordAuditEntry({
+    organizationId: assessment.organizationId,
+    actorId: null,
+    action: AUDIT_ACTIONS.MODERATOR_ASSIGN,
+    targetType: 'assessment',
+    targetId: assessment.id,
+    before: { moderatorId: assessment.moderatorId },
+    after: {
+      moderatorId: moderator.id,
+      moderationDueBy: moderationDueBy.toDate().toISOString(),
+      reason: 'moderation_overdue'
+    }
+  });
+  return moderator.id;
+};
+
+/**
+ * Every hour, remind moderators of assessments that are due soon and
+ * escalate overdue assessments to the admins of their organization,
+ * reassigning them when MODERATION_AUTO_REASSIGN is enabled.
+ * Each assessment is reminded and escalated at most once per deadline.
+ */
+const checkModerationDeadlines = functions.scheduler
+  .onSchedule('every 60 minutes', async () => {
+    try {
+      const assessments = await getDeadlineRisks({ allOrganizations: true });
+      let reminded = 0;
+      let escalated = 0;
+      let reassigned = 0;
+
+      for (const assessment of assessments) {
+        // One failing assessment must not stop the others from being checked
+        try {
+          const dueBy = assessment.moderationDueBy.toDate().toISOString();
+          const notificationData = { assessmentId: assessment.id, moderationDueBy: dueBy };
+
+          if (assessment.deadlineState === DEADLINE_STATES.AT_RISK &&
+            assessment.moderatorId && !assessment.deadlineReminderSentAt) {
+            await createNotifications([assessment.moderatorId], {
+              type: NOTIFICATION_TYPES.MODERATION_DUE_SOON,
+              title: 'Moderation due soon',
+              message: `"${assessment.title}" has to be moderated by ${dueBy}.`,
+              data: notificationData
+            });
+            await updateDoc('assessments', assessment.id, {
+              deadlineReminderSentAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            reminded++;
+          }
+
+          if (assessment.deadlineState === DEADLINE_STATES.OVERDUE && !assessment.deadlineEscalatedAt) {
+            const newModeratorId = isAutoReassignEnabled() ? await reassignOverdue(assessment) : null;
+
+            await createNotifications(await getUserIdsWithPermission(assessment.organizationId, PERMISSIONS.ASSESSMENT_ASSIGN), {
+              type: NOTIFICATION_TYPES.MODERATION_OVERDUE,
+              title: 'Moderation overdue',
+              message: newModeratorId
+                ? `"${assessment.title}" was due by ${dueBy} and has been reassigned.`
+                : `"${assessment.title}" was due by ${dueBy} and has not been moderated yet.`,
+              data: {
+                ...notificationData,
+                moderatorId: assessment.moderatorId || null,
+                newModeratorId
+              }
+            });
+            // A reassigned assessment starts over with its new deadline
+            if (newModeratorId) {
+              reassigned++;
+            } else {
+              await updateDoc('assessments', assessment.id, {
+                deadlineEscalatedAt: admin.firestore.FieldValue.serverTimestamp()
+              });
+            }
+            escalated++;
+          }
+        } catch (error) {
+          console.error(`Error checking the moderation deadline of assessment ${assessment.id}:`, error);
+        }
+      }
+
+      if (reminded > 0 || escalated > 0) {
+        console.log(`Moderation deadlines checked: ${reminded} reminded, ${escalated} escalated, ${reassigned} reassigned`);
+      }
+      return null;
+    } catch (error) {
+      console.error('Error in checkModerationDeadlines schedule:', error);
+      return null;
+    }
+  });
+
+module.exports = checkModerationDeadlines;
@@ -0,0 +1,112 @@
+/**
+ * Moderation deadlines
+ *
+ * Submitted assessments carry a moderationDueBy date, set by the lecturer or
+ * taken from the course's moderationSlaDays. Assessments still open for review
+ * within MODERATION_AT_RISK_HOURS of that date are at risk; past it they are overdue.
+ */
+
+const functions = require('firebase-functions');
+const { admin } = require('../config/firebase');
+const { queryDocs } = require('../utils/db');
+const { OPEN_STATUSES } = require('./lifecycle');
+
+// Used when a course has no moderationSlaDays
+const DEFAULT_SLA_DAYS = 10;
+
+// Used when MODERATION_AT_RISK_HOURS is not set
+const DEFAULT_AT_RISK_HOURS = 48;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Deadline states
+const DEADLINE_STATES = {
+  ON_TRACK: 'on_track',
+  AT_RISK: 'at_risk',
+  OVERDUE: 'overdue'
+};
+
+/**
+ * Get how long before its deadline an assessment counts as at risk
+ * @returns {number} - Window in milliseconds
+ */
+const getAtRiskWindowMs = () => {
+  const hours = Number(process.env.MODERATION_AT_RISK_HOURS);
+  return (hours > 0 ? hours : DEFAULT_AT_RISK_HOURS) * HOUR_MS;
+};
+
+/**
+ * Work out the moderation deadline of a submission
+ * @param {Object} course - Course data, or null for assessments without one
+ * @param {string|null} requestedDueBy - Due date chosen by the lecturer (ISO string, optional)
+ * @returns {admin.firestore.Timestamp} - Deadline
+ * @throws {functions.https.HttpsError} - When the requested date is invalid or in the past
+ */
+const computeDueBy = (course, requestedDueBy = null) => {
+  if (requestedDueBy) {
+    const date = new Date(requestedDueBy);
+    if (isNaN(date.getTime())) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'dueBy must be a valid date.'
+      );
+    }
+    if (date.getTime() <= Date.now()) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'dueBy must be in the future.'
+      );
+    }
+    return admin.firestore.Timestamp.fromDate(date);
+  }
+
+  const slaDays = course?.moderationSlaDays > 0 ? course.moderationSlaDays : DEFAULT_SLA_DAYS;
+  return admin.firestore.Timestamp.fromMillis(Date.now() + slaDays * DAY_MS);
+};
+
+/**
+ * Get the deadline state of an assessment
+ * @param {Object} assessment - Assessment data
+ * @param {number} now - Current time in milliseconds
+ * @returns {string|null} - One of DEADLINE_STATES, or null when it has no open deadline
+ */
+const getDeadlineState = (assessment, now = Date.now()) => {
+  if (!assessment.moderationDueBy || !OPEN_STATUSES.includes(assessment.status)) {
+    return null;
+  }
+  const dueBy = assessment.moderationDueBy.toMillis();
+  if (dueBy <= now) {
+    return DEADLINE_STATES.OVERDUE;
+  }
+  if (dueBy - now <= getAtRiskWindowMs()) {
+    return DEADLINE_STATES.AT_RISK;
+  }
+  return DEADLINE_STATES.ON_TRACK;
+};
+
+/**
+ * Get the open assessments that are at risk or overdue, earliest deadline first
+ * @param {Object} options - Organization options ({ organizationId } or { allOrganizations: true }), see queryDocs
+ * @returns {Promise<Array>} - Assessments, each with its deadlineState
+ */
+const getDeadlineRisks = async (options) => {
+  const horizon = admin.firestore.Timestamp.fromMillis(Date.now() + getAtRiskWindowMs());
+  const assessments = await queryDocs('assessments', [
+    { field: 'status', operator: 'in', value: OPEN_STATUSES },
+    { field: 'moderationDueBy', operator: '<=', value: horizon }
+  ], { ...options, orderBy: { field: 'moderationDueBy' } });
+
+  const now = Date.now();
+  return assessments.map(assessment => ({
+    ...assessment,
+    deadlineState: getDeadlineState(assessment, now)
+  }));
+};
+
+module.exports = {
+  DEADLINE_STATES,
+  computeDueBy,
+  getDeadlineState,
+  getDeadlineRisks
+};
@@ -0,0 +1,133 @@
+const { admin, db } = require('../config/firebase');
+const { STATUSES } = require('./lifecycle');
+const { DEADLINE_STATES, computeDueBy, getDeadlineState } = require('./deadlines');
+const checkModerationDeadlines = require('./checkDeadlines');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser
+} = require('../test/emulator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('computeDueBy', () => {
+  test('uses the date the lecturer asked for', () => {
+    const requested = new Date(Date.now() + 3 * DAY_MS);
+    expect(computeDueBy({ moderationSlaDays: 5 }, requested.toISOString()).toMillis())
+      .toBe(requested.getTime());
+  });
+
+  test('refuses invalid and past dates', () => {
+    expect(() => computeDueBy(null, 'next week'))
+      .toThrow(expect.objectContaining({ code: 'invalid-argument', message: 'dueBy must be a valid date.' }));
+    expect(() => computeDueBy(null, new Date(Date.now() - HOUR_MS).toISOString()))
+      .toThrow('dueBy must be in the future.');
+  });
+
+  test('falls back on the course SLA, then on 10 days', () => {
+    const start = Date.now();
+    const fromCourse = computeDueBy({ moderationSlaDays: 3 }).toMillis() - start;
+    const fromDefault = computeDueBy(null).toMillis() - start;
+    const fromInvalid = computeDueBy({ moderationSlaDays: 0 }).toMillis() - start;
+
+    expect(fromCourse).toBeGreaterThanOrEqual(3 * DAY_MS);
+    expect(fromCourse).toBeLessThan(3 * DAY_MS + 1000);
+    expect(fromDefault).toBeGreaterThanOrEqual(10 * DAY_MS);
+    expect(fromInvalid).toBeGreaterThanOrEqual(10 * DAY_MS);
+    expect(fromInvalid).toBeLessThan(10 * DAY_MS + 1000);
+  });
+});
+
+describe('getDeadlineState', () => {
+  const now = Date.now();
+  const dueIn = (ms, status = STATUSES.SUBMITTED) => ({
+    status,
+    moderationDueBy: admin.firestore.Timestamp.fromMillis(now + ms)
+  });
+
+  afterEach(() => {
+    delete process.env.MODERATION_AT_RISK_HOURS;
+  });
+
+  test('tells on track, at risk and overdue apart', () => {
+    expect(getDeadlineState(dueIn(5 * DAY_MS), now)).toBe(DEADLINE_STATES.ON_TRACK);
+    expect(getDeadlineState(dueIn(47 * HOUR_MS), now)).toBe(DEADLINE_STATES.AT_RISK);
+    expect(getDeadlineState(dueIn(0), now)).toBe(DEADLINE_STATES.OVERDUE);
+  });
+
+  test('only applies to assessments open for review', () => {
+    expect(getDeadlineState(dueIn(-DAY_MS, STATUSES.APPROVED), now)).toBeNull();
+    expect(getDeadlineState({ status: STATUSES.SUBMITTED }, now)).toBeNull();
+  });
+
+  test('reads the at risk window from MODERATION_AT_RISK_HOURS', () => {
+    process.env.MODERATION_AT_RISK_HOURS = '72';
+    expect(getDeadlineState(dueIn(60 * HOUR_MS), now)).toBe(DEADLINE_STATES.AT_RISK);
+
+    process.env.MODERATION_AT_RISK_HOURS = 'soon';
+    expect(getDeadlineState(dueIn(60 * HOUR_MS), now)).toBe(DEADLINE_STATES.ON_TRACK);
+  });
+});
+
+describeWithEmulator('checkModerationDeadlines', () => {
+  /**
+   * Seed an assessment open for review with a deadline
+   * @param {string} id - Assessment ID
+   * @param {number} dueInMs - Time until the deadline
+   */
+  const seedAssessment = async (id, dueInMs) => {
+    await db.collection('assessments').doc(id).set({
+      organizationId: 'org1',
+      title: `Assessment ${id}`,
+      status: STATUSES.SUBMITTED,
+      archived: false,
+      lecturerId: 'lecturer',
+      moderatorId: 'moderator',
+      moderationDueBy: admin.firestore.Timestamp.fromMillis(Date.now() + dueInMs)
+    });
+  };
+
+  const notificationsOf = async (userId) => {
+    const snapshot = await db.collection('notifications').where('userId', '==', userId).get();
+    return snapshot.docs.map(doc => doc.data());
+  };
+
+  beforeEach(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+    await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+    await seedUser('moderator', { organizationId: 'org1', roles: ['moderator'] });
+  });
+
+  afterAll(closeFirebase);
+
+  test('reminds the moderator once before the deadline', async () => {
+    await seedAssessment('soon', 2 * HOUR_MS);
+
+    await checkModerationDeadlines.run({});
+    await checkModerationDeadlines.run({});
+
+    const reminders = await notificationsOf('moderator');
+    expect(reminders).toHaveLength(1);
+    expect(reminders[0].title).toBe('Moderation due soon');
+    const assessment = (await db.collection('assessments').doc('soon').get()).data();
+    expect(assessment.deadlineReminderSentAt).toBeTruthy();
+  });
+
+  test('escalates overdue assessments to the admins once', async () => {
+    await seedAssessment('late', -HOUR_MS);
+
+    await checkModerationDeadlines.run({});
+    await checkModerationDeadlines.run({});
+
+    const escalations = await notificationsOf('admin1');
+    expect(escalations).toHaveLength(1);
+    expect(escalations[0]).toMatchObject({
+      title: 'Moderation overdue',
+      data: { assessmentId: 'late', moderatorId: 'moderator', newModeratorId: null }
+    });
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Assessment lifecycle state machine
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+
+// Every status an assessment can be in
+const STATUSES = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  IN_REVIEW: 'in_review',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  PENDING_CHANGES: 'pending_changes',
+  RESUBMITTED: 'resubmitted'
+};
+
+// Status given to every new assessment
+const INITIAL_STATUS = STATUSES.DRAFT;
+
+// Statuses a moderator can decide on when finishing a review
+const DECISION_STATUSES = [
+  STATUSES.APPROVED,
+  STATUSES.REJECTED,
+  STATUSES.PENDING_CHANGES
+];
+
+// Statuses in which an assessment sits in a moderator's review queue
+const OPEN_STATUSES = [
+  STATUSES.SUBMITTED,
+  STATUSES.IN_REVIEW,
+  STATUSES.RESUBMITTED
+];
+
+// Statuses in which the lecturer can still edit an assessment and its attachments
+const EDITABLE_STATUSES = [STATUSES.DRAFT, STATUSES.PENDING_CHANGES];
+
+/**
+ * Allowed transitions, keyed by current status and then by target status.
+ * Each entry lists the parties that may perform the move; see TRANSITION_PERMISSIONS
+ * for the permission each party needs:
+ * - 'lecturer' only applies to the lecturer who owns the assessment
+ * - 'moderator' only applies to the assigned moderator, or any moderator
+ *   when nobody has been assigned yet, and never to the assessment's own lecturer
+ * - 'admin' may perform any allowed move
+ */
+const TRANSITIONS = {
+  [STATUSES.DRAFT]: {
+    [STATUSES.SUBMITTED]: ['lecturer', 'admin']
+  },
+  [STATUSES.SUBMITTED]: {
+    [STATUSES.IN_REVIEW]: ['moderator', 'admin'],
+    [STATUSES.DRAFT]: ['lecturer', 'admin']
+  },
+  [STATUSES.IN_REVIEW]: {
+    [STATUSES.APPROVED]: ['moderator', 'admin'],
+    [STATUSES.REJECTED]: ['moderator', 'admin'],
+    [STATUSES.PENDING_CHANGES]: ['moderator', 'admin']
+  },
+  [STATUSES.PENDING_CHANGES]: {
+    [STATUSES.RESUBMITTED]: ['lecturer', 'admin']
+  },
+  [STATUSES.RESUBMITTED]: {
+    [STATUSES.IN_REVIEW]: ['moderator', 'admin'],
+    [STATUSES.DRAFT]: ['lecturer', 'admin']
+  },
+  [STATUSES.APPROVED]: {},
+  [STATUSES.REJECTED]: {}
+};
+
+// Permission a user needs to act as each party to a transition
+const TRANSITION_PERMISSIONS = {
+  lecturer: PERMISSIONS.ASSESSMENT_CREATE,
+  moderator: PERMISSIONS.ASSESSMENT_MODERATE,
+  admin: PERMISSIONS.ASSESSMENT_MANAGE
+};
+
+/**
+ * Check if a transition between two statuses exists, regardless of who makes it
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean} - Whether the transition is allowed
+ */
+const isTransitionAllowed = (from, to) => {
+  const targets = TRANSITIONS[from];
+  return Boolean(targets && targets[to]);
+};
+
+/**
+ * Assert that a user may move an assessment to a new status
+ * @param {Object} assessment - Assessment data (must include status and lecturerId)
+ * @param {string} to - Target status
+ * @param {Object} actor - User performing the move ({ id, permissions })
+ * @throws {functions.https.HttpsError} - When the move is not allowed
+ */
+const assertTransition = (assessment, to, actor) => {
+  const from = assessment.status;
+
+  if (assessment.archived) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      'Archived assessments cannot change status. Restore it first.'
+    );
+  }
+
+  if (!isTransitionAllowed(from, to)) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      `An assessment cannot move from '${from}' to '${to}'.`
+    );
+  }
+
+  const parties = TRANSITIONS[from][to];
+  const actorParties = parties.filter(party => hasPermission(actor, TRANSITION_PERMISSIONS[party]));
+  if (actorParties.length === 0) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      `Only ${parties.join(' or ')} users can move an assessment from '${from}' to '${to}'.`
+    );
+  }
+
+  if (actorParties.includes('admin')) {
+    return;
+  }
+
+  // The first reason the user cannot act as any of their parties
+  const refusals = actorParties.map(party => {
+    if (party === 'lecturer' && assessment.lecturerId !== actor.id) {
+      return 'Only the lecturer who owns this assessment can change its status.';
+    }
+    if (party === 'moderator' && assessment.lecturerId === actor.id) {
+      return 'You cannot moderate an assessment you own.';
+    }
+    if (party === 'moderator' && assessment.moderatorId && assessment.moderatorId !== actor.id) {
+      return 'This assessment is assigned to another moderator.';
+    }
+    return null;
+  });
+
+  if (!refusals.includes(null)) {
+    throw new functions.https.HttpsError('permission-denied', refusals[0]);
+  }
+};
+
+/**
+ * Build the stamp the assessment triggers write along with their correction
+ * of a lifecycle violation
+ * @param {string|null} from - Status before the violation, or null for an assessment created with another status
+ * @param {string} to - Status the violation tried to set
+ * @returns {Object} - Stamp for the lifecycleViolation field
+ */
+const buildLifecycleViolation = (from, to) => ({
+  from,
+  to,
+  detectedAt: new Date().toISOString()
+});
+
+/**
+ * Check if a write is a trigger's correction of a lifecycle violation: the
+ * reset of an assessment created with another status than INITIAL_STATUS, or
+ * the restore of the status before an illegal transition. Corrections carry a
+ * new lifecycleViolation stamp and are not transitions.
+ * @param {Object|null} beforeData - Assessment data before the write
+ * @param {Object|null} afterData - Assessment data after the write
+ * @returns {boolean} - Whether the write is a correction
+ */
+const isLifecycleCorrection = (beforeData, afterData) => {
+  return Boolean(afterData?.lifecycleViolation) &&
+    afterData.lifecycleViolation.detectedAt !== beforeData?.lifecycleViolation?.detectedAt;
+};
+
+/**
+ * Move an assessment to a new status after checking the transition
+ * @param {string} assessmentId - Assessment ID
+ * @param {string} to - Target status
+ * @param {Object} actor - User performing the move ({ id, permissions, organizationId }).
+ *   Assessments of other organizations are reported as not found.
+ * @param {Object|Function} extraData - Additional fields to write with the status change, or an
+ *   async function (assessment, transaction) returning them, for fields that depend on other
+ *   documents read in the same transaction
+ * @returns {Promise<Object>} - The previous and new status, the assessment as it was and the
+ *   additional fields written ({ from, to, previous, extraData })
+ */
+const transitionAssessment = async (assessmentId, to, actor, extraData = {}) => {
+  const docRef = db.collection('assessments').doc(assessmentId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists || doc.data().organizationId !== actor.organizationId) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Assessment not found with ID: ${assessmentId}`
+      );
+    }
+
+    const assessment = doc.data();
+    assertTransition(assessment, to, actor);
+
+    const extra = typeof extraData === 'function' ? await extraData(assessment, transaction) : extraData;
+    transaction.update(docRef, {
+      ...extra,
+      status: to,
+      statusChangedBy: actor.id,
+      statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { from: assessment.status, to, previous: assessment, extraData: extra };
+  });
+};
+
+module.exports = {
+  STATUSES,
+  INITIAL_STATUS,
+  DECISION_STATUSES,
+  OPEN_STATUSES,
+  EDITABLE_STATUSES,
+  TRANSITIONS,
+  TRANSITION_PERMISSIONS,
+  isTransitionAllowed,
+  assertTransition,
+  buildLifecycleViolation,
+  isLifecycleCorrection,
+  transitionAssessment
+};
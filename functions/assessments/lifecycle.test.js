@@ -0,0 +1,186 @@
+const { db } = require('../config/firebase');
+const { PERMISSIONS } = require('../utils/permissions');
+const {
+  STATUSES,
+  TRANSITIONS,
+  isTransitionAllowed,
+  assertTransition,
+  buildLifecycleViolation,
+  isLifecycleCorrection,
+  transitionAssessment
+} = require('./lifecycle');
+const assessmentApi = require('./api');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  seedCourse,
+  contextFor
+} = require('../test/emulator');
+
+const lecturer = { id: 'lecturer', permissions: [PERMISSIONS.ASSESSMENT_CREATE] };
+const moderator = { id: 'moderator', permissions: [PERMISSIONS.ASSESSMENT_MODERATE] };
+const admin = { id: 'admin', permissions: [PERMISSIONS.ASSESSMENT_MANAGE] };
+
+describe('isTransitionAllowed', () => {
+  test('follows the transition table', () => {
+    expect(isTransitionAllowed(STATUSES.DRAFT, STATUSES.SUBMITTED)).toBe(true);
+    expect(isTransitionAllowed(STATUSES.IN_REVIEW, STATUSES.APPROVED)).toBe(true);
+    expect(isTransitionAllowed(STATUSES.DRAFT, STATUSES.APPROVED)).toBe(false);
+    expect(isTransitionAllowed('unknown', STATUSES.DRAFT)).toBe(false);
+  });
+
+  test('leaves no way out of a final decision', () => {
+    expect(Object.keys(TRANSITIONS[STATUSES.APPROVED])).toEqual([]);
+    expect(Object.keys(TRANSITIONS[STATUSES.REJECTED])).toEqual([]);
+  });
+});
+
+describe('assertTransition', () => {
+  const draft = { status: STATUSES.DRAFT, lecturerId: 'lecturer', moderatorId: null };
+  const submitted = { ...draft, status: STATUSES.SUBMITTED };
+
+  test('lets the owning lecturer submit', () => {
+    expect(() => assertTransition(draft, STATUSES.SUBMITTED, lecturer)).not.toThrow();
+  });
+
+  test('refuses other lecturers', () => {
+    expect(() => assertTransition(draft, STATUSES.SUBMITTED, { ...lecturer, id: 'other' }))
+      .toThrow(expect.objectContaining({ code: 'permission-denied' }));
+  });
+
+  test('refuses moves that are not in the table', () => {
+    expect(() => assertTransition(draft, STATUSES.APPROVED, admin))
+      .toThrow(expect.objectContaining({ code: 'failed-precondition' }));
+  });
+
+  test('refuses archived assessments', () => {
+    expect(() => assertTransition({ ...draft, archived: true }, STATUSES.SUBMITTED, admin))
+      .toThrow(expect.objectContaining({ code: 'failed-precondition' }));
+  });
+
+  test('lets any moderator pick up an unassigned assessment', () => {
+    expect(() => assertTransition(submitted, STATUSES.IN_REVIEW, moderator)).not.toThrow();
+  });
+
+  test('refuses a moderator other than the assigned one', () => {
+    expect(() => assertTransition({ ...submitted, moderatorId: 'someone' }, STATUSES.IN_REVIEW, moderator))
+      .toThrow('This assessment is assigned to another moderator.');
+  });
+
+  test('refuses moderating one\'s own assessment', () => {
+    const both = { id: 'lecturer', permissions: [...lecturer.permissions, ...moderator.permissions] };
+    expect(() => assertTransition(submitted, STATUSES.IN_REVIEW, both))
+      .toThrow('You cannot moderate an assessment you own.');
+  });
+
+  test('lets admins make any allowed move', () => {
+    expect(() => assertTransition({ ...submitted, moderatorId: 'someone' }, STATUSES.IN_REVIEW, admin))
+      .not.toThrow();
+  });
+});
+
+describe('isLifecycleCorrection', () => {
+  const violation = buildLifecycleViolation(STATUSES.DRAFT, STATUSES.APPROVED);
+
+  test('recognizes writes that add a new violation stamp', () => {
+    expect(isLifecycleCorrection({ status: STATUSES.APPROVED }, { status: STATUSES.DRAFT, lifecycleViolation: violation }))
+      .toBe(true);
+  });
+
+  test('ignores writes that keep an old stamp', () => {
+    const before = { status: STATUSES.DRAFT, lifecycleViolation: violation };
+    expect(isLifecycleCorrection(before, { ...before, status: STATUSES.SUBMITTED })).toBe(false);
+    expect(isLifecycleCorrection({ status: STATUSES.DRAFT }, { status: STATUSES.SUBMITTED })).toBe(false);
+  });
+});
+
+describeWithEmulator('assessment lifecycle', () => {
+  let lecturerUser;
+  let moderatorUser;
+
+  const content = {
+    totalMarks: 10,
+    sections: [{
+      id: 's1',
+      title: 'Section 1',
+      questions: [{ id: 'q1', type: 'essay', prompt: 'Discuss moderation.', marks: 10 }]
+    }]
+  };
+
+  const createAssessment = async () => {
+    const { assessmentId } = await assessmentApi.createAssessment.run({
+      title: 'Moderation essay',
+      type: 'assignment',
+      courseId: 'cs101',
+      content
+    }, contextFor(lecturerUser));
+    return assessmentId;
+  };
+
+  beforeEach(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+    lecturerUser = await seedUser('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+    moderatorUser = await seedUser('moderator', { organizationId: 'org1', roles: ['moderator'] });
+    await seedCourse('cs101', { organizationId: 'org1', lecturerIds: ['lecturer'], moderatorIds: ['moderator'] });
+  });
+
+  afterAll(closeFirebase);
+
+  test('moves an assessment from draft to approved', async () => {
+    const assessmentId = await createAssessment();
+
+    await assessmentApi.submitAssessment.run({ assessmentId }, contextFor(lecturerUser));
+    await assessmentApi.startAssessmentReview.run({ assessmentId }, contextFor(moderatorUser));
+    await assessmentApi.moderateAssessment.run({
+      assessmentId,
+      status: STATUSES.APPROVED,
+      feedback: 'Well balanced.'
+    }, contextFor(moderatorUser));
+
+    const assessment = (await db.collection('assessments').doc(assessmentId).get()).data();
+    expect(assessment).toMatchObject({
+      status: STATUSES.APPROVED,
+      moderatorId: 'moderator',
+      feedback: 'Well balanced.',
+      statusChangedBy: 'moderator'
+    });
+  });
+
+  test('sends an assessment back for changes and takes it again', async () => {
+    const assessmentId = await createAssessment();
+
+    await assessmentApi.submitAssessment.run({ assessmentId }, contextFor(lecturerUser));
+    await assessmentApi.startAssessmentReview.run({ assessmentId }, contextFor(moderatorUser));
+    await assessmentApi.moderateAssessment.run({
+      assessmentId,
+      status: STATUSES.PENDING_CHANGES
+    }, contextFor(moderatorUser));
+    const result = await assessmentApi.submitAssessment.run({ assessmentId }, contextFor(lecturerUser));
+
+    expect(result.status).toBe(STATUSES.RESUBMITTED);
+    const assessment = (await db.collection('assessments').doc(assessmentId).get()).data();
+    expect(assessment.resubmissionCount).toBe(1);
+  });
+
+  test('does not let the moderator decide before the review starts', async () => {
+    const assessmentId = await createAssessment();
+    await assessmentApi.submitAssessment.run({ assessmentId }, contextFor(lecturerUser));
+
+    await expect(assessmentApi.moderateAssessment.run({
+      assessmentId,
+      status: STATUSES.APPROVED
+    }, contextFor(moderatorUser))).rejects.toMatchObject({ code: 'failed-precondition' });
+  });
+
+  test('reports assessments of other organizations as not found', async () => {
+    const assessmentId = await createAssessment();
+    const outsider = { id: 'outsider', organizationId: 'org2', permissions: [PERMISSIONS.ASSESSMENT_MANAGE] };
+
+    await expect(transitionAssessment(assessmentId, STATUSES.SUBMITTED, outsider))
+      .rejects.toMatchObject({ code: 'not-found' });
+  });
+});
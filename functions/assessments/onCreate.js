@@ -5,10 +5,15 @@
 const functions = require('firebase-functions');
 const { admin } = require('../config/firebase');
 const { getDocById } = require('../utils/db');
+const { INITIAL_STATUS, buildLifecycleViolation } = require('./lifecycle');
+const { REVISIONED_FIELDS, recordRevision } = require('./revisions');
+const { syncStatusCounts } = require('../analytics/stats');
+const { syncSearchEntry } = require('./search');
 
 /**
  * When a new assessment document is created in Firestore,
- * log the event and notify moderators if needed
+ * check its initial status, record its first revision, count it in the moderation statistics
+ * and add it to the search index
  */
 const onNewAssessment = functions.firestore
   .onDocumentCreated('assessments/{assessmentId}', async (event) => {
@@ -20,17 +25,33 @@ const onNewAssessment = functions.firestore
       
       console.log(`New assessment created: ${assessmentId}`, assessmentData);
       
+      // Every assessment has to start its lifecycle as a draft. The stamp
+      // tells onAssessmentUpdated that the reset is not a transition to undo.
+      if (assessmentData.status !== INITIAL_STATUS) {
+        console.warn(`Assessment ${assessmentId} created with status '${assessmentData.status}', resetting to '${INITIAL_STATUS}'`);
+        await snapshot.ref.update({
+          status: INITIAL_STATUS,
+          lifecycleViolation: buildLifecycleViolation(null, assessmentData.status),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+      
+      // The content as created is the first revision
+      await recordRevision(assessmentId, { ...assessmentData, status: INITIAL_STATUS }, REVISIONED_FIELDS);
+      
+      // Count the assessment as the draft it is after the reset
+      await syncStatusCounts(null, { ...assessmentData, status: INITIAL_STATUS });
+      
+      await syncSearchEntry(assessmentId, null, { ...assessmentData, status: INITIAL_STATUS });
+      
       // Get lecturer information
       if (assessmentData.lecturerId) {
         try {
           const lecturer = await getDocById('users', assessmentData.lecturerId);
           console.log(`Assessment created by lecturer: ${lecturer.displayName}`);
           
-          // Here you could add additional logic like:
-          // - Notifying moderators about new assessments
-          // - Updating statistics
-          // - Sending emails
-          
+          // Drafts are private to the lecturer, so nobody is notified until
+          // the assessment is submitted (see onAssessmentUpdated)
         } catch (error) {
           console.error(`Error getting lecturer info: ${error.message}`);
         }
@@ -0,0 +1,35 @@
+const { db } = require('../config/firebase');
+const { STATUSES } = require('./lifecycle');
+const onNewAssessment = require('./onCreate');
+const onAssessmentUpdated = require('./onUpdate');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('../test/emulator');
+
+describeWithEmulator('onNewAssessment', () => {
+  beforeEach(clearEmulators);
+  afterAll(closeFirebase);
+
+  test('resets an assessment created with a forged status to draft for good', async () => {
+    const docRef = db.collection('assessments').doc('forged');
+    await docRef.set({
+      organizationId: 'org1',
+      title: 'Forged approval',
+      status: STATUSES.APPROVED,
+      lecturerId: 'lecturer',
+      moderatorId: null,
+      archived: false
+    });
+    const created = await docRef.get();
+
+    await onNewAssessment.run({ params: { assessmentId: 'forged' }, data: created });
+    const reset = await docRef.get();
+    expect(reset.data().status).toBe(STATUSES.DRAFT);
+    expect(reset.data().lifecycleViolation).toMatchObject({ from: null, to: STATUSES.APPROVED });
+
+    // The reset triggers onAssessmentUpdated, which must not restore the forged status
+    await onAssessmentUpdated.run({
+      params: { assessmentId: 'forged' },
+      data: { before: created, after: reset }
+    });
+    expect((await docRef.get()).data().status).toBe(STATUSES.DRAFT);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Trigger function that runs when an assessment is deleted
+ */
+
+const functions = require('firebase-functions');
+const { db } = require('../config/firebase');
+const { syncOpenReviewCounts } = require('./assignment');
+const { deleteFolder } = require('../utils/storage');
+const { syncStatusCounts } = require('../analytics/stats');
+const { removeSearchEntry } = require('./search');
+
+/**
+ * When an assessment document is deleted from Firestore,
+ * delete its attachment files and pending uploads,
+ * release its moderator's open review, stop counting its status
+ * and remove it from the search index
+ */
+const onAssessmentDeleted = functions.firestore
+  .onDocumentDeleted('assessments/{assessmentId}', async (event) => {
+    const snapshot = event.data;
+    const context = event;
+    try {
+      const assessmentId = context.params.assessmentId;
+      const assessmentData = snapshot.data();
+
+      console.log(`Assessment deleted: ${assessmentId}`);
+
+      // Every file of the assessment lives under its folder,
+      // including uploads that were never confirmed
+      await deleteFolder(`assessments/${assessmentId}/`);
+
+      const uploads = await db.collection('attachmentUploads')
+        .where('assessmentId', '==', assessmentId)
+        .get();
+      if (!uploads.empty) {
+        const batch = db.batch();
+        uploads.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+      }
+
+      await syncOpenReviewCounts(assessmentData, null, event.id);
+      await syncStatusCounts(assessmentData, null);
+      await removeSearchEntry(assessmentId);
+
+      return null;
+    } catch (error) {
+      console.error('Error in onAssessmentDeleted trigger:', error);
+      return null;
+    }
+  });
+
+module.exports = onAssessmentDeleted;
@@ -4,11 +4,29 @@
 
 const functions = require('firebase-functions');
 const { admin } = require('../config/firebase');
+const {
+  NOTIFICATION_TYPES,
+  createNotifications,
+  getUserIdsWithPermission
+} = require('../utils/notifications');
+const { PERMISSIONS } = require('../utils/permissions');
 const { getDocById } = require('../utils/db');
+const { sendTemplatedEmail } = require('../utils/mailer');
+const {
+  STATUSES,
+  DECISION_STATUSES,
+  isTransitionAllowed,
+  buildLifecycleViolation,
+  isLifecycleCorrection
+} = require('./lifecycle');
+const { getChangedFields, recordRevision } = require('./revisions');
+const { pickModerator, assignModeratorToAssessment, syncOpenReviewCounts } = require('./assignment');
+const { syncStatusCounts, recordTransitionStats } = require('../analytics/stats');
+const { syncSearchEntry } = require('./search');
 
 /**
  * When an assessment document is updated in Firestore,
- * log the changes and notify relevant users
+ * check the lifecycle, record revisions, update the search index and notify relevant users
  */
 const onAssessmentUpdated = functions.firestore
   .onDocumentUpdated('assessments/{assessmentId}', async (event) => {
@@ -26,30 +44,116 @@ const onAssessmentUpdated = functions.firestore
       if (beforeData.status !== afterData.status) {
         console.log(`Assessment status changed for ${assessmentId}: ${beforeData.status} -> ${afterData.status}`);
         
-        // Notify lecturer about status change
-        if (afterData.lecturerId) {
-          try {
-            const lecturer = await getDocById('users', afterData.lecturerId);
-            console.log(`Notifying lecturer ${lecturer.displayName} about assessment status change`);
-            
-            // Here you could add notification logic:
-            // - Send email to lecturer
-            // - Create notification in Firestore
-            // - Send push notification
-            
-          } catch (error) {
-            console.error(`Error getting lecturer info: ${error.message}`);
-          }
+        // Writes that bypass the callables can still break the lifecycle,
+        // so illegal transitions are undone by restoring the previous status.
+        // The restores, and the reset of assessments created with another
+        // status, are corrections rather than transitions.
+        if (isLifecycleCorrection(beforeData, afterData)) {
+          return null;
         }
         
-        // Log moderator who made the change if available
-        if (afterData.moderatorId && beforeData.moderatorId !== afterData.moderatorId) {
-          try {
-            const moderator = await getDocById('users', afterData.moderatorId);
-            console.log(`Assessment moderated by: ${moderator.displayName}`);
-          } catch (error) {
-            console.error(`Error getting moderator info: ${error.message}`);
-          }
+        if (!isTransitionAllowed(beforeData.status, afterData.status)) {
+          console.error(`Illegal status transition for ${assessmentId}: ${beforeData.status} -> ${afterData.status}, restoring '${beforeData.status}'`);
+          await change.after.ref.update({
+            status: beforeData.status,
+            lifecycleViolation: buildLifecycleViolation(beforeData.status, afterData.status),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          return null;
+        }
+      }
+      
+      // Keep an immutable copy of every change to the assessment itself
+      const changedFields = getChangedFields(beforeData, afterData);
+      if (changedFields.length > 0) {
+        const revision = await recordRevision(assessmentId, afterData, changedFields);
+        console.log(`Recorded revision ${revision} of assessment ${assessmentId}:`, changedFields);
+      }
+      
+      // Remember which revision the moderator decided on, so the next review
+      // can be compared against it
+      if (beforeData.status !== afterData.status && DECISION_STATUSES.includes(afterData.status)) {
+        await change.after.ref.update({
+          lastReviewedRevision: afterData.revisionCount || 0
+        });
+      }
+      
+      // Keep the moderators' open review counters correct
+      await syncOpenReviewCounts(beforeData, afterData, event.id);
+      
+      // Keep the moderation statistics up to date without rescanning assessments
+      await syncStatusCounts(beforeData, afterData);
+      await recordTransitionStats(beforeData, afterData);
+      
+      // Keep the search index in line with the text, status and visibility of the assessment
+      await syncSearchEntry(assessmentId, beforeData, afterData);
+      
+      const statusChanged = beforeData.status !== afterData.status;
+      const notificationData = { assessmentId, status: afterData.status };
+      
+      // Submitted assessments without a moderator get one assigned automatically.
+      // Resubmissions keep the moderator who asked for the changes.
+      const isSubmission = statusChanged &&
+        [STATUSES.SUBMITTED, STATUSES.RESUBMITTED].includes(afterData.status);
+      
+      if (isSubmission && !afterData.moderatorId) {
+        const moderator = await pickModerator({ id: assessmentId, ...afterData });
+        if (moderator) {
+          console.log(`Assigning moderator ${moderator.id} to assessment ${assessmentId}`);
+          await assignModeratorToAssessment(assessmentId, moderator.id, null, { expectedModeratorId: null });
+        } else {
+          // Nobody could be picked, so the admins have to step in
+          console.warn(`No eligible moderator available for assessment ${assessmentId}`);
+          await createNotifications(await getUserIdsWithPermission(afterData.organizationId, PERMISSIONS.ASSESSMENT_ASSIGN), {
+            type: NOTIFICATION_TYPES.ASSESSMENT_SUBMITTED,
+            title: 'Assessment waiting for a moderator',
+            message: `"${afterData.title}" was submitted but no moderator could be assigned.`,
+            data: notificationData
+          });
+        }
+      } else if (isSubmission) {
+        await createNotifications([afterData.moderatorId], {
+          type: NOTIFICATION_TYPES.ASSESSMENT_SUBMITTED,
+          title: 'Assessment resubmitted',
+          message: `"${afterData.title}" was ${afterData.status} and is ready for review.`,
+          data: notificationData
+        });
+      }
+      
+      // Tell the new moderator about their assignment
+      if (afterData.moderatorId && beforeData.moderatorId !== afterData.moderatorId) {
+        console.log(`Assessment ${assessmentId} assigned to moderator ${afterData.moderatorId}`);
+        await createNotifications([afterData.moderatorId], {
+          type: NOTIFICATION_TYPES.MODERATOR_ASSIGNED,
+          title: 'Assessment assigned to you',
+          message: `You have been assigned to moderate "${afterData.title}".`,
+          data: notificationData
+        });
+      }
+      
+      // Tell the lecturer about status changes they did not make themselves
+      if (statusChanged && afterData.lecturerId && afterData.statusChangedBy !== afterData.lecturerId) {
+        console.log(`Notifying lecturer ${afterData.lecturerId} about assessment status change`);
+        await createNotifications([afterData.lecturerId], {
+          type: NOTIFICATION_TYPES.ASSESSMENT_STATUS_CHANGED,
+          title: 'Assessment status changed',
+          message: `"${afterData.title}" moved from ${beforeData.status} to ${afterData.status}.`,
+          data: { ...notificationData, previousStatus: beforeData.status }
+        });
+      }
+      
+      // Email the lecturer the outcome of the review together with the feedback
+      if (statusChanged && DECISION_STATUSES.includes(afterData.status) && afterData.lecturerId) {
+        try {
+          const lecturer = await getDocById('users', afterData.lecturerId);
+          await sendTemplatedEmail(lecturer.email, 'assessmentDecision', {
+            displayName: lecturer.displayName,
+            title: afterData.title,
+            status: afterData.status,
+            feedback: afterData.feedback
+          });
+        } catch (error) {
+          console.error(`Error getting lecturer info: ${error.message}`);
         }
       }
       
@@ -0,0 +1,147 @@
+/**
+ * Assessment visibility policy
+ *
+ * Every assessment endpoint decides who may see what through this module.
+ * A user sees everything any of their permissions lets them see:
+ * - assessment.manage: every assessment
+ * - assessment.create: the assessments they own
+ * - assessment.moderate: the assessments assigned to them and the unassigned
+ *   assessments of their courses waiting in the review queue
+ * Users who are not approved see nothing, and nobody sees assessments of
+ * another organization.
+ */
+
+const functions = require('firebase-functions');
+const { getDocById } = require('../utils/db');
+const { getApprovedUser } = require('../utils/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { STATUSES } = require('./lifecycle');
+
+// Statuses of unassigned assessments that the course's moderators can pick up
+const QUEUE_STATUSES = [STATUSES.SUBMITTED, STATUSES.RESUBMITTED];
+
+// Permissions that let a user see assessments at all
+const VIEWER_PERMISSIONS = [
+  PERMISSIONS.ASSESSMENT_MANAGE,
+  PERMISSIONS.ASSESSMENT_CREATE,
+  PERMISSIONS.ASSESSMENT_MODERATE
+];
+
+/**
+ * Get the user whose access is being checked
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Approved user data including permissions
+ * @throws {functions.https.HttpsError} - When the user is not approved or has no assessment permission
+ */
+const getViewer = async (userId) => {
+  const viewer = await getApprovedUser(userId);
+  if (!viewer || !VIEWER_PERMISSIONS.some(permission => hasPermission(viewer, permission))) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Your account must be approved to access assessments.'
+    );
+  }
+  return viewer;
+};
+
+/**
+ * Check if a user may see an assessment
+ * @param {Object} viewer - User data including permissions
+ * @param {Object} assessment - Assessment data
+ * @returns {boolean} - Whether the assessment is visible to the user
+ */
+const canViewAssessment = (viewer, assessment) => {
+  if (!viewer.organizationId || assessment.organizationId !== viewer.organizationId) {
+    return false;
+  }
+
+  if (hasPermission(viewer, PERMISSIONS.ASSESSMENT_MANAGE)) {
+    return true;
+  }
+  if (hasPermission(viewer, PERMISSIONS.ASSESSMENT_CREATE) && assessment.lecturerId === viewer.id) {
+    return true;
+  }
+  return hasPermission(viewer, PERMISSIONS.ASSESSMENT_MODERATE) &&
+    (assessment.moderatorId === viewer.id ||
+      (!assessment.moderatorId && QUEUE_STATUSES.includes(assessment.status) &&
+        (assessment.courseModeratorIds || []).includes(viewer.id)));
+};
+
+/**
+ * Check if a user may add files to an assessment they can see:
+ * assessment managers, the owning lecturer and the assigned moderator
+ * @param {Object} viewer - User data including permissions
+ * @param {Object} assessment - Assessment data
+ * @returns {boolean} - Whether the user may attach files
+ */
+const canAttachFiles = (viewer, assessment) => {
+  if (!canViewAssessment(viewer, assessment)) {
+    return false;
+  }
+  return hasPermission(viewer, PERMISSIONS.ASSESSMENT_MANAGE) ||
+    assessment.lecturerId === viewer.id ||
+    assessment.moderatorId === viewer.id;
+};
+
+/**
+ * Get the query conditions that limit a list of assessments to what a user may see
+ * within their organization (queries are scoped to it by queryPage)
+ * @param {Object} viewer - User data including permissions
+ * @returns {Array} - Conditions for queryDocs/queryPage
+ */
+const getVisibilityConditions = (viewer) => {
+  if (hasPermission(viewer, PERMISSIONS.ASSESSMENT_MANAGE)) {
+    return [];
+  }
+
+  // One group of conditions per way the user can see an assessment
+  const groups = [];
+  if (hasPermission(viewer, PERMISSIONS.ASSESSMENT_CREATE)) {
+    groups.push([{ field: 'lecturerId', operator: '==', value: viewer.id }]);
+  }
+  if (hasPermission(viewer, PERMISSIONS.ASSESSMENT_MODERATE)) {
+    groups.push(
+      [{ field: 'moderatorId', operator: '==', value: viewer.id }],
+      [
+        { field: 'moderatorId', operator: '==', value: null },
+        { field: 'status', operator: 'in', value: QUEUE_STATUSES },
+        { field: 'courseModeratorIds', operator: 'array-contains', value: viewer.id }
+      ]
+    );
+  }
+
+  if (groups.length === 0) {
+    throw new Error(`No assessment visibility defined for user: ${viewer.id}`);
+  }
+  return groups.length === 1 ? groups[0] : [{ or: groups }];
+};
+
+/**
+ * Load an assessment and make sure a user may see it. Assessments of other
+ * organizations are reported as not found.
+ * @param {string} userId - User ID
+ * @param {string} assessmentId - Assessment ID
+ * @returns {Promise<Object>} - The user and the assessment ({ viewer, assessment })
+ * @throws {functions.https.HttpsError} - When the user may not see the assessment
+ */
+const getViewableAssessment = async (userId, assessmentId) => {
+  const viewer = await getViewer(userId);
+  const assessment = await getDocById('assessments', assessmentId, viewer.organizationId);
+
+  if (!canViewAssessment(viewer, assessment)) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'You do not have access to this assessment.'
+    );
+  }
+
+  return { viewer, assessment };
+};
+
+module.exports = {
+  getViewer,
+  canViewAssessment,
+  canAttachFiles,
+  getVisibilityConditions,
+  getViewableAssessment
+};
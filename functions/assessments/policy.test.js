@@ -0,0 +1,85 @@
+const { db } = require('../config/firebase');
+const { PERMISSIONS } = require('../utils/permissions');
+const {
+  canViewAssessment,
+  canAttachFiles,
+  getVisibilityConditions,
+  getViewableAssessment
+} = require('./policy');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser
+} = require('../test/emulator');
+
+const lecturer = { id: 'l1', organizationId: 'org1', permissions: [PERMISSIONS.ASSESSMENT_CREATE] };
+const moderator = { id: 'm1', organizationId: 'org1', permissions: [PERMISSIONS.ASSESSMENT_MODERATE] };
+const manager = { id: 'a1', organizationId: 'org1', permissions: [PERMISSIONS.ASSESSMENT_MANAGE] };
+
+const assessment = {
+  organizationId: 'org1',
+  lecturerId: 'l1',
+  moderatorId: null,
+  status: 'submitted',
+  courseModeratorIds: ['m1']
+};
+
+describe('canViewAssessment', () => {
+  test('lets managers see every assessment of their organization', () => {
+    expect(canViewAssessment(manager, assessment)).toBe(true);
+    expect(canViewAssessment(manager, { ...assessment, organizationId: 'org2' })).toBe(false);
+  });
+
+  test('lets lecturers see their own assessments', () => {
+    expect(canViewAssessment(lecturer, assessment)).toBe(true);
+    expect(canViewAssessment({ ...lecturer, id: 'l2' }, assessment)).toBe(false);
+  });
+
+  test('lets moderators see their course\'s queue and their assignments', () => {
+    expect(canViewAssessment(moderator, assessment)).toBe(true);
+    expect(canViewAssessment(moderator, { ...assessment, status: 'draft' })).toBe(false);
+    expect(canViewAssessment(moderator, { ...assessment, courseModeratorIds: [] })).toBe(false);
+    expect(canViewAssessment(moderator, { ...assessment, status: 'approved', moderatorId: 'm1' })).toBe(true);
+    expect(canViewAssessment(moderator, { ...assessment, moderatorId: 'm2' })).toBe(false);
+  });
+});
+
+describe('canAttachFiles', () => {
+  test('leaves out moderators who are not assigned', () => {
+    expect(canAttachFiles(lecturer, assessment)).toBe(true);
+    expect(canAttachFiles(moderator, assessment)).toBe(false);
+    expect(canAttachFiles(moderator, { ...assessment, moderatorId: 'm1' })).toBe(true);
+  });
+});
+
+describe('getVisibilityConditions', () => {
+  test('gives managers no conditions and others one group per way they see assessments', () => {
+    expect(getVisibilityConditions(manager)).toEqual([]);
+    expect(getVisibilityConditions(lecturer)).toEqual([{ field: 'lecturerId', operator: '==', value: 'l1' }]);
+    expect(getVisibilityConditions(moderator)[0].or).toHaveLength(2);
+  });
+});
+
+describeWithEmulator('getViewableAssessment', () => {
+  beforeAll(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+    await seedOrganization('org2');
+    await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+    await db.collection('assessments').doc('a1').set(assessment);
+    await db.collection('assessments').doc('a2').set({ ...assessment, organizationId: 'org2' });
+  });
+
+  afterAll(closeFirebase);
+
+  test('loads the assessments of the viewer\'s organization', async () => {
+    const { assessment: loaded } = await getViewableAssessment('admin1', 'a1');
+    expect(loaded.id).toBe('a1');
+  });
+
+  test('reports assessments of other organizations as not found', async () => {
+    await expect(getViewableAssessment('admin1', 'a2')).rejects.toMatchObject({ code: 'not-found' });
+  });
+});
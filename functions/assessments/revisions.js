@@ -0,0 +1,157 @@
+/**
+ * Assessment revision history
+ */
+
+const { admin, db } = require('../config/firebase');
+
+// Fields whose changes produce a new revision
+const REVISIONED_FIELDS = ['title', 'description', 'content'];
+
+/**
+ * Check if two values are deeply equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - Whether the values are equal
+ */
+const isEqual = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  for (const key of keys) {
+    if (!isEqual(a[key], b[key])) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Get the revisioned fields that differ between two versions of an assessment
+ * @param {Object|null} beforeData - Previous assessment data
+ * @param {Object} afterData - New assessment data
+ * @returns {Array} - Names of the changed fields
+ */
+const getChangedFields = (beforeData, afterData) => {
+  return REVISIONED_FIELDS.filter(field => {
+    return !beforeData || !isEqual(beforeData[field], afterData[field]);
+  });
+};
+
+/**
+ * Record an immutable revision of an assessment
+ * @param {string} assessmentId - Assessment ID
+ * @param {Object} assessmentData - Current assessment data
+ * @param {Array} changedFields - Fields that changed in this revision
+ * @returns {Promise<number>} - The new revision number
+ */
+const recordRevision = async (assessmentId, assessmentData, changedFields) => {
+  const assessmentRef = db.collection('assessments').doc(assessmentId);
+
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(assessmentRef);
+    const revision = ((doc.exists && doc.data().revisionCount) || 0) + 1;
+
+    // Revisions are keyed by their number, so create() fails instead of overwriting
+    const revisionRef = assessmentRef.collection('revisions').doc(String(revision));
+    transaction.create(revisionRef, {
+      revision,
+      title: assessmentData.title,
+      description: assessmentData.description || '',
+      content: assessmentData.content,
+      status: assessmentData.status,
+      changedFields,
+      changedBy: assessmentData.updatedBy || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    transaction.update(assessmentRef, { revisionCount: revision });
+
+    return revision;
+  });
+};
+
+/**
+ * Get a single revision of an assessment
+ * @param {string} assessmentId - Assessment ID
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object|null>} - Revision data or null if not found
+ */
+const getRevision = async (assessmentId, revision) => {
+  const doc = await db.collection('assessments').doc(assessmentId)
+    .collection('revisions').doc(String(revision)).get();
+  return doc.exists ? { id: doc.id, ...doc.data() } : null;
+};
+
+/**
+ * List the revisions of an assessment, oldest first
+ * @param {string} assessmentId - Assessment ID
+ * @returns {Promise<Array>} - Revisions
+ */
+const listRevisions = async (assessmentId) => {
+  const snapshot = await db.collection('assessments').doc(assessmentId)
+    .collection('revisions').orderBy('revision').get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
+
+/**
+ * Compute the differences between two values as a flat list of changes
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} path - Path of the values inside the assessment
+ * @returns {Array} - Changes ({ path, type: 'added'|'removed'|'changed', before, after })
+ */
+const diffValues = (before, after, path = '') => {
+  if (isEqual(before, after)) {
+    return [];
+  }
+
+  const bothObjects = before !== null && after !== null &&
+    typeof before === 'object' && typeof after === 'object' &&
+    Array.isArray(before) === Array.isArray(after);
+
+  if (!bothObjects) {
+    if (before === undefined) {
+      return [{ path, type: 'added', after }];
+    }
+    if (after === undefined) {
+      return [{ path, type: 'removed', before }];
+    }
+    return [{ path, type: 'changed', before, after }];
+  }
+
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  keys.forEach(key => {
+    const childPath = Array.isArray(before) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+    changes.push(...diffValues(before[key], after[key], childPath));
+  });
+  return changes;
+};
+
+/**
+ * Diff the revisioned fields of two revisions
+ * @param {Object} fromRevision - Older revision
+ * @param {Object} toRevision - Newer revision
+ * @returns {Array} - Changes, see diffValues
+ */
+const diffRevisions = (fromRevision, toRevision) => {
+  return REVISIONED_FIELDS.reduce((changes, field) => {
+    return changes.concat(diffValues(fromRevision[field], toRevision[field], field));
+  }, []);
+};
+
+module.exports = {
+  REVISIONED_FIELDS,
+  getChangedFields,
+  recordRevision,
+  getRevision,
+  listRevisions,
+  diffRevisions
+};
@@ -0,0 +1,76 @@
+const { db } = require('../config/firebase');
+const { getChangedFields, recordRevision, listRevisions, diffRevisions } = require('./revisions');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('../test/emulator');
+
+const content = {
+  totalMarks: 10,
+  sections: [{ id: 's1', title: 'Section 1', questions: [{ id: 'q1', type: 'essay', prompt: 'Discuss.', marks: 10 }] }]
+};
+
+describe('getChangedFields', () => {
+  test('lists every revisioned field of a new assessment', () => {
+    expect(getChangedFields(null, { title: 'Exam', content })).toEqual(['title', 'description', 'content']);
+  });
+
+  test('compares the fields deeply', () => {
+    const before = { title: 'Exam', description: '', content, status: 'draft' };
+    expect(getChangedFields(before, { ...before, content: JSON.parse(JSON.stringify(content)) })).toEqual([]);
+    expect(getChangedFields(before, { ...before, status: 'submitted' })).toEqual([]);
+    expect(getChangedFields(before, { ...before, title: 'Final exam' })).toEqual(['title']);
+  });
+});
+
+describe('diffRevisions', () => {
+  const first = { title: 'Exam', description: '', content };
+
+  test('lists the changes by their path in the assessment', () => {
+    const second = {
+      ...first,
+      content: {
+        ...content,
+        sections: [{ ...content.sections[0], questions: [{ ...content.sections[0].questions[0], marks: 5 }] }]
+      }
+    };
+
+    expect(diffRevisions(first, second)).toEqual([
+      { path: 'content.sections[0].questions[0].marks', type: 'changed', before: 10, after: 5 }
+    ]);
+  });
+
+  test('reports added and removed fields', () => {
+    const withInstructions = { ...first, content: { ...content, instructions: 'No notes.' } };
+
+    expect(diffRevisions(first, withInstructions)).toEqual([
+      { path: 'content.instructions', type: 'added', after: 'No notes.' }
+    ]);
+    expect(diffRevisions(withInstructions, first)).toEqual([
+      { path: 'content.instructions', type: 'removed', before: 'No notes.' }
+    ]);
+  });
+
+  test('shows the whole first revision as added when diffed against nothing', () => {
+    expect(diffRevisions({}, first)).toEqual([
+      { path: 'title', type: 'added', after: 'Exam' },
+      { path: 'description', type: 'added', after: '' },
+      { path: 'content', type: 'added', after: content }
+    ]);
+  });
+});
+
+describeWithEmulator('recordRevision', () => {
+  beforeEach(async () => {
+    await clearEmulators();
+    await db.collection('assessments').doc('a1').set({ organizationId: 'org1', title: 'Exam', content });
+  });
+
+  afterAll(closeFirebase);
+
+  test('numbers the revisions of an assessment', async () => {
+    expect(await recordRevision('a1', { title: 'Exam', content, status: 'draft' }, ['title', 'content'])).toBe(1);
+    expect(await recordRevision('a1', { title: 'Final exam', content, status: 'draft' }, ['title'])).toBe(2);
+
+    const revisions = await listRevisions('a1');
+    expect(revisions.map(revision => revision.title)).toEqual(['Exam', 'Final exam']);
+    expect((await db.collection('assessments').doc('a1').get()).data().revisionCount).toBe(2);
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Assessment content schemas
+ *
+ * Every assessment type has a schema describing which question types it may
+ * use and the total marks it may carry. Content has the same shape for all
+ * types:
+ *
+ *   {
+ *     totalMarks: 100,
+ *     durationMinutes: 120,          // required for timed types
+ *     instructions: '...',
+ *     sections: [{
+ *       id: 'a', title: 'Section A', instructions: '...',
+ *       questions: [
+ *         { id: 'q1', type: 'mcq', prompt: '...', marks: 2,
+ *           options: [{ id: 'a', text: '...' }, ...], answerKey: ['a'] },
+ *         { id: 'q2', type: 'short_answer', prompt: '...', marks: 5,
+ *           expectedAnswer: '...', maxWords: 50 },
+ *         { id: 'q3', type: 'essay', prompt: '...', marks: 20,
+ *           markAllocation: [{ criterion: 'Argument', marks: 12 }, ...] }
+ *       ]
+ *     }]
+ *   }
+ *
+ * Section and question IDs are what comments anchor to, so they must be unique.
+ */
+
+// Question types, see questionValidators for their fields
+const QUESTION_TYPES = {
+  MCQ: 'mcq',
+  SHORT_ANSWER: 'short_answer',
+  ESSAY: 'essay'
+};
+
+// Number of options a multiple choice question may have
+const MIN_MCQ_OPTIONS = 2;
+const MAX_MCQ_OPTIONS = 10;
+
+// Assessment types, keyed by name
+const schemas = {
+  exam: {
+    label: 'Exam',
+    questionTypes: Object.values(QUESTION_TYPES),
+    totalMarks: { min: 50, max: 300 },
+    timed: true
+  },
+  test: {
+    label: 'Test',
+    questionTypes: Object.values(QUESTION_TYPES),
+    totalMarks: { min: 10, max: 150 },
+    timed: true
+  },
+  assignment: {
+    label: 'Assignment',
+    questionTypes: [QUESTION_TYPES.SHORT_ANSWER, QUESTION_TYPES.ESSAY],
+    totalMarks: { min: 1, max: 200 },
+    timed: false
+  },
+  practical: {
+    label: 'Practical',
+    questionTypes: [QUESTION_TYPES.SHORT_ANSWER, QUESTION_TYPES.ESSAY],
+    totalMarks: { min: 1, max: 200 },
+    timed: true
+  }
+};
+
+/**
+ * Get the names of the assessment types
+ * @returns {Array} - Type names
+ */
+const getAssessmentTypes = () => Object.keys(schemas);
+
+/**
+ * Get the schema of an assessment type
+ * @param {string} type - Type name
+ * @returns {Object|null} - Schema, or null if there is no such type
+ */
+const getAssessmentSchema = (type) => (Object.hasOwn(schemas, type) ? schemas[type] : null);
+
+/**
+ * Check that marks are a positive number in steps of half a mark
+ * @param {*} marks - Marks
+ * @returns {boolean} - Whether the marks are valid
+ */
+const isValidMarks = (marks) => {
+  return typeof marks === 'number' && marks > 0 && Number.isInteger(marks * 2);
+};
+
+/**
+ * Check that a value is a non-empty string
+ * @param {*} value - Value
+ * @returns {boolean} - Whether the value is a non-empty string
+ */
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Check an optional word limit
+ * @param {Object} question - Question data
+ * @param {string} field - Field path of the question
+ * @param {Array} errors - Errors to add to
+ */
+const validateWordLimits = (question, field, errors) => {
+  ['minWords', 'maxWords'].forEach(limit => {
+    const value = question[limit];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      errors.push({ field: `${field}.${limit}`, message: `${limit} must be a positive whole number.` });
+    }
+  });
+  if (Number.isInteger(question.minWords) && Number.isInteger(question.maxWords) &&
+    question.minWords > question.maxWords) {
+    errors.push({ field: `${field}.minWords`, message: 'minWords cannot be more than maxWords.' });
+  }
+};
+
+// Validators for the type-specific fields of each question type
+const questionValidators = {
+  [QUESTION_TYPES.MCQ]: (question, field, errors) => {
+    const { options, answerKey } = question;
+    if (!Array.isArray(options) || options.length < MIN_MCQ_OPTIONS || options.length > MAX_MCQ_OPTIONS) {
+      errors.push({
+        field: `${field}.options`,
+        message: `Multiple choice questions need between ${MIN_MCQ_OPTIONS} and ${MAX_MCQ_OPTIONS} options.`
+      });
+      return;
+    }
+
+    const optionIds = new Set();
+    options.forEach((option, index) => {
+      const optionField = `${field}.options[${index}]`;
+      if (!option || !isText(option.id)) {
+        errors.push({ field: `${optionField}.id`, message: 'Option ID is required.' });
+      } else if (optionIds.has(option.id)) {
+        errors.push({ field: `${optionField}.id`, message: `Duplicate option ID: ${option.id}` });
+      } else {
+        optionIds.add(option.id);
+      }
+      if (!option || !isText(option.text)) {
+        errors.push({ field: `${optionField}.text`, message: 'Option text is required.' });
+      }
+    });
+
+    const keys = Array.isArray(answerKey) ? answerKey : [answerKey];
+    if (keys.length === 0 || keys.some(key => !optionIds.has(key))) {
+      errors.push({
+        field: `${field}.answerKey`,
+        message: 'The answer key must name one or more of the question\'s option IDs.'
+      });
+    }
+  },
+
+  [QUESTION_TYPES.SHORT_ANSWER]: (question, field, errors) => {
+    if (question.expectedAnswer !== undefined && typeof question.expectedAnswer !== 'string') {
+      errors.push({ field: `${field}.expectedAnswer`, message: 'Expected answer must be text.' });
+    }
+    validateWordLimits(question, field, errors);
+  },
+
+  [QUESTION_TYPES.ESSAY]: (question, field, errors) => {
+    const { markAllocation } = question;
+    if (!Array.isArray(markAllocation) || markAllocation.length === 0) {
+      errors.push({ field: `${field}.markAllocation`, message: 'Essay questions need a mark allocation.' });
+      return;
+    }
+
+    let allocated = 0;
+    markAllocation.forEach((item, index) => {
+      const itemField = `${field}.markAllocation[${index}]`;
+      if (!item || !isText(item.criterion)) {
+        errors.push({ field: `${itemField}.criterion`, message: 'Criterion is required.' });
+      }
+      if (!item || !isValidMarks(item.marks)) {
+        errors.push({ field: `${itemField}.marks`, message: 'Marks must be positive, in steps of 0.5.' });
+      } else {
+        allocated += item.marks;
+      }
+    });
+
+    if (isValidMarks(question.marks) && allocated !== question.marks) {
+      errors.push({
+        field: `${field}.markAllocation`,
+        message: `The mark allocation adds up to ${allocated} but the question is worth ${question.marks}.`
+      });
+    }
+    validateWordLimits(question, field, errors);
+  }
+};
+
+/**
+ * Validate one question
+ * @param {Object} question - Question data
+ * @param {string} field - Field path of the question
+ * @param {Object} schema - Schema of the assessment type
+ * @param {Set} questionIds - Question IDs seen so far
+ * @param {Array} errors - Errors to add to
+ * @returns {number} - Marks the question is worth (0 when invalid)
+ */
+const validateQuestion = (question, field, schema, questionIds, errors) => {
+  if (!question || typeof question !== 'object') {
+    errors.push({ field, message: 'Question must be an object.' });
+    return 0;
+  }
+
+  if (!isText(question.id)) {
+    errors.push({ field: `${field}.id`, message: 'Question ID is required.' });
+  } else if (questionIds.has(question.id)) {
+    errors.push({ field: `${field}.id`, message: `Duplicate question ID: ${question.id}` });
+  } else {
+    questionIds.add(question.id);
+  }
+
+  if (!isText(question.prompt)) {
+    errors.push({ field: `${field}.prompt`, message: 'Question prompt is required.' });
+  }
+
+  const validMarks = isValidMarks(question.marks);
+  if (!validMarks) {
+    errors.push({ field: `${field}.marks`, message: 'Marks must be positive, in steps of 0.5.' });
+  }
+
+  if (!schema.questionTypes.includes(question.type)) {
+    errors.push({
+      field: `${field}.type`,
+      message: `Question type must be one of: ${schema.questionTypes.join(', ')}`
+    });
+    return validMarks ? question.marks : 0;
+  }
+
+  questionValidators[question.type](question, field, errors);
+  return validMarks ? question.marks : 0;
+};
+
+/**
+ * Validate the content of an assessment against the schema of its type
+ * @param {string} type - Assessment type
+ * @param {Object} content - Assessment content
+ * @returns {Array} - Field-level errors ({ field, message }), empty when valid
+ */
+const validateAssessmentContent = (type, content) => {
+  const schema = getAssessmentSchema(type);
+  if (!schema) {
+    return [{ field: 'type', message: `Type must be one of: ${getAssessmentTypes().join(', ')}` }];
+  }
+
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return [{ field: 'content', message: 'Content must be an object with sections.' }];
+  }
+
+  const errors = [];
+  const { totalMarks, durationMinutes, sections } = content;
+
+  const validTotal = isValidMarks(totalMarks);
+  if (!validTotal) {
+    errors.push({ field: 'content.totalMarks', message: 'Total marks must be positive, in steps of 0.5.' });
+  } else if (totalMarks < schema.totalMarks.min || totalMarks > schema.totalMarks.max) {
+    errors.push({
+      field: 'content.totalMarks',
+      message: `${schema.label} total marks must be between ${schema.totalMarks.min} and ${schema.totalMarks.max}.`
+    });
+  }
+
+  if (schema.timed && !(Number.isInteger(durationMinutes) && durationMinutes > 0)) {
+    errors.push({
+      field: 'content.durationMinutes',
+      message: `${schema.label}s need a duration in whole minutes.`
+    });
+  }
+
+  if (!Array.isArray(sections) || sections.length === 0) {
+    errors.push({ field: 'content.sections', message: 'At least one section is required.' });
+    return errors;
+  }
+
+  const sectionIds = new Set();
+  const questionIds = new Set();
+  let questionMarks = 0;
+  let allMarksValid = true;
+
+  sections.forEach((section, sectionIndex) => {
+    const field = `content.sections[${sectionIndex}]`;
+
+    if (!section || typeof section !== 'object') {
+      errors.push({ field, message: 'Section must be an object.' });
+      allMarksValid = false;
+      return;
+    }
+    if (!isText(section.id)) {
+      errors.push({ field: `${field}.id`, message: 'Section ID is required.' });
+    } else if (sectionIds.has(section.id)) {
+      errors.push({ field: `${field}.id`, message: `Duplicate section ID: ${section.id}` });
+    } else {
+      sectionIds.add(section.id);
+    }
+    if (!isText(section.title)) {
+      errors.push({ field: `${field}.title`, message: 'Section title is required.' });
+    }
+    if (!Array.isArray(section.questions) || section.questions.length === 0) {
+      errors.push({ field: `${field}.questions`, message: 'Each section needs at least one question.' });
+      return;
+    }
+
+    section.questions.forEach((question, questionIndex) => {
+      const marks = validateQuestion(
+        question, `${field}.questions[${questionIndex}]`, schema, questionIds, errors
+      );
+      if (marks === 0) {
+        allMarksValid = false;
+      }
+      questionMarks += marks;
+    });
+  });
+
+  // Only compare totals when every question had valid marks,
+  // otherwise the mismatch is already explained by the errors above
+  if (validTotal && allMarksValid && questionMarks !== totalMarks) {
+    errors.push({
+      field: 'content.totalMarks',
+      message: `The questions add up to ${questionMarks} marks but the total is ${totalMarks}.`
+    });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  QUESTION_TYPES,
+  getAssessmentTypes,
+  getAssessmentSchema,
+  validateAssessmentContent
+};
@@ -0,0 +1,188 @@
+const {
+  QUESTION_TYPES,
+  getAssessmentTypes,
+  getAssessmentSchema,
+  validateAssessmentContent
+} = require('./schemas');
+
+/**
+ * Build valid exam content, to break one part of in each test
+ * @returns {Object} - Exam content
+ */
+const examContent = () => ({
+  totalMarks: 50,
+  durationMinutes: 90,
+  sections: [{
+    id: 'a',
+    title: 'Section A',
+    questions: [
+      {
+        id: 'q1',
+        type: QUESTION_TYPES.MCQ,
+        prompt: 'Which protocol is stateless?',
+        marks: 2,
+        options: [{ id: 'a', text: 'HTTP' }, { id: 'b', text: 'TCP' }],
+        answerKey: ['a']
+      },
+      {
+        id: 'q2',
+        type: QUESTION_TYPES.SHORT_ANSWER,
+        prompt: 'Name a NoSQL database.',
+        marks: 8,
+        maxWords: 10
+      }
+    ]
+  }, {
+    id: 'b',
+    title: 'Section B',
+    questions: [{
+      id: 'q3',
+      type: QUESTION_TYPES.ESSAY,
+      prompt: 'Discuss eventual consistency.',
+      marks: 40,
+      markAllocation: [{ criterion: 'Argument', marks: 25 }, { criterion: 'Examples', marks: 15 }]
+    }]
+  }]
+});
+
+const fieldsOf = (errors) => errors.map(error => error.field);
+
+describe('getAssessmentSchema', () => {
+  test('returns the schema of each type', () => {
+    getAssessmentTypes().forEach(type => {
+      expect(getAssessmentSchema(type)).toEqual(expect.objectContaining({ label: expect.any(String) }));
+    });
+  });
+
+  test('returns null for unknown types and inherited properties', () => {
+    expect(getAssessmentSchema('quiz')).toBeNull();
+    expect(getAssessmentSchema('toString')).toBeNull();
+  });
+});
+
+describe('validateAssessmentContent', () => {
+  test('accepts valid content', () => {
+    expect(validateAssessmentContent('exam', examContent())).toEqual([]);
+  });
+
+  test('refuses unknown types', () => {
+    expect(fieldsOf(validateAssessmentContent('quiz', examContent()))).toEqual(['type']);
+  });
+
+  test('refuses content that is not an object', () => {
+    expect(fieldsOf(validateAssessmentContent('exam', []))).toEqual(['content']);
+    expect(fieldsOf(validateAssessmentContent('exam', null))).toEqual(['content']);
+  });
+
+  test('requires a duration for timed types only', () => {
+    const content = examContent();
+    delete content.durationMinutes;
+
+    expect(fieldsOf(validateAssessmentContent('exam', content))).toEqual(['content.durationMinutes']);
+
+    const assignment = {
+      totalMarks: 5,
+      sections: [{ id: 'a', title: 'Section A', questions: [{ id: 'q1', type: 'short_answer', prompt: 'Why?', marks: 5 }] }]
+    };
+    expect(validateAssessmentContent('assignment', assignment)).toEqual([]);
+  });
+
+  test('keeps total marks within the range of the type', () => {
+    const content = examContent();
+    content.totalMarks = 400;
+
+    expect(validateAssessmentContent('exam', content)).toContainEqual(
+      { field: 'content.totalMarks', message: 'Exam total marks must be between 50 and 300.' }
+    );
+  });
+
+  test('compares the total to the marks of the questions', () => {
+    const content = examContent();
+    content.sections[0].questions[1].marks = 9;
+
+    expect(validateAssessmentContent('exam', content)).toEqual([{
+      field: 'content.totalMarks',
+      message: 'The questions add up to 51 marks but the total is 50.'
+    }]);
+  });
+
+  test('only allows half marks', () => {
+    const content = examContent();
+    content.sections[0].questions[0].marks = 1.25;
+
+    expect(fieldsOf(validateAssessmentContent('exam', content)))
+      .toEqual(['content.sections[0].questions[0].marks']);
+  });
+
+  test('refuses question types the assessment type does not allow', () => {
+    const content = examContent();
+    content.sections[0].questions[1].type = QUESTION_TYPES.MCQ;
+    content.sections[0].questions[1].options = [{ id: 'a', text: 'Yes' }, { id: 'b', text: 'No' }];
+    content.sections[0].questions[1].answerKey = 'a';
+
+    expect(validateAssessmentContent('exam', content)).toEqual([]);
+    expect(fieldsOf(validateAssessmentContent('practical', content)))
+      .toContain('content.sections[0].questions[1].type');
+  });
+
+  test('checks the options and answer key of multiple choice questions', () => {
+    const content = examContent();
+    const question = content.sections[0].questions[0];
+    question.options = [{ id: 'a', text: 'HTTP' }, { id: 'a', text: '' }];
+    question.answerKey = ['c'];
+
+    expect(fieldsOf(validateAssessmentContent('exam', content))).toEqual([
+      'content.sections[0].questions[0].options[1].id',
+      'content.sections[0].questions[0].options[1].text',
+      'content.sections[0].questions[0].answerKey'
+    ]);
+  });
+
+  test('requires between 2 and 10 options', () => {
+    const content = examContent();
+    content.sections[0].questions[0].options = [{ id: 'a', text: 'HTTP' }];
+
+    expect(fieldsOf(validateAssessmentContent('exam', content)))
+      .toEqual(['content.sections[0].questions[0].options']);
+  });
+
+  test('requires the mark allocation of an essay to add up to its marks', () => {
+    const content = examContent();
+    content.sections[1].questions[0].markAllocation[1].marks = 10;
+
+    expect(validateAssessmentContent('exam', content)).toEqual([{
+      field: 'content.sections[1].questions[0].markAllocation',
+      message: 'The mark allocation adds up to 35 but the question is worth 40.'
+    }]);
+  });
+
+  test('checks word limits', () => {
+    const content = examContent();
+    Object.assign(content.sections[0].questions[1], { minWords: 20, maxWords: 10 });
+
+    expect(fieldsOf(validateAssessmentContent('exam', content)))
+      .toEqual(['content.sections[0].questions[1].minWords']);
+  });
+
+  test('requires section and question IDs to be unique', () => {
+    const content = examContent();
+    content.sections[1].id = 'a';
+    content.sections[1].questions[0].id = 'q1';
+
+    expect(fieldsOf(validateAssessmentContent('exam', content))).toEqual([
+      'content.sections[1].id',
+      'content.sections[1].questions[0].id'
+    ]);
+  });
+
+  test('requires at least one section with questions', () => {
+    const content = examContent();
+
+    expect(fieldsOf(validateAssessmentContent('exam', { ...content, sections: [] })))
+      .toContain('content.sections');
+
+    content.sections[1].questions = [];
+    expect(fieldsOf(validateAssessmentContent('exam', content)))
+      .toContain('content.sections[1].questions');
+  });
+});
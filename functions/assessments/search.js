@@ -0,0 +1,397 @@
+/**
+ * Assessment full-text search
+ *
+ * Every assessment has an entry in the assessmentSearch collection (same
+ * document ID) holding the words of its title, description and question text
+ * with a weight per word, the list of those words (terms) and every prefix of
+ * them. The assessment triggers keep the entries up to date, so search needs
+ * nothing but Firestore.
+ *
+ * Every query word but the last has to appear in full; the last one may still
+ * be being typed and also matches words it is the start of. A search reads the
+ * entries containing the longest full word (or the start of the last word when
+ * there is no other), narrowed by the status and course filters, keeps those
+ * the caller can see and that match every other query word, and ranks them in
+ * memory. At most MAX_CANDIDATES entries are read, so a search with more
+ * candidates ranks only some of them and says so with truncated. Entries copy
+ * the fields the visibility policy looks at, so canViewAssessment decides
+ * visibility exactly as for the assessments.
+ */
+
+const { db } = require('../config/firebase');
+const { queryDocs } = require('../utils/db');
+const { canViewAssessment } = require('./policy');
+
+// Weight of a word per field it appears in; a word's weight is summed over its occurrences
+const FIELD_WEIGHTS = {
+  title: 5,
+  description: 2,
+  questions: 1
+};
+
+// Words shorter than this are not indexed, and prefixes start at this length
+const MIN_WORD_LENGTH = 2;
+
+// Longest prefix stored per word; longer query words are looked up by this prefix
+const MAX_PREFIX_LENGTH = 15;
+
+// Most distinct words indexed per assessment, heaviest first
+const MAX_INDEXED_WORDS = 1000;
+
+// Most entries read per search; ranking is only complete below this
+const MAX_CANDIDATES = 1000;
+
+// Score factor of a word matched by prefix rather than in full
+const PREFIX_MATCH_FACTOR = 0.5;
+
+// Page size limits
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Words too common to help ranking
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// Fields of an assessment copied onto its entry, for visibility, facets and results
+const ENTRY_FIELDS = [
+  'organizationId',
+  'title',
+  'type',
+  'status',
+  'courseId',
+  'courseCode',
+  'lecturerId',
+  'moderatorId',
+  'courseModeratorIds',
+  'archived'
+];
+
+/**
+ * Split text into lowercase words without accents, leaving out stop words
+ * @param {*} text - Text; anything else gives no words
+ * @returns {Array} - Words in order of appearance
+ */
+const tokenize = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length >= MIN_WORD_LENGTH && !STOP_WORDS.has(word));
+};
+
+/**
+ * Collect the text of an assessment's content that students read:
+ * instructions, section titles, question prompts and answer options
+ * @param {Object} content - Assessment content, see assessments/schemas
+ * @returns {Array} - Pieces of text
+ */
+const getQuestionText = (content) => {
+  if (!content || typeof content !== 'object') {
+    return [];
+  }
+  const text = [content.instructions];
+  (content.sections || []).forEach(section => {
+    text.push(section.title, section.instructions);
+    (section.questions || []).forEach(question => {
+      text.push(question.prompt);
+      (question.options || []).forEach(option => text.push(option.text));
+    });
+  });
+  return text;
+};
+
+/**
+ * Weigh the words of an assessment
+ * @param {Object} assessment - Assessment data
+ * @returns {Object} - Weight per word, at most MAX_INDEXED_WORDS of the heaviest
+ */
+const getWordWeights = (assessment) => {
+  const weights = {};
+  const add = (text, weight) => {
+    tokenize(text).forEach(word => {
+      weights[word] = (weights[word] || 0) + weight;
+    });
+  };
+
+  add(assessment.title, FIELD_WEIGHTS.title);
+  add(assessment.description, FIELD_WEIGHTS.description);
+  getQuestionText(assessment.content).forEach(text => add(text, FIELD_WEIGHTS.questions));
+
+  const words = Object.keys(weights)
+    .sort((a, b) => weights[b] - weights[a] || a.localeCompare(b))
+    .slice(0, MAX_INDEXED_WORDS);
+  return Object.fromEntries(words.map(word => [word, weights[word]]));
+};
+
+/**
+ * Get every prefix of a set of words that a search can look up
+ * @param {Array} words - Words
+ * @returns {Array} - Sorted, distinct prefixes
+ */
+const getPrefixes = (words) => {
+  const prefixes = new Set();
+  words.forEach(word => {
+    const longest = Math.min(word.length, MAX_PREFIX_LENGTH);
+    for (let length = MIN_WORD_LENGTH; length <= longest; length++) {
+      prefixes.add(word.slice(0, length));
+    }
+  });
+  return [...prefixes].sort();
+};
+
+/**
+ * Build the search entry of an assessment
+ * @param {Object} assessment - Assessment data
+ * @returns {Object} - Entry data
+ */
+const buildSearchEntry = (assessment) => {
+  const entry = {};
+  ENTRY_FIELDS.forEach(field => {
+    entry[field] = assessment[field] ?? null;
+  });
+  entry.archived = assessment.archived === true;
+  entry.courseModeratorIds = assessment.courseModeratorIds || [];
+
+  const words = getWordWeights(assessment);
+  entry.words = words;
+  entry.terms = Object.keys(words).sort();
+  entry.prefixes = getPrefixes(entry.terms);
+  return entry;
+};
+
+/**
+ * Write the search entry of an assessment, unless it would not change
+ * @param {string} assessmentId - Assessment ID
+ * @param {Object|null} beforeData - Assessment data before the change, or null for a new assessment
+ * @param {Object} afterData - Assessment data after the change
+ * @returns {Promise<boolean>} - Whether the entry was written
+ */
+const syncSearchEntry = async (assessmentId, beforeData, afterData) => {
+  const entry = buildSearchEntry(afterData);
+  if (beforeData && JSON.stringify(buildSearchEntry(beforeData)) === JSON.stringify(entry)) {
+    return false;
+  }
+  await db.collection('assessmentSearch').doc(assessmentId).set(entry);
+  return true;
+};
+
+/**
+ * Delete the search entry of a deleted assessment
+ * @param {string} assessmentId - Assessment ID
+ * @returns {Promise<void>}
+ */
+const removeSearchEntry = async (assessmentId) => {
+  await db.collection('assessmentSearch').doc(assessmentId).delete();
+};
+
+/**
+ * Rewrite the search entries of every assessment of an organization,
+ * e.g. for assessments written before search existed
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<number>} - Number of entries written
+ */
+const rebuildSearchIndex = async (organizationId) => {
+  // Firestore batches hold at most 500 writes
+  const batchSize = 500;
+  let written = 0;
+  let startAfter = null;
+
+  do {
+    const assessments = await queryDocs('assessments', [], {
+      organizationId,
+      orderBy: { field: '__name__' },
+      limit: batchSize,
+      startAfter
+    });
+    startAfter = assessments.length === batchSize ? assessments[assessments.length - 1].id : null;
+    if (assessments.length === 0) {
+      break;
+    }
+
+    const batch = db.batch();
+    assessments.forEach(({ id, ...assessment }) => {
+      batch.set(db.collection('assessmentSearch').doc(id), buildSearchEntry(assessment));
+    });
+    await batch.commit();
+    written += assessments.length;
+  } while (startAfter);
+
+  return written;
+};
+
+/**
+ * Score an entry against the query words
+ * @param {Object} entry - Search entry
+ * @param {Array} fullWords - Query words that have to appear in full
+ * @param {string|null} partialWord - Query word that may also be the start of a word
+ * @returns {number} - Score, 0 when a query word is missing from the entry
+ */
+const scoreEntry = (entry, fullWords, partialWord) => {
+  const weights = entry.words || {};
+  let score = 0;
+  for (const queryWord of fullWords) {
+    if (!weights[queryWord]) {
+      return 0;
+    }
+    score += weights[queryWord];
+  }
+  if (partialWord) {
+    let best = weights[partialWord] || 0;
+    Object.entries(weights).forEach(([word, weight]) => {
+      if (word !== partialWord && word.startsWith(partialWord)) {
+        best = Math.max(best, weight * PREFIX_MATCH_FACTOR);
+      }
+    });
+    if (best === 0) {
+      return 0;
+    }
+    score += best;
+  }
+  return score;
+};
+
+/**
+ * Count matches per value of a field, most common first
+ * @param {Array} matches - Matching entries
+ * @param {Function} getFacet - Returns { value, label } of an entry
+ * @returns {Array} - Facet values ({ value, label, count })
+ */
+const countFacet = (matches, getFacet) => {
+  const counts = new Map();
+  matches.forEach(match => {
+    const { value, label } = getFacet(match);
+    const facet = counts.get(value) || { value, label, count: 0 };
+    facet.count++;
+    counts.set(value, facet);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label)));
+};
+
+/**
+ * Encode the position of the next page of search results
+ * @param {number} offset - Index of the first result of the page
+ * @returns {string} - Page token
+ */
+const encodeOffset = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+/**
+ * Decode a page token created by encodeOffset
+ * @param {string} token - Page token
+ * @returns {number|null} - Offset, or null if the token is invalid
+ */
+const decodeOffset = (token) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Search the assessments a user can see.
+ * The facets count the matches per status and course; a filter that is
+ * applied leaves only its own value in its facet.
+ * @param {Object} viewer - User data including permissions
+ * @param {Object} options - { query, status, courseId, includeArchived, pageSize, pageToken }
+ * @returns {Promise<Object>} - { results, facets: { status, course }, totalCount, nextPageToken, truncated }
+ *   or { errors } when the options are invalid
+ */
+const searchAssessments = async (viewer, options) => {
+  const { status, courseId, includeArchived, pageToken } = options;
+  const queryWords = tokenize(options.query);
+  const pageSize = options.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(options.pageSize);
+  const offset = pageToken ? decodeOffset(pageToken) : 0;
+
+  const errors = [];
+  if (queryWords.length === 0) {
+    errors.push({ field: 'query', message: `Enter at least one word of ${MIN_WORD_LENGTH} or more letters.` });
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    errors.push({ field: 'pageSize', message: `pageSize must be a whole number between 1 and ${MAX_PAGE_SIZE}.` });
+  }
+  if (offset === null) {
+    errors.push({ field: 'pageToken', message: 'Invalid page token.' });
+  }
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  // The last word may be unfinished, unless it also appears earlier in full
+  const lastWord = queryWords[queryWords.length - 1];
+  const fullWords = [...new Set(queryWords.slice(0, -1))];
+  const partialWord = fullWords.includes(lastWord) ? null : lastWord;
+
+  // A full word narrows the candidates more than the start of one, and the
+  // longest full word the most
+  const lookupWord = [...fullWords].sort((a, b) => b.length - a.length)[0];
+  const conditions = [
+    lookupWord
+      ? { field: 'terms', operator: 'array-contains', value: lookupWord }
+      : { field: 'prefixes', operator: 'array-contains', value: partialWord.slice(0, MAX_PREFIX_LENGTH) }
+  ];
+  // Entries always have an archived flag, even for assessments that lack one
+  if (!includeArchived) {
+    conditions.push({ field: 'archived', operator: '==', value: false });
+  }
+  if (status) {
+    conditions.push({ field: 'status', operator: '==', value: status });
+  }
+  if (courseId) {
+    conditions.push({ field: 'courseId', operator: '==', value: courseId });
+  }
+  const candidates = await queryDocs('assessmentSearch', conditions, {
+    organizationId: viewer.organizationId,
+    limit: MAX_CANDIDATES
+  });
+
+  const matches = candidates
+    .filter(entry => canViewAssessment(viewer, entry))
+    .map(entry => ({ ...entry, score: scoreEntry(entry, fullWords, partialWord) }))
+    .filter(entry => entry.score > 0);
+
+  const facets = {
+    status: countFacet(matches, entry => ({ value: entry.status, label: entry.status })),
+    course: countFacet(matches, entry => ({
+      value: entry.courseId,
+      label: entry.courseCode || entry.courseId
+    }))
+  };
+
+  const ranked = matches
+    .sort((a, b) => b.score - a.score || String(a.title).localeCompare(String(b.title)));
+
+  const results = ranked.slice(offset, offset + pageSize).map(entry => ({
+    id: entry.id,
+    title: entry.title,
+    type: entry.type,
+    status: entry.status,
+    courseId: entry.courseId,
+    courseCode: entry.courseCode,
+    archived: entry.archived,
+    score: entry.score
+  }));
+
+  return {
+    results,
+    facets,
+    totalCount: ranked.length,
+    nextPageToken: offset + pageSize < ranked.length ? encodeOffset(offset + pageSize) : null,
+    truncated: candidates.length === MAX_CANDIDATES
+  };
+};
+
+module.exports = {
+  tokenize,
+  buildSearchEntry,
+  syncSearchEntry,
+  removeSearchEntry,
+  rebuildSearchIndex,
+  searchAssessments
+};
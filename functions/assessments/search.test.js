@@ -0,0 +1,116 @@
+const { PERMISSIONS } = require('../utils/permissions');
+const { tokenize, buildSearchEntry, syncSearchEntry, searchAssessments } = require('./search');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('../test/emulator');
+
+const manager = { id: 'admin1', organizationId: 'org1', permissions: [PERMISSIONS.ASSESSMENT_MANAGE] };
+
+describe('tokenize', () => {
+  test('lowercases, strips accents and leaves out stop words and single letters', () => {
+    expect(tokenize('The Café of Élan: a B2 test')).toEqual(['cafe', 'elan', 'b2', 'test']);
+  });
+
+  test('gives no words for anything but text', () => {
+    expect(tokenize(null)).toEqual([]);
+    expect(tokenize(42)).toEqual([]);
+  });
+});
+
+describe('buildSearchEntry', () => {
+  const entry = buildSearchEntry({
+    organizationId: 'org1',
+    title: 'Algebra exam',
+    description: 'Linear algebra',
+    status: 'draft',
+    content: {
+      sections: [{ title: 'Matrices', questions: [{ prompt: 'Invert the matrix' }] }]
+    }
+  });
+
+  test('weighs words by the fields they appear in', () => {
+    expect(entry.words).toEqual({ algebra: 7, exam: 5, linear: 2, matrices: 1, invert: 1, matrix: 1 });
+  });
+
+  test('lists the words and their prefixes', () => {
+    expect(entry.terms).toEqual(['algebra', 'exam', 'invert', 'linear', 'matrices', 'matrix']);
+    expect(entry.prefixes).toEqual(expect.arrayContaining(['al', 'alg', 'algebra', 'ma', 'matri']));
+  });
+
+  test('always has an archived flag', () => {
+    expect(entry.archived).toBe(false);
+    expect(entry.courseModeratorIds).toEqual([]);
+  });
+});
+
+describe('searchAssessments options', () => {
+  test('needs a word to search for', async () => {
+    expect(await searchAssessments(manager, { query: 'a of' })).toEqual({
+      errors: [{ field: 'query', message: 'Enter at least one word of 2 or more letters.' }]
+    });
+  });
+
+  test('checks the page size and token', async () => {
+    const { errors } = await searchAssessments(manager, { query: 'algebra', pageSize: 0, pageToken: '%' });
+    expect(errors.map(error => error.field)).toEqual(['pageSize', 'pageToken']);
+  });
+});
+
+describeWithEmulator('searchAssessments', () => {
+  const assessments = {
+    a1: { title: 'Algebra exam', description: 'Linear algebra', status: 'draft', courseId: 'c1', lecturerId: 'l1' },
+    a2: { title: 'Geometry test', description: 'Angles and algebra', status: 'submitted', courseId: 'c2', lecturerId: 'l2' },
+    a3: { title: 'Algorithms assignment', status: 'draft', courseId: 'c1', lecturerId: 'l1' },
+    a4: { title: 'Old algebra exam', status: 'approved', courseId: 'c1', lecturerId: 'l1', archived: true },
+    a5: { title: 'Algebra elsewhere', status: 'draft', courseId: 'c9', lecturerId: 'l9', organizationId: 'org2' }
+  };
+
+  beforeAll(async () => {
+    await clearEmulators();
+    await Promise.all(Object.entries(assessments).map(([id, assessment]) => {
+      return syncSearchEntry(id, null, { organizationId: 'org1', ...assessment });
+    }));
+  });
+
+  afterAll(closeFirebase);
+
+  const ids = (result) => result.results.map(entry => entry.id);
+
+  test('ranks full matches by the weight of the words', async () => {
+    const result = await searchAssessments(manager, { query: 'algebra' });
+    expect(ids(result)).toEqual(['a1', 'a2']);
+    expect(result.truncated).toBe(false);
+  });
+
+  test('matches the last word as the start of a word', async () => {
+    expect(ids(await searchAssessments(manager, { query: 'alg' }))).toEqual(['a1', 'a3', 'a2']);
+  });
+
+  test('needs every other word in full', async () => {
+    expect(ids(await searchAssessments(manager, { query: 'exam alg' }))).toEqual(['a1']);
+    expect(ids(await searchAssessments(manager, { query: 'exa alg' }))).toEqual([]);
+  });
+
+  test('applies the filters and counts the facets over the matches', async () => {
+    const result = await searchAssessments(manager, { query: 'alg', courseId: 'c1', includeArchived: true });
+    expect(ids(result)).toEqual(['a1', 'a3', 'a4']);
+    expect(result.facets.course).toEqual([{ value: 'c1', label: 'c1', count: 3 }]);
+    expect(result.facets.status).toEqual([
+      { value: 'draft', label: 'draft', count: 2 },
+      { value: 'approved', label: 'approved', count: 1 }
+    ]);
+  });
+
+  test('only finds what the viewer can see', async () => {
+    const lecturer = { id: 'l2', organizationId: 'org1', permissions: [PERMISSIONS.ASSESSMENT_CREATE] };
+    expect(ids(await searchAssessments(lecturer, { query: 'algebra' }))).toEqual(['a2']);
+  });
+
+  test('pages through the results', async () => {
+    const first = await searchAssessments(manager, { query: 'alg', pageSize: 2 });
+    expect(ids(first)).toEqual(['a1', 'a3']);
+    expect(first.totalCount).toBe(3);
+
+    const second = await searchAssessments(manager, { query: 'alg', pageSize: 2, pageToken: first.nextPageToken });
+    expect(ids(second)).toEqual(['a2']);
+    expect(second.nextPageToken).toBeNull();
+  });
+});
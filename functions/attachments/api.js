@@ -0,0 +1,412 @@
+/**
+ * Assessment attachment API endpoints
+ *
+ * Files (question papers, memos, marking guidelines) are stored in Cloud
+ * Storage under assessments/{assessmentId}/attachments/{attachmentId} and
+ * listed in the assessment's `attachments` field. Uploading takes two calls:
+ * requestAttachmentUpload issues an upload URL, and once the file is uploaded
+ * confirmAttachmentUpload checks it and adds it to the list. Uploads that are
+ * never confirmed are removed by cleanUpAttachmentUploads. Attachments can
+ * only change while the assessment itself can be edited.
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { getViewableAssessment, canAttachFiles } = require('../assessments/policy');
+const { EDITABLE_STATUSES } = require('../assessments/lifecycle');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const {
+  getUploadUrl,
+  getDownloadUrl,
+  getFileMetadata,
+  deleteFile
+} = require('../utils/storage');
+
+// File types that can be attached, by MIME type
+const ALLOWED_TYPES = {
+  'application/pdf': 'PDF',
+  'application/msword': 'Word document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'Excel spreadsheet',
+  'image/png': 'PNG image',
+  'image/jpeg': 'JPEG image',
+  'text/plain': 'Text file'
+};
+
+// Size and count limits
+const MAX_FILE_SIZE = 25 * 1024 * 1024;
+const MAX_ATTACHMENTS = 20;
+const MAX_NAME_LENGTH = 200;
+
+// How long issued URLs stay valid
+const UPLOAD_URL_TTL_MS = 15 * 60 * 1000;
+const DOWNLOAD_URL_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Get the storage path of an attachment
+ * @param {string} assessmentId - Assessment ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {string} - Object path in the bucket
+ */
+const attachmentPath = (assessmentId, attachmentId) => {
+  return `assessments/${assessmentId}/attachments/${attachmentId}`;
+};
+
+/**
+ * Check the declared name, type and size of a file
+ * @param {Object} file - File details ({ name, contentType, size })
+ * @returns {Array} - Field errors ({ field, message })
+ */
+const validateFile = ({ name, contentType, size }) => {
+  const errors = [];
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push({ field: 'name', message: 'File name is required.' });
+  } else if (name.length > MAX_NAME_LENGTH) {
+    errors.push({ field: 'name', message: `File names cannot be longer than ${MAX_NAME_LENGTH} characters.` });
+  }
+  if (!ALLOWED_TYPES[contentType]) {
+    errors.push({
+      field: 'contentType',
+      message: `Only these file types can be attached: ${[...new Set(Object.values(ALLOWED_TYPES))].join(', ')}.`
+    });
+  }
+  if (!Number.isInteger(size) || size <= 0) {
+    errors.push({ field: 'size', message: 'File size must be a positive number of bytes.' });
+  } else if (size > MAX_FILE_SIZE) {
+    errors.push({ field: 'size', message: `Files cannot be larger than ${MAX_FILE_SIZE / (1024 * 1024)} MB.` });
+  }
+  return errors;
+};
+
+/**
+ * Make sure an assessment's attachments can still change
+ * @param {Object} assessment - Assessment data
+ * @throws {functions.https.HttpsError} - When the assessment cannot be edited
+ */
+const assertAttachmentsEditable = (assessment) => {
+  if (!EDITABLE_STATUSES.includes(assessment.status)) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      `Attachments can only be changed while the assessment is ${EDITABLE_STATUSES.join(' or ')}.`
+    );
+  }
+};
+
+/**
+ * Load an assessment and make sure the user may attach files to it
+ * @param {string} userId - User ID
+ * @param {string} assessmentId - Assessment ID
+ * @returns {Promise<Object>} - The user and the assessment ({ viewer, assessment })
+ */
+const getAttachableAssessment = async (userId, assessmentId) => {
+  const { viewer, assessment } = await getViewableAssessment(userId, assessmentId);
+  if (!canAttachFiles(viewer, assessment)) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Only admins, the lecturer and the assigned moderator can manage attachments.'
+    );
+  }
+  assertAttachmentsEditable(assessment);
+  return { viewer, assessment };
+};
+
+/**
+ * Start uploading an attachment: checks the file and returns an upload URL
+ */
+const requestAttachmentUpload = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to upload attachments.'
+      );
+    }
+
+    const { assessmentId, name, contentType } = data;
+    const size = Number(data.size);
+
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    const errors = validateFile({ name, contentType, size });
+    if (errors.length > 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'The file cannot be attached.',
+        { errors }
+      );
+    }
+
+    const { viewer, assessment } = await getAttachableAssessment(context.auth.uid, assessmentId);
+
+    if ((assessment.attachments || []).length >= MAX_ATTACHMENTS) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `An assessment cannot have more than ${MAX_ATTACHMENTS} attachments.`
+      );
+    }
+
+    // Remember what was announced, to check the uploaded file against it
+    const uploadRef = db.collection('attachmentUploads').doc();
+    const storagePath = attachmentPath(assessmentId, uploadRef.id);
+    const upload = await getUploadUrl(storagePath, contentType, size, UPLOAD_URL_TTL_MS);
+
+    await uploadRef.set({
+      assessmentId,
+      organizationId: assessment.organizationId,
+      name: name.trim(),
+      contentType,
+      size,
+      storagePath,
+      uploadedBy: viewer.id,
+      expiresAt: admin.firestore.Timestamp.fromDate(new Date(upload.expiresAt)),
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      attachmentId: uploadRef.id,
+      upload
+    };
+  } catch (error) {
+    console.error('Error requesting attachment upload:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Finish uploading an attachment: checks the stored file and lists it on the assessment
+ */
+const confirmAttachmentUpload = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to upload attachments.'
+      );
+    }
+
+    const { assessmentId, attachmentId } = data;
+
+    if (!assessmentId || !attachmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID and attachment ID are required.'
+      );
+    }
+
+    const { viewer } = await getAttachableAssessment(context.auth.uid, assessmentId);
+
+    const uploadRef = db.collection('attachmentUploads').doc(attachmentId);
+    const uploadDoc = await uploadRef.get();
+    const upload = uploadDoc.exists ? uploadDoc.data() : null;
+
+    if (!upload || upload.assessmentId !== assessmentId || upload.uploadedBy !== viewer.id) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `No pending upload found with ID: ${attachmentId}`
+      );
+    }
+
+    const metadata = await getFileMetadata(upload.storagePath);
+    if (!metadata) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'The file has not been uploaded yet.'
+      );
+    }
+
+    // The stored file must still be within the limits and match what was announced
+    const size = Number(metadata.size);
+    const errors = validateFile({ name: upload.name, contentType: metadata.contentType, size });
+    if (metadata.contentType !== upload.contentType) {
+      errors.push({ field: 'contentType', message: 'The uploaded file type does not match the announced type.' });
+    }
+    if (errors.length > 0) {
+      await deleteFile(upload.storagePath);
+      await uploadRef.delete();
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'The uploaded file was rejected.',
+        { errors }
+      );
+    }
+
+    const attachment = {
+      id: attachmentId,
+      name: upload.name,
+      size,
+      contentType: metadata.contentType,
+      checksum: metadata.md5Hash || null,
+      checksumAlgorithm: 'md5',
+      storagePath: upload.storagePath,
+      uploadedBy: viewer.id,
+      uploadedByName: viewer.displayName || '',
+      uploadedAt: admin.firestore.Timestamp.now()
+    };
+
+    const assessmentRef = db.collection('assessments').doc(assessmentId);
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(assessmentRef);
+      assertAttachmentsEditable(doc.data());
+      const attachments = doc.data().attachments || [];
+
+      if (attachments.length >= MAX_ATTACHMENTS) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `An assessment cannot have more than ${MAX_ATTACHMENTS} attachments.`
+        );
+      }
+
+      transaction.update(assessmentRef, {
+        attachments: [...attachments, attachment],
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      transaction.delete(uploadRef);
+    });
+
+    return {
+      success: true,
+      message: 'Attachment added successfully',
+      attachment
+    };
+  } catch (error) {
+    console.error('Error confirming attachment upload:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get a short-lived download URL for an attachment
+ */
+const getAttachmentDownloadUrl = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to download attachments.'
+      );
+    }
+
+    const { assessmentId, attachmentId } = data;
+
+    if (!assessmentId || !attachmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID and attachment ID are required.'
+      );
+    }
+
+    const { assessment } = await getViewableAssessment(context.auth.uid, assessmentId);
+
+    const attachment = (assessment.attachments || []).find(item => item.id === attachmentId);
+    if (!attachment) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Attachment not found with ID: ${attachmentId}`
+      );
+    }
+
+    const download = await getDownloadUrl(attachment.storagePath, DOWNLOAD_URL_TTL_MS, attachment.name);
+
+    return { success: true, attachment, download };
+  } catch (error) {
+    console.error('Error getting attachment download URL:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Remove an attachment and its file (uploader, owning lecturer or admin)
+ */
+const removeAttachment = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to remove attachments.'
+      );
+    }
+
+    const { assessmentId, attachmentId } = data;
+
+    if (!assessmentId || !attachmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID and attachment ID are required.'
+      );
+    }
+
+    const { viewer } = await getAttachableAssessment(context.auth.uid, assessmentId);
+
+    const assessmentRef = db.collection('assessments').doc(assessmentId);
+    const removed = await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(assessmentRef);
+      const assessment = doc.data();
+      assertAttachmentsEditable(assessment);
+      const attachments = assessment.attachments || [];
+      const attachment = attachments.find(item => item.id === attachmentId);
+
+      if (!attachment) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          `Attachment not found with ID: ${attachmentId}`
+        );
+      }
+
+      const canRemove = hasPermission(viewer, PERMISSIONS.ASSESSMENT_MANAGE) ||
+        attachment.uploadedBy === viewer.id ||
+        assessment.lecturerId === viewer.id;
+      if (!canRemove) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only the uploader, the lecturer or an admin can remove this attachment.'
+        );
+      }
+
+      transaction.update(assessmentRef, {
+        attachments: attachments.filter(item => item.id !== attachmentId),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return attachment;
+    });
+
+    await deleteFile(removed.storagePath);
+
+    return {
+      success: true,
+      message: 'Attachment removed successfully'
+    };
+  } catch (error) {
+    console.error('Error removing attachment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  requestAttachmentUpload,
+  confirmAttachmentUpload,
+  getAttachmentDownloadUrl,
+  removeAttachment
+};
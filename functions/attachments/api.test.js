@@ -0,0 +1,39 @@
+const { requestAttachmentUpload } = require('./api');
+
+const context = { auth: { uid: 'lecturer', token: { uid: 'lecturer' } } };
+
+describe('requestAttachmentUpload', () => {
+  const file = { assessmentId: 'a1', name: 'memo.pdf', contentType: 'application/pdf', size: 1024 };
+
+  test('requires a signed-in user', async () => {
+    await expect(requestAttachmentUpload.run(file, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+
+  test('requires an assessment', async () => {
+    await expect(requestAttachmentUpload.run({ ...file, assessmentId: '' }, context))
+      .rejects.toMatchObject({ code: 'invalid-argument', message: 'Assessment ID is required.' });
+  });
+
+  test('refuses files it cannot store before loading the assessment', async () => {
+    const error = await requestAttachmentUpload.run({
+      ...file,
+      name: ' ',
+      contentType: 'application/x-msdownload',
+      size: 26 * 1024 * 1024
+    }, context).catch(caught => caught);
+
+    expect(error.code).toBe('invalid-argument');
+    expect(error.details.errors.map(item => item.field)).toEqual(['name', 'contentType', 'size']);
+    expect(error.details.errors[2].message).toBe('Files cannot be larger than 25 MB.');
+  });
+
+  test('limits the length of file names', async () => {
+    const error = await requestAttachmentUpload.run({ ...file, name: `${'a'.repeat(200)}.pdf` }, context)
+      .catch(caught => caught);
+
+    expect(error.details.errors).toEqual([
+      { field: 'name', message: 'File names cannot be longer than 200 characters.' }
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Scheduled function that removes attachment uploads that were never confirmed
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { queryDocs } = require('../utils/db');
+const { deleteFile } = require('../utils/storage');
+
+// How long after its upload URL expires a pending upload can still be confirmed
+const CONFIRM_GRACE_MS = 60 * 60 * 1000;
+
+// Pending uploads removed per query; Firestore batches hold at most 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Every hour, delete the pending uploads whose upload URL expired more than
+ * CONFIRM_GRACE_MS ago, along with any file that was uploaded for them
+ */
+const cleanUpAttachmentUploads = functions.scheduler
+  .onSchedule('every 60 minutes', async () => {
+    try {
+      const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - CONFIRM_GRACE_MS);
+      let removed = 0;
+      let uploads;
+
+      do {
+        uploads = await queryDocs('attachmentUploads', [
+          { field: 'expiresAt', operator: '<', value: cutoff }
+        ], { limit: BATCH_SIZE });
+
+        // Files go first, so that a failure leaves the upload to be retried next time
+        await Promise.all(uploads.map(upload => deleteFile(upload.storagePath)));
+
+        const batch = db.batch();
+        uploads.forEach(upload => batch.delete(db.collection('attachmentUploads').doc(upload.id)));
+        await batch.commit();
+        removed += uploads.length;
+      } while (uploads.length === BATCH_SIZE);
+
+      if (removed > 0) {
+        console.log(`Removed ${removed} unconfirmed attachment uploads`);
+      }
+      return null;
+    } catch (error) {
+      console.error('Error in cleanUpAttachmentUploads schedule:', error);
+      return null;
+    }
+  });
+
+module.exports = cleanUpAttachmentUploads;
@@ -0,0 +1,142 @@
+/**
+ * Audit log API endpoints
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { getChainId, verifyChain } = require('../utils/audit');
+const { getOrganizationId } = require('../utils/tenancy');
+
+// Page size limits for getAuditLog
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Parse an optional date filter
+ * @param {string} value - ISO date string
+ * @param {string} name - Name of the filter, for the error message
+ * @returns {admin.firestore.Timestamp|null} - Timestamp or null if not provided
+ */
+const parseDate = (value, name) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `${name} must be a valid date.`
+    );
+  }
+  return admin.firestore.Timestamp.fromDate(date);
+};
+
+/**
+ * Get audit log entries, newest first, with optional filters.
+ * Admins see the entries of their organization, super admins see every entry.
+ */
+const getAuditLog = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may view the audit log
+    const user = await requirePermission(context, PERMISSIONS.AUDIT_VIEW, 'view the audit log');
+    const isSuperAdmin = hasPermission(user, PERMISSIONS.ORGANIZATION_MANAGE);
+
+    const { actorId, targetId, action, pageToken } = data || {};
+    const organizationId = isSuperAdmin ? data?.organizationId : getOrganizationId(context);
+    const from = parseDate(data?.from, 'from');
+    const to = parseDate(data?.to, 'to');
+    const limit = Math.min(Number(data?.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    let query = db.collection('auditLog');
+    if (organizationId) {
+      query = query.where('organizationId', '==', organizationId);
+    }
+    if (actorId) {
+      query = query.where('actorId', '==', actorId);
+    }
+    if (targetId) {
+      query = query.where('targetId', '==', targetId);
+    }
+    if (action) {
+      query = query.where('action', '==', action);
+    }
+    if (from) {
+      query = query.where('timestamp', '>=', from);
+    }
+    if (to) {
+      query = query.where('timestamp', '<=', to);
+    }
+    query = query.orderBy('timestamp', 'desc').limit(limit);
+
+    // The page token is the ID of the last entry of the previous page
+    if (pageToken) {
+      const cursor = await db.collection('auditLog').doc(pageToken).get();
+      if (!cursor.exists || (organizationId && cursor.data().organizationId !== organizationId)) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Invalid page token.'
+        );
+      }
+      query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.get();
+    const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const nextPageToken = entries.length === limit ? entries[entries.length - 1].id : null;
+
+    return { success: true, entries, nextPageToken };
+  } catch (error) {
+    console.error('Error getting audit log:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Check that no audit log entry has been modified or deleted (audit.verify).
+ * Admins verify the chain of their organization. Super admins verify the chain
+ * of the organization they pass, or else the deployment chain and the legacy
+ * chain written before chains were split per organization.
+ */
+const verifyAuditChain = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may verify the audit log
+    const user = await requirePermission(context, PERMISSIONS.AUDIT_VERIFY, 'verify the audit log');
+    const isSuperAdmin = hasPermission(user, PERMISSIONS.ORGANIZATION_MANAGE);
+
+    const organizationId = isSuperAdmin ? data?.organizationId : getOrganizationId(context);
+
+    let result;
+    if (organizationId) {
+      result = await verifyChain(getChainId(organizationId));
+    } else {
+      const chains = [await verifyChain(getChainId(null)), await verifyChain(null)];
+      result = {
+        valid: chains.every(chain => chain.valid),
+        checked: chains.reduce((total, chain) => total + chain.checked, 0),
+        problems: chains.flatMap(chain => chain.problems)
+      };
+    }
+
+    if (!result.valid) {
+      console.error('Audit log chain verification failed:', result.problems);
+    }
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  getAuditLog,
+  verifyAuditChain
+};
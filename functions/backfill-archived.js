@@ -0,0 +1,64 @@
+/**
+ * Script to give every assessment written before archiving existed an
+ * archived field. Assessment lists filter on archived == false, which leaves
+ * out documents that have no archived field at all.
+ * Runs after every functions deploy (see postdeploy in firebase.json), once
+ * the deployed code writes the field itself. Safe to run more than once.
+ * Run by hand with: npm run backfill:archived
+ */
+
+// Initializes the Firebase Admin SDK using environment variables
+const { db } = require('./config/firebase');
+
+// Firestore batches hold at most 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Set archived to false on every assessment without a boolean archived field
+ * @returns {Promise<Object>} - Number of assessments checked and updated ({ checked, updated })
+ */
+async function backfillArchived() {
+  let updated = 0;
+  let checked = 0;
+  let last = null;
+
+  // Firestore cannot query for a missing field, so every assessment is read
+  do {
+    let query = db.collection('assessments').orderBy('__name__').limit(BATCH_SIZE);
+    if (last) {
+      query = query.startAfter(last);
+    }
+    const snapshot = await query.get();
+    last = snapshot.size === BATCH_SIZE ? snapshot.docs[snapshot.size - 1] : null;
+
+    const missing = snapshot.docs.filter(doc => typeof doc.data().archived !== 'boolean');
+    if (missing.length > 0) {
+      const batch = db.batch();
+      // updatedAt is left alone, the assessment itself did not change
+      missing.forEach(doc => batch.update(doc.ref, { archived: doc.data().archived === true }));
+      await batch.commit();
+    }
+
+    checked += snapshot.size;
+    updated += missing.length;
+    console.log(`Checked ${checked} assessments, updated ${updated}`);
+  } while (last);
+
+  return { checked, updated };
+}
+
+if (require.main === module) {
+  backfillArchived()
+    .then(() => console.log('Backfill finished.'))
+    .catch(error => {
+      console.error('Error backfilling archived fields:', error);
+      // A failed backfill fails the deploy that ran it
+      process.exitCode = 1;
+    })
+    .finally(() => {
+      // Exit the process
+      process.exit();
+    });
+}
+
+module.exports = { backfillArchived };
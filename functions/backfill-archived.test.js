@@ -0,0 +1,42 @@
+const path = require('path');
+const { db } = require('./config/firebase');
+const { backfillArchived } = require('./backfill-archived');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('./test/emulator');
+
+const firebaseConfig = require(path.join(__dirname, '..', 'firebase.json'));
+const { scripts } = require('./package.json');
+
+describe('deploying functions', () => {
+  test('backfills archived fields once the new code is live', () => {
+    const [codebase] = firebaseConfig.functions;
+    expect(codebase.predeploy).toBeUndefined();
+    expect(codebase.postdeploy).toEqual([expect.stringContaining('run backfill:archived')]);
+    expect(scripts['backfill:archived']).toBe('node backfill-archived.js');
+  });
+});
+
+describeWithEmulator('backfillArchived', () => {
+  beforeEach(clearEmulators);
+
+  afterAll(closeFirebase);
+
+  test('gives assessments without an archived field one and leaves the rest alone', async () => {
+    await db.collection('assessments').doc('legacy').set({ title: 'Legacy', updatedAt: 'then' });
+    await db.collection('assessments').doc('current').set({ title: 'Current', archived: false });
+    await db.collection('assessments').doc('archived').set({ title: 'Archived', archived: true });
+
+    const result = await backfillArchived();
+
+    expect(result).toEqual({ checked: 3, updated: 1 });
+    expect((await db.collection('assessments').doc('legacy').get()).data())
+      .toEqual({ title: 'Legacy', updatedAt: 'then', archived: false });
+    expect((await db.collection('assessments').doc('archived').get()).data().archived).toBe(true);
+  });
+
+  test('changes nothing when run again', async () => {
+    await db.collection('assessments').doc('legacy').set({ title: 'Legacy' });
+
+    await backfillArchived();
+    expect(await backfillArchived()).toEqual({ checked: 1, updated: 0 });
+  });
+});
@@ -0,0 +1,394 @@
+/**
+ * Assessment comment API endpoints
+ *
+ * Comments live in assessments/{assessmentId}/comments. A comment either
+ * starts a thread or replies to one, may be anchored to a section or question
+ * of the assessment content, and may @mention users with @[Name](userId).
+ * Everyone who can see the assessment can read and write its comments.
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { getDocById } = require('../utils/db');
+const { withPermissions } = require('../utils/auth');
+const { getViewableAssessment, canViewAssessment } = require('../assessments/policy');
+
+// Maximum length of a comment body
+const MAX_BODY_LENGTH = 5000;
+
+// Mentions in a comment body, written as @[Display Name](userId)
+const MENTION_PATTERN = /@\[[^\]]*\]\(([A-Za-z0-9_-]+)\)/g;
+
+// Maximum number of users one comment can mention
+const MAX_MENTIONS = 20;
+
+/**
+ * Get the comments collection of an assessment
+ * @param {string} assessmentId - Assessment ID
+ * @returns {Object} - Collection reference
+ */
+const commentsRef = (assessmentId) => {
+  return db.collection('assessments').doc(assessmentId).collection('comments');
+};
+
+/**
+ * Check a comment body
+ * @param {string} body - Comment body
+ * @throws {functions.https.HttpsError} - When the body is empty or too long
+ */
+const assertValidBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Comment body is required.'
+    );
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Comments cannot be longer than ${MAX_BODY_LENGTH} characters.`
+    );
+  }
+};
+
+/**
+ * Collect the users mentioned in a comment and check they can see the assessment
+ * @param {string} body - Comment body
+ * @param {Array} explicitMentions - User IDs passed alongside the body
+ * @param {Object} assessment - Assessment data
+ * @returns {Promise<Array>} - Mentioned user IDs
+ */
+const resolveMentions = async (body, explicitMentions, assessment) => {
+  const ids = new Set(Array.isArray(explicitMentions) ? explicitMentions : []);
+  for (const match of body.matchAll(MENTION_PATTERN)) {
+    ids.add(match[1]);
+  }
+
+  // Every mention reads a user and notifies them
+  if (ids.size > MAX_MENTIONS) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `A comment can mention at most ${MAX_MENTIONS} users.`
+    );
+  }
+
+  const invalid = [];
+  for (const id of ids) {
+    try {
+      // Users who are pending approval or inactive have no permissions, so they see nothing
+      const user = await withPermissions(await getDocById('users', id, assessment.organizationId));
+      if (!canViewAssessment(user, assessment)) {
+        invalid.push(id);
+      }
+    } catch (error) {
+      invalid.push(id);
+    }
+  }
+
+  if (invalid.length > 0) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Some mentioned users do not exist or cannot see this assessment.',
+      { userIds: invalid }
+    );
+  }
+
+  return [...ids];
+};
+
+/**
+ * Check that an anchor points at a section or question of the assessment content
+ * @param {Object} anchor - Anchor ({ sectionId, questionId })
+ * @param {Object} assessment - Assessment data
+ * @returns {Object} - Anchor to store ({ sectionId, questionId })
+ * @throws {functions.https.HttpsError} - When the section or question does not exist
+ */
+const resolveAnchor = (anchor, assessment) => {
+  if (typeof anchor !== 'object' || (!anchor.sectionId && !anchor.questionId)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'An anchor needs a sectionId or questionId.'
+    );
+  }
+
+  const sections = assessment.content?.sections || [];
+  const section = anchor.sectionId ? sections.find(item => item.id === anchor.sectionId) : null;
+  if (anchor.sectionId && !section) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `The assessment has no section with ID: ${anchor.sectionId}`
+    );
+  }
+
+  // A question given with its section has to be in that section
+  if (anchor.questionId) {
+    const questions = (section ? [section] : sections).flatMap(item => item.questions || []);
+    if (!questions.some(question => question.id === anchor.questionId)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        section
+          ? `Section ${anchor.sectionId} has no question with ID: ${anchor.questionId}`
+          : `The assessment has no question with ID: ${anchor.questionId}`
+      );
+    }
+  }
+
+  return {
+    sectionId: anchor.sectionId || null,
+    questionId: anchor.questionId || null
+  };
+};
+
+/**
+ * Add a comment or a reply to an assessment
+ */
+const addComment = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to comment.'
+      );
+    }
+
+    const { assessmentId, body, parentId, anchor, mentions } = data;
+
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+    assertValidBody(body);
+
+    const { viewer, assessment } = await getViewableAssessment(context.auth.uid, assessmentId);
+
+    // Replies join the thread of their parent and share its anchor
+    let threadId = null;
+    let commentAnchor = null;
+    if (parentId) {
+      const parent = await commentsRef(assessmentId).doc(parentId).get();
+      if (!parent.exists) {
+        throw new functions.https.HttpsError(
+          'not-found',
+          `Comment not found with ID: ${parentId}`
+        );
+      }
+      threadId = parent.data().threadId || parent.id;
+      commentAnchor = parent.data().anchor || null;
+    } else if (anchor) {
+      commentAnchor = resolveAnchor(anchor, assessment);
+    }
+
+    const mentionIds = await resolveMentions(body, mentions, assessment);
+
+    const docRef = commentsRef(assessmentId).doc();
+    await docRef.set({
+      authorId: viewer.id,
+      authorName: viewer.displayName || '',
+      body,
+      parentId: parentId || null,
+      threadId: threadId || docRef.id,
+      anchor: commentAnchor,
+      mentions: mentionIds,
+      resolved: false,
+      resolvedBy: null,
+      resolvedAt: null,
+      edited: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      message: 'Comment added successfully',
+      commentId: docRef.id
+    };
+  } catch (error) {
+    console.error('Error adding comment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Edit the body of a comment (author only)
+ */
+const editComment = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to edit a comment.'
+      );
+    }
+
+    const { assessmentId, commentId, body, mentions } = data;
+
+    if (!assessmentId || !commentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID and comment ID are required.'
+      );
+    }
+    assertValidBody(body);
+
+    const { viewer, assessment } = await getViewableAssessment(context.auth.uid, assessmentId);
+
+    const docRef = commentsRef(assessmentId).doc(commentId);
+    const comment = await docRef.get();
+    if (!comment.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Comment not found with ID: ${commentId}`
+      );
+    }
+    if (comment.data().authorId !== viewer.id) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Only the author can edit a comment.'
+      );
+    }
+
+    const mentionIds = await resolveMentions(body, mentions, assessment);
+
+    await docRef.update({
+      body,
+      mentions: mentionIds,
+      edited: true,
+      editedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      message: 'Comment updated successfully'
+    };
+  } catch (error) {
+    console.error('Error editing comment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Resolve or reopen a comment thread
+ */
+const resolveComment = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to resolve a comment.'
+      );
+    }
+
+    const { assessmentId, commentId } = data;
+    const resolved = data.resolved !== false;
+
+    if (!assessmentId || !commentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID and comment ID are required.'
+      );
+    }
+
+    const { viewer } = await getViewableAssessment(context.auth.uid, assessmentId);
+
+    const docRef = commentsRef(assessmentId).doc(commentId);
+    const comment = await docRef.get();
+    if (!comment.exists) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Comment not found with ID: ${commentId}`
+      );
+    }
+    if (comment.data().parentId) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'Only the first comment of a thread can be resolved.'
+      );
+    }
+
+    await docRef.update({
+      resolved,
+      resolvedBy: resolved ? viewer.id : null,
+      resolvedAt: resolved ? admin.firestore.FieldValue.serverTimestamp() : null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      message: resolved ? 'Comment thread resolved' : 'Comment thread reopened'
+    };
+  } catch (error) {
+    console.error('Error resolving comment:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get the comment threads of an assessment, oldest first,
+ * optionally filtered by resolved state or anchor
+ */
+const getComments = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get comments.'
+      );
+    }
+
+    const { assessmentId, resolved, sectionId, questionId } = data;
+
+    if (!assessmentId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Assessment ID is required.'
+      );
+    }
+
+    await getViewableAssessment(context.auth.uid, assessmentId);
+
+    const snapshot = await commentsRef(assessmentId).orderBy('createdAt').get();
+    const comments = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    // Group replies under the comment that started their thread
+    const threads = comments
+      .filter(comment => !comment.parentId)
+      .map(comment => ({
+        ...comment,
+        replies: comments.filter(reply => reply.parentId && reply.threadId === comment.id)
+      }))
+      .filter(thread => resolved === undefined || thread.resolved === Boolean(resolved))
+      .filter(thread => !sectionId || thread.anchor?.sectionId === sectionId)
+      .filter(thread => !questionId || thread.anchor?.questionId === questionId);
+
+    return { success: true, threads };
+  } catch (error) {
+    console.error('Error getting comments:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  addComment,
+  editComment,
+  resolveComment,
+  getComments
+};
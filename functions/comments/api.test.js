@@ -0,0 +1,104 @@
+const { db } = require('../config/firebase');
+const { addComment, editComment, resolveComment, getComments } = require('./api');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  contextFor
+} = require('../test/emulator');
+
+const signedIn = { auth: { uid: 'lecturer', token: { uid: 'lecturer' } } };
+
+describe('addComment', () => {
+  test('requires a signed-in user', async () => {
+    await expect(addComment.run({ assessmentId: 'a1', body: 'Hi' }, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+
+  test('checks the body before loading the assessment', async () => {
+    await expect(addComment.run({ assessmentId: 'a1', body: '  ' }, signedIn))
+      .rejects.toMatchObject({ code: 'invalid-argument', message: 'Comment body is required.' });
+    await expect(addComment.run({ assessmentId: 'a1', body: 'x'.repeat(5001) }, signedIn))
+      .rejects.toMatchObject({ message: 'Comments cannot be longer than 5000 characters.' });
+  });
+});
+
+describeWithEmulator('assessment comments', () => {
+  let lecturer;
+  let moderator;
+
+  beforeEach(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+    lecturer = await seedUser('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+    moderator = await seedUser('moderator', { organizationId: 'org1', roles: ['moderator'] });
+    await seedUser('outsider', { organizationId: 'org2', roles: ['admin'] });
+    await db.collection('assessments').doc('a1').set({
+      organizationId: 'org1',
+      lecturerId: 'lecturer',
+      moderatorId: 'moderator',
+      status: 'in_review',
+      content: {
+        sections: [{ id: 's1', questions: [{ id: 'q1' }] }, { id: 's2', questions: [{ id: 'q2' }] }]
+      }
+    });
+  });
+
+  afterAll(closeFirebase);
+
+  test('threads replies under their parent and its anchor', async () => {
+    const { commentId } = await addComment.run({
+      assessmentId: 'a1',
+      body: 'Question 1 is unclear.',
+      anchor: { sectionId: 's1', questionId: 'q1' }
+    }, contextFor(moderator));
+    await addComment.run({ assessmentId: 'a1', body: 'Reworded it.', parentId: commentId }, contextFor(lecturer));
+
+    const { threads } = await getComments.run({ assessmentId: 'a1', questionId: 'q1' }, contextFor(lecturer));
+    expect(threads).toHaveLength(1);
+    expect(threads[0].replies.map(reply => reply.body)).toEqual(['Reworded it.']);
+    expect(threads[0].replies[0].anchor).toEqual({ sectionId: 's1', questionId: 'q1' });
+  });
+
+  test('refuses anchors that are not in the content', async () => {
+    await expect(addComment.run({
+      assessmentId: 'a1',
+      body: 'Here.',
+      anchor: { sectionId: 's1', questionId: 'q2' }
+    }, contextFor(moderator))).rejects.toMatchObject({ message: 'Section s1 has no question with ID: q2' });
+  });
+
+  test('only lets mentions name users who can see the assessment', async () => {
+    const { commentId } = await addComment.run({
+      assessmentId: 'a1',
+      body: 'Thoughts, @[Lecturer](lecturer)?'
+    }, contextFor(moderator));
+    const comment = (await db.collection('assessments').doc('a1').collection('comments').doc(commentId).get()).data();
+    expect(comment.mentions).toEqual(['lecturer']);
+
+    await expect(addComment.run({ assessmentId: 'a1', body: 'Hi @[Outsider](outsider)' }, contextFor(moderator)))
+      .rejects.toMatchObject({ code: 'invalid-argument', details: { userIds: ['outsider'] } });
+  });
+
+  test('caps the number of mentions', async () => {
+    const mentions = Array.from({ length: 21 }, (value, index) => `user${index}`);
+    await expect(addComment.run({ assessmentId: 'a1', body: 'Everyone', mentions }, contextFor(moderator)))
+      .rejects.toMatchObject({ message: 'A comment can mention at most 20 users.' });
+  });
+
+  test('lets only the author edit, and only threads be resolved', async () => {
+    const { commentId } = await addComment.run({ assessmentId: 'a1', body: 'First.' }, contextFor(moderator));
+    const reply = await addComment.run({ assessmentId: 'a1', body: 'Reply.', parentId: commentId }, contextFor(lecturer));
+
+    await expect(editComment.run({ assessmentId: 'a1', commentId, body: 'Changed.' }, contextFor(lecturer)))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    await expect(resolveComment.run({ assessmentId: 'a1', commentId: reply.commentId }, contextFor(lecturer)))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+
+    await resolveComment.run({ assessmentId: 'a1', commentId }, contextFor(lecturer));
+    const { threads } = await getComments.run({ assessmentId: 'a1', resolved: true }, contextFor(moderator));
+    expect(threads.map(thread => thread.id)).toEqual([commentId]);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Trigger function that runs when an assessment comment is written
+ */
+
+const functions = require('firebase-functions');
+const { NOTIFICATION_TYPES, createNotifications } = require('../utils/notifications');
+
+/**
+ * When a comment is added or edited, notify the users
+ * who were newly @mentioned in it
+ */
+const onCommentWritten = functions.firestore
+  .onDocumentWritten('assessments/{assessmentId}/comments/{commentId}', async (event) => {
+    const context = event;
+    try {
+      const { assessmentId, commentId } = context.params;
+      const beforeData = event.data.before.exists ? event.data.before.data() : null;
+      const afterData = event.data.after.exists ? event.data.after.data() : null;
+      
+      // Nothing to notify about when a comment is deleted
+      if (!afterData) {
+        return null;
+      }
+      
+      const previousMentions = beforeData?.mentions || [];
+      const newMentions = (afterData.mentions || [])
+        .filter(userId => !previousMentions.includes(userId) && userId !== afterData.authorId);
+      
+      if (newMentions.length > 0) {
+        console.log(`Notifying users mentioned in comment ${commentId}:`, newMentions);
+        await createNotifications(newMentions, {
+          type: NOTIFICATION_TYPES.COMMENT_MENTION,
+          title: 'You were mentioned in a comment',
+          message: `${afterData.authorName || 'Someone'} mentioned you: "${afterData.body.slice(0, 140)}"`,
+          data: { assessmentId, commentId, threadId: afterData.threadId }
+        });
+      }
+      
+      return null;
+    } catch (error) {
+      console.error('Error in onCommentWritten trigger:', error);
+      return null;
+    }
+  });
+
+module.exports = onCommentWritten;
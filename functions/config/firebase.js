@@ -7,7 +7,10 @@ admin.initializeApp({
     projectId: process.env.FIREBASE_PROJECT_ID,
     clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
     privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n')
-  })
+  }),
+  storageBucket: process.env.FIREBASE_STORAGE_BUCKET
 });
 
-module.exports = { admin };
\ No newline at end of file
+const db = admin.firestore();
+
+module.exports = { admin, db };
\ No newline at end of file
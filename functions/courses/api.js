@@ -0,0 +1,340 @@
+/**
+ * Course API endpoints
+ *
+ * Courses (academic modules) group assessments and the staff who work on them.
+ * Lecturers of a course can create assessments for it and moderators of a
+ * course review them.
+ */
+
+const functions = require('firebase-functions');
+const { admin } = require('../config/firebase');
+const { getDocById, queryDocs, createDoc, updateDoc } = require('../utils/db');
+const { requirePermission, getApprovedUser } = require('../utils/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { getOrganizationId, isOrganizationMember } = require('../utils/tenancy');
+
+/**
+ * Normalise a course code so codes compare case-insensitively
+ * @param {string} code - Course code
+ * @returns {string} - Normalised code
+ */
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Permission the members of each course staff list need
+const STAFF_PERMISSIONS = {
+  lecturer: PERMISSIONS.ASSESSMENT_CREATE,
+  moderator: PERMISSIONS.ASSESSMENT_MODERATE
+};
+
+/**
+ * Check that every user exists, is approved, holds the staff permission and belongs to the organization
+ * @param {Array} userIds - User IDs
+ * @param {string} staff - Staff list ('lecturer' or 'moderator')
+ * @param {string} organizationId - Organization of the course
+ * @throws {functions.https.HttpsError} - When a user does not qualify
+ */
+const assertStaff = async (userIds, staff, organizationId) => {
+  for (const userId of userIds) {
+    const user = await getApprovedUser(userId);
+    if (!user || !hasPermission(user, STAFF_PERMISSIONS[staff]) || !isOrganizationMember(user, organizationId)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `User ${userId} is not an approved ${staff}.`
+      );
+    }
+  }
+};
+
+/**
+ * Check an optional moderation SLA
+ * @param {*} slaDays - Days moderators have to review a submission
+ * @throws {functions.https.HttpsError} - When it is not a positive whole number
+ */
+const assertValidSla = (slaDays) => {
+  if (slaDays !== undefined && slaDays !== null && !(Number.isInteger(slaDays) && slaDays > 0)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'moderationSlaDays must be a positive whole number of days.'
+    );
+  }
+};
+
+/**
+ * Create a course (course.manage)
+ */
+const createCourse = functions.https.onCall(async (data, context) => {
+  try {
+    const { id: userId } = await requirePermission(context, PERMISSIONS.COURSE_MANAGE, 'create courses');
+
+    const { code, name, faculty, department, moderationSlaDays } = data;
+    const lecturerIds = data.lecturerIds || [];
+    const moderatorIds = data.moderatorIds || [];
+
+    if (!code || !name || !department) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Code, name, and department are required.'
+      );
+    }
+
+    assertValidSla(moderationSlaDays);
+
+    const organizationId = getOrganizationId(context);
+    const courseCode = normalizeCode(code);
+    const existing = await queryDocs(
+      'courses', [{ field: 'code', operator: '==', value: courseCode }], { organizationId }
+    );
+    if (existing.length > 0) {
+      throw new functions.https.HttpsError(
+        'already-exists',
+        `A course with code ${courseCode} already exists.`
+      );
+    }
+
+    await assertStaff(lecturerIds, 'lecturer', organizationId);
+    await assertStaff(moderatorIds, 'moderator', organizationId);
+
+    const docRef = await createDoc('courses', {
+      organizationId,
+      code: courseCode,
+      name,
+      faculty: faculty || null,
+      department,
+      lecturerIds: [...new Set(lecturerIds)],
+      moderatorIds: [...new Set(moderatorIds)],
+      moderationSlaDays: moderationSlaDays || null,
+      active: true,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      message: 'Course created successfully',
+      courseId: docRef.id
+    };
+  } catch (error) {
+    console.error('Error creating course:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Update the details of a course (course.manage)
+ */
+const updateCourse = functions.https.onCall(async (data, context) => {
+  try {
+    await requirePermission(context, PERMISSIONS.COURSE_MANAGE, 'update courses');
+
+    const { courseId, name, faculty, department, moderationSlaDays, active } = data;
+
+    if (!courseId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Course ID is required.'
+      );
+    }
+
+    await getDocById('courses', courseId, getOrganizationId(context));
+
+    const updateData = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (name !== undefined) {
+      updateData.name = name;
+    }
+    if (faculty !== undefined) {
+      updateData.faculty = faculty;
+    }
+    if (department !== undefined) {
+      updateData.department = department;
+    }
+    if (moderationSlaDays !== undefined) {
+      assertValidSla(moderationSlaDays);
+      updateData.moderationSlaDays = moderationSlaDays;
+    }
+    if (active !== undefined) {
+      updateData.active = Boolean(active);
+    }
+
+    await updateDoc('courses', courseId, updateData);
+
+    return {
+      success: true,
+      message: 'Course updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating course:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Add or remove the lecturers and moderators of a course (course.manage)
+ */
+const updateCourseStaff = functions.https.onCall(async (data, context) => {
+  try {
+    await requirePermission(context, PERMISSIONS.COURSE_MANAGE, 'manage course staff');
+
+    const { courseId } = data;
+    const addLecturerIds = data.addLecturerIds || [];
+    const removeLecturerIds = data.removeLecturerIds || [];
+    const addModeratorIds = data.addModeratorIds || [];
+    const removeModeratorIds = data.removeModeratorIds || [];
+
+    if (!courseId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Course ID is required.'
+      );
+    }
+
+    const course = await getDocById('courses', courseId, getOrganizationId(context));
+
+    await assertStaff(addLecturerIds, 'lecturer', course.organizationId);
+    await assertStaff(addModeratorIds, 'moderator', course.organizationId);
+
+    const lecturerIds = [...new Set([...(course.lecturerIds || []), ...addLecturerIds])]
+      .filter(id => !removeLecturerIds.includes(id));
+    const moderatorIds = [...new Set([...(course.moderatorIds || []), ...addModeratorIds])]
+      .filter(id => !removeModeratorIds.includes(id));
+
+    await updateDoc('courses', courseId, {
+      lecturerIds,
+      moderatorIds,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      message: 'Course staff updated successfully',
+      lecturerIds,
+      moderatorIds
+    };
+  } catch (error) {
+    console.error('Error updating course staff:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get courses with optional department, faculty and membership filters
+ */
+const getCourses = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get courses.'
+      );
+    }
+
+    const user = await getApprovedUser(context.auth.uid);
+
+    if (!user) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Your account must be approved to view courses.'
+      );
+    }
+
+    // Apply filters if provided
+    const conditions = [];
+    if (data?.department) {
+      conditions.push({ field: 'department', operator: '==', value: data.department });
+    }
+    if (data?.faculty) {
+      conditions.push({ field: 'faculty', operator: '==', value: data.faculty });
+    }
+    if (data?.active !== undefined) {
+      conditions.push({ field: 'active', operator: '==', value: Boolean(data.active) });
+    }
+
+    // Only the courses the caller teaches or moderates
+    if (data?.mine) {
+      // Staff lists are lecturerIds and moderatorIds
+      const groups = Object.keys(STAFF_PERMISSIONS)
+        .filter(staff => hasPermission(user, STAFF_PERMISSIONS[staff]))
+        .map(staff => [{ field: `${staff}Ids`, operator: 'array-contains', value: user.id }]);
+      if (groups.length === 0) {
+        return { success: true, courses: [] };
+      }
+      conditions.push(groups.length === 1 ? groups[0][0] : { or: groups });
+    }
+
+    const courses = await queryDocs('courses', conditions, {
+      orderBy: { field: 'code' },
+      organizationId: getOrganizationId(context)
+    });
+
+    return { success: true, courses };
+  } catch (error) {
+    console.error('Error getting courses:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get course by ID
+ */
+const getCourseById = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get a course.'
+      );
+    }
+
+    const user = await getApprovedUser(context.auth.uid);
+
+    if (!user) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Your account must be approved to view courses.'
+      );
+    }
+
+    const { courseId } = data;
+
+    if (!courseId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Course ID is required.'
+      );
+    }
+
+    const course = await getDocById('courses', courseId, getOrganizationId(context));
+
+    return { success: true, course };
+  } catch (error) {
+    console.error('Error getting course by ID:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  createCourse,
+  updateCourse,
+  updateCourseStaff,
+  getCourses,
+  getCourseById
+};
@@ -0,0 +1,86 @@
+const { db } = require('../config/firebase');
+const { createCourse, updateCourse, updateCourseStaff, getCourses } = require('./api');
+const onCourseUpdate = require('./onUpdate');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  seedCourse,
+  contextFor
+} = require('../test/emulator');
+
+describe('getCourses', () => {
+  test('requires a signed-in user', async () => {
+    await expect(getCourses.run({}, {})).rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+});
+
+describeWithEmulator('courses', () => {
+  let orgAdmin;
+  let lecturer;
+
+  beforeEach(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+    orgAdmin = await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+    lecturer = await seedUser('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+    await seedUser('moderator', { organizationId: 'org1', roles: ['moderator'] });
+    await seedUser('elsewhere', { organizationId: 'org2', roles: ['lecturer'] });
+  });
+
+  afterAll(closeFirebase);
+
+  test('creates courses with unique, normalised codes', async () => {
+    const { courseId } = await createCourse.run({
+      code: ' cs101 ',
+      name: 'Programming',
+      department: 'Computing',
+      lecturerIds: ['lecturer', 'lecturer']
+    }, contextFor(orgAdmin));
+
+    const course = (await db.collection('courses').doc(courseId).get()).data();
+    expect(course).toMatchObject({ organizationId: 'org1', code: 'CS101', lecturerIds: ['lecturer'], active: true });
+
+    await expect(createCourse.run({ code: 'CS101', name: 'Again', department: 'Computing' }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ code: 'already-exists' });
+  });
+
+  test('only takes staff of the organization who hold the staff permission', async () => {
+    const course = { code: 'CS102', name: 'Data', department: 'Computing' };
+
+    await expect(createCourse.run({ ...course, lecturerIds: ['elsewhere'] }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ message: 'User elsewhere is not an approved lecturer.' });
+    await expect(createCourse.run({ ...course, moderatorIds: ['lecturer'] }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ message: 'User lecturer is not an approved moderator.' });
+  });
+
+  test('checks the moderation SLA', async () => {
+    await seedCourse('cs101', { organizationId: 'org1' });
+    await expect(updateCourse.run({ courseId: 'cs101', moderationSlaDays: 1.5 }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ message: 'moderationSlaDays must be a positive whole number of days.' });
+  });
+
+  test('lists the courses the caller teaches', async () => {
+    await seedCourse('cs101', { organizationId: 'org1', lecturerIds: ['lecturer'] });
+    await seedCourse('cs102', { organizationId: 'org1' });
+    await seedCourse('cs103', { organizationId: 'org2', lecturerIds: ['lecturer'] });
+
+    const { courses } = await getCourses.run({ mine: true }, contextFor(lecturer));
+    expect(courses.map(course => course.id)).toEqual(['cs101']);
+  });
+
+  test('copies staff changes onto the course\'s assessments', async () => {
+    await seedCourse('cs101', { organizationId: 'org1' });
+    await db.collection('assessments').doc('a1').set({ organizationId: 'org1', courseId: 'cs101', courseModeratorIds: [] });
+    const courseRef = db.collection('courses').doc('cs101');
+    const before = await courseRef.get();
+
+    await updateCourseStaff.run({ courseId: 'cs101', addModeratorIds: ['moderator'] }, contextFor(orgAdmin));
+    await onCourseUpdate.run({ params: { courseId: 'cs101' }, data: { before, after: await courseRef.get() } });
+
+    const assessment = (await db.collection('assessments').doc('a1').get()).data();
+    expect(assessment.courseModeratorIds).toEqual(['moderator']);
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Trigger function that runs when a course document is updated
+ */
+
+const functions = require('firebase-functions');
+const { db } = require('../config/firebase');
+
+// Course fields copied onto each of the course's assessments
+const COURSE_FIELDS = {
+  code: 'courseCode',
+  faculty: 'faculty',
+  department: 'department',
+  moderatorIds: 'courseModeratorIds'
+};
+
+// Firestore batches hold at most 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * When a course is updated in Firestore, copy the changed course details
+ * onto its assessments so they can be filtered and their review queue
+ * limited to the course's moderators
+ */
+const onCourseUpdate = functions.firestore
+  .onDocumentUpdated('courses/{courseId}', async (event) => {
+    const change = {
+      before: event.data.before,
+      after: event.data.after
+    };
+    const context = event;
+    try {
+      const courseId = context.params.courseId;
+      const beforeData = change.before.data();
+      const afterData = change.after.data();
+
+      const updateData = {};
+      Object.entries(COURSE_FIELDS).forEach(([courseField, assessmentField]) => {
+        if (JSON.stringify(beforeData[courseField]) !== JSON.stringify(afterData[courseField])) {
+          updateData[assessmentField] = afterData[courseField] ?? null;
+        }
+      });
+
+      if (Object.keys(updateData).length === 0) {
+        return null;
+      }
+
+      const snapshot = await db.collection('assessments')
+        .where('courseId', '==', courseId)
+        .get();
+
+      for (let i = 0; i < snapshot.docs.length; i += BATCH_SIZE) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + BATCH_SIZE).forEach(doc => batch.update(doc.ref, updateData));
+        await batch.commit();
+      }
+
+      console.log(`Updated ${snapshot.size} assessments of course ${courseId}`);
+      return null;
+    } catch (error) {
+      console.error('Error in onCourseUpdate function:', error);
+      return null;
+    }
+  });
+
+module.exports = onCourseUpdate;
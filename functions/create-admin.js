@@ -1,22 +1,12 @@
 /**
- * Script to create the first admin user for Moducate
+ * Script to create the super admin user for Moducate.
+ * The super admin creates organizations and their first admins.
  * Run with: node create-admin.js
  */
 
-require('dotenv').config();
-const admin = require('firebase-admin');
-
-// Initialize Firebase Admin SDK using environment variables
-admin.initializeApp({
-  credential: admin.credential.cert({
-    projectId: process.env.FIREBASE_PROJECT_ID,
-    clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-    // The private key needs to be properly formatted with newlines
-    privateKey: process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n')
-  })
-});
-
-const db = admin.firestore();
+// Initializes the Firebase Admin SDK using environment variables
+const { admin, db } = require('./config/firebase');
+const { setUserClaims } = require('./utils/claims');
 
 // Admin user details
 const adminUser = {
@@ -27,19 +17,19 @@ const adminUser = {
 
 async function createAdminUser() {
   try {
-    console.log('Checking if any admin users already exist...');
+    console.log('Checking if a super admin already exists...');
     
-    // Check if any admin users already exist
+    // Check if a super admin already exists
     const adminSnapshot = await db.collection('users')
-      .where('role', '==', 'admin')
+      .where('roles', 'array-contains', 'super_admin')
       .get();
     
     if (!adminSnapshot.empty) {
-      console.error('An admin user already exists. Cannot create another admin.');
+      console.error('A super admin already exists. Cannot create another one.');
       return;
     }
     
-    console.log('No existing admin found. Creating new admin user...');
+    console.log('No existing super admin found. Creating new super admin user...');
     
     // Create the user in Firebase Auth
     const userRecord = await admin.auth().createUser({
@@ -52,21 +42,19 @@ async function createAdminUser() {
     console.log('User created in Firebase Auth:', userRecord.uid);
     
     // Set admin custom claims
-    const customClaims = {
-      admin: true,
-      moderator: false,
-      lecturer: false,
-      approved: true
-    };
-    
-    await admin.auth().setCustomUserClaims(userRecord.uid, customClaims);
+    const customClaims = await setUserClaims(userRecord.uid, {
+      roles: ['super_admin'],
+      approved: true,
+      organizationId: null
+    });
     console.log('Custom claims set for admin user');
     
     // Create user document in Firestore
     await db.collection('users').doc(userRecord.uid).set({
       displayName: adminUser.displayName,
       email: adminUser.email,
-      role: 'admin',
+      roles: ['super_admin'],
+      organizationId: null,
       approved: true,
       active: true,
       customClaims,
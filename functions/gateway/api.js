@@ -0,0 +1,148 @@
+/**
+ * REST API gateway
+ *
+ * Exposes the user and assessment callables as REST resources for clients
+ * that cannot use the callable protocol, such as reporting tools and LMS
+ * scripts. Requests authenticate with a Firebase ID token as a bearer token;
+ * the decoded token becomes the callable's context, so every route is
+ * authorized by the callable behind it. Errors are returned as JSON bodies
+ * ({ error: { code, message, details } }), and the OpenAPI document of the
+ * routes is served at /openapi.json.
+ */
+
+const functions = require('firebase-functions');
+const express = require('express');
+const cors = require('cors');
+const { admin } = require('../config/firebase');
+const { routes } = require('./routes');
+const { ERROR_STATUSES, buildOpenApiSpec } = require('./openapi');
+
+const openApiSpec = buildOpenApiSpec(routes);
+
+/**
+ * Convert a query string value to the type its route declares
+ * @param {string} name - Parameter name
+ * @param {string} value - Query string value
+ * @param {Object} field - Parameter definition, see gateway/routes
+ * @returns {*} - Converted value
+ * @throws {functions.https.HttpsError} - When the value does not have the declared type
+ */
+const parseQueryValue = (name, value, field) => {
+  if (field.type === 'boolean') {
+    if (value !== 'true' && value !== 'false') {
+      throw new functions.https.HttpsError('invalid-argument', `${name} must be true or false.`);
+    }
+    return value === 'true';
+  }
+  if (field.type === 'integer') {
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+      throw new functions.https.HttpsError('invalid-argument', `${name} must be a whole number.`);
+    }
+    return number;
+  }
+  return value;
+};
+
+/**
+ * Build the data a route passes to its callable: the declared query
+ * parameters, then the JSON body, then the path parameters
+ * @param {Object} route - Route definition
+ * @param {Object} req - Express request
+ * @returns {Object} - Callable data
+ */
+const buildCallableData = (route, req) => {
+  const data = {};
+  Object.entries(route.query || {}).forEach(([name, field]) => {
+    if (typeof req.query[name] === 'string') {
+      data[name] = parseQueryValue(name, req.query[name], field);
+    }
+  });
+
+  if (route.body && req.body !== undefined && req.body !== null && req.body !== '') {
+    if (typeof req.body !== 'object' || Array.isArray(req.body)) {
+      throw new functions.https.HttpsError('invalid-argument', 'The request body must be a JSON object.');
+    }
+    Object.assign(data, req.body);
+  }
+
+  Object.entries(route.params || {}).forEach(([param, field]) => {
+    data[field] = req.params[param];
+  });
+  return data;
+};
+
+/**
+ * Verify the bearer token of a request and build the callable context from it
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Callable context ({ auth: { uid, token }, rawRequest })
+ * @throws {functions.https.HttpsError} - When the token is missing, invalid or revoked
+ */
+const authenticate = async (req) => {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      'Send a Firebase ID token as a bearer token in the Authorization header.'
+    );
+  }
+
+  try {
+    // Deactivating a user revokes their tokens, so revoked tokens are refused
+    const token = await admin.auth().verifyIdToken(match[1], true);
+    return { auth: { uid: token.uid, token }, rawRequest: req };
+  } catch (error) {
+    throw new functions.https.HttpsError('unauthenticated', 'The ID token is invalid, expired or revoked.');
+  }
+};
+
+/**
+ * Send an error as a JSON body with the matching HTTP status
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown while handling the request
+ */
+const sendError = (res, error) => {
+  const isHttpsError = error instanceof functions.https.HttpsError;
+  const code = isHttpsError ? error.code : 'internal';
+  const body = {
+    code,
+    message: isHttpsError ? error.message : 'Internal error.'
+  };
+  if (isHttpsError && error.details !== undefined) {
+    body.details = error.details;
+  }
+  res.status(ERROR_STATUSES[code] || 500).json({ error: body });
+};
+
+const app = express();
+app.use(cors({ origin: true }));
+
+app.get('/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+routes.forEach(route => {
+  app[route.method](route.path, async (req, res) => {
+    try {
+      const context = await authenticate(req);
+      const data = buildCallableData(route, req);
+      const result = await route.callable.run(data, context);
+      res.status(route.status || 200).json(result);
+    } catch (error) {
+      if (!(error instanceof functions.https.HttpsError)) {
+        console.error(`Error handling ${route.method.toUpperCase()} ${route.path}:`, error);
+      }
+      sendError(res, error);
+    }
+  });
+});
+
+app.use((req, res) => {
+  sendError(res, new functions.https.HttpsError('not-found', `No route for ${req.method} ${req.path}.`));
+});
+
+const api = functions.https.onRequest(app);
+
+module.exports = {
+  api
+};
@@ -0,0 +1,168 @@
+const http = require('http');
+const { admin } = require('../config/firebase');
+const { api } = require('./api');
+const { routes } = require('./routes');
+const { buildOpenApiSpec } = require('./openapi');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  seedCourse
+} = require('../test/emulator');
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer(api);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Send a request to the gateway
+ * @param {string} method - HTTP method
+ * @param {string} path - Path, including any query string
+ * @param {Object} options - { token, body }
+ * @returns {Promise<Object>} - { status, body }
+ */
+const request = async (method, path, { token, body } = {}) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe('buildOpenApiSpec', () => {
+  const spec = buildOpenApiSpec(routes);
+
+  test('documents every route once', () => {
+    const operations = Object.values(spec.paths).flatMap(path => Object.values(path));
+    expect(operations).toHaveLength(routes.length);
+    expect(new Set(operations.map(operation => operation.operationId)).size).toBe(routes.length);
+  });
+
+  test('uses OpenAPI path parameters', () => {
+    expect(spec.paths['/assessments/{id}']).toBeDefined();
+    expect(Object.keys(spec.paths).some(path => path.includes(':'))).toBe(false);
+  });
+});
+
+describe('api', () => {
+  test('serves the OpenAPI document without a token', async () => {
+    const { status, body } = await request('GET', '/openapi.json');
+    expect(status).toBe(200);
+    expect(body.openapi).toBe('3.0.3');
+  });
+
+  test('refuses requests without a bearer token', async () => {
+    const { status, body } = await request('GET', '/assessments');
+    expect(status).toBe(401);
+    expect(body.error.code).toBe('unauthenticated');
+  });
+
+  test('answers unknown routes with a JSON 404', async () => {
+    const { status, body } = await request('GET', '/nowhere');
+    expect(status).toBe(404);
+    expect(body.error).toEqual({ code: 'not-found', message: 'No route for GET /nowhere.' });
+  });
+});
+
+describeWithEmulator('api with a signed-in user', () => {
+  let token;
+
+  /**
+   * Sign a user in through the Auth emulator
+   * @param {Object} user - Seeded user data, including its ID
+   * @returns {Promise<string>} - ID token
+   */
+  const signIn = async (user) => {
+    const password = 'gateway password';
+    await admin.auth().createUser({ uid: user.id, email: user.email, password });
+    await admin.auth().setCustomUserClaims(user.id, {
+      roles: user.roles,
+      approved: true,
+      organizationId: user.organizationId
+    });
+    const url = `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}` +
+      '/identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=emulator';
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: user.email, password, returnSecureToken: true })
+    });
+    return (await response.json()).idToken;
+  };
+
+  beforeAll(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+    const lecturer = await seedUser('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+    await seedCourse('cs101', { organizationId: 'org1', lecturerIds: ['lecturer'] });
+    token = await signIn(lecturer);
+  });
+
+  afterAll(closeFirebase);
+
+  test('passes the body to the callable and answers with its status', async () => {
+    const { status, body } = await request('POST', '/assessments', {
+      token,
+      body: {
+        title: 'Gateway essay',
+        type: 'assignment',
+        courseId: 'cs101',
+        content: {
+          totalMarks: 5,
+          sections: [{
+            id: 's1',
+            title: 'Section 1',
+            questions: [{ id: 'q1', type: 'essay', prompt: 'Explain REST.', marks: 5 }]
+          }]
+        }
+      }
+    });
+
+    expect(status).toBe(201);
+    expect(body.assessmentId).toEqual(expect.any(String));
+
+    const fetched = await request('GET', `/assessments/${body.assessmentId}`, { token });
+    expect(fetched.status).toBe(200);
+    expect(fetched.body.assessment.title).toBe('Gateway essay');
+  });
+
+  test('maps callable errors to HTTP statuses with field errors', async () => {
+    const { status, body } = await request('POST', '/assessments', {
+      token,
+      body: { title: 'Broken', type: 'assignment', courseId: 'cs101', content: { sections: [] } }
+    });
+
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('invalid-argument');
+    expect(body.error.details.errors).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'content.sections' })
+    ]));
+  });
+
+  test('checks the declared type of query parameters', async () => {
+    const { status, body } = await request('GET', '/assessments?pageSize=many', { token });
+    expect(status).toBe(400);
+    expect(body.error.message).toBe('pageSize must be a whole number.');
+  });
+
+  test('refuses tokens that do not verify', async () => {
+    const { status } = await request('GET', '/assessments', { token: 'not-a-token' });
+    expect(status).toBe(401);
+  });
+});
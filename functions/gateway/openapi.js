@@ -0,0 +1,162 @@
+/**
+ * OpenAPI document of the API gateway, generated from its routes
+ */
+
+// HTTP status of each callable error code, as the callable protocol maps them
+const ERROR_STATUSES = {
+  'cancelled': 499,
+  'unknown': 500,
+  'invalid-argument': 400,
+  'deadline-exceeded': 504,
+  'not-found': 404,
+  'already-exists': 409,
+  'permission-denied': 403,
+  'resource-exhausted': 429,
+  'failed-precondition': 400,
+  'aborted': 409,
+  'out-of-range': 400,
+  'unimplemented': 501,
+  'internal': 500,
+  'unavailable': 503,
+  'data-loss': 500,
+  'unauthenticated': 401
+};
+
+/**
+ * Convert an Express path to an OpenAPI path
+ * @param {string} path - Express path, e.g. /assessments/:id
+ * @returns {string} - OpenAPI path, e.g. /assessments/{id}
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Build the schema of a parameter or body field from its route definition
+ * @param {Object} field - Field definition ({ type, format, enum, items, required, description })
+ * @returns {Object} - JSON schema, without the required flag and description
+ */
+const toSchema = ({ required, description, ...schema }) => schema;
+
+/**
+ * Describe one route as an OpenAPI operation
+ * @param {Object} route - Route definition, see gateway/routes
+ * @returns {Object} - OpenAPI operation
+ */
+const buildOperation = (route) => {
+  const parameters = [
+    ...Object.keys(route.params || {}).map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string' }
+    })),
+    ...Object.entries(route.query || {}).map(([name, field]) => ({
+      name,
+      in: 'query',
+      required: false,
+      ...(field.description ? { description: field.description } : {}),
+      schema: toSchema(field)
+    }))
+  ];
+
+  const operation = {
+    operationId: route.name,
+    tags: [route.tag],
+    summary: route.summary,
+    parameters,
+    responses: {
+      [route.status || 200]: {
+        description: 'The result of the operation.',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Result' } } }
+      },
+      default: {
+        description: 'The error that stopped the operation.',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      }
+    }
+  };
+  const description = [
+    route.description,
+    route.permission ? `Requires the ${route.permission} permission.` : null
+  ].filter(Boolean).join(' ');
+  if (description) {
+    operation.description = description;
+  }
+
+  if (route.body) {
+    const required = Object.keys(route.body).filter(name => route.body[name].required);
+    operation.requestBody = {
+      required: required.length > 0,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: Object.fromEntries(Object.entries(route.body).map(([name, field]) => [
+              name,
+              { ...toSchema(field), ...(field.description ? { description: field.description } : {}) }
+            ])),
+            ...(required.length > 0 ? { required } : {})
+          }
+        }
+      }
+    };
+  }
+
+  return operation;
+};
+
+/**
+ * Build the OpenAPI document of a set of routes
+ * @param {Array} routes - Route definitions, see gateway/routes
+ * @returns {Object} - OpenAPI 3.0 document
+ */
+const buildOpenApiSpec = (routes) => {
+  const paths = {};
+  routes.forEach(route => {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Moducate API',
+      version: '1.0.0',
+      description: 'REST access to the Moducate assessment moderation functions. ' +
+        'Authenticate with a Firebase ID token as a bearer token.'
+    },
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase ID token' }
+      },
+      schemas: {
+        Result: {
+          type: 'object',
+          properties: { success: { type: 'boolean' } },
+          additionalProperties: true
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', enum: Object.keys(ERROR_STATUSES) },
+                message: { type: 'string' },
+                details: { description: 'More about the error, such as { errors: [{ field, message }] }.' }
+              },
+              required: ['code', 'message']
+            }
+          }
+        }
+      }
+    }
+  };
+};
+
+module.exports = {
+  ERROR_STATUSES,
+  buildOpenApiSpec
+};
@@ -0,0 +1,351 @@
+/**
+ * REST routes of the API gateway
+ *
+ * Each route maps an HTTP method and path onto a callable. Path parameters,
+ * query parameters and the JSON body are merged into the callable's data, so
+ * the callable does its own authorization exactly as when it is called
+ * directly. The OpenAPI document is generated from this table.
+ */
+
+const assessmentApi = require('../assessments/api');
+const userApi = require('../users/api');
+const { STATUSES, DECISION_STATUSES } = require('../assessments/lifecycle');
+const { PERMISSIONS } = require('../utils/permissions');
+
+// Query parameters of every paged list, see utils/pagination
+const LIST_QUERY = {
+  pageSize: { type: 'integer', description: 'Results per page (1 to 200, default 50).' },
+  pageToken: { type: 'string', description: 'nextPageToken of the previous page.' },
+  includeTotal: { type: 'boolean', description: 'Also count every matching result.' },
+  sortBy: { type: 'string', description: 'Field to sort by; date ranges must be on this field.' },
+  sortDirection: { type: 'string', enum: ['asc', 'desc'] },
+  createdAfter: { type: 'string', format: 'date-time' },
+  createdBefore: { type: 'string', format: 'date-time' },
+  updatedAfter: { type: 'string', format: 'date-time' },
+  updatedBefore: { type: 'string', format: 'date-time' }
+};
+
+// Path parameter of routes on one assessment or user
+const ASSESSMENT_PARAMS = { id: 'assessmentId' };
+const USER_PARAMS = { id: 'userId' };
+
+const routes = [
+  {
+    name: 'getAssessments',
+    method: 'get',
+    path: '/assessments',
+    callable: assessmentApi.getAssessments,
+    tag: 'Assessments',
+    summary: 'List the assessments the caller can see',
+    description: 'Filter on one of status, lecturerId, moderatorId, courseId and department at a time. ' +
+      'Users who do not manage assessments can filter on status or courseId.',
+    query: {
+      ...LIST_QUERY,
+      sortBy: { ...LIST_QUERY.sortBy, enum: ['createdAt', 'updatedAt', 'title'] },
+      status: { type: 'string', enum: Object.values(STATUSES) },
+      lecturerId: { type: 'string' },
+      moderatorId: { type: 'string' },
+      courseId: { type: 'string' },
+      department: { type: 'string' },
+      archived: { type: 'boolean', description: 'Only archived, or only unarchived, assessments.' },
+      includeArchived: { type: 'boolean', description: 'Include archived assessments.' }
+    }
+  },
+  {
+    name: 'createAssessment',
+    method: 'post',
+    path: '/assessments',
+    callable: assessmentApi.createAssessment,
+    tag: 'Assessments',
+    summary: 'Create an assessment',
+    permission: PERMISSIONS.ASSESSMENT_CREATE,
+    status: 201,
+    body: {
+      title: { type: 'string', required: true },
+      description: { type: 'string' },
+      type: { type: 'string', required: true },
+      content: { type: 'object', required: true, description: 'Content matching the schema of the assessment type.' },
+      subject: { type: 'string' },
+      courseId: { type: 'string', required: true }
+    }
+  },
+  {
+    name: 'searchAssessments',
+    method: 'get',
+    path: '/assessments/search',
+    callable: assessmentApi.searchAssessments,
+    tag: 'Assessments',
+    summary: 'Search the title, description and questions of the assessments the caller can see',
+    description: 'Only the first 1000 candidates are ranked, so the ranking is partial when the result ' +
+      'has truncated set; more words or filters narrow the candidates.',
+    query: {
+      query: { type: 'string', description: 'Words to find; the last word may be left unfinished.' },
+      status: { type: 'string', enum: Object.values(STATUSES) },
+      courseId: { type: 'string' },
+      includeArchived: { type: 'boolean', description: 'Include archived assessments.' },
+      pageSize: { type: 'integer', description: 'Results per page (1 to 100, default 20).' },
+      pageToken: { type: 'string', description: 'nextPageToken of the previous page.' }
+    }
+  },
+  {
+    name: 'getAssessmentById',
+    method: 'get',
+    path: '/assessments/:id',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.getAssessmentById,
+    tag: 'Assessments',
+    summary: 'Get an assessment'
+  },
+  {
+    name: 'updateAssessment',
+    method: 'patch',
+    path: '/assessments/:id',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.updateAssessment,
+    tag: 'Assessments',
+    summary: 'Edit a draft assessment',
+    permission: PERMISSIONS.ASSESSMENT_CREATE,
+    body: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      type: { type: 'string' },
+      content: { type: 'object' },
+      subject: { type: 'string' }
+    }
+  },
+  {
+    name: 'deleteAssessment',
+    method: 'delete',
+    path: '/assessments/:id',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.deleteAssessment,
+    tag: 'Assessments',
+    summary: 'Delete an assessment',
+    permission: PERMISSIONS.ASSESSMENT_DELETE
+  },
+  {
+    name: 'archiveAssessment',
+    method: 'post',
+    path: '/assessments/:id/archive',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.archiveAssessment,
+    tag: 'Assessments',
+    summary: 'Archive an assessment, or restore it',
+    body: {
+      restore: { type: 'boolean', description: 'Restore an archived assessment instead.' }
+    }
+  },
+  {
+    name: 'submitAssessment',
+    method: 'post',
+    path: '/assessments/:id/submission',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.submitAssessment,
+    tag: 'Assessments',
+    summary: 'Submit an assessment for moderation',
+    body: {
+      dueBy: { type: 'string', format: 'date-time', description: 'Moderation deadline, within the course\'s limits.' }
+    }
+  },
+  {
+    name: 'withdrawAssessment',
+    method: 'post',
+    path: '/assessments/:id/withdrawal',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.withdrawAssessment,
+    tag: 'Assessments',
+    summary: 'Withdraw a submitted assessment'
+  },
+  {
+    name: 'startAssessmentReview',
+    method: 'post',
+    path: '/assessments/:id/review',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.startAssessmentReview,
+    tag: 'Moderation',
+    summary: 'Start reviewing an assessment',
+    permission: PERMISSIONS.ASSESSMENT_MODERATE
+  },
+  {
+    name: 'moderateAssessment',
+    method: 'post',
+    path: '/assessments/:id/moderation',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.moderateAssessment,
+    tag: 'Moderation',
+    summary: 'Record the moderation decision on an assessment',
+    permission: PERMISSIONS.ASSESSMENT_MODERATE,
+    body: {
+      status: { type: 'string', enum: DECISION_STATUSES, required: true },
+      feedback: { type: 'string' },
+      scores: { type: 'object', description: 'Score per rubric criterion, when the assessment type has a rubric.' }
+    }
+  },
+  {
+    name: 'assignModerator',
+    method: 'post',
+    path: '/assessments/:id/moderator',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.assignModerator,
+    tag: 'Moderation',
+    summary: 'Assign a moderator to an assessment that has none',
+    permission: PERMISSIONS.ASSESSMENT_ASSIGN,
+    body: {
+      moderatorId: { type: 'string', description: 'Left out, the assignment strategy picks one.' }
+    }
+  },
+  {
+    name: 'reassignModerator',
+    method: 'put',
+    path: '/assessments/:id/moderator',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.reassignModerator,
+    tag: 'Moderation',
+    summary: 'Give an assessment to another moderator',
+    permission: PERMISSIONS.ASSESSMENT_ASSIGN,
+    body: {
+      moderatorId: { type: 'string', description: 'Left out, the assignment strategy picks one.' }
+    }
+  },
+  {
+    name: 'getAssessmentRevisions',
+    method: 'get',
+    path: '/assessments/:id/revisions',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.getAssessmentRevisions,
+    tag: 'Assessments',
+    summary: 'List the revisions of an assessment'
+  },
+  {
+    name: 'diffAssessmentRevisions',
+    method: 'get',
+    path: '/assessments/:id/revisions/diff',
+    params: ASSESSMENT_PARAMS,
+    callable: assessmentApi.diffAssessmentRevisions,
+    tag: 'Assessments',
+    summary: 'Compare two revisions of an assessment',
+    query: {
+      fromRevision: { type: 'integer', description: 'Defaults to the last reviewed revision; 0 compares against an empty assessment.' },
+      toRevision: { type: 'integer', description: 'Defaults to the latest revision.' }
+    }
+  },
+  {
+    name: 'getModerationDeadlines',
+    method: 'get',
+    path: '/moderation-deadlines',
+    callable: assessmentApi.getModerationDeadlines,
+    tag: 'Moderation',
+    summary: 'List open assessments at risk of missing their moderation deadline',
+    permission: PERMISSIONS.ASSESSMENT_ASSIGN
+  },
+  {
+    name: 'getUsers',
+    method: 'get',
+    path: '/users',
+    callable: userApi.getUsers,
+    tag: 'Users',
+    summary: 'List the users of the caller\'s organization',
+    permission: PERMISSIONS.USER_VIEW,
+    query: {
+      ...LIST_QUERY,
+      sortBy: { ...LIST_QUERY.sortBy, enum: ['createdAt', 'updatedAt', 'displayName', 'email'] },
+      role: { type: 'string', description: 'Only users holding this role.' },
+      approved: { type: 'boolean' }
+    }
+  },
+  {
+    name: 'getMyProfile',
+    method: 'get',
+    path: '/users/me',
+    callable: userApi.getUserProfile,
+    tag: 'Users',
+    summary: 'Get the caller\'s profile and permissions'
+  },
+  {
+    name: 'bulkImportUsers',
+    method: 'post',
+    path: '/users/import',
+    callable: userApi.bulkImportUsers,
+    tag: 'Users',
+    summary: 'Import users from CSV',
+    permission: PERMISSIONS.USER_INVITE,
+    body: {
+      csv: { type: 'string', required: true, description: 'CSV with the columns email, displayName, role and optionally course.' }
+    }
+  },
+  {
+    name: 'reconcileUserClaims',
+    method: 'post',
+    path: '/users/claims/reconciliation',
+    callable: userApi.reconcileUserClaims,
+    tag: 'Users',
+    summary: 'Compare users\' custom claims with their users documents',
+    permission: PERMISSIONS.USER_MANAGE,
+    body: {
+      fix: { type: 'boolean', description: 'Fix the mismatches found.' },
+      organizationId: { type: 'string', description: 'Organization to check, for callers who manage organizations.' }
+    }
+  },
+  {
+    name: 'getUserProfile',
+    method: 'get',
+    path: '/users/:id',
+    params: USER_PARAMS,
+    callable: userApi.getUserProfile,
+    tag: 'Users',
+    summary: 'Get the profile of a user of the caller\'s organization'
+  },
+  {
+    name: 'approveUser',
+    method: 'post',
+    path: '/users/:id/approval',
+    params: USER_PARAMS,
+    callable: userApi.approveUser,
+    tag: 'Users',
+    summary: 'Approve or reject a registration',
+    permission: PERMISSIONS.USER_APPROVE,
+    body: {
+      approved: { type: 'boolean', required: true }
+    }
+  },
+  {
+    name: 'updateUserRole',
+    method: 'put',
+    path: '/users/:id/roles',
+    params: USER_PARAMS,
+    callable: userApi.updateUserRole,
+    tag: 'Users',
+    summary: 'Set the roles of a user',
+    permission: PERMISSIONS.USER_MANAGE,
+    body: {
+      roles: { type: 'array', items: { type: 'string' }, required: true }
+    }
+  },
+  {
+    name: 'deactivateUser',
+    method: 'post',
+    path: '/users/:id/deactivation',
+    params: USER_PARAMS,
+    callable: userApi.deactivateUser,
+    tag: 'Users',
+    summary: 'Deactivate a user and hand off their work',
+    permission: PERMISSIONS.USER_MANAGE,
+    body: {
+      handoffLecturerId: { type: 'string', description: 'Lecturer who takes over the user\'s drafts.' }
+    }
+  },
+  {
+    name: 'reactivateUser',
+    method: 'post',
+    path: '/users/:id/reactivation',
+    params: USER_PARAMS,
+    callable: userApi.reactivateUser,
+    tag: 'Users',
+    summary: 'Reactivate a deactivated user',
+    permission: PERMISSIONS.USER_MANAGE
+  }
+];
+
+module.exports = {
+  routes
+};
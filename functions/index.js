@@ -7,31 +7,172 @@
 const assessmentApi = require('./assessments/api');
 const assessmentOnCreate = require('./assessments/onCreate');
 const assessmentOnUpdate = require('./assessments/onUpdate');
+const assessmentOnDelete = require('./assessments/onDelete');
+const checkModerationDeadlines = require('./assessments/checkDeadlines');
 
 // Import user modules
 const userApi = require('./users/api');
 const userOnCreate = require('./users/onCreate');
 const userOnUpdate = require('./users/onUpdate');
+const reconcileUserClaimsDaily = require('./users/reconcileClaims');
+
+// Import invitation modules
+const invitationApi = require('./invitations/api');
+
+// Import role modules
+const roleApi = require('./roles/api');
+
+// Import organization modules
+const organizationApi = require('./organizations/api');
+
+// Import course modules
+const courseApi = require('./courses/api');
+const courseOnUpdate = require('./courses/onUpdate');
+
+// Import notification modules
+const notificationApi = require('./notifications/api');
+const retryMailOutbox = require('./mail/retryOutbox');
+
+// Import attachment modules
+const attachmentApi = require('./attachments/api');
+const cleanUpAttachmentUploads = require('./attachments/cleanUpUploads');
+
+// Import comment modules
+const commentApi = require('./comments/api');
+const commentOnWrite = require('./comments/onWrite');
+
+// Import rubric modules
+const rubricApi = require('./rubrics/api');
+
+// Import audit modules
+const auditApi = require('./audit/api');
+
+// Import analytics modules
+const analyticsApi = require('./analytics/api');
+
+// Import REST gateway modules
+const gatewayApi = require('./gateway/api');
+
+// Import report modules
+const reportApi = require('./reports/api');
+const reportOnCreate = require('./reports/onCreate');
 
 // Export all functions
 
 // Assessment API endpoints
 exports.getAssessments = assessmentApi.getAssessments;
+exports.searchAssessments = assessmentApi.searchAssessments;
+exports.rebuildAssessmentSearchIndex = assessmentApi.rebuildAssessmentSearchIndex;
 exports.getAssessmentById = assessmentApi.getAssessmentById;
 exports.createAssessment = assessmentApi.createAssessment;
+exports.updateAssessment = assessmentApi.updateAssessment;
+exports.archiveAssessment = assessmentApi.archiveAssessment;
+exports.deleteAssessment = assessmentApi.deleteAssessment;
 exports.moderateAssessment = assessmentApi.moderateAssessment;
+exports.submitAssessment = assessmentApi.submitAssessment;
+exports.withdrawAssessment = assessmentApi.withdrawAssessment;
+exports.startAssessmentReview = assessmentApi.startAssessmentReview;
+exports.assignModerator = assessmentApi.assignModerator;
+exports.reassignModerator = assessmentApi.reassignModerator;
+exports.getModerationDeadlines = assessmentApi.getModerationDeadlines;
+exports.getAssessmentRevisions = assessmentApi.getAssessmentRevisions;
+exports.diffAssessmentRevisions = assessmentApi.diffAssessmentRevisions;
 
 // Assessment triggers
 exports.onNewAssessment = assessmentOnCreate;
 exports.onAssessmentUpdated = assessmentOnUpdate;
+exports.onAssessmentDeleted = assessmentOnDelete;
 
 // User API endpoints
 exports.getUserProfile = userApi.getUserProfile;
 exports.getUsers = userApi.getUsers;
 exports.approveUser = userApi.approveUser;
 exports.updateUserRole = userApi.updateUserRole;
+exports.bulkImportUsers = userApi.bulkImportUsers;
+exports.deactivateUser = userApi.deactivateUser;
+exports.reactivateUser = userApi.reactivateUser;
+exports.reconcileUserClaims = userApi.reconcileUserClaims;
 exports.createFirstAdmin = userApi.createFirstAdmin;
 
 // User triggers
 exports.onUserCreate = userOnCreate;
 exports.onUserUpdate = userOnUpdate;
+
+// Invitation API endpoints
+exports.createInvitation = invitationApi.createInvitation;
+exports.acceptInvitation = invitationApi.acceptInvitation;
+exports.listInvitations = invitationApi.listInvitations;
+exports.revokeInvitation = invitationApi.revokeInvitation;
+
+// Role API endpoints
+exports.getRoles = roleApi.getRoles;
+exports.createRole = roleApi.createRole;
+exports.updateRole = roleApi.updateRole;
+exports.deleteRole = roleApi.deleteRole;
+
+// Organization API endpoints
+exports.createOrganization = organizationApi.createOrganization;
+exports.getOrganizations = organizationApi.getOrganizations;
+exports.getMyOrganization = organizationApi.getMyOrganization;
+
+// Course API endpoints
+exports.createCourse = courseApi.createCourse;
+exports.updateCourse = courseApi.updateCourse;
+exports.updateCourseStaff = courseApi.updateCourseStaff;
+exports.getCourses = courseApi.getCourses;
+exports.getCourseById = courseApi.getCourseById;
+
+// Course triggers
+exports.onCourseUpdate = courseOnUpdate;
+
+// Notification API endpoints
+exports.getNotifications = notificationApi.getNotifications;
+exports.markNotificationsRead = notificationApi.markNotificationsRead;
+exports.getUnreadCount = notificationApi.getUnreadCount;
+exports.getNotificationPreferences = notificationApi.getNotificationPreferences;
+exports.updateNotificationPreferences = notificationApi.updateNotificationPreferences;
+
+// Attachment API endpoints
+exports.requestAttachmentUpload = attachmentApi.requestAttachmentUpload;
+exports.confirmAttachmentUpload = attachmentApi.confirmAttachmentUpload;
+exports.getAttachmentDownloadUrl = attachmentApi.getAttachmentDownloadUrl;
+exports.removeAttachment = attachmentApi.removeAttachment;
+
+// Comment API endpoints
+exports.addComment = commentApi.addComment;
+exports.editComment = commentApi.editComment;
+exports.resolveComment = commentApi.resolveComment;
+exports.getComments = commentApi.getComments;
+
+// Comment triggers
+exports.onCommentWritten = commentOnWrite;
+
+// Rubric API endpoints
+exports.createRubric = rubricApi.createRubric;
+exports.updateRubric = rubricApi.updateRubric;
+exports.deleteRubric = rubricApi.deleteRubric;
+exports.getRubrics = rubricApi.getRubrics;
+exports.getRubricById = rubricApi.getRubricById;
+
+// Audit log API endpoints
+exports.getAuditLog = auditApi.getAuditLog;
+exports.verifyAuditChain = auditApi.verifyAuditChain;
+
+// Analytics API endpoints
+exports.getModerationStats = analyticsApi.getModerationStats;
+
+// Report API endpoints
+exports.requestModerationReport = reportApi.requestModerationReport;
+exports.getModerationReport = reportApi.getModerationReport;
+
+// REST API gateway
+exports.api = gatewayApi.api;
+
+// Report triggers
+exports.onReportJobCreated = reportOnCreate;
+
+// Scheduled jobs
+exports.retryMailOutbox = retryMailOutbox;
+exports.checkModerationDeadlines = checkModerationDeadlines;
+exports.reconcileUserClaimsDaily = reconcileUserClaimsDaily;
+exports.cleanUpAttachmentUploads = cleanUpAttachmentUploads;
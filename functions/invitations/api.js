@@ -0,0 +1,404 @@
+/**
+ * Invitation API endpoints
+ *
+ * Admins invite people by email with a role (and optionally a course).
+ * The invitee accepts with the emailed token, which creates their account
+ * already approved. Someone who signs up on their own with a verified email
+ * that has an open invitation is approved by onUserCreate the same way.
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { getDocById, queryDocs, queryPage, createDoc } = require('../utils/db');
+const { parseListOptions } = require('../utils/pagination');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS, getOrganizationRoles, getUngrantableRoles } = require('../utils/permissions');
+const { getOrganizationId } = require('../utils/tenancy');
+const { sendTemplatedEmail } = require('../utils/mailer');
+const { AUDIT_ACTIONS, recordAuditEntry } = require('../utils/audit');
+const {
+  INVITATION_STATUSES,
+  COURSE_STAFF_FIELDS,
+  createInvitationToken,
+  hashInvitationToken,
+  isInvitationOpen,
+  claimInvitation,
+  applyInvitation
+} = require('../utils/invitations');
+
+// How long an invitation can be accepted, in days
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 30;
+
+// Shortest password Firebase Auth accepts
+const MIN_PASSWORD_LENGTH = 6;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Get the link an invitee opens to accept an invitation
+ * @param {string} token - Invitation token
+ * @returns {string|null} - Link into the web app, or null when APP_URL is not configured
+ */
+const getAcceptUrl = (token) => {
+  const appUrl = process.env.APP_URL;
+  if (!appUrl) {
+    return null;
+  }
+  return `${appUrl.replace(/\/$/, '')}/invitations/accept?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Describe an invitation for a response, without its token hash
+ * @param {Object} invitation - Invitation data, including its ID
+ * @returns {Object} - Invitation summary
+ */
+const toInvitationSummary = (invitation) => {
+  const { tokenHash, ...summary } = invitation;
+  return {
+    ...summary,
+    expired: invitation.status === INVITATION_STATUSES.PENDING && !isInvitationOpen(invitation)
+  };
+};
+
+/**
+ * Get the Auth account of an email, if there is one
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} - Auth user record
+ */
+const findAuthUser = async (email) => {
+  try {
+    return await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Invite someone to the admin's organization (user.invite).
+ * An open invitation for the same email is replaced by the new one.
+ */
+const createInvitation = functions.https.onCall(async (data, context) => {
+  try {
+    const inviter = await requirePermission(context, PERMISSIONS.USER_INVITE, 'invite users');
+    const adminId = inviter.id;
+    const organizationId = getOrganizationId(context);
+
+    const email = typeof data?.email === 'string' ? data.email.trim().toLowerCase() : '';
+    const { role, courseId } = data || {};
+    const expiresInDays = data?.expiresInDays === undefined ? DEFAULT_EXPIRY_DAYS : Number(data.expiresInDays);
+
+    if (!EMAIL_PATTERN.test(email)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'A valid email address is required.'
+      );
+    }
+    const [ungrantable] = getUngrantableRoles([role], inviter, await getOrganizationRoles(organizationId));
+    if (ungrantable) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        ungrantable.message,
+        { errors: [{ field: 'role', message: ungrantable.message }] }
+      );
+    }
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}.`
+      );
+    }
+    if (courseId) {
+      if (!COURSE_STAFF_FIELDS[role]) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          `Users with the ${role} role cannot be added to a course.`
+        );
+      }
+      await getDocById('courses', courseId, organizationId);
+    }
+
+    const authUser = await findAuthUser(email);
+    if (authUser && (await db.collection('users').doc(authUser.uid).get()).exists) {
+      throw new functions.https.HttpsError(
+        'already-exists',
+        'A user with this email already exists.'
+      );
+    }
+
+    // Only the newest invitation of an email can be accepted
+    const previous = await queryDocs('invitations', [
+      { field: 'email', operator: '==', value: email },
+      { field: 'status', operator: '==', value: INVITATION_STATUSES.PENDING }
+    ], { organizationId });
+    if (previous.length > 0) {
+      const batch = db.batch();
+      previous.forEach(invitation => {
+        batch.update(db.collection('invitations').doc(invitation.id), {
+          status: INVITATION_STATUSES.REVOKED,
+          revokedBy: adminId,
+          revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+    }
+
+    const token = createInvitationToken();
+    const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    const docRef = await createDoc('invitations', {
+      organizationId,
+      email,
+      role,
+      courseId: courseId || null,
+      tokenHash: hashInvitationToken(token),
+      status: INVITATION_STATUSES.PENDING,
+      expiresAt,
+      invitedBy: adminId,
+      acceptedBy: null,
+      acceptedAt: null,
+      revokedBy: null,
+      revokedAt: null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await recordAuditEntry({
+      organizationId,
+      actorId: adminId,
+      action: AUDIT_ACTIONS.INVITATION_CREATE,
+      targetType: 'invitation',
+      targetId: docRef.id,
+      before: {},
+      after: { email, role, courseId: courseId || null, expiresAt: expiresAt.toDate().toISOString() }
+    });
+
+    // The token is only ever sent to the invitee, so that only the owner of
+    // the email can accept; it is not returned to the inviter, nor kept for
+    // a retry, so an invitation whose email failed has to be sent again
+    const organization = await getDocById('organizations', organizationId);
+    const emailSent = await sendTemplatedEmail(email, 'invitation', {
+      organizationName: organization.name,
+      role,
+      inviterName: inviter.displayName || inviter.email,
+      acceptUrl: getAcceptUrl(token),
+      token,
+      expiresAt: expiresAt.toDate().toUTCString()
+    });
+
+    return {
+      success: true,
+      message: emailSent
+        ? 'Invitation sent successfully'
+        : 'Invitation created, but the email could not be sent. Send the invitation again.',
+      emailSent,
+      invitationId: docRef.id,
+      expiresAt: expiresAt.toDate().toISOString()
+    };
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Accept an invitation: creates the invitee's account, already approved
+ * with the invited role. Does not need a signed-in user.
+ */
+const acceptInvitation = functions.https.onCall(async (data, context) => {
+  try {
+    const { token, displayName, password } = data || {};
+
+    if ([token, displayName, password].some(value => typeof value !== 'string' || !value.trim())) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Token, display name and password are required.'
+      );
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`
+      );
+    }
+
+    const [invitation] = await queryDocs('invitations', [
+      { field: 'tokenHash', operator: '==', value: hashInvitationToken(token) }
+    ], { allOrganizations: true, limit: 1 });
+
+    if (!invitation || !isInvitationOpen(invitation)) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        'This invitation is invalid, expired or already used.'
+      );
+    }
+
+    if (await findAuthUser(invitation.email)) {
+      throw new functions.https.HttpsError(
+        'already-exists',
+        'An account with this email already exists. Sign in instead.'
+      );
+    }
+
+    // The invitee proved they own the email by receiving the token
+    const userRecord = await admin.auth().createUser({
+      email: invitation.email,
+      password,
+      displayName: displayName.trim(),
+      emailVerified: true
+    });
+
+    // Using the invitation up first makes sure it creates only one account
+    const claimed = await claimInvitation(invitation.id, userRecord.uid);
+    if (!claimed) {
+      await admin.auth().deleteUser(userRecord.uid);
+      throw new functions.https.HttpsError(
+        'not-found',
+        'This invitation is invalid, expired or already used.'
+      );
+    }
+
+    const customClaims = await applyInvitation(claimed, userRecord.uid);
+
+    await createDoc('users', {
+      displayName: displayName.trim(),
+      email: invitation.email,
+      roles: [invitation.role],
+      organizationId: invitation.organizationId,
+      approved: true,
+      active: true,
+      invitationId: invitation.id,
+      customClaims,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, userRecord.uid);
+
+    return {
+      success: true,
+      message: 'Invitation accepted successfully',
+      userId: userRecord.uid
+    };
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get a page of the invitations of the admin's organization,
+ * optionally filtered by status or email (user.invite)
+ */
+const listInvitations = functions.https.onCall(async (data, context) => {
+  try {
+    await requirePermission(context, PERMISSIONS.USER_INVITE, 'view invitations');
+
+    // Paging, sorting and date range options
+    const { conditions, options } = parseListOptions(data, ['createdAt', 'updatedAt', 'expiresAt']);
+
+    if (data?.status) {
+      if (!Object.values(INVITATION_STATUSES).includes(data.status)) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          `Status must be one of: ${Object.values(INVITATION_STATUSES).join(', ')}`
+        );
+      }
+      conditions.push({ field: 'status', operator: '==', value: data.status });
+    }
+    if (data?.email) {
+      conditions.push({ field: 'email', operator: '==', value: data.email.trim().toLowerCase() });
+    }
+
+    const { docs, nextPageToken, totalCount } = await queryPage('invitations', conditions, {
+      ...options,
+      organizationId: getOrganizationId(context)
+    });
+
+    return {
+      success: true,
+      invitations: docs.map(toInvitationSummary),
+      nextPageToken,
+      totalCount
+    };
+  } catch (error) {
+    console.error('Error listing invitations:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Revoke a pending invitation so it can no longer be accepted (user.invite)
+ */
+const revokeInvitation = functions.https.onCall(async (data, context) => {
+  try {
+    const { id: adminId } = await requirePermission(context, PERMISSIONS.USER_INVITE, 'revoke invitations');
+
+    const { invitationId } = data || {};
+
+    if (!invitationId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Invitation ID is required.'
+      );
+    }
+
+    const organizationId = getOrganizationId(context);
+    await getDocById('invitations', invitationId, organizationId);
+
+    const docRef = db.collection('invitations').doc(invitationId);
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (doc.data().status !== INVITATION_STATUSES.PENDING) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          `Only pending invitations can be revoked; this one is ${doc.data().status}.`
+        );
+      }
+      transaction.update(docRef, {
+        status: INVITATION_STATUSES.REVOKED,
+        revokedBy: adminId,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+
+    await recordAuditEntry({
+      organizationId,
+      actorId: adminId,
+      action: AUDIT_ACTIONS.INVITATION_REVOKE,
+      targetType: 'invitation',
+      targetId: invitationId,
+      before: { status: INVITATION_STATUSES.PENDING },
+      after: { status: INVITATION_STATUSES.REVOKED }
+    });
+
+    return {
+      success: true,
+      message: 'Invitation revoked successfully'
+    };
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  createInvitation,
+  acceptInvitation,
+  listInvitations,
+  revokeInvitation
+};
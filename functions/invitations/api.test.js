@@ -0,0 +1,181 @@
+const { admin, db } = require('../config/firebase');
+const { createInvitation, acceptInvitation, listInvitations, revokeInvitation } = require('./api');
+const {
+  INVITATION_STATUSES,
+  hashInvitationToken,
+  isInvitationOpen
+} = require('../utils/invitations');
+const { getSentMessages } = require('../utils/mailer');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  seedCourse,
+  contextFor
+} = require('../test/emulator');
+
+/**
+ * Get the token of the last invitation emailed to an address
+ * @param {string} email - Invitee's email address
+ * @returns {string|null} - Invitation token
+ */
+const getEmailedToken = (email) => {
+  const message = getSentMessages().filter(sent => sent.to === email).pop();
+  const match = message && /token=([^\s"&]+)/.exec(message.text);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+describe('invitation tokens', () => {
+  test('are stored as a hash', () => {
+    expect(hashInvitationToken('token')).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashInvitationToken('token')).not.toBe(hashInvitationToken('other'));
+  });
+
+  test('can be used while pending and not expired', () => {
+    const future = admin.firestore.Timestamp.fromMillis(Date.now() + 60000);
+    const past = admin.firestore.Timestamp.fromMillis(Date.now() - 60000);
+    expect(isInvitationOpen({ status: INVITATION_STATUSES.PENDING, expiresAt: future })).toBe(true);
+    expect(isInvitationOpen({ status: INVITATION_STATUSES.PENDING, expiresAt: past })).toBe(false);
+    expect(isInvitationOpen({ status: INVITATION_STATUSES.ACCEPTED, expiresAt: future })).toBe(false);
+  });
+});
+
+describe('acceptInvitation', () => {
+  test('requires a token, display name and password', async () => {
+    await expect(acceptInvitation.run({ token: 'token' }, {}))
+      .rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+
+  test('requires the token, display name and password to be text', async () => {
+    const valid = { token: 'token', displayName: 'Ada', password: 'long enough password' };
+    const invalid = [
+      { ...valid, token: ['token'] },
+      { ...valid, displayName: { first: 'Ada' } },
+      { ...valid, displayName: '   ' },
+      { ...valid, password: 12345678901234 }
+    ];
+
+    for (const data of invalid) {
+      await expect(acceptInvitation.run(data, {})).rejects.toMatchObject({
+        code: 'invalid-argument',
+        message: 'Token, display name and password are required.'
+      });
+    }
+  });
+
+  test('refuses short passwords', async () => {
+    await expect(acceptInvitation.run({ token: 'token', displayName: 'Ada', password: 'short' }, {}))
+      .rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+});
+
+describe('createInvitation', () => {
+  test('requires a signed-in user', async () => {
+    await expect(createInvitation.run({ email: 'new@moducate.test', role: 'lecturer' }, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+});
+
+describeWithEmulator('invitations', () => {
+  let orgAdmin;
+
+  beforeEach(async () => {
+    await clearEmulators();
+    getSentMessages().length = 0;
+    await seedOrganization('org1');
+    await seedOrganization('org2');
+    orgAdmin = await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+    await seedCourse('cs101', { organizationId: 'org1' });
+    await seedCourse('other', { organizationId: 'org2' });
+  });
+
+  afterAll(closeFirebase);
+
+  test('emails the token and only stores its hash', async () => {
+    const result = await createInvitation.run({
+      email: 'New@Moducate.test',
+      role: 'lecturer',
+      courseId: 'cs101'
+    }, contextFor(orgAdmin));
+
+    expect(result).not.toHaveProperty('token');
+    expect(result).not.toHaveProperty('acceptUrl');
+
+    const token = getEmailedToken('new@moducate.test');
+    const invitation = (await db.collection('invitations').doc(result.invitationId).get()).data();
+    expect(invitation).toMatchObject({
+      organizationId: 'org1',
+      email: 'new@moducate.test',
+      role: 'lecturer',
+      status: INVITATION_STATUSES.PENDING,
+      tokenHash: hashInvitationToken(token)
+    });
+    expect(JSON.stringify(invitation)).not.toContain(token);
+  });
+
+  test('creates an approved account once when accepted', async () => {
+    await createInvitation.run({ email: 'new@moducate.test', role: 'moderator', courseId: 'cs101' }, contextFor(orgAdmin));
+    const token = getEmailedToken('new@moducate.test');
+
+    const { userId } = await acceptInvitation.run({ token, displayName: 'New User', password: 'long enough password' }, {});
+
+    const user = (await db.collection('users').doc(userId).get()).data();
+    expect(user).toMatchObject({ organizationId: 'org1', roles: ['moderator'], approved: true, active: true });
+    const authUser = await admin.auth().getUser(userId);
+    expect(authUser.customClaims).toMatchObject({ organizationId: 'org1', roles: ['moderator'], approved: true });
+    const course = (await db.collection('courses').doc('cs101').get()).data();
+    expect(course.moderatorIds).toEqual([userId]);
+
+    await expect(acceptInvitation.run({ token, displayName: 'Again', password: 'long enough password' }, {}))
+      .rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('replaces the open invitation of the same email', async () => {
+    await createInvitation.run({ email: 'new@moducate.test', role: 'lecturer' }, contextFor(orgAdmin));
+    const firstToken = getEmailedToken('new@moducate.test');
+    await createInvitation.run({ email: 'new@moducate.test', role: 'lecturer' }, contextFor(orgAdmin));
+
+    await expect(acceptInvitation.run({ token: firstToken, displayName: 'New', password: 'long enough password' }, {}))
+      .rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('refuses revoked invitations', async () => {
+    const { invitationId } = await createInvitation.run({ email: 'new@moducate.test', role: 'lecturer' }, contextFor(orgAdmin));
+    const token = getEmailedToken('new@moducate.test');
+    await revokeInvitation.run({ invitationId }, contextFor(orgAdmin));
+
+    await expect(acceptInvitation.run({ token, displayName: 'New', password: 'long enough password' }, {}))
+      .rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('refuses courses of other organizations', async () => {
+    await expect(createInvitation.run({ email: 'new@moducate.test', role: 'lecturer', courseId: 'other' }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('refuses roles the inviter cannot grant', async () => {
+    await db.collection('roles').doc('org1_inviter').set({
+      organizationId: 'org1',
+      key: 'inviter',
+      name: 'Inviter',
+      permissions: ['user.invite']
+    });
+    const inviter = await seedUser('inviter', { organizationId: 'org1', roles: ['inviter'] });
+
+    await expect(createInvitation.run({ email: 'new@moducate.test', role: 'admin' }, contextFor(inviter)))
+      .rejects.toMatchObject({ code: 'invalid-argument', details: { errors: [expect.objectContaining({ field: 'role' })] } });
+  });
+
+  test('lists only the invitations of the admin\'s organization, without token hashes', async () => {
+    await createInvitation.run({ email: 'new@moducate.test', role: 'lecturer' }, contextFor(orgAdmin));
+    const otherAdmin = await seedUser('admin2', { organizationId: 'org2', roles: ['admin'] });
+    await createInvitation.run({ email: 'elsewhere@moducate.test', role: 'lecturer' }, contextFor(otherAdmin));
+
+    const { invitations } = await listInvitations.run({}, contextFor(orgAdmin));
+
+    expect(invitations.map(invitation => invitation.email)).toEqual(['new@moducate.test']);
+    expect(invitations[0]).not.toHaveProperty('tokenHash');
+  });
+});
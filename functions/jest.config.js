@@ -0,0 +1,13 @@
+/**
+ * Jest configuration. Tests sit next to the module they cover as *.test.js;
+ * shared helpers live in test/.
+ */
+
+module.exports = {
+  testEnvironment: 'node',
+  testMatch: ['**/*.test.js'],
+  setupFiles: ['<rootDir>/test/setup.js'],
+  // The emulator suites share one Firestore and Auth emulator
+  maxWorkers: 1,
+  testTimeout: 20000
+};
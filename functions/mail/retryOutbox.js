@@ -0,0 +1,25 @@
+/**
+ * Scheduled function that retries emails that could not be sent
+ */
+
+const functions = require('firebase-functions');
+const { processOutbox } = require('../utils/mailer');
+
+/**
+ * Every 15 minutes, resend the outbox messages whose retry is due
+ */
+const retryMailOutbox = functions.scheduler
+  .onSchedule('every 15 minutes', async () => {
+    try {
+      const result = await processOutbox();
+      if (result.sent > 0 || result.failed > 0) {
+        console.log(`Mail outbox processed: ${result.sent} sent, ${result.failed} failed`);
+      }
+      return null;
+    } catch (error) {
+      console.error('Error in retryMailOutbox schedule:', error);
+      return null;
+    }
+  });
+
+module.exports = retryMailOutbox;
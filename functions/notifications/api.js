@@ -0,0 +1,252 @@
+/**
+ * Notification API endpoints
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const {
+  NOTIFICATION_TYPES,
+  getNotificationPreferences: getPreferences
+} = require('../utils/notifications');
+
+// Page size limits for getNotifications
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Get the current user's notifications, newest first
+ */
+const getNotifications = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get notifications.'
+      );
+    }
+
+    const userId = context.auth.uid;
+    const { unreadOnly, pageToken } = data || {};
+    const limit = data?.limit === undefined ? DEFAULT_PAGE_SIZE : Number(data.limit);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}.`
+      );
+    }
+
+    let query = db.collection('notifications').where('userId', '==', userId);
+
+    if (unreadOnly) {
+      query = query.where('read', '==', false);
+    }
+
+    query = query.orderBy('createdAt', 'desc').limit(limit);
+
+    // The page token is the ID of the last notification of the previous page
+    if (pageToken) {
+      const cursor = await db.collection('notifications').doc(pageToken).get();
+      if (!cursor.exists || cursor.data().userId !== userId) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Invalid page token.'
+        );
+      }
+      query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.get();
+    const notifications = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const nextPageToken = notifications.length === limit
+      ? notifications[notifications.length - 1].id
+      : null;
+
+    return { success: true, notifications, nextPageToken };
+  } catch (error) {
+    console.error('Error getting notifications:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Mark some or all of the current user's notifications as read
+ */
+const markNotificationsRead = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to update notifications.'
+      );
+    }
+
+    const userId = context.auth.uid;
+    const { notificationIds, all } = data || {};
+
+    if (!all && (!Array.isArray(notificationIds) || notificationIds.length === 0)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Either notificationIds or all must be provided.'
+      );
+    }
+
+    let docs;
+    if (all) {
+      const snapshot = await db.collection('notifications')
+        .where('userId', '==', userId)
+        .where('read', '==', false)
+        .get();
+      docs = snapshot.docs;
+    } else {
+      const refs = notificationIds.map(id => db.collection('notifications').doc(id));
+      docs = (await db.getAll(...refs))
+        .filter(doc => doc.exists && doc.data().userId === userId && !doc.data().read);
+    }
+
+    // Batches are limited to 500 writes
+    for (let i = 0; i < docs.length; i += 500) {
+      const batch = db.batch();
+      docs.slice(i, i + 500).forEach(doc => {
+        batch.update(doc.ref, {
+          read: true,
+          readAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+    }
+
+    return {
+      success: true,
+      message: 'Notifications marked as read',
+      updated: docs.length
+    };
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get the number of unread notifications of the current user
+ */
+const getUnreadCount = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get notifications.'
+      );
+    }
+
+    const snapshot = await db.collection('notifications')
+      .where('userId', '==', context.auth.uid)
+      .where('read', '==', false)
+      .count()
+      .get();
+
+    return { success: true, count: snapshot.data().count };
+  } catch (error) {
+    console.error('Error getting unread notification count:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get the current user's notification preferences
+ */
+const getNotificationPreferences = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get notification preferences.'
+      );
+    }
+
+    const preferences = await getPreferences(context.auth.uid);
+
+    return {
+      success: true,
+      preferences,
+      availableTypes: Object.values(NOTIFICATION_TYPES)
+    };
+  } catch (error) {
+    console.error('Error getting notification preferences:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Update the event types the current user has muted
+ */
+const updateNotificationPreferences = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to update notification preferences.'
+      );
+    }
+
+    const { mutedTypes } = data || {};
+
+    if (!Array.isArray(mutedTypes)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'mutedTypes must be an array.'
+      );
+    }
+
+    // Valid notification types
+    const validTypes = Object.values(NOTIFICATION_TYPES);
+    const invalidTypes = mutedTypes.filter(type => !validTypes.includes(type));
+    if (invalidTypes.length > 0) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Notification types must be one of: ${validTypes.join(', ')}`
+      );
+    }
+
+    await db.collection('notificationPreferences').doc(context.auth.uid).set({
+      mutedTypes: [...new Set(mutedTypes)],
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return {
+      success: true,
+      message: 'Notification preferences updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating notification preferences:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  getNotifications,
+  markNotificationsRead,
+  getUnreadCount,
+  getNotificationPreferences,
+  updateNotificationPreferences
+};
@@ -0,0 +1,63 @@
+const { db } = require('../config/firebase');
+const { getNotifications, updateNotificationPreferences } = require('./api');
+const { NOTIFICATION_TYPES, createNotifications } = require('../utils/notifications');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('../test/emulator');
+
+const context = { auth: { uid: 'u1', token: { uid: 'u1' } } };
+
+describe('getNotifications', () => {
+  test('requires a signed-in user', async () => {
+    await expect(getNotifications.run({}, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+
+  test.each([0, -5, 2.5, 101, 'many'])('refuses a limit of %p', async (limit) => {
+    await expect(getNotifications.run({ limit }, context))
+      .rejects.toMatchObject({ code: 'invalid-argument', message: 'limit must be a whole number between 1 and 100.' });
+  });
+});
+
+describe('updateNotificationPreferences', () => {
+  test('refuses unknown notification types', async () => {
+    await expect(updateNotificationPreferences.run({ mutedTypes: ['nothing'] }, context))
+      .rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+});
+
+describeWithEmulator('createNotifications', () => {
+  const notification = {
+    type: NOTIFICATION_TYPES.ASSESSMENT_SUBMITTED,
+    title: 'Assessment submitted',
+    message: 'An assessment is waiting for review.'
+  };
+
+  beforeEach(clearEmulators);
+
+  afterAll(closeFirebase);
+
+  test('skips users who muted the type', async () => {
+    await updateNotificationPreferences.run({ mutedTypes: [NOTIFICATION_TYPES.ASSESSMENT_SUBMITTED] }, context);
+
+    expect(await createNotifications(['u1', 'u2', 'u2', null], notification)).toBe(1);
+    const snapshot = await db.collection('notifications').get();
+    expect(snapshot.docs.map(doc => doc.data().userId)).toEqual(['u2']);
+  });
+
+  test('notifies more users than one batch can write', async () => {
+    const userIds = Array.from({ length: 501 }, (value, index) => `user${index}`);
+
+    expect(await createNotifications(userIds, notification)).toBe(501);
+    const snapshot = await db.collection('notifications').count().get();
+    expect(snapshot.data().count).toBe(501);
+  });
+
+  test('pages through the notifications of the user', async () => {
+    await createNotifications(['u1'], notification);
+    await createNotifications(['u1'], notification);
+
+    const first = await getNotifications.run({ limit: 1 }, context);
+    expect(first.notifications).toHaveLength(1);
+    const second = await getNotifications.run({ limit: 1, pageToken: first.nextPageToken }, context);
+    expect(second.notifications[0].id).not.toBe(first.notifications[0].id);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Organization API endpoints
+ */
+
+const functions = require('firebase-functions');
+const { admin } = require('../config/firebase');
+const { getDocById, queryDocs, createDoc } = require('../utils/db');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { getOrganizationId } = require('../utils/tenancy');
+
+// Organization slugs: lowercase letters, digits and dashes
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Create an organization (organization.manage).
+ * Its first admin is created afterwards with createFirstAdmin.
+ */
+const createOrganization = functions.https.onCall(async (data, context) => {
+  try {
+    const { id: userId } = await requirePermission(context, PERMISSIONS.ORGANIZATION_MANAGE, 'create organizations');
+
+    const { name, slug } = data;
+
+    if (!name || !slug) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Name and slug are required.'
+      );
+    }
+
+    if (!SLUG_PATTERN.test(slug)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Slug may only contain lowercase letters, digits and dashes.'
+      );
+    }
+
+    const existing = await queryDocs('organizations', [{ field: 'slug', operator: '==', value: slug }]);
+    if (existing.length > 0) {
+      throw new functions.https.HttpsError(
+        'already-exists',
+        `An organization with slug ${slug} already exists.`
+      );
+    }
+
+    const docRef = await createDoc('organizations', {
+      name,
+      slug,
+      active: true,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: true,
+      message: 'Organization created successfully',
+      organizationId: docRef.id
+    };
+  } catch (error) {
+    console.error('Error creating organization:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get all organizations (organization.manage)
+ */
+const getOrganizations = functions.https.onCall(async (data, context) => {
+  try {
+    await requirePermission(context, PERMISSIONS.ORGANIZATION_MANAGE, 'view organizations');
+
+    const organizations = await queryDocs('organizations', [], { orderBy: { field: 'name' } });
+
+    return { success: true, organizations };
+  } catch (error) {
+    console.error('Error getting organizations:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get the organization of the signed-in user
+ */
+const getMyOrganization = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get your organization.'
+      );
+    }
+
+    const organization = await getDocById('organizations', getOrganizationId(context));
+
+    return { success: true, organization };
+  } catch (error) {
+    console.error('Error getting organization:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  createOrganization,
+  getOrganizations,
+  getMyOrganization
+};
@@ -0,0 +1,47 @@
+const { createOrganization, getMyOrganization } = require('./api');
+const { SUPER_ADMIN_ROLE } = require('../utils/tenancy');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  contextFor
+} = require('../test/emulator');
+
+describe('createOrganization', () => {
+  test('requires a signed-in user', async () => {
+    await expect(createOrganization.run({ name: 'Org', slug: 'org' }, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+});
+
+describeWithEmulator('organizations', () => {
+  let superAdmin;
+
+  beforeEach(async () => {
+    await clearEmulators();
+    superAdmin = await seedUser('root', { organizationId: null, roles: [SUPER_ADMIN_ROLE] });
+  });
+
+  afterAll(closeFirebase);
+
+  test('creates organizations with unique slugs', async () => {
+    const { organizationId } = await createOrganization.run({ name: 'North', slug: 'north' }, contextFor(superAdmin));
+    expect(organizationId).toEqual(expect.any(String));
+
+    await expect(createOrganization.run({ name: 'North again', slug: 'north' }, contextFor(superAdmin)))
+      .rejects.toMatchObject({ code: 'already-exists' });
+    await expect(createOrganization.run({ name: 'South', slug: 'South Campus' }, contextFor(superAdmin)))
+      .rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+
+  test('does not let organization admins create organizations', async () => {
+    await seedOrganization('org1');
+    const orgAdmin = await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+
+    await expect(createOrganization.run({ name: 'Mine', slug: 'mine' }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect((await getMyOrganization.run({}, contextFor(orgAdmin))).organization.id).toBe('org1');
+  });
+});
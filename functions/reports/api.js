@@ -0,0 +1,213 @@
+/**
+ * Moderation report API endpoints
+ *
+ * Small reports are generated while the admin waits. Larger ones are queued
+ * and generated by onReportJobCreated; the admin is notified when they are
+ * ready and gets the download link from getModerationReport.
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { getDocById } = require('../utils/db');
+const { requirePermission } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { getOrganizationId } = require('../utils/tenancy');
+const { getDownloadUrl } = require('../utils/storage');
+const { STATUSES } = require('../assessments/lifecycle');
+const {
+  REPORT_FORMATS,
+  REPORT_STATUSES,
+  countReportRows,
+  generateReport
+} = require('./generate');
+
+// Reports with more assessments than this are generated in the background
+const DEFAULT_INLINE_LIMIT = 500;
+
+// How long a report download link stays valid
+const DOWNLOAD_URL_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Get the largest report that is generated while the admin waits
+ * @returns {number} - REPORT_INLINE_LIMIT, or the default
+ */
+const getInlineLimit = () => {
+  const limit = Number(process.env.REPORT_INLINE_LIMIT);
+  return Number.isInteger(limit) && limit >= 0 ? limit : DEFAULT_INLINE_LIMIT;
+};
+
+/**
+ * Parse an optional date filter
+ * @param {string} value - ISO date string
+ * @param {string} name - Name of the filter, for the error message
+ * @returns {string|null} - Normalised ISO date string, or null if not provided
+ */
+const parseDate = (value, name) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `${name} must be a valid date.`
+    );
+  }
+  return date.toISOString();
+};
+
+/**
+ * Describe a report job for a response, with a download link once it is ready
+ * @param {Object} job - Report job data, including its ID
+ * @returns {Promise<Object>} - Report summary
+ */
+const toReportSummary = async (job) => {
+  const summary = {
+    id: job.id,
+    status: job.status,
+    format: job.format,
+    filters: job.filters,
+    rowCount: job.rowCount ?? null,
+    error: job.error || null
+  };
+  if (job.status === REPORT_STATUSES.COMPLETED) {
+    summary.download = await getDownloadUrl(job.storagePath, DOWNLOAD_URL_TTL_MS, job.fileName);
+  }
+  return summary;
+};
+
+/**
+ * Export a moderation report of the admin's organization as CSV or PDF (report.export).
+ * Filters: from and to (applied to the latest status change), status, lecturerId, moderatorId.
+ */
+const requestModerationReport = functions.https.onCall(async (data, context) => {
+  try {
+    const { id: userId } = await requirePermission(context, PERMISSIONS.REPORT_EXPORT, 'export moderation reports');
+    const organizationId = getOrganizationId(context);
+
+    const format = data?.format || 'csv';
+    if (!REPORT_FORMATS[format]) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Format must be one of: ${Object.keys(REPORT_FORMATS).join(', ')}`
+      );
+    }
+
+    const filters = {
+      from: parseDate(data?.from, 'from'),
+      to: parseDate(data?.to, 'to'),
+      status: data?.status || null,
+      lecturerId: data?.lecturerId || null,
+      moderatorId: data?.moderatorId || null
+    };
+
+    if (filters.from && filters.to && filters.from > filters.to) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'from must not be after to.'
+      );
+    }
+    if (filters.status && !Object.values(STATUSES).includes(filters.status)) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Status must be one of: ${Object.values(STATUSES).join(', ')}`
+      );
+    }
+
+    // Make sure filtered users belong to the admin's organization
+    if (filters.lecturerId) {
+      await getDocById('users', filters.lecturerId, organizationId);
+    }
+    if (filters.moderatorId) {
+      await getDocById('users', filters.moderatorId, organizationId);
+    }
+
+    const rowCount = await countReportRows(organizationId, filters);
+    const inline = rowCount <= getInlineLimit();
+
+    // Queued jobs are picked up by onReportJobCreated
+    const jobRef = db.collection('reportJobs').doc();
+    await jobRef.set({
+      organizationId,
+      requestedBy: userId,
+      format,
+      filters,
+      status: inline ? REPORT_STATUSES.RUNNING : REPORT_STATUSES.QUEUED,
+      expectedRowCount: rowCount,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (!inline) {
+      return {
+        success: true,
+        message: 'The report is being generated. You will be notified when it is ready.',
+        report: await toReportSummary({ id: jobRef.id, format, filters, status: REPORT_STATUSES.QUEUED })
+      };
+    }
+
+    const job = await generateReport(jobRef.id);
+    if (job.status === REPORT_STATUSES.FAILED) {
+      throw new functions.https.HttpsError(
+        'internal',
+        'The report could not be generated.',
+        { reportId: job.id }
+      );
+    }
+
+    return {
+      success: true,
+      message: 'Report generated successfully',
+      report: await toReportSummary(job)
+    };
+  } catch (error) {
+    console.error('Error exporting moderation report:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get the state of a moderation report, with a fresh download link
+ * once it is ready (report.export)
+ */
+const getModerationReport = functions.https.onCall(async (data, context) => {
+  try {
+    await requirePermission(context, PERMISSIONS.REPORT_EXPORT, 'download moderation reports');
+
+    const { reportId } = data;
+
+    if (!reportId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Report ID is required.'
+      );
+    }
+
+    const doc = await db.collection('reportJobs').doc(reportId).get();
+    if (!doc.exists || doc.data().organizationId !== getOrganizationId(context)) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Report not found with ID: ${reportId}`
+      );
+    }
+
+    return {
+      success: true,
+      report: await toReportSummary({ id: doc.id, ...doc.data() })
+    };
+  } catch (error) {
+    console.error('Error getting moderation report:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  requestModerationReport,
+  getModerationReport
+};
@@ -0,0 +1,152 @@
+const { admin, db } = require('../config/firebase');
+const { STATUSES } = require('../assessments/lifecycle');
+const { requestModerationReport, getModerationReport } = require('./api');
+const { REPORT_STATUSES } = require('./generate');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  contextFor
+} = require('../test/emulator');
+
+describe('requestModerationReport', () => {
+  test('requires a signed-in user', async () => {
+    await expect(requestModerationReport.run({ format: 'csv' }, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+    await expect(getModerationReport.run({ reportId: 'r1' }, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+});
+
+describeWithEmulator('moderation reports', () => {
+  let orgAdmin;
+
+  /**
+   * Seed a decided assessment
+   * @param {string} id - Assessment ID
+   * @param {Object} data - Fields to set besides the defaults
+   */
+  const seedAssessment = async (id, data = {}) => {
+    await db.collection('assessments').doc(id).set({
+      organizationId: 'org1',
+      title: `Assessment ${id}`,
+      courseCode: 'CS101',
+      type: 'exam',
+      status: STATUSES.APPROVED,
+      archived: false,
+      lecturerId: 'lecturer',
+      moderatorId: 'moderator',
+      feedback: 'Clear, "well" balanced',
+      submittedAt: admin.firestore.Timestamp.fromDate(new Date('2026-03-01T08:00:00Z')),
+      statusChangedAt: admin.firestore.Timestamp.fromDate(new Date('2026-03-02T09:30:00Z')),
+      ...data
+    });
+  };
+
+  /**
+   * Read a stored report
+   * @param {string} storagePath - Object path in the bucket
+   * @returns {Promise<string>} - File contents
+   */
+  const readReport = async (storagePath) => {
+    const [contents] = await admin.storage().bucket().file(storagePath).download();
+    return contents.toString('utf8');
+  };
+
+  beforeEach(async () => {
+    await clearEmulators();
+    delete process.env.REPORT_INLINE_LIMIT;
+    await seedOrganization('org1');
+    orgAdmin = await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+    await seedUser('lecturer', { organizationId: 'org1', roles: ['lecturer'], displayName: 'Lee Lecturer' });
+    await seedUser('moderator', { organizationId: 'org1', roles: ['moderator'], displayName: 'Mo Moderator' });
+  });
+
+  afterAll(async () => {
+    delete process.env.REPORT_INLINE_LIMIT;
+    await closeFirebase();
+  });
+
+  test('is only for users who may export reports', async () => {
+    const lecturer = await seedUser('lecturer2', { organizationId: 'org1', roles: ['lecturer'] });
+
+    await expect(requestModerationReport.run({}, contextFor(lecturer)))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  test('checks the format and filters', async () => {
+    const context = contextFor(orgAdmin);
+
+    await expect(requestModerationReport.run({ format: 'xlsx' }, context))
+      .rejects.toMatchObject({ code: 'invalid-argument' });
+    await expect(requestModerationReport.run({ from: '2026-03-05', to: '2026-03-01' }, context))
+      .rejects.toThrow('from must not be after to.');
+    await expect(requestModerationReport.run({ status: 'lost' }, context))
+      .rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+
+  test('reports users of other organizations as not found', async () => {
+    await seedUser('elsewhere', { organizationId: 'org2', roles: ['lecturer'] });
+
+    await expect(requestModerationReport.run({ lecturerId: 'elsewhere' }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('generates small reports as CSV straight away', async () => {
+    await seedAssessment('a1');
+    await seedAssessment('a2', { status: STATUSES.REJECTED, lecturerId: 'lecturer2' });
+    await seedAssessment('other', { organizationId: 'org2' });
+
+    const { report } = await requestModerationReport.run({
+      format: 'csv',
+      status: STATUSES.APPROVED
+    }, contextFor(orgAdmin));
+
+    expect(report).toMatchObject({ status: REPORT_STATUSES.COMPLETED, rowCount: 1, error: null });
+    expect(report.download.url).toEqual(expect.any(String));
+
+    const { storagePath } = (await db.collection('reportJobs').doc(report.id).get()).data();
+    const lines = (await readReport(storagePath)).replace(/^\ufeff/, '').trim().split('\r\n');
+    expect(lines).toEqual([
+      'Assessment,Course,Type,Outcome,Lecturer,Moderator,Score,Feedback,Submitted,Decided',
+      'Assessment a1,CS101,exam,approved,Lee Lecturer,Mo Moderator,,"Clear, ""well"" balanced",' +
+        '2026-03-01 08:00,2026-03-02 09:30'
+    ]);
+  });
+
+  test('generates PDF reports', async () => {
+    await seedAssessment('a1');
+
+    const { report } = await requestModerationReport.run({ format: 'pdf' }, contextFor(orgAdmin));
+
+    expect(report).toMatchObject({ status: REPORT_STATUSES.COMPLETED, rowCount: 1 });
+    const { storagePath } = (await db.collection('reportJobs').doc(report.id).get()).data();
+    expect(storagePath).toBe(`reports/org1/${report.id}.pdf`);
+    expect((await readReport(storagePath)).startsWith('%PDF')).toBe(true);
+  });
+
+  test('queues reports above the inline limit', async () => {
+    process.env.REPORT_INLINE_LIMIT = '0';
+    await seedAssessment('a1');
+
+    const result = await requestModerationReport.run({ format: 'pdf' }, contextFor(orgAdmin));
+
+    expect(result.report).toMatchObject({ status: REPORT_STATUSES.QUEUED, format: 'pdf' });
+    const job = (await db.collection('reportJobs').doc(result.report.id).get()).data();
+    expect(job).toMatchObject({ organizationId: 'org1', requestedBy: 'admin1', expectedRowCount: 1 });
+  });
+
+  test('reports jobs of other organizations as not found', async () => {
+    await db.collection('reportJobs').doc('foreign').set({
+      organizationId: 'org2',
+      status: REPORT_STATUSES.QUEUED,
+      format: 'csv',
+      filters: {}
+    });
+
+    await expect(getModerationReport.run({ reportId: 'foreign' }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ code: 'not-found' });
+  });
+});
@@ -0,0 +1,387 @@
+/**
+ * Moderation report generation
+ *
+ * A report job (reportJobs/{jobId}) holds the filters and format an admin
+ * asked for. Generating it reads the matching assessments of the job's
+ * organization in batches, renders them as CSV or PDF and stores the file
+ * under reports/{organizationId}/{jobId}.{format}. Download links are issued
+ * separately and expire, the file itself stays.
+ */
+
+const PDFDocument = require('pdfkit');
+const { admin, db } = require('../config/firebase');
+const { getDocById, queryDocs, countDocs } = require('../utils/db');
+const { saveFile } = require('../utils/storage');
+const { AUDIT_ACTIONS, recordAuditEntry } = require('../utils/audit');
+const { formatCsvRow } = require('../utils/csv');
+
+// Output formats and their MIME types
+const REPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  pdf: 'application/pdf'
+};
+
+// States of a report job
+const REPORT_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Assessments read per query while collecting a report
+const READ_BATCH_SIZE = 500;
+
+// Longest feedback printed in a PDF row; the CSV always has all of it
+const MAX_PDF_FEEDBACK_LENGTH = 600;
+
+// Report columns, with their share of the PDF table width
+const REPORT_COLUMNS = [
+  { key: 'title', header: 'Assessment', width: 0.14 },
+  { key: 'courseCode', header: 'Course', width: 0.07 },
+  { key: 'type', header: 'Type', width: 0.07 },
+  { key: 'status', header: 'Outcome', width: 0.08 },
+  { key: 'lecturer', header: 'Lecturer', width: 0.1 },
+  { key: 'moderator', header: 'Moderator', width: 0.1 },
+  { key: 'weightedScore', header: 'Score', width: 0.05 },
+  { key: 'feedback', header: 'Feedback', width: 0.23 },
+  { key: 'submittedAt', header: 'Submitted', width: 0.08 },
+  { key: 'decidedAt', header: 'Decided', width: 0.08 }
+];
+
+/**
+ * Get the storage path of a report file
+ * @param {Object} job - Report job data, including its ID
+ * @returns {string} - Object path in the bucket
+ */
+const getReportPath = (job) => `reports/${job.organizationId}/${job.id}.${job.format}`;
+
+/**
+ * Get the query conditions of a report's filters
+ * @param {Object} filters - Filters ({ from, to, status, lecturerId, moderatorId }, dates as ISO strings)
+ * @returns {Array} - Conditions for queryDocs
+ */
+const getReportConditions = (filters) => {
+  const conditions = [];
+  if (filters.status) {
+    conditions.push({ field: 'status', operator: '==', value: filters.status });
+  }
+  if (filters.lecturerId) {
+    conditions.push({ field: 'lecturerId', operator: '==', value: filters.lecturerId });
+  }
+  if (filters.moderatorId) {
+    conditions.push({ field: 'moderatorId', operator: '==', value: filters.moderatorId });
+  }
+  // The date range applies to the latest status change, i.e. the moderation outcome
+  if (filters.from) {
+    conditions.push({
+      field: 'statusChangedAt',
+      operator: '>=',
+      value: admin.firestore.Timestamp.fromDate(new Date(filters.from))
+    });
+  }
+  if (filters.to) {
+    conditions.push({
+      field: 'statusChangedAt',
+      operator: '<=',
+      value: admin.firestore.Timestamp.fromDate(new Date(filters.to))
+    });
+  }
+  return conditions;
+};
+
+/**
+ * Get the order a report's assessments are read in. Ordering by a field leaves
+ * out documents without it, so statusChangedAt is only used when the date
+ * filters already require it; either way the report reads exactly the
+ * documents countReportRows counts.
+ * @param {Object} filters - Report filters, see getReportConditions
+ * @returns {Object} - Sort order for queryDocs
+ */
+const getReportOrder = (filters) => {
+  return filters.from || filters.to
+    ? { field: 'statusChangedAt', direction: 'desc' }
+    : { field: '__name__' };
+};
+
+/**
+ * Count the assessments a report would contain
+ * @param {string} organizationId - Organization ID
+ * @param {Object} filters - Report filters, see getReportConditions
+ * @returns {Promise<number>} - Number of assessments
+ */
+const countReportRows = (organizationId, filters) => {
+  return countDocs('assessments', getReportConditions(filters), { organizationId });
+};
+
+/**
+ * Format a Firestore timestamp for a report
+ * @param {Object} timestamp - Firestore timestamp
+ * @returns {string} - ISO date and time, or an empty string
+ */
+const formatTimestamp = (timestamp) => {
+  return timestamp?.toDate ? timestamp.toDate().toISOString().replace('T', ' ').slice(0, 16) : '';
+};
+
+/**
+ * Create a lookup of user display names that reads each user once
+ * @param {string} organizationId - Organization ID
+ * @returns {Function} - Async function from user ID to name (the ID if the user is gone)
+ */
+const createNameLookup = (organizationId) => {
+  const names = new Map();
+  return async (userId) => {
+    if (!userId) {
+      return '';
+    }
+    if (!names.has(userId)) {
+      try {
+        const user = await getDocById('users', userId, organizationId);
+        names.set(userId, user.displayName || user.email || userId);
+      } catch (error) {
+        names.set(userId, userId);
+      }
+    }
+    return names.get(userId);
+  };
+};
+
+/**
+ * Read the assessments of a report, most recently decided first
+ * @param {string} organizationId - Organization ID
+ * @param {Object} filters - Report filters, see getReportConditions
+ * @param {Function} getName - User name lookup, see createNameLookup
+ * @returns {Promise<Array>} - Report rows keyed by column
+ */
+const collectReportRows = async (organizationId, filters, getName) => {
+  const conditions = getReportConditions(filters);
+  const assessments = [];
+  let startAfter = null;
+
+  do {
+    const batch = await queryDocs('assessments', conditions, {
+      organizationId,
+      orderBy: getReportOrder(filters),
+      limit: READ_BATCH_SIZE,
+      startAfter
+    });
+    assessments.push(...batch);
+    startAfter = batch.length === READ_BATCH_SIZE ? batch[batch.length - 1].id : null;
+  } while (startAfter);
+
+  // Assessments that never changed status sort last
+  const decidedAt = (assessment) => assessment.statusChangedAt?.toMillis?.() ?? 0;
+  assessments.sort((a, b) => decidedAt(b) - decidedAt(a));
+
+  const rows = [];
+  for (const assessment of assessments) {
+    rows.push({
+      title: assessment.title || '',
+      courseCode: assessment.courseCode || '',
+      type: assessment.type || '',
+      status: assessment.status,
+      lecturer: await getName(assessment.lecturerId),
+      moderator: await getName(assessment.moderatorId),
+      weightedScore: assessment.moderationResult?.weightedScore ?? '',
+      feedback: assessment.feedback || '',
+      submittedAt: formatTimestamp(assessment.submittedAt),
+      decidedAt: formatTimestamp(assessment.statusChangedAt)
+    });
+  }
+  return rows;
+};
+
+/**
+ * Render report rows as CSV
+ * @param {Array} rows - Report rows
+ * @returns {Buffer} - UTF-8 CSV with a byte order mark, so spreadsheets detect the encoding
+ */
+const renderCsv = (rows) => {
+  const lines = [
+    formatCsvRow(REPORT_COLUMNS.map(column => column.header)),
+    ...rows.map(row => formatCsvRow(REPORT_COLUMNS.map(column => row[column.key])))
+  ];
+  return Buffer.from(`\ufeff${lines.join('\r\n')}\r\n`, 'utf8');
+};
+
+/**
+ * Render report rows as a PDF table with a header and a sign-off block
+ * @param {Array} rows - Report rows
+ * @param {Object} details - Report details ({ title, lines }) printed above the table
+ * @returns {Promise<Buffer>} - PDF file
+ */
+const renderPdf = (rows, details) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+    const padding = 3;
+    const columns = REPORT_COLUMNS.map(column => ({ ...column, width: column.width * tableWidth }));
+
+    const rowHeight = (cells, font) => {
+      doc.font(font).fontSize(8);
+      return Math.max(...columns.map(column =>
+        doc.heightOfString(cells[column.key], { width: column.width - padding * 2 })
+      )) + padding * 2;
+    };
+
+    const drawRow = (cells, font, fill) => {
+      const height = rowHeight(cells, font);
+      if (doc.y + height > bottom()) {
+        doc.addPage();
+        drawHeader();
+      }
+      const top = doc.y;
+      if (fill) {
+        doc.rect(left, top, tableWidth, height).fill(fill);
+      }
+      doc.fillColor('#000000').font(font).fontSize(8);
+      let x = left;
+      columns.forEach(column => {
+        doc.text(cells[column.key], x + padding, top + padding, { width: column.width - padding * 2 });
+        x += column.width;
+      });
+      doc.moveTo(left, top + height).lineTo(left + tableWidth, top + height)
+        .strokeColor('#cccccc').lineWidth(0.5).stroke();
+      doc.x = left;
+      doc.y = top + height;
+    };
+
+    const headerCells = Object.fromEntries(REPORT_COLUMNS.map(column => [column.key, column.header]));
+    const drawHeader = () => drawRow(headerCells, 'Helvetica-Bold', '#e8e8e8');
+
+    doc.font('Helvetica-Bold').fontSize(16).text(details.title);
+    doc.moveDown(0.3);
+    doc.font('Helvetica').fontSize(9);
+    details.lines.forEach(line => doc.text(line));
+    doc.moveDown();
+
+    drawHeader();
+    rows.forEach(row => {
+      const cells = Object.fromEntries(REPORT_COLUMNS.map(column => [column.key, String(row[column.key] ?? '')]));
+      if (cells.feedback.length > MAX_PDF_FEEDBACK_LENGTH) {
+        cells.feedback = `${cells.feedback.slice(0, MAX_PDF_FEEDBACK_LENGTH)}…`;
+      }
+      drawRow(cells, 'Helvetica', null);
+    });
+    if (rows.length === 0) {
+      doc.moveDown().font('Helvetica-Oblique').fontSize(9).text('No assessments match the filters.');
+    }
+
+    // Space for quality assurance to sign the report off
+    if (doc.y + 90 > bottom()) {
+      doc.addPage();
+    }
+    doc.x = left;
+    doc.moveDown(2).font('Helvetica').fontSize(10);
+    doc.text('Reviewed by: ______________________________    Signature: ______________________    Date: ______________');
+
+    doc.end();
+  });
+};
+
+/**
+ * Describe a report's filters for the report header
+ * @param {Object} filters - Report filters
+ * @param {Function} getName - User name lookup, see createNameLookup
+ * @returns {Promise<string>} - Description
+ */
+const describeFilters = async (filters, getName) => {
+  const parts = [];
+  if (filters.from || filters.to) {
+    parts.push(`decided ${filters.from ? `from ${filters.from.slice(0, 10)}` : ''}` +
+      `${filters.from && filters.to ? ' ' : ''}${filters.to ? `until ${filters.to.slice(0, 10)}` : ''}`);
+  }
+  if (filters.status) {
+    parts.push(`status ${filters.status}`);
+  }
+  if (filters.lecturerId) {
+    parts.push(`lecturer ${await getName(filters.lecturerId)}`);
+  }
+  if (filters.moderatorId) {
+    parts.push(`moderator ${await getName(filters.moderatorId)}`);
+  }
+  return parts.length > 0 ? parts.join(', ') : 'none';
+};
+
+/**
+ * Generate the file of a report job and store it.
+ * The job is marked completed with its storage path, or failed with the error.
+ * @param {string} jobId - Report job ID
+ * @returns {Promise<Object>} - Updated report job data
+ */
+const generateReport = async (jobId) => {
+  const jobRef = db.collection('reportJobs').doc(jobId);
+  const jobDoc = await jobRef.get();
+  const job = { id: jobDoc.id, ...jobDoc.data() };
+
+  try {
+    const getName = createNameLookup(job.organizationId);
+    const rows = await collectReportRows(job.organizationId, job.filters, getName);
+
+    let contents;
+    if (job.format === 'pdf') {
+      const organization = await getDocById('organizations', job.organizationId);
+      const generatedAt = new Date().toISOString().replace('T', ' ').slice(0, 16);
+      contents = await renderPdf(rows, {
+        title: 'Moderation report',
+        lines: [
+          `Organization: ${organization.name}`,
+          `Generated by: ${await getName(job.requestedBy)} on ${generatedAt} UTC`,
+          `Filters: ${await describeFilters(job.filters, getName)}`,
+          `Assessments: ${rows.length}`
+        ]
+      });
+    } else {
+      contents = renderCsv(rows);
+    }
+
+    const storagePath = getReportPath(job);
+    await saveFile(storagePath, contents, REPORT_FORMATS[job.format]);
+
+    const result = {
+      status: REPORT_STATUSES.COMPLETED,
+      rowCount: rows.length,
+      size: contents.length,
+      storagePath,
+      fileName: `moderation-report-${job.id}.${job.format}`,
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    await jobRef.update(result);
+
+    await recordAuditEntry({
+      organizationId: job.organizationId,
+      actorId: job.requestedBy,
+      action: AUDIT_ACTIONS.REPORT_EXPORT,
+      targetType: 'report',
+      targetId: job.id,
+      before: null,
+      after: { format: job.format, filters: job.filters, rowCount: rows.length }
+    });
+
+    return { ...job, ...result };
+  } catch (error) {
+    console.error(`Error generating report ${jobId}:`, error);
+    const result = {
+      status: REPORT_STATUSES.FAILED,
+      error: error.message,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    await jobRef.update(result);
+    return { ...job, ...result };
+  }
+};
+
+module.exports = {
+  REPORT_FORMATS,
+  REPORT_STATUSES,
+  countReportRows,
+  generateReport
+};
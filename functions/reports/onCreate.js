@@ -0,0 +1,64 @@
+/**
+ * Trigger function that runs when a report job is created
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { NOTIFICATION_TYPES, createNotifications } = require('../utils/notifications');
+const { REPORT_STATUSES, generateReport } = require('./generate');
+
+/**
+ * When a report job is queued in Firestore, generate the report in the
+ * background and notify the admin who requested it.
+ * Jobs created as running are generated by requestModerationReport itself.
+ */
+const onReportJobCreated = functions.firestore
+  .onDocumentCreated({
+    document: 'reportJobs/{jobId}',
+    timeoutSeconds: 540,
+    memory: '1GiB'
+  }, async (event) => {
+    const context = event;
+    try {
+      const jobId = context.params.jobId;
+      const jobRef = db.collection('reportJobs').doc(jobId);
+
+      // Claim the job, so a retried event does not generate it twice
+      const claimed = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(jobRef);
+        if (!doc.exists || doc.data().status !== REPORT_STATUSES.QUEUED) {
+          return false;
+        }
+        transaction.update(jobRef, {
+          status: REPORT_STATUSES.RUNNING,
+          startedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+      });
+
+      if (!claimed) {
+        return null;
+      }
+
+      console.log(`Generating report ${jobId} in the background`);
+      const job = await generateReport(jobId);
+
+      const completed = job.status === REPORT_STATUSES.COMPLETED;
+      await createNotifications([job.requestedBy], {
+        type: NOTIFICATION_TYPES.REPORT_READY,
+        title: completed ? 'Moderation report ready' : 'Moderation report failed',
+        message: completed
+          ? `Your ${job.format.toUpperCase()} moderation report with ${job.rowCount} assessments is ready to download.`
+          : 'Your moderation report could not be generated. Please try again.',
+        data: { reportId: jobId, status: job.status }
+      });
+
+      return null;
+    } catch (error) {
+      console.error('Error in onReportJobCreated trigger:', error);
+      return null;
+    }
+  });
+
+module.exports = onReportJobCreated;
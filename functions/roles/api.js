@@ -0,0 +1,337 @@
+/**
+ * Role API endpoints
+ *
+ * Roles are named bundles of permissions, see utils/permissions. Admins can
+ * change which permissions the built-in moderator and lecturer roles grant and
+ * add roles of their own. Nobody can put a permission they do not hold into a
+ * role, or change a role they could not grant.
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { queryDocs, createDoc, updateDoc, deleteDoc } = require('../utils/db');
+const { requirePermission, isUserApproved } = require('../utils/auth');
+const {
+  PERMISSIONS,
+  ORGANIZATION_PERMISSIONS,
+  BUILT_IN_ROLES,
+  ROLE_KEY_PATTERN,
+  roleDocId,
+  getOrganizationRoles,
+  getUngrantableRoles,
+  hasPermission
+} = require('../utils/permissions');
+const { getOrganizationId } = require('../utils/tenancy');
+const { AUDIT_ACTIONS, recordAuditEntry } = require('../utils/audit');
+
+/**
+ * Validate the name and permissions of a role
+ * @param {Object} data - { name, permissions }
+ * @param {Object} manager - User changing the role, including permissions
+ * @returns {Array} - Errors ({ field, message }), empty when the role is valid
+ */
+const validateRole = ({ name, permissions }, manager) => {
+  const errors = [];
+  if (typeof name !== 'string' || !name.trim()) {
+    errors.push({ field: 'name', message: 'Name is required.' });
+  }
+  if (!Array.isArray(permissions)) {
+    errors.push({ field: 'permissions', message: 'Permissions must be a list.' });
+    return errors;
+  }
+  permissions.forEach(permission => {
+    if (!ORGANIZATION_PERMISSIONS.includes(permission)) {
+      errors.push({ field: 'permissions', message: `Unknown permission: ${permission}` });
+    } else if (!hasPermission(manager, permission)) {
+      errors.push({ field: 'permissions', message: `You cannot grant ${permission}, you do not hold it.` });
+    }
+  });
+  return errors;
+};
+
+/**
+ * Throw an invalid-argument error listing the role errors, if any
+ * @param {Array} errors - Errors from validateRole
+ */
+const assertValidRole = (errors) => {
+  if (errors.length > 0) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'The role is invalid.',
+      { errors }
+    );
+  }
+};
+
+/**
+ * Get a role of the caller's organization that they may change
+ * @param {string} key - Role key
+ * @param {Object} manager - User changing the role, including permissions
+ * @param {Object} roles - Roles of the organization, see getOrganizationRoles
+ * @returns {Object} - Role
+ */
+const getChangeableRole = (key, manager, roles) => {
+  const role = roles[key];
+  if (!role) {
+    throw new functions.https.HttpsError(
+      'not-found',
+      `Role '${key}' does not exist.`
+    );
+  }
+  if (role.locked) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      `The ${role.name} role cannot be changed.`
+    );
+  }
+  const [ungrantable] = getUngrantableRoles([key], manager, roles);
+  if (ungrantable) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      ungrantable.message
+    );
+  }
+  return role;
+};
+
+/**
+ * Get the roles of the caller's organization and every permission a role can grant
+ */
+const getRoles = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to view roles.'
+      );
+    }
+
+    const isApproved = await isUserApproved(context.auth.uid);
+
+    if (!isApproved) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Your account must be approved to view roles.'
+      );
+    }
+
+    const roles = await getOrganizationRoles(getOrganizationId(context));
+
+    return {
+      success: true,
+      roles: Object.values(roles),
+      permissions: ORGANIZATION_PERMISSIONS
+    };
+  } catch (error) {
+    console.error('Error getting roles:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Add a role to the caller's organization (role.manage)
+ */
+const createRole = functions.https.onCall(async (data, context) => {
+  try {
+    const manager = await requirePermission(context, PERMISSIONS.ROLE_MANAGE, 'create roles');
+
+    const { key, name, description, permissions } = data || {};
+
+    const errors = validateRole({ name, permissions }, manager);
+    if (typeof key !== 'string' || !ROLE_KEY_PATTERN.test(key)) {
+      errors.unshift({
+        field: 'key',
+        message: 'Key must be 2 to 40 lowercase letters, digits or underscores, starting with a letter.'
+      });
+    }
+    assertValidRole(errors);
+
+    const organizationId = getOrganizationId(context);
+    const roles = await getOrganizationRoles(organizationId);
+    // Keys of deployment roles are reserved even though organizations do not have them
+    if (roles[key] || BUILT_IN_ROLES[key]) {
+      throw new functions.https.HttpsError(
+        'already-exists',
+        `Role '${key}' already exists.`
+      );
+    }
+
+    const roleData = {
+      organizationId,
+      key,
+      name: name.trim(),
+      description: description || '',
+      permissions: [...new Set(permissions)].sort(),
+      createdBy: manager.id,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await createDoc('roles', roleData, roleDocId(organizationId, key));
+
+    await recordAuditEntry({
+      organizationId,
+      actorId: manager.id,
+      action: AUDIT_ACTIONS.ROLE_CREATE,
+      targetType: 'role',
+      targetId: key,
+      before: {},
+      after: { name: roleData.name, permissions: roleData.permissions }
+    });
+
+    return {
+      success: true,
+      message: 'Role created successfully',
+      key
+    };
+  } catch (error) {
+    console.error('Error creating role:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Change the name, description or permissions of a role (role.manage).
+ * Built-in roles can be changed unless they are locked.
+ */
+const updateRole = functions.https.onCall(async (data, context) => {
+  try {
+    const manager = await requirePermission(context, PERMISSIONS.ROLE_MANAGE, 'update roles');
+
+    const { key } = data || {};
+
+    if (!key) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Role key is required.'
+      );
+    }
+
+    const organizationId = getOrganizationId(context);
+    const role = getChangeableRole(key, manager, await getOrganizationRoles(organizationId));
+
+    const name = data.name !== undefined ? data.name : role.name;
+    const description = data.description !== undefined ? data.description || '' : role.description;
+    const permissions = data.permissions !== undefined ? data.permissions : role.permissions;
+    assertValidRole(validateRole({ name, permissions }, manager));
+
+    const roleData = {
+      organizationId,
+      key,
+      name: name.trim(),
+      description,
+      permissions: [...new Set(permissions)].sort(),
+      updatedBy: manager.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    // Built-in roles get a stored copy the first time they are changed
+    const docRef = db.collection('roles').doc(roleDocId(organizationId, key));
+    if ((await docRef.get()).exists) {
+      await updateDoc('roles', docRef.id, roleData);
+    } else {
+      await createDoc('roles', {
+        ...roleData,
+        createdBy: manager.id,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      }, docRef.id);
+    }
+
+    await recordAuditEntry({
+      organizationId,
+      actorId: manager.id,
+      action: AUDIT_ACTIONS.ROLE_UPDATE,
+      targetType: 'role',
+      targetId: key,
+      before: { name: role.name, permissions: role.permissions },
+      after: { name: roleData.name, permissions: roleData.permissions }
+    });
+
+    return {
+      success: true,
+      message: 'Role updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating role:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Delete a role the organization added (role.manage).
+ * Built-in roles and roles that users still hold cannot be deleted.
+ */
+const deleteRole = functions.https.onCall(async (data, context) => {
+  try {
+    const manager = await requirePermission(context, PERMISSIONS.ROLE_MANAGE, 'delete roles');
+
+    const { key } = data || {};
+
+    if (!key) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Role key is required.'
+      );
+    }
+
+    const organizationId = getOrganizationId(context);
+    const role = getChangeableRole(key, manager, await getOrganizationRoles(organizationId));
+
+    if (role.builtIn) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `The ${role.name} role is built in and cannot be deleted.`
+      );
+    }
+
+    const holders = await queryDocs('users', [
+      { field: 'roles', operator: 'array-contains', value: key }
+    ], { organizationId, limit: 1 });
+    if (holders.length > 0) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        `The ${role.name} role is still held by users. Remove it from them first.`
+      );
+    }
+
+    await deleteDoc('roles', roleDocId(organizationId, key));
+
+    await recordAuditEntry({
+      organizationId,
+      actorId: manager.id,
+      action: AUDIT_ACTIONS.ROLE_DELETE,
+      targetType: 'role',
+      targetId: key,
+      before: { name: role.name, permissions: role.permissions },
+      after: {}
+    });
+
+    return {
+      success: true,
+      message: 'Role deleted successfully'
+    };
+  } catch (error) {
+    console.error('Error deleting role:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole
+};
@@ -0,0 +1,309 @@
+/**
+ * Moderation rubric API endpoints
+ */
+
+const functions = require('firebase-functions');
+const { admin, db } = require('../config/firebase');
+const { getDocById, queryDocs, createDoc, updateDoc, deleteDoc } = require('../utils/db');
+const { requirePermission, isUserApproved } = require('../utils/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const { validateCriteria } = require('./scoring');
+const { getOrganizationId } = require('../utils/tenancy');
+const { getAssessmentTypes } = require('../assessments/schemas');
+
+/**
+ * Deactivate every other active rubric of an assessment type in an organization,
+ * so each type has at most one rubric in use
+ * @param {string} assessmentType - Assessment type
+ * @param {string} keepId - ID of the rubric that stays active
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<void>}
+ */
+const deactivateOtherRubrics = async (assessmentType, keepId, organizationId) => {
+  const active = await queryDocs('rubrics', [
+    { field: 'assessmentType', operator: '==', value: assessmentType },
+    { field: 'active', operator: '==', value: true }
+  ], { organizationId });
+
+  const batch = db.batch();
+  active
+    .filter(rubric => rubric.id !== keepId)
+    .forEach(rubric => {
+      batch.update(db.collection('rubrics').doc(rubric.id), {
+        active: false,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+  await batch.commit();
+};
+
+/**
+ * Throw an invalid-argument error listing the criteria errors, if any
+ * @param {Array} criteria - Rubric criteria
+ */
+const assertValidCriteria = (criteria) => {
+  const errors = validateCriteria(criteria);
+  if (errors.length > 0) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'The rubric criteria are invalid.',
+      { errors }
+    );
+  }
+};
+
+/**
+ * Throw an invalid-argument error unless the assessment type is registered
+ * @param {string} assessmentType - Assessment type
+ */
+const assertKnownType = (assessmentType) => {
+  const types = getAssessmentTypes();
+  if (!types.includes(assessmentType)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Assessment type must be one of: ${types.join(', ')}`
+    );
+  }
+};
+
+/**
+ * Create a rubric for an assessment type (rubric.manage)
+ */
+const createRubric = functions.https.onCall(async (data, context) => {
+  try {
+    const { id: userId } = await requirePermission(context, PERMISSIONS.RUBRIC_MANAGE, 'create rubrics');
+
+    const { name, description, assessmentType, criteria, active } = data;
+
+    if (!name || !assessmentType) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Name and assessment type are required.'
+      );
+    }
+
+    assertKnownType(assessmentType);
+    assertValidCriteria(criteria);
+
+    const organizationId = getOrganizationId(context);
+    const rubricData = {
+      organizationId,
+      name,
+      description: description || '',
+      assessmentType,
+      criteria,
+      active: active !== false,
+      createdBy: userId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const docRef = await createDoc('rubrics', rubricData);
+
+    if (rubricData.active) {
+      await deactivateOtherRubrics(assessmentType, docRef.id, organizationId);
+    }
+
+    return {
+      success: true,
+      message: 'Rubric created successfully',
+      rubricId: docRef.id
+    };
+  } catch (error) {
+    console.error('Error creating rubric:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Update a rubric (rubric.manage)
+ */
+const updateRubric = functions.https.onCall(async (data, context) => {
+  try {
+    await requirePermission(context, PERMISSIONS.RUBRIC_MANAGE, 'update rubrics');
+
+    const { rubricId, name, description, assessmentType, criteria, active } = data;
+
+    if (!rubricId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Rubric ID is required.'
+      );
+    }
+
+    const rubric = await getDocById('rubrics', rubricId, getOrganizationId(context));
+
+    const updateData = {
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (name !== undefined) {
+      updateData.name = name;
+    }
+    if (description !== undefined) {
+      updateData.description = description;
+    }
+    if (assessmentType !== undefined) {
+      assertKnownType(assessmentType);
+      updateData.assessmentType = assessmentType;
+    }
+    if (criteria !== undefined) {
+      assertValidCriteria(criteria);
+      updateData.criteria = criteria;
+    }
+    if (active !== undefined) {
+      updateData.active = Boolean(active);
+    }
+
+    await updateDoc('rubrics', rubricId, updateData);
+
+    const isActive = updateData.active ?? rubric.active;
+    if (isActive) {
+      await deactivateOtherRubrics(
+        updateData.assessmentType || rubric.assessmentType, rubricId, rubric.organizationId
+      );
+    }
+
+    return {
+      success: true,
+      message: 'Rubric updated successfully'
+    };
+  } catch (error) {
+    console.error('Error updating rubric:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Delete a rubric (rubric.manage).
+ * Moderation results keep their own copy of the criteria they were scored on.
+ */
+const deleteRubric = functions.https.onCall(async (data, context) => {
+  try {
+    await requirePermission(context, PERMISSIONS.RUBRIC_MANAGE, 'delete rubrics');
+
+    const { rubricId } = data;
+
+    if (!rubricId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Rubric ID is required.'
+      );
+    }
+
+    await getDocById('rubrics', rubricId, getOrganizationId(context));
+    await deleteDoc('rubrics', rubricId);
+
+    return {
+      success: true,
+      message: 'Rubric deleted successfully'
+    };
+  } catch (error) {
+    console.error('Error deleting rubric:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get rubrics with optional assessment type and active filters
+ */
+const getRubrics = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get rubrics.'
+      );
+    }
+
+    const isApproved = await isUserApproved(context.auth.uid);
+
+    if (!isApproved) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Your account must be approved to view rubrics.'
+      );
+    }
+
+    // Apply filters if provided
+    const conditions = [];
+    if (data?.assessmentType) {
+      conditions.push({ field: 'assessmentType', operator: '==', value: data.assessmentType });
+    }
+    if (data?.active !== undefined) {
+      conditions.push({ field: 'active', operator: '==', value: Boolean(data.active) });
+    }
+
+    const rubrics = await queryDocs('rubrics', conditions, {
+      organizationId: getOrganizationId(context)
+    });
+
+    return { success: true, rubrics };
+  } catch (error) {
+    console.error('Error getting rubrics:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get rubric by ID
+ */
+const getRubricById = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated
+    if (!context.auth) {
+      throw new functions.https.HttpsError(
+        'unauthenticated',
+        'You must be logged in to get a rubric.'
+      );
+    }
+
+    const isApproved = await isUserApproved(context.auth.uid);
+
+    if (!isApproved) {
+      throw new functions.https.HttpsError(
+        'permission-denied',
+        'Your account must be approved to view rubrics.'
+      );
+    }
+
+    const { rubricId } = data;
+
+    if (!rubricId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'Rubric ID is required.'
+      );
+    }
+
+    const rubric = await getDocById('rubrics', rubricId, getOrganizationId(context));
+
+    return { success: true, rubric };
+  } catch (error) {
+    console.error('Error getting rubric by ID:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  createRubric,
+  updateRubric,
+  deleteRubric,
+  getRubrics,
+  getRubricById
+};
@@ -0,0 +1,166 @@
+/**
+ * Rubric validation and weighted scoring
+ */
+
+const { db } = require('../config/firebase');
+
+/**
+ * Validate the criteria of a rubric
+ * @param {Array} criteria - Criteria ({ id, name, weight, scale: { min, max }, mandatory, threshold })
+ * @returns {Array} - Field-level errors ({ field, message }), empty when valid
+ */
+const validateCriteria = (criteria) => {
+  const errors = [];
+
+  if (!Array.isArray(criteria) || criteria.length === 0) {
+    return [{ field: 'criteria', message: 'At least one criterion is required.' }];
+  }
+
+  const ids = new Set();
+  criteria.forEach((criterion, index) => {
+    const field = `criteria[${index}]`;
+
+    if (!criterion || typeof criterion !== 'object') {
+      errors.push({ field, message: 'Criterion must be an object.' });
+      return;
+    }
+    if (!criterion.id || typeof criterion.id !== 'string') {
+      errors.push({ field: `${field}.id`, message: 'Criterion ID is required.' });
+    } else if (ids.has(criterion.id)) {
+      errors.push({ field: `${field}.id`, message: `Duplicate criterion ID: ${criterion.id}` });
+    } else {
+      ids.add(criterion.id);
+    }
+    if (!criterion.name) {
+      errors.push({ field: `${field}.name`, message: 'Criterion name is required.' });
+    }
+    if (typeof criterion.weight !== 'number' || !(criterion.weight > 0)) {
+      errors.push({ field: `${field}.weight`, message: 'Weight must be a positive number.' });
+    }
+
+    const scale = criterion.scale || {};
+    if (typeof scale.min !== 'number' || typeof scale.max !== 'number' || scale.min >= scale.max) {
+      errors.push({ field: `${field}.scale`, message: 'Scale must have a numeric min lower than its max.' });
+      return;
+    }
+
+    if (criterion.mandatory) {
+      const { threshold } = criterion;
+      if (typeof threshold !== 'number' || threshold < scale.min || threshold > scale.max) {
+        errors.push({
+          field: `${field}.threshold`,
+          message: `Mandatory criteria need a threshold between ${scale.min} and ${scale.max}.`
+        });
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Check moderator scores against a rubric and compute the weighted result
+ * @param {Object} rubric - Rubric data
+ * @param {Array} scores - Scores ({ criterionId, score, comment })
+ * @returns {Object} - Result ({ errors, criteria, weightedScore, mandatoryFailures })
+ */
+const scoreAgainstRubric = (rubric, scores) => {
+  const errors = [];
+
+  if (!Array.isArray(scores)) {
+    return { errors: [{ field: 'scores', message: 'Scores are required for this rubric.' }] };
+  }
+
+  const byCriterion = new Map();
+  scores.forEach((entry, index) => {
+    const known = rubric.criteria.some(criterion => criterion.id === entry?.criterionId);
+    if (!known) {
+      errors.push({ field: `scores[${index}].criterionId`, message: `Unknown criterion: ${entry?.criterionId}` });
+    } else if (byCriterion.has(entry.criterionId)) {
+      errors.push({ field: `scores[${index}].criterionId`, message: `Duplicate score for: ${entry.criterionId}` });
+    } else {
+      byCriterion.set(entry.criterionId, entry);
+    }
+  });
+
+  const criteria = [];
+  const mandatoryFailures = [];
+  let weightedTotal = 0;
+  let totalWeight = 0;
+
+  rubric.criteria.forEach(criterion => {
+    const entry = byCriterion.get(criterion.id);
+    const { min, max } = criterion.scale;
+
+    if (!entry) {
+      errors.push({ field: 'scores', message: `Missing score for criterion: ${criterion.name}` });
+      return;
+    }
+    if (typeof entry.score !== 'number' || entry.score < min || entry.score > max) {
+      errors.push({
+        field: `scores.${criterion.id}`,
+        message: `Score for ${criterion.name} must be between ${min} and ${max}.`
+      });
+      return;
+    }
+    if (entry.comment !== undefined && typeof entry.comment !== 'string') {
+      errors.push({ field: `scores.${criterion.id}.comment`, message: 'Comment must be text.' });
+      return;
+    }
+
+    // Scores are normalised to 0..1 so criteria with different scales can be combined
+    const normalized = (entry.score - min) / (max - min);
+    weightedTotal += normalized * criterion.weight;
+    totalWeight += criterion.weight;
+
+    const belowThreshold = Boolean(criterion.mandatory) && entry.score < criterion.threshold;
+    if (belowThreshold) {
+      mandatoryFailures.push(criterion.id);
+    }
+
+    criteria.push({
+      criterionId: criterion.id,
+      name: criterion.name,
+      weight: criterion.weight,
+      score: entry.score,
+      maxScore: max,
+      comment: entry.comment || '',
+      mandatory: Boolean(criterion.mandatory),
+      belowThreshold
+    });
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    errors,
+    criteria,
+    weightedScore: Math.round((weightedTotal / totalWeight) * 10000) / 100,
+    mandatoryFailures
+  };
+};
+
+/**
+ * Get an organization's active rubric for an assessment type
+ * @param {string} assessmentType - Assessment type
+ * @param {string} organizationId - Organization ID
+ * @param {Object|null} transaction - Transaction to read in, so that a rubric
+ *   changed before the transaction commits makes it retry (optional)
+ * @returns {Promise<Object|null>} - Rubric, or null if the type has none
+ */
+const getActiveRubric = async (assessmentType, organizationId, transaction = null) => {
+  const query = db.collection('rubrics')
+    .where('organizationId', '==', organizationId)
+    .where('assessmentType', '==', assessmentType)
+    .where('active', '==', true);
+  const snapshot = transaction ? await transaction.get(query) : await query.get();
+  return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+};
+
+module.exports = {
+  validateCriteria,
+  scoreAgainstRubric,
+  getActiveRubric
+};
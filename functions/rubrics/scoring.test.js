@@ -0,0 +1,99 @@
+const { db } = require('../config/firebase');
+const { validateCriteria, scoreAgainstRubric, getActiveRubric } = require('./scoring');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('../test/emulator');
+
+const rubric = {
+  criteria: [
+    { id: 'clarity', name: 'Clarity', weight: 1, scale: { min: 0, max: 4 } },
+    { id: 'alignment', name: 'Alignment', weight: 3, scale: { min: 1, max: 5 }, mandatory: true, threshold: 3 }
+  ]
+};
+
+describe('validateCriteria', () => {
+  test('accepts a valid rubric', () => {
+    expect(validateCriteria(rubric.criteria)).toEqual([]);
+  });
+
+  test('needs at least one criterion', () => {
+    expect(validateCriteria([])).toEqual([{ field: 'criteria', message: 'At least one criterion is required.' }]);
+  });
+
+  test('reports each problem by its field', () => {
+    expect(validateCriteria([
+      { id: 'a', name: 'A', weight: 0, scale: { min: 0, max: 4 } },
+      { id: 'a', weight: 1, scale: { min: 4, max: 4 } },
+      { id: 'b', name: 'B', weight: 1, scale: { min: 0, max: 4 }, mandatory: true, threshold: 5 }
+    ])).toEqual([
+      { field: 'criteria[0].weight', message: 'Weight must be a positive number.' },
+      { field: 'criteria[1].id', message: 'Duplicate criterion ID: a' },
+      { field: 'criteria[1].name', message: 'Criterion name is required.' },
+      { field: 'criteria[1].scale', message: 'Scale must have a numeric min lower than its max.' },
+      { field: 'criteria[2].threshold', message: 'Mandatory criteria need a threshold between 0 and 4.' }
+    ]);
+  });
+});
+
+describe('scoreAgainstRubric', () => {
+  test('weighs the scores normalised to their scales', () => {
+    const result = scoreAgainstRubric(rubric, [
+      { criterionId: 'clarity', score: 2 },
+      { criterionId: 'alignment', score: 5, comment: 'Matches the outcomes.' }
+    ]);
+
+    expect(result.errors).toEqual([]);
+    expect(result.weightedScore).toBe(87.5);
+    expect(result.mandatoryFailures).toEqual([]);
+    expect(result.criteria[1]).toMatchObject({ criterionId: 'alignment', maxScore: 5, comment: 'Matches the outcomes.' });
+  });
+
+  test('reports mandatory criteria below their threshold', () => {
+    const result = scoreAgainstRubric(rubric, [
+      { criterionId: 'clarity', score: 4 },
+      { criterionId: 'alignment', score: 2 }
+    ]);
+
+    expect(result.mandatoryFailures).toEqual(['alignment']);
+    expect(result.criteria[1].belowThreshold).toBe(true);
+  });
+
+  test('refuses unknown, duplicate, missing and out of range scores', () => {
+    const { errors } = scoreAgainstRubric(rubric, [
+      { criterionId: 'clarity', score: 9 },
+      { criterionId: 'clarity', score: 1 },
+      { criterionId: 'style', score: 1 }
+    ]);
+
+    expect(errors).toEqual([
+      { field: 'scores[1].criterionId', message: 'Duplicate score for: clarity' },
+      { field: 'scores[2].criterionId', message: 'Unknown criterion: style' },
+      { field: 'scores.clarity', message: 'Score for Clarity must be between 0 and 4.' },
+      { field: 'scores', message: 'Missing score for criterion: Alignment' }
+    ]);
+  });
+
+  test('needs scores', () => {
+    expect(scoreAgainstRubric(rubric, undefined).errors)
+      .toEqual([{ field: 'scores', message: 'Scores are required for this rubric.' }]);
+  });
+});
+
+describeWithEmulator('getActiveRubric', () => {
+  beforeAll(async () => {
+    await clearEmulators();
+    await db.collection('rubrics').doc('r1').set({ organizationId: 'org1', assessmentType: 'exam', active: false, ...rubric });
+    await db.collection('rubrics').doc('r2').set({ organizationId: 'org1', assessmentType: 'exam', active: true, ...rubric });
+    await db.collection('rubrics').doc('r3').set({ organizationId: 'org2', assessmentType: 'quiz', active: true, ...rubric });
+  });
+
+  afterAll(closeFirebase);
+
+  test('finds the active rubric of the organization and type', async () => {
+    expect((await getActiveRubric('exam', 'org1')).id).toBe('r2');
+    expect(await getActiveRubric('quiz', 'org1')).toBeNull();
+  });
+
+  test('reads in a transaction', async () => {
+    const found = await db.runTransaction(transaction => getActiveRubric('quiz', 'org2', transaction));
+    expect(found.id).toBe('r3');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Helpers for the tests that run against the Firestore, Auth and Storage emulators.
+ *
+ * npm run test:emulator starts the emulators and runs the tests with
+ * FIRESTORE_EMULATOR_HOST, FIREBASE_AUTH_EMULATOR_HOST and
+ * FIREBASE_STORAGE_EMULATOR_HOST set. Suites declared with describeWithEmulator
+ * are skipped when the emulators are not running, so npm test on its own only
+ * runs the tests that need no Firestore.
+ */
+
+const { admin, db } = require('../config/firebase');
+
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+/**
+ * Call an emulator's REST endpoint that deletes everything of the project
+ * @param {string|undefined} host - Emulator host, from its environment variable
+ * @param {string} path - Endpoint path below the project
+ * @returns {Promise<void>}
+ */
+const clearEmulator = async (host, path) => {
+  if (!host) {
+    return;
+  }
+  const url = `http://${host}/emulator/v1/projects/${process.env.GCLOUD_PROJECT}/${path}`;
+  const response = await fetch(url, { method: 'DELETE' });
+  if (!response.ok) {
+    throw new Error(`Clearing ${url} failed with status ${response.status}`);
+  }
+};
+
+/**
+ * Delete every document and Auth account, for a clean start per test
+ * @returns {Promise<void>}
+ */
+const clearEmulators = async () => {
+  await clearEmulator(process.env.FIRESTORE_EMULATOR_HOST, 'databases/(default)/documents');
+  await clearEmulator(process.env.FIREBASE_AUTH_EMULATOR_HOST, 'accounts');
+};
+
+/**
+ * Close the Admin SDK's connections, so Jest can exit once a suite is done
+ * @returns {Promise<void>}
+ */
+const closeFirebase = async () => {
+  await admin.app().delete();
+};
+
+/**
+ * Write an organization
+ * @param {string} id - Organization ID
+ * @param {Object} data - Fields to set besides the defaults
+ * @returns {Promise<Object>} - Organization data, including its ID
+ */
+const seedOrganization = async (id, data = {}) => {
+  const organization = { name: `Organization ${id}`, slug: id, active: true, ...data };
+  await db.collection('organizations').doc(id).set({
+    ...organization,
+    createdAt: admin.firestore.Timestamp.now(),
+    updatedAt: admin.firestore.Timestamp.now()
+  });
+  return { id, ...organization };
+};
+
+/**
+ * Write a users document, approved and active unless data says otherwise
+ * @param {string} id - User ID
+ * @param {Object} data - Fields to set besides the defaults, usually roles and organizationId
+ * @returns {Promise<Object>} - User data, including its ID
+ */
+const seedUser = async (id, data = {}) => {
+  const user = {
+    displayName: `User ${id}`,
+    email: `${id}@moducate.test`,
+    roles: ['lecturer'],
+    organizationId: null,
+    approved: true,
+    active: true,
+    ...data
+  };
+  await db.collection('users').doc(id).set({
+    ...user,
+    createdAt: admin.firestore.Timestamp.now(),
+    updatedAt: admin.firestore.Timestamp.now()
+  });
+  return { id, ...user };
+};
+
+/**
+ * Write a course
+ * @param {string} id - Course ID
+ * @param {Object} data - Fields to set besides the defaults, usually organizationId and staff
+ * @returns {Promise<Object>} - Course data, including its ID
+ */
+const seedCourse = async (id, data = {}) => {
+  const course = {
+    code: id.toUpperCase(),
+    name: `Course ${id}`,
+    department: 'Testing',
+    lecturerIds: [],
+    moderatorIds: [],
+    active: true,
+    ...data
+  };
+  await db.collection('courses').doc(id).set({
+    ...course,
+    createdAt: admin.firestore.Timestamp.now(),
+    updatedAt: admin.firestore.Timestamp.now()
+  });
+  return { id, ...course };
+};
+
+/**
+ * Build the callable context of a signed-in user, with the claims
+ * utils/claims would have given them
+ * @param {Object} user - User data, including its ID
+ * @returns {Object} - Callable context ({ auth: { uid, token } })
+ */
+const contextFor = (user) => ({
+  auth: {
+    uid: user.id,
+    token: {
+      uid: user.id,
+      email: user.email,
+      roles: user.roles,
+      approved: user.approved,
+      organizationId: user.organizationId
+    }
+  }
+});
+
+module.exports = {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  seedCourse,
+  contextFor
+};
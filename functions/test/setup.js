@@ -0,0 +1,23 @@
+/**
+ * Environment of every test file, set before any module loads config/firebase.
+ *
+ * Tests always use the demo project, so they can never reach a real one, and
+ * a throwaway service account key, which the emulators do not check. Mail goes
+ * to the memory transport, see utils/mailer.
+ */
+
+const crypto = require('crypto');
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || 'demo-moducate';
+
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.FIREBASE_PROJECT_ID = PROJECT_ID;
+process.env.FIREBASE_CLIENT_EMAIL = `tests@${PROJECT_ID}.iam.gserviceaccount.com`;
+process.env.FIREBASE_PRIVATE_KEY = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' }
+}).privateKey;
+process.env.FIREBASE_STORAGE_BUCKET = `${PROJECT_ID}.appspot.com`;
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.APP_URL = 'https://moducate.test';
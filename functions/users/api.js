@@ -3,12 +3,50 @@
  */
 
 const functions = require('firebase-functions');
-const cors = require('cors')({ origin: true });
 const { admin } = require('../config/firebase');
-const { getDocById, queryDocs, updateDoc } = require('../utils/db');
+const { getDocById, queryDocs, queryPage, updateDoc } = require('../utils/db');
+const { parseListOptions } = require('../utils/pagination');
+const { sendTemplatedEmail } = require('../utils/mailer');
+const { AUDIT_ACTIONS, recordAuditEntry } = require('../utils/audit');
+const { isApproved, requirePermission, verifyUserPermission, withPermissions } = require('../utils/auth');
+const {
+  PERMISSIONS,
+  getUserRoles,
+  getOrganizationRoles,
+  getUngrantableRoles,
+  hasPermission
+} = require('../utils/permissions');
+const { setUserClaims, reconcileClaims } = require('../utils/claims');
+const { SUPER_ADMIN_ROLE, getOrganizationId } = require('../utils/tenancy');
+const { importUsers } = require('./import');
+const { isActiveLecturer, handOffWork } = require('./offboarding');
 
 /**
- * Get user profile by ID
+ * Make sure a caller could grant every role a user holds, before changing
+ * whether that user can use the system. Roles the organization does not have
+ * grant nothing and are left out.
+ * @param {Object} caller - Caller's user data including permissions
+ * @param {Object} user - User data
+ * @param {string} organizationId - Organization ID
+ * @returns {Promise<void>}
+ * @throws {functions.https.HttpsError} - When the user holds a role the caller could not grant
+ */
+const assertCanManageRoles = async (caller, user, organizationId) => {
+  const organizationRoles = await getOrganizationRoles(organizationId);
+  const roles = getUserRoles(user).filter(role => organizationRoles[role]);
+  const [ungrantable] = getUngrantableRoles(roles, caller, organizationRoles);
+  if (ungrantable) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      `You cannot manage this user. ${ungrantable.message}`
+    );
+  }
+};
+
+/**
+ * Get user profile by ID.
+ * Profiles of other users are only visible within the same organization.
+ * The caller's own profile includes the permissions their roles grant.
  */
 const getUserProfile = functions.https.onCall(async (data, context) => {
   try {
@@ -21,7 +59,9 @@ const getUserProfile = functions.https.onCall(async (data, context) => {
     }
 
     const userId = data.userId || context.auth.uid;
-    const user = await getDocById('users', userId);
+    const user = userId === context.auth.uid
+      ? await withPermissions(await getDocById('users', userId))
+      : await getDocById('users', userId, getOrganizationId(context));
     
     // Remove sensitive information
     delete user.password;
@@ -29,37 +69,30 @@ const getUserProfile = functions.https.onCall(async (data, context) => {
     return { success: true, user };
   } catch (error) {
     console.error('Error getting user profile:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
 /**
- * Get all users with optional role filter (admin only)
+ * Get a page of the users of the admin's organization
+ * with optional role filter, sorting and date ranges (user.view)
  */
 const getUsers = functions.https.onCall(async (data, context) => {
   try {
-    // Check if the user is authenticated and is an admin
-    if (!context.auth) {
-      throw new functions.https.HttpsError(
-        'unauthenticated',
-        'You must be logged in to get users.'
-      );
-    }
+    // Check if the user is authenticated and may view users
+    await requirePermission(context, PERMISSIONS.USER_VIEW, 'view users');
 
-    // Get user claims to check role
-    const { admin: isAdmin } = context.auth.token;
-    
-    if (!isAdmin) {
-      throw new functions.https.HttpsError(
-        'permission-denied',
-        'Only admins can view all users.'
-      );
-    }
+    // Paging, sorting and date range options
+    const { conditions, options } = parseListOptions(
+      data, ['createdAt', 'updatedAt', 'displayName', 'email']
+    );
 
     // Apply role filter if provided
-    const conditions = [];
     if (data.role) {
-      conditions.push({ field: 'role', operator: '==', value: data.role });
+      conditions.push({ field: 'roles', operator: 'array-contains', value: data.role });
     }
     
     // Filter by approval status if provided
@@ -67,150 +100,458 @@ const getUsers = functions.https.onCall(async (data, context) => {
       conditions.push({ field: 'approved', operator: '==', value: data.approved });
     }
 
-    const users = await queryDocs('users', conditions);
+    const { docs: users, nextPageToken, totalCount } = await queryPage('users', conditions, {
+      ...options,
+      organizationId: getOrganizationId(context)
+    });
     
     // Remove sensitive information
     users.forEach(user => {
       delete user.password;
     });
     
-    return { success: true, users };
+    return { success: true, users, nextPageToken, totalCount };
   } catch (error) {
     console.error('Error getting users:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
 /**
- * Approve or reject a user registration (admin only)
+ * Approve or reject a user registration (user.approve, within the caller's organization).
+ * Approvers can only decide on users whose roles they could grant, and users
+ * who are approved cannot be approved again.
  */
 const approveUser = functions.https.onCall(async (data, context) => {
   try {
-    // Check if the user is authenticated and is an admin
-    if (!context.auth) {
+    // Check if the user is authenticated and may approve users
+    const approver = await requirePermission(context, PERMISSIONS.USER_APPROVE, 'approve users');
+
+    const { userId, approved } = data;
+    
+    if (!userId || approved === undefined) {
       throw new functions.https.HttpsError(
-        'unauthenticated',
-        'You must be logged in to approve users.'
+        'invalid-argument',
+        'User ID and approval status are required.'
       );
     }
 
-    // Get user claims to check role
-    const { admin: isAdmin } = context.auth.token;
+    const organizationId = getOrganizationId(context);
+    const user = await getDocById('users', userId, organizationId);
     
-    if (!isAdmin) {
+    if (user.active === false) {
       throw new functions.https.HttpsError(
-        'permission-denied',
-        'Only admins can approve users.'
+        'failed-precondition',
+        'This user is inactive. Reactivate them first.'
       );
     }
-
-    const { userId, approved } = data;
     
-    if (!userId || approved === undefined) {
+    // Approving again would reset the user's roles to the ones this approver can grant
+    if (approved && isApproved(user)) {
       throw new functions.https.HttpsError(
-        'invalid-argument',
-        'User ID and approval status are required.'
+        'failed-precondition',
+        'This user is already approved. Change their roles instead.'
       );
     }
-
+    
+    // Approvers can only approve or reject users whose roles they could grant themselves
+    await assertCanManageRoles(approver, user, organizationId);
+    
+    // Users who registered without a role become lecturers
+    const requestedRoles = getUserRoles(user).length > 0 ? getUserRoles(user) : ['lecturer'];
+    
+    // Roles the organization no longer has are dropped
+    let roles = requestedRoles;
+    let droppedRoles = [];
+    if (approved) {
+      const ungrantable = getUngrantableRoles(requestedRoles, approver, await getOrganizationRoles(organizationId));
+      droppedRoles = ungrantable.map(({ role }) => role);
+      roles = requestedRoles.filter(role => !droppedRoles.includes(role));
+      
+      if (roles.length === 0) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'The user registered only with roles that do not exist. Set their roles first.',
+          { errors: ungrantable.map(({ message }) => ({ field: 'roles', message })) }
+        );
+      }
+    }
+    
     // Update user approval status in Firestore
     await updateDoc('users', userId, { 
       approved,
+      roles,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
     
-    // If approved, set the custom claims to activate the account
+    await recordAuditEntry({
+      organizationId,
+      actorId: context.auth.uid,
+      action: approved ? AUDIT_ACTIONS.USER_APPROVE : AUDIT_ACTIONS.USER_REJECT,
+      targetType: 'user',
+      targetId: userId,
+      before: { approved: user.approved ?? null, roles: requestedRoles },
+      after: { approved, roles }
+    });
+    
+    // Approving sets the custom claims that activate the account, rejecting removes them
+    await setUserClaims(userId, { ...user, roles, approved });
+    
     if (approved) {
-      const user = await getDocById('users', userId);
-      const role = user.role || 'lecturer'; // Default to lecturer if no role specified
-      
-      const customClaims = {
-        admin: role === 'admin',
-        moderator: role === 'moderator',
-        lecturer: role === 'lecturer',
-        approved: true
-      };
-      
-      await admin.auth().setCustomUserClaims(userId, customClaims);
+      await sendTemplatedEmail(user.email, 'accountApproved', {
+        displayName: user.displayName,
+        role: roles.join(' and ')
+      });
     }
     
     return { 
       success: true, 
-      message: approved ? 'User approved successfully' : 'User rejected successfully'
+      message: approved ? 'User approved successfully' : 'User rejected successfully',
+      roles,
+      droppedRoles
     };
   } catch (error) {
     console.error('Error approving/rejecting user:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
 /**
- * Update user role (admin only)
+ * Set the roles of a user (user.manage, within the caller's organization).
+ * Takes the full list as roles, or a single role. Callers can only give or take
+ * away roles whose permissions they hold themselves.
  */
 const updateUserRole = functions.https.onCall(async (data, context) => {
   try {
-    // Check if the user is authenticated and is an admin
-    if (!context.auth) {
+    // Check if the user is authenticated and may manage users
+    const caller = await requirePermission(context, PERMISSIONS.USER_MANAGE, 'update user roles');
+
+    const { userId } = data;
+    const roles = Array.isArray(data.roles) ? [...new Set(data.roles)] : (data.role ? [data.role] : []);
+    
+    if (!userId || roles.length === 0) {
       throw new functions.https.HttpsError(
-        'unauthenticated',
-        'You must be logged in to update user roles.'
+        'invalid-argument',
+        'User ID and at least one role are required.'
       );
     }
 
-    // Get user claims to check role
-    const { admin: isAdmin } = context.auth.token;
+    const organizationId = getOrganizationId(context);
+    const user = await getDocById('users', userId, organizationId);
+    
+    if (user.active === false) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'This user is inactive. Reactivate them first.'
+      );
+    }
     
-    if (!isAdmin) {
+    // Every role given or taken away has to be one the caller could grant.
+    // Roles the organization does not have, e.g. ones a user claimed when
+    // registering, grant nothing and can always be taken away.
+    const organizationRoles = await getOrganizationRoles(organizationId);
+    const previousRoles = getUserRoles(user);
+    const changedRoles = [
+      ...roles.filter(role => !previousRoles.includes(role)),
+      ...previousRoles.filter(role => !roles.includes(role) && organizationRoles[role])
+    ];
+    const ungrantable = getUngrantableRoles(changedRoles, caller, organizationRoles);
+    if (ungrantable.length > 0) {
       throw new functions.https.HttpsError(
-        'permission-denied',
-        'Only admins can update user roles.'
+        'invalid-argument',
+        'These roles cannot be changed.',
+        { errors: ungrantable.map(({ message }) => ({ field: 'roles', message })) }
       );
     }
+    
+    // Update user roles in Firestore
+    await updateDoc('users', userId, { 
+      roles,
+      role: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    
+    await recordAuditEntry({
+      organizationId,
+      actorId: context.auth.uid,
+      action: AUDIT_ACTIONS.USER_ROLE_UPDATE,
+      targetType: 'user',
+      targetId: userId,
+      before: { roles: previousRoles },
+      after: { roles }
+    });
 
-    const { userId, role } = data;
+    // Update custom claims
+    await setUserClaims(userId, { ...user, roles });
     
-    if (!userId || !role) {
+    return { 
+      success: true, 
+      message: `User roles updated to ${roles.join(', ')} successfully`,
+      roles
+    };
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Import approved users into the admin's organization from CSV (user.invite).
+ * Returns a result per row; rows whose email already has an account are skipped.
+ */
+const bulkImportUsers = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may invite users
+    await requirePermission(context, PERMISSIONS.USER_INVITE, 'import users');
+
+    const { csv } = data || {};
+    
+    if (typeof csv !== 'string' || !csv.trim()) {
       throw new functions.https.HttpsError(
         'invalid-argument',
-        'User ID and role are required.'
+        'CSV content is required.'
       );
     }
 
-    // Valid roles
-    const validRoles = ['admin', 'moderator', 'lecturer'];
-    if (!validRoles.includes(role)) {
+    const result = await importUsers(csv, getOrganizationId(context), context.auth.uid);
+    
+    if (result.errors) {
       throw new functions.https.HttpsError(
         'invalid-argument',
-        `Role must be one of: ${validRoles.join(', ')}`
+        'The CSV cannot be imported.',
+        { errors: result.errors }
       );
     }
+    
+    return {
+      success: true,
+      message: `Imported ${result.summary.created} users, skipped ${result.summary.skipped}, ${result.summary.failed} failed`,
+      summary: result.summary,
+      results: result.results
+    };
+  } catch (error) {
+    console.error('Error importing users:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Deactivate a user who left (user.manage, within the caller's organization).
+ * Disables their sign-in, revokes their sessions and role claims, and hands
+ * their open reviews and drafts to others. Drafts go to handoffLecturerId when
+ * given, otherwise to another lecturer of each draft's course.
+ */
+const deactivateUser = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may manage users
+    const caller = await requirePermission(context, PERMISSIONS.USER_MANAGE, 'deactivate users');
 
-    // Update user role in Firestore
+    const { userId, handoffLecturerId } = data || {};
+    
+    if (!userId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'User ID is required.'
+      );
+    }
+
+    if (userId === context.auth.uid) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'You cannot deactivate your own account.'
+      );
+    }
+
+    const organizationId = getOrganizationId(context);
+    const user = await getDocById('users', userId, organizationId);
+    
+    if (user.active === false) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'This user is already inactive.'
+      );
+    }
+    
+    await assertCanManageRoles(caller, user, organizationId);
+
+    let handoffLecturer = null;
+    if (handoffLecturerId) {
+      handoffLecturer = await getDocById('users', handoffLecturerId, organizationId);
+      if (handoffLecturerId === userId || !await isActiveLecturer(handoffLecturer)) {
+        throw new functions.https.HttpsError(
+          'invalid-argument',
+          'Drafts can only be handed to another approved, active lecturer.'
+        );
+      }
+    }
+    
+    // Mark the user inactive first, so every permission check refuses them from now on
     await updateDoc('users', userId, { 
-      role,
+      active: false,
+      deactivatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      deactivatedBy: context.auth.uid,
+      customClaims: null,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
+    
+    // Block sign-in, end existing sessions and drop the role claims
+    await admin.auth().updateUser(userId, { disabled: true });
+    await admin.auth().revokeRefreshTokens(userId);
+    await setUserClaims(userId, { ...user, active: false });
+    
+    const handoff = await handOffWork(user, { actorId: context.auth.uid, handoffLecturer });
+    
+    await recordAuditEntry({
+      organizationId,
+      actorId: context.auth.uid,
+      action: AUDIT_ACTIONS.USER_DEACTIVATE,
+      targetType: 'user',
+      targetId: userId,
+      before: { active: user.active !== false, roles: getUserRoles(user) },
+      after: {
+        active: false,
+        reviewsReassigned: handoff.reviews.reassigned.length,
+        reviewsReturnedToQueue: handoff.reviews.returnedToQueue.length,
+        draftsHandedOff: handoff.drafts.handedOff.length
+      }
+    });
+    
+    return { 
+      success: true, 
+      message: 'User deactivated successfully',
+      handoff
+    };
+  } catch (error) {
+    console.error('Error deactivating user:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
 
-    // Update custom claims
-    const customClaims = {};
-    validRoles.forEach(r => {
-      customClaims[r] = r === role;
+/**
+ * Reactivate a deactivated user (user.manage, within the caller's organization).
+ * Restores sign-in and their role claims; work handed off stays with its new owners.
+ */
+const reactivateUser = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may manage users
+    const caller = await requirePermission(context, PERMISSIONS.USER_MANAGE, 'reactivate users');
+
+    const { userId } = data || {};
+    
+    if (!userId) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        'User ID is required.'
+      );
+    }
+
+    const organizationId = getOrganizationId(context);
+    const user = await getDocById('users', userId, organizationId);
+    
+    if (user.active !== false) {
+      throw new functions.https.HttpsError(
+        'failed-precondition',
+        'This user is already active.'
+      );
+    }
+
+    await assertCanManageRoles(caller, user, organizationId);
+
+    // Users keep the roles they had; users who were never approved get no
+    // claims until they are approved
+    const roles = getUserRoles(user);
+    const customClaims = await setUserClaims(userId, { ...user, active: true });
+    await admin.auth().updateUser(userId, { disabled: false });
+    
+    await updateDoc('users', userId, { 
+      active: true,
+      reactivatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      reactivatedBy: context.auth.uid,
+      customClaims,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
     
-    await admin.auth().setCustomUserClaims(userId, customClaims);
+    await recordAuditEntry({
+      organizationId,
+      actorId: context.auth.uid,
+      action: AUDIT_ACTIONS.USER_REACTIVATE,
+      targetType: 'user',
+      targetId: userId,
+      before: { active: false },
+      after: { active: true, roles }
+    });
     
     return { 
       success: true, 
-      message: `User role updated to ${role} successfully` 
+      message: 'User reactivated successfully'
     };
   } catch (error) {
-    console.error('Error updating user role:', error);
+    console.error('Error reactivating user:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Compare every user's custom claims with their roles, approval and active
+ * status, and optionally fix the mismatches (user.manage).
+ * Callers check their organization; those who manage organizations check the
+ * organization they pass, or every user when they pass none.
+ */
+const reconcileUserClaims = functions.https.onCall(async (data, context) => {
+  try {
+    // Check if the user is authenticated and may manage users
+    const user = await requirePermission(context, PERMISSIONS.USER_MANAGE, 'reconcile user claims');
+    const isSuperAdmin = hasPermission(user, PERMISSIONS.ORGANIZATION_MANAGE);
+
+    const fix = data?.fix === true;
+    const organizationId = isSuperAdmin ? data?.organizationId || null : getOrganizationId(context);
+    
+    const report = await reconcileClaims({ organizationId, fix });
+    
+    if (report.fixed > 0) {
+      await recordAuditEntry({
+        organizationId,
+        actorId: context.auth.uid,
+        action: AUDIT_ACTIONS.USER_CLAIMS_RECONCILE,
+        targetType: organizationId ? 'organization' : 'deployment',
+        targetId: organizationId || 'all',
+        before: { mismatched: report.mismatched },
+        after: { fixed: report.fixed, userIds: report.mismatches.map(mismatch => mismatch.userId) }
+      });
+    }
+    
+    return { success: true, ...report };
+  } catch (error) {
+    console.error('Error reconciling user claims:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
 /**
- * Create the first admin user (only works when no admin exists)
+ * Create the first admin of an organization (organization.manage, once per organization).
+ * Without an organizationId it bootstraps the deployment by creating its
+ * super admin, which only works while no super admin exists.
  */
 const createFirstAdmin = functions.https.onCall(async (data, context) => {
   try {
@@ -225,7 +566,7 @@ const createFirstAdmin = functions.https.onCall(async (data, context) => {
       );
     }
     
-    const { email, password, displayName } = data;
+    const { email, password, displayName, organizationId } = data;
     console.log('Extracted values:', { email: !!email, password: !!password, displayName: !!displayName });
     
     if (!email || !password || !displayName) {
@@ -236,14 +577,46 @@ const createFirstAdmin = functions.https.onCall(async (data, context) => {
       );
     }
 
-    // Check if any admin users already exist
-    const adminUsers = await queryDocs('users', [{ field: 'role', operator: '==', value: 'admin' }]);
+    let role = SUPER_ADMIN_ROLE;
     
-    if (adminUsers.length > 0) {
-      throw new functions.https.HttpsError(
-        'failed-precondition',
-        'An admin user already exists. Cannot create the first admin.'
+    if (organizationId) {
+      const isSuperAdmin = context.auth &&
+        await verifyUserPermission(context.auth.uid, PERMISSIONS.ORGANIZATION_MANAGE);
+      
+      if (!isSuperAdmin) {
+        throw new functions.https.HttpsError(
+          'permission-denied',
+          'Only super admins can create the first admin of an organization.'
+        );
+      }
+      
+      await getDocById('organizations', organizationId);
+      
+      // Check if the organization already has an admin
+      const adminUsers = await queryDocs(
+        'users', [{ field: 'roles', operator: 'array-contains', value: 'admin' }], { organizationId }
       );
+      
+      if (adminUsers.length > 0) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'This organization already has an admin. Cannot create the first admin.'
+        );
+      }
+      
+      role = 'admin';
+    } else {
+      // Check if the deployment already has a super admin
+      const superAdmins = await queryDocs(
+        'users', [{ field: 'roles', operator: 'array-contains', value: SUPER_ADMIN_ROLE }], { allOrganizations: true }
+      );
+      
+      if (superAdmins.length > 0) {
+        throw new functions.https.HttpsError(
+          'failed-precondition',
+          'A super admin already exists. Create an organization and pass its organizationId.'
+        );
+      }
     }
 
     // Create the user in Firebase Auth
@@ -255,20 +628,18 @@ const createFirstAdmin = functions.https.onCall(async (data, context) => {
     });
 
     // Set admin custom claims
-    const customClaims = {
-      admin: true,
-      moderator: false,
-      lecturer: false,
-      approved: true
-    };
-    
-    await admin.auth().setCustomUserClaims(userRecord.uid, customClaims);
+    const customClaims = await setUserClaims(userRecord.uid, {
+      roles: [role],
+      approved: true,
+      organizationId
+    });
 
     // Create user document in Firestore
     await admin.firestore().collection('users').doc(userRecord.uid).set({
       displayName,
       email,
-      role: 'admin',
+      roles: [role],
+      organizationId: organizationId || null,
       approved: true,
       active: true,
       customClaims,
@@ -276,6 +647,17 @@ const createFirstAdmin = functions.https.onCall(async (data, context) => {
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     });
 
+    // Nobody is signed in while bootstrapping, so the new admin is recorded as the actor
+    await recordAuditEntry({
+      organizationId: organizationId || null,
+      actorId: context.auth?.uid || userRecord.uid,
+      action: AUDIT_ACTIONS.FIRST_ADMIN_CREATE,
+      targetType: 'user',
+      targetId: userRecord.uid,
+      before: {},
+      after: { roles: [role], approved: true, email }
+    });
+
     return { 
       success: true, 
       message: 'First admin user created successfully',
@@ -283,6 +665,9 @@ const createFirstAdmin = functions.https.onCall(async (data, context) => {
     };
   } catch (error) {
     console.error('Error creating first admin:', error);
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
@@ -292,5 +677,9 @@ module.exports = {
   getUsers,
   approveUser,
   updateUserRole,
+  bulkImportUsers,
+  deactivateUser,
+  reactivateUser,
+  reconcileUserClaims,
   createFirstAdmin
 };
\ No newline at end of file
@@ -0,0 +1,210 @@
+const { admin, db } = require('../config/firebase');
+const { approveUser, deactivateUser, reactivateUser } = require('./api');
+const { PERMISSIONS } = require('../utils/permissions');
+const { STATUSES } = require('../assessments/lifecycle');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  seedCourse,
+  contextFor
+} = require('../test/emulator');
+
+describe('approveUser', () => {
+  test('requires a signed-in user', async () => {
+    await expect(approveUser.run({ userId: 'u1', approved: true }, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+});
+
+describe('deactivateUser', () => {
+  test('requires a signed-in user', async () => {
+    await expect(deactivateUser.run({ userId: 'u1' }, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+    await expect(reactivateUser.run({ userId: 'u1' }, {}))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+});
+
+describeWithEmulator('user management permissions', () => {
+  let orgAdmin;
+  let approver;
+  let userManager;
+
+  /**
+   * Seed a user along with their Auth account, for callables that set claims
+   * @param {string} id - User ID
+   * @param {Object} data - User data, see seedUser
+   * @returns {Promise<Object>} - User data, including its ID
+   */
+  const seedAccount = async (id, data) => {
+    const user = await seedUser(id, data);
+    await admin.auth().createUser({ uid: id, email: user.email });
+    return user;
+  };
+
+  beforeEach(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+    await db.collection('roles').doc('org1_approver').set({
+      organizationId: 'org1',
+      key: 'approver',
+      name: 'Approver',
+      permissions: [PERMISSIONS.USER_APPROVE, PERMISSIONS.ASSESSMENT_CREATE]
+    });
+    await db.collection('roles').doc('org1_user_manager').set({
+      organizationId: 'org1',
+      key: 'user_manager',
+      name: 'User manager',
+      permissions: [PERMISSIONS.USER_MANAGE, PERMISSIONS.ASSESSMENT_CREATE]
+    });
+    orgAdmin = await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+    approver = await seedUser('approver', { organizationId: 'org1', roles: ['approver'] });
+    userManager = await seedUser('manager', { organizationId: 'org1', roles: ['user_manager'] });
+  });
+
+  afterAll(closeFirebase);
+
+  test('approves users with the roles they registered with', async () => {
+    await seedAccount('pending', { organizationId: 'org1', roles: ['lecturer'], approved: false });
+
+    const result = await approveUser.run({ userId: 'pending', approved: true }, contextFor(approver));
+
+    expect(result).toMatchObject({ roles: ['lecturer'], droppedRoles: [] });
+    const user = (await db.collection('users').doc('pending').get()).data();
+    expect(user).toMatchObject({ approved: true, roles: ['lecturer'] });
+    expect((await admin.auth().getUser('pending')).customClaims.roles).toEqual(['lecturer']);
+  });
+
+  test('drops roles the organization does not have', async () => {
+    await seedAccount('pending', { organizationId: 'org1', roles: ['dean', 'lecturer'], approved: false });
+
+    const result = await approveUser.run({ userId: 'pending', approved: true }, contextFor(approver));
+
+    expect(result).toMatchObject({ roles: ['lecturer'], droppedRoles: ['dean'] });
+  });
+
+  test('refuses approving a user whose roles the approver cannot grant', async () => {
+    await seedAccount('pending', { organizationId: 'org1', roles: ['admin', 'lecturer'], approved: false });
+
+    await expect(approveUser.run({ userId: 'pending', approved: true }, contextFor(approver)))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect((await db.collection('users').doc('pending').get()).data().approved).toBe(false);
+  });
+
+  test('refuses approving users who are already approved', async () => {
+    await seedAccount('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+
+    await expect(approveUser.run({ userId: 'lecturer', approved: true }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({
+        code: 'failed-precondition',
+        message: 'This user is already approved. Change their roles instead.'
+      });
+  });
+
+  test('does not let approvers reject users with more permissions than they hold', async () => {
+    await seedAccount('admin2', { organizationId: 'org1', roles: ['admin'] });
+
+    await expect(approveUser.run({ userId: 'admin2', approved: false }, contextFor(approver)))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect((await admin.auth().getUser('admin2')).customClaims).toBeUndefined();
+    expect((await db.collection('users').doc('admin2').get()).data().approved).toBe(true);
+  });
+
+  test('rejects users whose roles the approver could grant', async () => {
+    await seedAccount('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+
+    await approveUser.run({ userId: 'lecturer', approved: false }, contextFor(approver));
+
+    expect((await db.collection('users').doc('lecturer').get()).data().approved).toBe(false);
+  });
+
+  test('does not let users who claim the admin role approve anyone before they are approved', async () => {
+    const selfDeclared = await seedUser('self', { organizationId: 'org1', roles: ['admin'], approved: false });
+    await seedAccount('pending', { organizationId: 'org1', roles: ['lecturer'], approved: false });
+
+    await expect(approveUser.run({ userId: 'pending', approved: true }, contextFor(selfDeclared)))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  test('does not let users deactivate themselves', async () => {
+    await expect(deactivateUser.run({ userId: 'admin1' }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+  });
+
+  test('does not let users deactivate someone with more permissions than they hold', async () => {
+    await seedAccount('admin2', { organizationId: 'org1', roles: ['admin'] });
+
+    await expect(deactivateUser.run({ userId: 'admin2' }, contextFor(userManager)))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  test('reports users of other organizations as not found', async () => {
+    await seedAccount('elsewhere', { organizationId: 'org2', roles: ['lecturer'] });
+
+    await expect(approveUser.run({ userId: 'elsewhere', approved: true }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ code: 'not-found' });
+    await expect(deactivateUser.run({ userId: 'elsewhere' }, contextFor(orgAdmin)))
+      .rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('hands the work of a deactivated user to their colleagues', async () => {
+    await seedAccount('leaving', { organizationId: 'org1', roles: ['lecturer', 'moderator'] });
+    await seedUser('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+    await seedUser('moderator', { organizationId: 'org1', roles: ['moderator'] });
+    await seedCourse('cs101', {
+      organizationId: 'org1',
+      lecturerIds: ['leaving', 'lecturer'],
+      moderatorIds: ['leaving', 'moderator']
+    });
+    const assessment = {
+      organizationId: 'org1',
+      courseId: 'cs101',
+      title: 'Handed off',
+      archived: false
+    };
+    await db.collection('assessments').doc('draft').set({
+      ...assessment, status: STATUSES.DRAFT, lecturerId: 'leaving', moderatorId: null
+    });
+    await db.collection('assessments').doc('review').set({
+      ...assessment, status: STATUSES.SUBMITTED, lecturerId: 'lecturer', moderatorId: 'leaving'
+    });
+
+    const { handoff } = await deactivateUser.run({
+      userId: 'leaving',
+      handoffLecturerId: 'lecturer'
+    }, contextFor(orgAdmin));
+
+    expect(handoff.reviews.reassigned).toEqual(['review']);
+    expect(handoff.drafts.handedOff).toEqual(['draft']);
+    expect((await db.collection('assessments').doc('review').get()).data().moderatorId).toBe('moderator');
+    expect((await db.collection('assessments').doc('draft').get()).data().lecturerId).toBe('lecturer');
+
+    const authUser = await admin.auth().getUser('leaving');
+    expect(authUser.disabled).toBe(true);
+    expect(authUser.customClaims?.roles).toBeUndefined();
+  });
+
+  test('reactivates a user with the roles they had', async () => {
+    await seedAccount('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+    await deactivateUser.run({ userId: 'lecturer' }, contextFor(userManager));
+    expect((await admin.auth().getUser('lecturer')).disabled).toBe(true);
+
+    await reactivateUser.run({ userId: 'lecturer' }, contextFor(userManager));
+
+    const user = (await db.collection('users').doc('lecturer').get()).data();
+    expect(user).toMatchObject({ active: true, roles: ['lecturer'] });
+    const authUser = await admin.auth().getUser('lecturer');
+    expect(authUser.disabled).toBe(false);
+    expect(authUser.customClaims).toMatchObject({ roles: ['lecturer'], approved: true });
+  });
+
+  test('refuses reactivating users who are active', async () => {
+    await seedAccount('lecturer', { organizationId: 'org1', roles: ['lecturer'] });
+
+    await expect(reactivateUser.run({ userId: 'lecturer' }, contextFor(userManager)))
+      .rejects.toMatchObject({ code: 'failed-precondition', message: 'This user is already active.' });
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Bulk user import from CSV
+ *
+ * The CSV has a header row with the columns email, displayName, role and
+ * optionally course (a course code of the organization). Every row is handled
+ * on its own and reported as created, skipped or failed, so one bad row does
+ * not stop the import. Rows whose email already has an account are skipped,
+ * which makes re-running an import safe.
+ *
+ * Imported users are approved right away: their role claims are set before
+ * their users document is written, and onUserCreate keeps users whose claims
+ * are already approved as they are.
+ */
+
+const { admin, db } = require('../config/firebase');
+const { getDocById, queryDocs, createDoc } = require('../utils/db');
+const { parseCsv } = require('../utils/csv');
+const { sendTemplatedEmail } = require('../utils/mailer');
+const { AUDIT_ACTIONS, recordAuditEntry } = require('../utils/audit');
+const { setUserClaims } = require('../utils/claims');
+const { getApprovedUser } = require('../utils/auth');
+const { getOrganizationRoles, getUngrantableRoles } = require('../utils/permissions');
+
+// Most rows accepted in one import, so it finishes within one callable request
+const MAX_IMPORT_ROWS = 200;
+
+// Accepted header names per column, compared case-insensitively without spaces or underscores
+const COLUMN_ALIASES = {
+  email: ['email', 'emailaddress'],
+  displayName: ['displayname', 'name', 'fullname'],
+  role: ['role'],
+  course: ['course', 'coursecode']
+};
+
+// Course staff list each role is added to
+const COURSE_STAFF_FIELDS = {
+  lecturer: 'lecturerIds',
+  moderator: 'moderatorIds'
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Work out which column holds which field from the header row
+ * @param {Array} header - Header fields
+ * @returns {Object} - Column index per field, or { errors } when required columns are missing
+ */
+const mapColumns = (header) => {
+  const normalised = header.map(name => name.trim().toLowerCase().replace(/[\s_-]/g, ''));
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = normalised.findIndex(name => aliases.includes(name));
+    if (index !== -1) {
+      columns[field] = index;
+    }
+  });
+
+  const missing = ['email', 'displayName', 'role'].filter(field => columns[field] === undefined);
+  if (missing.length > 0) {
+    return { errors: missing.map(field => ({ field, message: `The CSV has no ${field} column.` })) };
+  }
+  return columns;
+};
+
+/**
+ * Parse the rows of an import
+ * @param {string} csv - CSV text including the header row
+ * @returns {Object} - Rows ({ line, email, displayName, role, course }) or { errors }
+ */
+const parseImportRows = (csv) => {
+  let rows;
+  try {
+    rows = parseCsv(csv);
+  } catch (error) {
+    return { errors: [{ field: 'csv', message: error.message }] };
+  }
+
+  if (rows.length < 2) {
+    return { errors: [{ field: 'csv', message: 'The CSV needs a header row and at least one user.' }] };
+  }
+  if (rows.length - 1 > MAX_IMPORT_ROWS) {
+    return { errors: [{ field: 'csv', message: `At most ${MAX_IMPORT_ROWS} users can be imported at once.` }] };
+  }
+
+  const columns = mapColumns(rows[0].fields);
+  if (columns.errors) {
+    return columns;
+  }
+
+  const value = (fields, field) => {
+    return columns[field] === undefined ? '' : (fields[columns[field]] || '').trim();
+  };
+
+  return {
+    rows: rows.slice(1).map(({ line, fields }) => ({
+      line,
+      email: value(fields, 'email').toLowerCase(),
+      displayName: value(fields, 'displayName'),
+      role: value(fields, 'role').toLowerCase(),
+      course: value(fields, 'course').toUpperCase()
+    }))
+  };
+};
+
+/**
+ * Validate the fields of one row
+ * @param {Object} row - Parsed row
+ * @param {Object} importer - Admin running the import, including permissions
+ * @param {Object} roles - Roles of the organization, see getOrganizationRoles
+ * @returns {Array} - Errors ({ field, message }), empty when the row is valid
+ */
+const validateRow = (row, importer, roles) => {
+  const errors = [];
+  if (!EMAIL_PATTERN.test(row.email)) {
+    errors.push({ field: 'email', message: 'A valid email address is required.' });
+  }
+  if (!row.displayName) {
+    errors.push({ field: 'displayName', message: 'Display name is required.' });
+  }
+  const [ungrantable] = getUngrantableRoles([row.role], importer, roles);
+  if (ungrantable) {
+    errors.push({ field: 'role', message: ungrantable.message });
+  } else if (row.course && !COURSE_STAFF_FIELDS[row.role]) {
+    errors.push({ field: 'course', message: `Users with the ${row.role} role cannot be added to a course.` });
+  }
+  return errors;
+};
+
+/**
+ * Get the Auth account of an email, if there is one
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} - Auth user record
+ */
+const findAuthUser = async (email) => {
+  try {
+    return await admin.auth().getUserByEmail(email);
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Import one valid row: create the Auth account, its claims and users document,
+ * add the user to their course and email them a link to choose a password.
+ * An Auth account without a users document (e.g. left by an interrupted import)
+ * is completed instead of skipped.
+ * @param {Object} row - Parsed row
+ * @param {Object} importContext - { organization, adminId, course }
+ * @returns {Promise<Object>} - Row result ({ status, userId, message })
+ */
+const importRow = async (row, { organization, adminId, course }) => {
+  let authUser = await findAuthUser(row.email);
+
+  if (authUser) {
+    const existing = await db.collection('users').doc(authUser.uid).get();
+    if (existing.exists) {
+      return {
+        status: 'skipped',
+        userId: authUser.uid,
+        message: existing.data().organizationId === organization.id
+          ? 'A user with this email already exists.'
+          : 'This email belongs to a user of another organization.'
+      };
+    }
+  } else {
+    authUser = await admin.auth().createUser({
+      email: row.email,
+      displayName: row.displayName,
+      emailVerified: false
+    });
+  }
+
+  const userId = authUser.uid;
+  await setUserClaims(userId, { roles: [row.role], approved: true, organizationId: organization.id });
+
+  await createDoc('users', {
+    displayName: row.displayName,
+    email: row.email,
+    roles: [row.role],
+    organizationId: organization.id,
+    approved: true,
+    active: true,
+    importedBy: adminId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, userId);
+
+  if (course) {
+    await db.collection('courses').doc(course.id).update({
+      [COURSE_STAFF_FIELDS[row.role]]: admin.firestore.FieldValue.arrayUnion(userId),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  await recordAuditEntry({
+    organizationId: organization.id,
+    actorId: adminId,
+    action: AUDIT_ACTIONS.USER_IMPORT,
+    targetType: 'user',
+    targetId: userId,
+    before: {},
+    after: { email: row.email, role: row.role, courseId: course ? course.id : null }
+  });
+
+  let emailSent = false;
+  try {
+    const setPasswordUrl = await admin.auth().generatePasswordResetLink(row.email);
+    emailSent = await sendTemplatedEmail(row.email, 'accountCreated', {
+      displayName: row.displayName,
+      role: row.role,
+      organizationName: organization.name,
+      setPasswordUrl
+    });
+  } catch (error) {
+    console.error(`Error sending the welcome email to ${row.email}:`, error);
+  }
+  if (!emailSent) {
+    return { status: 'created', userId, message: 'User created, but the welcome email could not be sent.' };
+  }
+
+  return { status: 'created', userId, message: 'User created.' };
+};
+
+/**
+ * Import users from CSV into an organization.
+ * Rows are imported one at a time; each gets its own result.
+ * @param {string} csv - CSV text including the header row
+ * @param {string} organizationId - Organization the users join
+ * @param {string} adminId - ID of the admin running the import
+ * @returns {Promise<Object>} - { results, summary } or { errors } when the CSV itself is unusable
+ */
+const importUsers = async (csv, organizationId, adminId) => {
+  const parsed = parseImportRows(csv);
+  if (parsed.errors) {
+    return parsed;
+  }
+
+  const organization = await getDocById('organizations', organizationId);
+  const importer = await getApprovedUser(adminId);
+  const roles = await getOrganizationRoles(organizationId);
+  const courses = new Map();
+  const seenEmails = new Set();
+  const results = [];
+
+  for (const row of parsed.rows) {
+    const result = { line: row.line, email: row.email };
+    results.push(result);
+
+    const errors = validateRow(row, importer, roles);
+    if (errors.length === 0 && seenEmails.has(row.email)) {
+      errors.push({ field: 'email', message: 'This email appears earlier in the CSV.' });
+    }
+    seenEmails.add(row.email);
+
+    try {
+      let course = null;
+      if (errors.length === 0 && row.course) {
+        if (!courses.has(row.course)) {
+          const matches = await queryDocs('courses', [
+            { field: 'code', operator: '==', value: row.course }
+          ], { organizationId, limit: 1 });
+          courses.set(row.course, matches[0] || null);
+        }
+        course = courses.get(row.course);
+        if (!course) {
+          errors.push({ field: 'course', message: `No course with code ${row.course}.` });
+        }
+      }
+
+      if (errors.length > 0) {
+        Object.assign(result, { status: 'failed', errors });
+        continue;
+      }
+
+      Object.assign(result, await importRow(row, { organization, adminId, course }));
+    } catch (error) {
+      console.error(`Error importing user on line ${row.line}:`, error);
+      Object.assign(result, {
+        status: 'failed',
+        errors: [{ field: null, message: error.message }]
+      });
+    }
+  }
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  return {
+    results,
+    summary: {
+      total: results.length,
+      created: count('created'),
+      skipped: count('skipped'),
+      failed: count('failed')
+    }
+  };
+};
+
+module.exports = {
+  importUsers
+};
@@ -0,0 +1,99 @@
+const { admin, db } = require('../config/firebase');
+const { importUsers } = require('./import');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  seedCourse
+} = require('../test/emulator');
+
+describe('importUsers CSV checks', () => {
+  test('needs a header row and at least one user', async () => {
+    expect(await importUsers('email,displayName,role', 'org1', 'admin1')).toEqual({
+      errors: [{ field: 'csv', message: 'The CSV needs a header row and at least one user.' }]
+    });
+  });
+
+  test('needs the email, display name and role columns', async () => {
+    expect(await importUsers('mail,name\nada@moducate.test,Ada', 'org1', 'admin1')).toEqual({
+      errors: [
+        { field: 'email', message: 'The CSV has no email column.' },
+        { field: 'role', message: 'The CSV has no role column.' }
+      ]
+    });
+  });
+
+  test('reports CSV it cannot read', async () => {
+    const result = await importUsers('email,name,role\n"ada@moducate.test,Ada,lecturer', 'org1', 'admin1');
+    expect(result.errors).toEqual([{ field: 'csv', message: 'Unclosed quoted field starting on line 2' }]);
+  });
+
+  test('limits the rows of one import', async () => {
+    const rows = Array.from({ length: 201 }, (value, index) => `user${index}@moducate.test,User ${index},lecturer`);
+    const result = await importUsers(['email,name,role', ...rows].join('\n'), 'org1', 'admin1');
+    expect(result.errors).toEqual([{ field: 'csv', message: 'At most 200 users can be imported at once.' }]);
+  });
+});
+
+describeWithEmulator('importUsers', () => {
+  beforeEach(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+    await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+    await seedCourse('cs101', { organizationId: 'org1', code: 'CS101' });
+  });
+
+  afterAll(closeFirebase);
+
+  test('creates approved users and reports every row', async () => {
+    const csv = [
+      'Email Address,Full Name,Role,Course Code',
+      'ada@moducate.test,Ada Lovelace,lecturer,cs101',
+      'grace@moducate.test,Grace Hopper,moderator,',
+      'not an email,Nobody,lecturer,',
+      'ADA@moducate.test,Ada Again,lecturer,',
+      'alan@moducate.test,Alan Turing,dean,',
+      'edsger@moducate.test,Edsger Dijkstra,lecturer,CS999'
+    ].join('\n');
+
+    const { results, summary } = await importUsers(csv, 'org1', 'admin1');
+
+    expect(summary).toEqual({ total: 6, created: 2, skipped: 0, failed: 4 });
+    expect(results.map(result => [result.line, result.status])).toEqual([
+      [2, 'created'],
+      [3, 'created'],
+      [4, 'failed'],
+      [5, 'failed'],
+      [6, 'failed'],
+      [7, 'failed']
+    ]);
+    expect(results[3].errors).toEqual([{ field: 'email', message: 'This email appears earlier in the CSV.' }]);
+    expect(results[4].errors).toEqual([{ field: 'role', message: "Role 'dean' does not exist." }]);
+    expect(results[5].errors).toEqual([{ field: 'course', message: 'No course with code CS999.' }]);
+
+    const ada = (await db.collection('users').doc(results[0].userId).get()).data();
+    expect(ada).toMatchObject({
+      email: 'ada@moducate.test',
+      roles: ['lecturer'],
+      organizationId: 'org1',
+      approved: true,
+      importedBy: 'admin1'
+    });
+    const claims = (await admin.auth().getUser(results[0].userId)).customClaims;
+    expect(claims).toMatchObject({ roles: ['lecturer'], approved: true, organizationId: 'org1' });
+    const course = (await db.collection('courses').doc('cs101').get()).data();
+    expect(course.lecturerIds).toEqual([results[0].userId]);
+  });
+
+  test('skips emails that already have a user, so imports can be re-run', async () => {
+    const csv = 'email,name,role\nada@moducate.test,Ada Lovelace,lecturer';
+    await importUsers(csv, 'org1', 'admin1');
+
+    const { results, summary } = await importUsers(csv, 'org1', 'admin1');
+
+    expect(summary).toMatchObject({ created: 0, skipped: 1 });
+    expect(results[0].message).toBe('A user with this email already exists.');
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Handing off the work of a deactivated user
+ *
+ * Open reviews of a moderator go to another moderator of the assessment's
+ * course, or back to the course's review queue when nobody is available.
+ * Drafts of a lecturer (and assessments waiting on their changes) go to the
+ * lecturer the admin chose, or else to another lecturer of the course.
+ * Whatever cannot be handed off is reported back so an admin can follow up.
+ */
+
+const { admin } = require('../config/firebase');
+const { getDocById, queryDocs, updateDoc } = require('../utils/db');
+const { AUDIT_ACTIONS, recordAuditEntry } = require('../utils/audit');
+const { NOTIFICATION_TYPES, createNotifications } = require('../utils/notifications');
+const { withPermissions } = require('../utils/auth');
+const { PERMISSIONS, hasPermission } = require('../utils/permissions');
+const { STATUSES, OPEN_STATUSES } = require('../assessments/lifecycle');
+const { pickModerator, assignModeratorToAssessment } = require('../assessments/assignment');
+
+// Statuses of unassigned assessments that wait in their course's review queue
+const QUEUE_STATUSES = [STATUSES.SUBMITTED, STATUSES.RESUBMITTED];
+
+// Statuses in which an assessment is still being worked on by its lecturer
+const DRAFT_STATUSES = [STATUSES.DRAFT, STATUSES.PENDING_CHANGES];
+
+/**
+ * Check if a user can take over a lecturer's assessments
+ * @param {Object} user - User data
+ * @returns {Promise<boolean>} - Whether the user is approved, active and may create assessments
+ */
+const isActiveLecturer = async (user) => {
+  return hasPermission(await withPermissions(user), PERMISSIONS.ASSESSMENT_CREATE);
+};
+
+/**
+ * Give a departing moderator's open reviews to other moderators
+ * @param {Object} user - Deactivated user data
+ * @param {string} actorId - ID of the admin deactivating the user
+ * @returns {Promise<Object>} - Assessment IDs ({ reassigned, returnedToQueue, unassigned })
+ */
+const handOffReviews = async (user, actorId) => {
+  const result = { reassigned: [], returnedToQueue: [], unassigned: [] };
+  const assessments = await queryDocs('assessments', [
+    { field: 'moderatorId', operator: '==', value: user.id },
+    { field: 'status', operator: 'in', value: OPEN_STATUSES }
+  ], { organizationId: user.organizationId });
+
+  for (const assessment of assessments) {
+    const moderator = await pickModerator(assessment, { exclude: [user.id] });
+
+    if (moderator) {
+      await assignModeratorToAssessment(assessment.id, moderator.id, actorId, { expectedModeratorId: user.id });
+      result.reassigned.push(assessment.id);
+    } else if (QUEUE_STATUSES.includes(assessment.status)) {
+      await assignModeratorToAssessment(assessment.id, null, actorId, { expectedModeratorId: user.id });
+      result.returnedToQueue.push(assessment.id);
+    } else {
+      // A started review cannot go back to the queue; an admin has to assign it
+      result.unassigned.push(assessment.id);
+      continue;
+    }
+
+    await recordAuditEntry({
+      organizationId: assessment.organizationId,
+      actorId,
+      action: AUDIT_ACTIONS.MODERATOR_ASSIGN,
+      targetType: 'assessment',
+      targetId: assessment.id,
+      before: { moderatorId: user.id },
+      after: { moderatorId: moderator ? moderator.id : null, reason: 'user_deactivated' }
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Give a departing lecturer's drafts to other lecturers
+ * @param {Object} user - Deactivated user data
+ * @param {string} actorId - ID of the admin deactivating the user
+ * @param {Object|null} handoffLecturer - Lecturer chosen by the admin, if any
+ * @returns {Promise<Object>} - Assessment IDs ({ handedOff, unassigned })
+ */
+const handOffDrafts = async (user, actorId, handoffLecturer) => {
+  const result = { handedOff: [], unassigned: [] };
+  const assessments = (await queryDocs('assessments', [
+    { field: 'lecturerId', operator: '==', value: user.id },
+    { field: 'status', operator: 'in', value: DRAFT_STATUSES }
+  ], { organizationId: user.organizationId }))
+    .filter(assessment => assessment.archived !== true);
+
+  // Other active lecturers of each course, looked up once per course
+  const courseLecturers = new Map();
+  const getCourseLecturer = async (courseId) => {
+    if (!courseLecturers.has(courseId)) {
+      const course = await getDocById('courses', courseId, user.organizationId);
+      let lecturer = null;
+      for (const lecturerId of course.lecturerIds || []) {
+        if (lecturerId === user.id) {
+          continue;
+        }
+        const candidate = await getDocById('users', lecturerId, user.organizationId).catch(() => null);
+        if (candidate && await isActiveLecturer(candidate)) {
+          lecturer = candidate;
+          break;
+        }
+      }
+      courseLecturers.set(courseId, lecturer);
+    }
+    return courseLecturers.get(courseId);
+  };
+
+  for (const assessment of assessments) {
+    const lecturer = handoffLecturer ||
+      (assessment.courseId ? await getCourseLecturer(assessment.courseId) : null);
+
+    if (!lecturer) {
+      result.unassigned.push(assessment.id);
+      continue;
+    }
+
+    await updateDoc('assessments', assessment.id, {
+      lecturerId: lecturer.id,
+      handedOffFrom: user.id,
+      handedOffAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedBy: actorId,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await createNotifications([lecturer.id], {
+      type: NOTIFICATION_TYPES.ASSESSMENT_HANDED_OFF,
+      title: 'Assessment handed to you',
+      message: `"${assessment.title}" was handed to you because ${user.displayName || user.email} left.`,
+      data: { assessmentId: assessment.id, previousLecturerId: user.id }
+    });
+
+    result.handedOff.push(assessment.id);
+  }
+
+  return result;
+};
+
+/**
+ * Hand off all open work of a deactivated user
+ * @param {Object} user - Deactivated user data
+ * @param {Object} options - { actorId, handoffLecturer }
+ * @returns {Promise<Object>} - What happened to the user's work ({ reviews, drafts })
+ */
+const handOffWork = async (user, { actorId, handoffLecturer = null }) => {
+  const [reviews, drafts] = await Promise.all([
+    handOffReviews(user, actorId),
+    handOffDrafts(user, actorId, handoffLecturer)
+  ]);
+  return { reviews, drafts };
+};
+
+module.exports = {
+  isActiveLecturer,
+  handOffWork
+};
@@ -4,10 +4,20 @@
 
 const functions = require('firebase-functions');
 const { admin } = require('../config/firebase');
+const { NOTIFICATION_TYPES, createNotifications } = require('../utils/notifications');
+const { sendTemplatedEmail } = require('../utils/mailer');
+const { PERMISSIONS, getUserRoles, getUsersWithPermission } = require('../utils/permissions');
+const { setUserClaims } = require('../utils/claims');
+const {
+  findOpenInvitation,
+  claimInvitation,
+  applyInvitation
+} = require('../utils/invitations');
 
 /**
  * When a new user document is created in Firestore,
- * mark them as pending approval (except for admins)
+ * mark them as pending approval (except for users the server already
+ * approved and users with an open invitation)
  */
 const onUserCreate = functions.firestore
   .onDocumentCreated('users/{userId}', async (event) => {
@@ -19,36 +29,76 @@ const onUserCreate = functions.firestore
       
       console.log(`New user created: ${userId}`, userData);
       
-      // Check if the user is an admin (admins are auto-approved)
-      const isAdmin = userData.role === 'admin';
+      // Users written with a single role get a roles list
+      const roles = getUserRoles(userData);
       
-      // Set initial approval status
-      // Admins are automatically approved, others need admin approval
-      const approved = isAdmin;
+      // Users the server creates (createFirstAdmin, an accepted invitation or an
+      // import) get approved claims before their document is written and keep
+      // them. Only the server can set claims, so a document that its user wrote
+      // themselves stays pending whatever roles or approval it claims.
+      const authUser = await admin.auth().getUser(userId);
+      const existingClaims = authUser.customClaims;
+      const preApproved = existingClaims?.approved === true &&
+        (existingClaims.organizationId ?? null) === (userData.organizationId ?? null);
       
-      // Create claims object with all roles set to false by default
-      const validRoles = ['admin', 'moderator', 'lecturer'];
-      const customClaims = {};
-      validRoles.forEach(role => {
-        customClaims[role] = role === userData.role;
-      });
+      // Self sign-ups whose verified email has an open invitation join with the invited role
+      let invitation = null;
+      if (!preApproved && authUser.emailVerified && authUser.email) {
+        const openInvitation = await findOpenInvitation(authUser.email);
+        invitation = openInvitation && await claimInvitation(openInvitation.id, userId);
+      }
       
-      // Only admins get their claims set immediately
+      // Set initial approval status
+      // Everyone else needs admin approval
+      const approved = preApproved || Boolean(invitation);
+      let customClaims = null;
+      
+      // Only approved users get their claims set immediately
       // Other users will get their claims set when approved
-      if (isAdmin) {
-        customClaims.approved = true;
-        console.log(`Setting admin claims for user ${userId}:`, customClaims);
-        await admin.auth().setCustomUserClaims(userId, customClaims);
+      if (preApproved) {
+        console.log(`User ${userId} was created approved with roles ${roles.join(', ')}`);
+        customClaims = await setUserClaims(userId, { ...userData, roles, approved: true });
+      } else if (invitation) {
+        console.log(`User ${userId} joined through invitation ${invitation.id} with role ${invitation.role}`);
+        customClaims = await applyInvitation(invitation, userId);
       } else {
-        console.log(`User ${userId} created with role ${userData.role}, waiting for admin approval`);
+        console.log(`User ${userId} created with roles ${roles.join(', ')}, waiting for admin approval`);
+        
+        // Let the admins of their organization who approve users know someone is waiting
+        const organizationId = userData.organizationId;
+        if (organizationId) {
+          const approvers = await getUsersWithPermission(organizationId, PERMISSIONS.USER_APPROVE);
+          await createNotifications(approvers.map(user => user.id), {
+            type: NOTIFICATION_TYPES.USER_PENDING_APPROVAL,
+            title: 'New user waiting for approval',
+            message: `${userData.displayName || userData.email} registered as ${roles.join(' and ')} and needs approval.`,
+            data: { userId, roles }
+          });
+          
+          await sendTemplatedEmail(approvers.map(user => user.email), 'userPendingApproval', {
+            displayName: userData.displayName,
+            email: userData.email,
+            role: roles.join(' and ')
+          });
+        } else {
+          console.warn(`User ${userId} does not belong to an organization; no admin can approve them`);
+        }
       }
       
       // Update the user's metadata
-      await admin.firestore().collection('users').doc(userId).update({
+      const metadata = {
+        roles,
+        role: admin.firestore.FieldValue.delete(),
         approved,
-        customClaims: isAdmin ? customClaims : null,
+        customClaims,
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      };
+      if (invitation) {
+        metadata.roles = [invitation.role];
+        metadata.organizationId = invitation.organizationId;
+        metadata.invitationId = invitation.id;
+      }
+      await admin.firestore().collection('users').doc(userId).update(metadata);
       
       return null;
     } catch (error) {
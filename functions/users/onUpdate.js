@@ -4,10 +4,17 @@
 
 const functions = require('firebase-functions');
 const { admin } = require('../config/firebase');
+const { NOTIFICATION_TYPES, createNotifications } = require('../utils/notifications');
+const { setUserClaims } = require('../utils/claims');
+const { getUserRoles } = require('../utils/permissions');
+
+// User fields the custom claims are built from, besides the roles
+const CLAIM_FIELDS = ['approved', 'active', 'organizationId'];
 
 /**
  * When a user document is updated in Firestore,
- * update the custom claims if the role has changed
+ * update the custom claims if a field they are built from has changed
+ * and notify the user when their account is approved
  */
 const onUserUpdate = functions.firestore
   .onDocumentUpdated('users/{userId}', async (event) => {
@@ -21,25 +28,20 @@ const onUserUpdate = functions.firestore
       const beforeData = change.before.data();
       const afterData = change.after.data();
       
-      // Check if role has changed
-      if (beforeData.role !== afterData.role) {
-        console.log(`User role changed for ${userId}: ${beforeData.role} -> ${afterData.role}`);
-        
-        const validRoles = ['admin', 'moderator', 'lecturer'];
-        
-        // Create claims object with all roles set to false by default
-        const customClaims = {};
-        validRoles.forEach(role => {
-          customClaims[role] = role === afterData.role;
-        });
-        
-        console.log(`Updating custom claims for user ${userId}:`, customClaims);
+      // Check if a claim field has changed (e.g. the role, or approval)
+      const changedFields = CLAIM_FIELDS.filter(field => beforeData[field] !== afterData[field]);
+      if (getUserRoles(beforeData).join() !== getUserRoles(afterData).join()) {
+        changedFields.push('roles');
+      }
+      if (changedFields.length > 0) {
+        console.log(`Claim fields changed for ${userId}: ${changedFields.join(', ')}`);
         
         // Set custom claims for the user
-        await admin.auth().setCustomUserClaims(userId, customClaims);
+        const customClaims = await setUserClaims(userId, afterData);
+        console.log(`Updated custom claims for user ${userId}:`, customClaims);
         
         // Update the customClaims field in the user document
-        // We don't update the document directly to avoid triggering this function again
+        // customClaims is not a claim field, so this does not change the claims again
         await admin.firestore().collection('users').doc(userId).update({
           customClaims,
           updatedAt: admin.firestore.FieldValue.serverTimestamp()
@@ -48,6 +50,17 @@ const onUserUpdate = functions.firestore
         console.log(`Custom claims updated successfully for user ${userId}`);
       }
       
+      // Let the user know once their account has been approved
+      if (beforeData.approved !== true && afterData.approved === true) {
+        console.log(`User ${userId} approved, sending notification`);
+        await createNotifications([userId], {
+          type: NOTIFICATION_TYPES.USER_APPROVED,
+          title: 'Account approved',
+          message: 'Your account has been approved. You now have access to Moducate.',
+          data: { roles: getUserRoles(afterData) }
+        });
+      }
+      
       return null;
     } catch (error) {
       console.error('Error in onUserUpdate trigger:', error);
@@ -0,0 +1,40 @@
+/**
+ * Scheduled function that checks users' custom claims for drift
+ */
+
+const functions = require('firebase-functions');
+const { admin } = require('../config/firebase');
+const { createDoc } = require('../utils/db');
+const { reconcileClaims } = require('../utils/claims');
+
+// Mismatches kept in a stored report, so it stays well below the document size limit
+const MAX_STORED_MISMATCHES = 500;
+
+/**
+ * Every day, compare every user's custom claims with their users document
+ * and keep the report. Mismatches are only fixed when CLAIMS_AUTO_FIX is 'true'.
+ */
+const reconcileUserClaimsDaily = functions.scheduler
+  .onSchedule('every 24 hours', async () => {
+    try {
+      const fix = process.env.CLAIMS_AUTO_FIX === 'true';
+      const report = await reconcileClaims({ fix });
+
+      await createDoc('claimsReconciliations', {
+        ...report,
+        mismatches: report.mismatches.slice(0, MAX_STORED_MISMATCHES),
+        fix,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      if (report.mismatched > 0) {
+        console.warn(`User claims reconciled: ${report.mismatched} of ${report.checked} users mismatched, ${report.fixed} fixed`);
+      }
+      return null;
+    } catch (error) {
+      console.error('Error in reconcileUserClaimsDaily schedule:', error);
+      return null;
+    }
+  });
+
+module.exports = reconcileUserClaimsDaily;
@@ -0,0 +1,245 @@
+/**
+ * Tamper-evident audit log utility functions
+ *
+ * Every entry stores the hash of the previous entry and its own hash over
+ * its contents, so editing or deleting an entry breaks the chain. Each
+ * organization has a chain of its own, so its admins can verify it without
+ * reading other organizations' entries; actions outside any organization go
+ * to the deployment chain. Entries written before chains were split have no
+ * chainId and form the legacy chain, which is no longer appended to.
+ */
+
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');
+
+// Privileged actions that are recorded
+const AUDIT_ACTIONS = {
+  USER_APPROVE: 'user.approve',
+  USER_REJECT: 'user.reject',
+  USER_ROLE_UPDATE: 'user.role_update',
+  USER_IMPORT: 'user.import',
+  USER_DEACTIVATE: 'user.deactivate',
+  USER_REACTIVATE: 'user.reactivate',
+  USER_CLAIMS_RECONCILE: 'user.claims_reconcile',
+  ROLE_CREATE: 'role.create',
+  ROLE_UPDATE: 'role.update',
+  ROLE_DELETE: 'role.delete',
+  INVITATION_CREATE: 'invitation.create',
+  INVITATION_REVOKE: 'invitation.revoke',
+  INVITATION_ACCEPT: 'invitation.accept',
+  FIRST_ADMIN_CREATE: 'user.first_admin_create',
+  ASSESSMENT_MODERATE: 'assessment.moderate',
+  MODERATOR_ASSIGN: 'assessment.moderator_assign',
+  ASSESSMENT_DELETE: 'assessment.delete',
+  REPORT_EXPORT: 'report.export'
+};
+
+// previousHash of the first entry in the chain
+const GENESIS_HASH = '0'.repeat(64);
+
+// Chain of the actions that belong to no organization
+const DEPLOYMENT_CHAIN = 'deployment';
+
+// Head document of the legacy chain
+const LEGACY_HEAD = 'head';
+
+/**
+ * Get the chain an organization's entries are appended to
+ * @param {string|null} organizationId - Organization ID, or null for deployment actions
+ * @returns {string} - Chain ID
+ */
+const getChainId = (organizationId) => organizationId || DEPLOYMENT_CHAIN;
+
+/**
+ * Get the head document of a chain, holding its last sequence number and hash
+ * @param {string|null} chainId - Chain ID, or null for the legacy chain
+ * @returns {Object} - Document reference
+ */
+const headRef = (chainId) => db.collection('auditChain').doc(chainId || LEGACY_HEAD);
+
+/**
+ * Serialize a value to JSON with object keys sorted, so equal values always hash the same
+ * @param {*} value - Value to serialize
+ * @returns {string} - Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (value === undefined) {
+    return 'null';
+  }
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (value instanceof admin.firestore.Timestamp) {
+    return JSON.stringify(value.toDate().toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  const keys = Object.keys(value).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+};
+
+/**
+ * Compute the hash of an audit entry
+ * @param {Object} entry - Entry data (without its own hash)
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashEntry = (entry) => {
+  const hashed = {
+    sequence: entry.sequence,
+    actorId: entry.actorId,
+    action: entry.action,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    before: entry.before,
+    after: entry.after,
+    timestamp: entry.timestamp,
+    previousHash: entry.previousHash
+  };
+  // Entries written before organizations existed have no organizationId,
+  // and entries of the legacy chain have no chainId
+  if (entry.organizationId !== undefined) {
+    hashed.organizationId = entry.organizationId;
+  }
+  if (entry.chainId !== undefined) {
+    hashed.chainId = entry.chainId;
+  }
+  return crypto.createHash('sha256').update(canonicalJson(hashed)).digest('hex');
+};
+
+/**
+ * Get the document ID of an entry, padded so a chain's IDs sort in sequence order
+ * @param {string|null} chainId - Chain ID, or null for the legacy chain
+ * @param {number} sequence - Entry sequence number
+ * @returns {string} - Document ID
+ */
+const entryId = (chainId, sequence) => {
+  const padded = String(sequence).padStart(12, '0');
+  return chainId ? `${chainId}_${padded}` : padded;
+};
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} entry - Entry ({ organizationId, actorId, action, targetType, targetId, before, after })
+ * @returns {Promise<string>} - ID of the new entry
+ */
+const recordAuditEntry = async ({
+  organizationId = null, actorId, action, targetType, targetId, before = {}, after = {}
+}) => {
+  const chainId = getChainId(organizationId);
+  return db.runTransaction(async (transaction) => {
+    const head = await transaction.get(headRef(chainId));
+    const { sequence = 0, lastHash = GENESIS_HASH } = head.exists ? head.data() : {};
+
+    const entry = {
+      chainId,
+      sequence: sequence + 1,
+      organizationId,
+      actorId: actorId || null,
+      action,
+      targetType,
+      targetId,
+      // Plain JSON copies, so what is stored is exactly what was hashed
+      before: JSON.parse(JSON.stringify(before)),
+      after: JSON.parse(JSON.stringify(after)),
+      timestamp: admin.firestore.Timestamp.now(),
+      previousHash: lastHash
+    };
+    entry.hash = hashEntry(entry);
+
+    const id = entryId(chainId, entry.sequence);
+    transaction.create(db.collection('auditLog').doc(id), entry);
+    transaction.set(headRef(chainId), {
+      sequence: entry.sequence,
+      lastHash: entry.hash,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return id;
+  });
+};
+
+/**
+ * Walk one chain of the audit log and check every link of it
+ * @param {string|null} chainId - Chain ID, see getChainId, or null for the legacy chain
+ * @returns {Promise<Object>} - Result ({ valid, checked, problems })
+ */
+const verifyChain = async (chainId) => {
+  const problems = [];
+  let expectedSequence = 1;
+  let previousHash = GENESIS_HASH;
+  let lastDoc = null;
+  let checked = 0;
+
+  // Read the log in pages to keep memory use bounded
+  for (;;) {
+    // Legacy entries cannot be queried by their missing chainId; they are
+    // read in sequence order along with every other entry and picked out
+    let query = db.collection('auditLog');
+    if (chainId) {
+      query = query.where('chainId', '==', chainId);
+    }
+    query = query.orderBy('sequence').limit(500);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+    const snapshot = await query.get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    snapshot.docs.forEach(doc => {
+      const entry = doc.data();
+      if (!chainId && entry.chainId !== undefined) {
+        return;
+      }
+
+      if (entry.sequence !== expectedSequence) {
+        problems.push({
+          entryId: doc.id,
+          problem: `Expected entry ${expectedSequence} but found ${entry.sequence}; entries are missing`
+        });
+      } else if (entry.previousHash !== previousHash) {
+        problems.push({
+          entryId: doc.id,
+          problem: 'Previous hash does not match the preceding entry'
+        });
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        problems.push({
+          entryId: doc.id,
+          problem: 'Entry contents do not match its hash; it was modified'
+        });
+      }
+
+      expectedSequence = entry.sequence + 1;
+      previousHash = entry.hash;
+      checked++;
+    });
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  // Deleting the newest entries leaves the chain intact, but not the head
+  const head = await headRef(chainId).get();
+  if (head.exists) {
+    const { sequence, lastHash } = head.data();
+    if (sequence !== expectedSequence - 1 || lastHash !== previousHash) {
+      problems.push({
+        entryId: entryId(chainId, sequence),
+        problem: `The log ends at entry ${expectedSequence - 1} but the chain head is at ${sequence}`
+      });
+    }
+  } else if (checked > 0) {
+    problems.push({ entryId: null, problem: 'The chain head is missing' });
+  }
+
+  return { valid: problems.length === 0, checked, problems };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  getChainId,
+  recordAuditEntry,
+  verifyChain
+};
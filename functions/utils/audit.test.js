@@ -0,0 +1,84 @@
+const { db } = require('../config/firebase');
+const { AUDIT_ACTIONS, getChainId, recordAuditEntry, verifyChain } = require('./audit');
+const { getAuditLog, verifyAuditChain } = require('../audit/api');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  contextFor
+} = require('../test/emulator');
+
+describe('getChainId', () => {
+  test('gives each organization a chain of its own', () => {
+    expect(getChainId('org1')).toBe('org1');
+    expect(getChainId(null)).toBe('deployment');
+  });
+});
+
+describe('audit callables', () => {
+  test('require a signed-in user', async () => {
+    await expect(getAuditLog.run({}, {})).rejects.toMatchObject({ code: 'unauthenticated' });
+    await expect(verifyAuditChain.run({}, {})).rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+});
+
+describeWithEmulator('audit chain', () => {
+  const record = (organizationId, targetId) => recordAuditEntry({
+    organizationId,
+    actorId: 'admin1',
+    action: AUDIT_ACTIONS.USER_IMPORT,
+    targetType: 'user',
+    targetId,
+    after: { email: `${targetId}@moducate.test` }
+  });
+
+  beforeEach(clearEmulators);
+
+  afterAll(closeFirebase);
+
+  test('links the entries of each organization in sequence', async () => {
+    await record('org1', 'u1');
+    await record('org2', 'u2');
+    const id = await record('org1', 'u3');
+
+    expect(id).toBe('org1_000000000002');
+    expect(await verifyChain('org1')).toEqual({ valid: true, checked: 2, problems: [] });
+    expect(await verifyChain('org2')).toEqual({ valid: true, checked: 1, problems: [] });
+  });
+
+  test('finds modified entries', async () => {
+    const id = await record('org1', 'u1');
+    await record('org1', 'u2');
+    await db.collection('auditLog').doc(id).update({ targetId: 'someone else' });
+
+    const result = await verifyChain('org1');
+    expect(result.valid).toBe(false);
+    expect(result.problems).toEqual([
+      { entryId: id, problem: 'Entry contents do not match its hash; it was modified' }
+    ]);
+  });
+
+  test('finds deleted entries, the newest included', async () => {
+    await record('org1', 'u1');
+    const id = await record('org1', 'u2');
+    await db.collection('auditLog').doc(id).delete();
+
+    const result = await verifyChain('org1');
+    expect(result.problems).toEqual([
+      { entryId: id, problem: 'The log ends at entry 1 but the chain head is at 2' }
+    ]);
+  });
+
+  test('lets admins read and verify only their organization\'s entries', async () => {
+    await seedOrganization('org1');
+    const orgAdmin = await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+    await record('org1', 'u1');
+    await record('org2', 'u2');
+
+    const { entries } = await getAuditLog.run({ organizationId: 'org2' }, contextFor(orgAdmin));
+    expect(entries.map(entry => entry.targetId)).toEqual(['u1']);
+    expect(await verifyAuditChain.run({}, contextFor(orgAdmin))).toMatchObject({ valid: true, checked: 1 });
+  });
+});
@@ -1,38 +1,100 @@
 /**
  * Authentication utility functions
+ *
+ * Only approved, active users hold permissions. Every callable checks the
+ * permissions of its caller through verifyUserPermission or requirePermission.
  */
 
+const functions = require('firebase-functions');
 const { admin } = require('../config/firebase');
-const { getDocById, createDoc } = require('./db');
+const { getDocById } = require('./db');
+const { getUserPermissions } = require('./permissions');
 
 /**
- * Verify if a user has the required role and is approved
+ * Check if a user has been deactivated
+ * @param {Object} user - User data
+ * @returns {boolean} - Whether the user is inactive
+ */
+const isInactive = (user) => user.active === false;
+
+/**
+ * Check if a user is approved. Only the server approves users (an admin
+ * approving them, createFirstAdmin, an invitation or an import); the roles a
+ * user document claims never approve it.
+ * @param {Object} user - User data
+ * @returns {boolean} - Whether the user is approved
+ */
+const isApproved = (user) => user.approved === true;
+
+/**
+ * Check if a user is approved and has not been deactivated
+ * @param {Object} user - User data
+ * @returns {boolean} - Whether the user may use the system
+ */
+const isApprovedAndActive = (user) => isApproved(user) && !isInactive(user);
+
+/**
+ * Add the permissions of a user to their user data.
+ * Users who are not approved or are inactive hold no permissions.
+ * @param {Object} user - User data
+ * @returns {Promise<Object>} - User data including permissions
+ */
+const withPermissions = async (user) => {
+  const permissions = isApprovedAndActive(user) ? await getUserPermissions(user) : [];
+  return { ...user, permissions };
+};
+
+/**
+ * Verify if a user is approved and holds a permission through one of their roles
  * @param {string} userId - User ID
- * @param {string|Array} requiredRoles - Required role(s)
- * @returns {Promise<boolean>} - Whether the user has the required role and is approved
+ * @param {string|Array} requiredPermissions - Required permission, or several of which any will do
+ * @returns {Promise<boolean>} - Whether the user holds the permission
  */
-const verifyUserRole = async (userId, requiredRoles) => {
+const verifyUserPermission = async (userId, requiredPermissions) => {
   try {
     // Get user from Firestore
-    const user = await getDocById('users', userId);
-    
-    // Convert requiredRoles to array if it's a string
-    const roles = Array.isArray(requiredRoles) ? requiredRoles : [requiredRoles];
+    const user = await withPermissions(await getDocById('users', userId));
     
-    // Check if user has any of the required roles and is approved
-    // Admins are always considered approved
-    const hasRole = roles.includes(user.role);
-    const isApproved = user.approved === true || user.role === 'admin';
+    // Convert requiredPermissions to array if it's a string
+    const permissions = Array.isArray(requiredPermissions) ? requiredPermissions : [requiredPermissions];
     
-    return hasRole && isApproved;
+    return permissions.some(permission => user.permissions.includes(permission));
   } catch (error) {
-    console.error('Error verifying user role:', error);
+    console.error('Error verifying user permission:', error);
     return false;
   }
 };
 
 /**
- * Check if a user is approved
+ * Check that the caller of a callable holds a permission
+ * @param {Object} context - Callable context
+ * @param {string} permission - Required permission
+ * @param {string} action - What the caller is trying to do, for the error messages
+ * @returns {Promise<Object>} - Caller's user data including permissions
+ * @throws {functions.https.HttpsError} - When the caller is signed out or lacks the permission
+ */
+const requirePermission = async (context, permission, action) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError(
+      'unauthenticated',
+      `You must be logged in to ${action}.`
+    );
+  }
+
+  const user = await getApprovedUser(context.auth.uid);
+
+  if (!user || !user.permissions.includes(permission)) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      `You do not have permission to ${action}.`
+    );
+  }
+
+  return user;
+};
+
+/**
+ * Check if a user is approved (and has not been deactivated)
  * @param {string} userId - User ID
  * @returns {Promise<boolean>} - Whether the user is approved
  */
@@ -41,8 +103,7 @@ const isUserApproved = async (userId) => {
     // Get user from Firestore
     const user = await getDocById('users', userId);
     
-    // Admins are always considered approved
-    return user.approved === true || user.role === 'admin';
+    return isApprovedAndActive(user);
   } catch (error) {
     console.error('Error checking user approval status:', error);
     return false;
@@ -50,36 +111,19 @@ const isUserApproved = async (userId) => {
 };
 
 /**
- * Create a new user in Firestore after they register with Firebase Auth
- * @param {string} userId - User ID from Firebase Auth
- * @param {Object} userData - User data
- * @returns {Promise<Object>} - Created user reference
+ * Get the user record of an approved user, including their permissions
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - User data, or null if the user does not exist, is not approved or is inactive
  */
-const createUserRecord = async (userId, userData) => {
+const getApprovedUser = async (userId) => {
   try {
-    const { displayName, email, role } = userData;
-    const userRole = role || 'lecturer'; // Default role is lecturer
-    
-    // Determine if user should be auto-approved (only admins are auto-approved)
-    const isAdmin = userRole === 'admin';
-    const approved = isAdmin;
-    
-    // Create user document in Firestore
-    const userDoc = {
-      displayName,
-      email,
-      role: userRole,
-      approved, // Only admins are auto-approved
-      active: true,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+    // Get user from Firestore
+    const user = await getDocById('users', userId);
     
-    // Save user to Firestore with the same ID as Firebase Auth
-    return await createDoc('users', userDoc, userId);
+    return isApprovedAndActive(user) ? await withPermissions(user) : null;
   } catch (error) {
-    console.error('Error creating user record:', error);
-    throw error;
+    console.error('Error getting approved user:', error);
+    return null;
   }
 };
 
@@ -102,8 +146,12 @@ const getUserByEmail = async (email) => {
 };
 
 module.exports = {
-  verifyUserRole,
+  isApproved,
+  isApprovedAndActive,
+  withPermissions,
+  verifyUserPermission,
+  requirePermission,
   isUserApproved,
-  createUserRecord,
+  getApprovedUser,
   getUserByEmail
 };
@@ -0,0 +1,163 @@
+/**
+ * Custom claims utility functions
+ *
+ * The users document is the source of truth; a user's Auth custom claims are
+ * derived from its roles, approved, active and organizationId fields by
+ * buildUserClaims and nothing else. Approved, active users carry their role
+ * keys, approved: true and their organizationId. Users who are pending
+ * approval or inactive carry no claims at all. Claims never decide what a
+ * user may do; the functions check permissions against the users document.
+ */
+
+const { admin } = require('../config/firebase');
+const { queryDocs, updateDoc } = require('./db');
+const { isApprovedAndActive } = require('./auth');
+const { getUserRoles } = require('./permissions');
+
+// Users read per query while reconciling, and the most Auth users looked up at once
+const RECONCILE_BATCH_SIZE = 100;
+
+/**
+ * Build the custom claims a user should have
+ * @param {Object} user - User data ({ roles, approved, active, organizationId })
+ * @returns {Object|null} - Claims, or null when the user should have none
+ */
+const buildUserClaims = (user) => {
+  if (!isApprovedAndActive(user)) {
+    return null;
+  }
+  return {
+    roles: [...getUserRoles(user)].sort(),
+    approved: true,
+    organizationId: user.organizationId || null
+  };
+};
+
+/**
+ * Compare two claim values; role lists compare regardless of order
+ * @param {*} a - Claim value
+ * @param {*} b - Claim value
+ * @returns {boolean} - Whether the values are the same
+ */
+const sameClaim = (a, b) => {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return JSON.stringify([...a].sort()) === JSON.stringify([...b].sort());
+  }
+  return a === b;
+};
+
+/**
+ * Set a user's custom claims from their user data
+ * @param {string} userId - User ID
+ * @param {Object} user - User data, see buildUserClaims
+ * @returns {Promise<Object|null>} - The claims that were set
+ */
+const setUserClaims = async (userId, user) => {
+  const claims = buildUserClaims(user);
+  await admin.auth().setCustomUserClaims(userId, claims);
+  return claims;
+};
+
+/**
+ * List the claims that differ between what a user has and what they should have
+ * @param {Object|null} actual - Current custom claims
+ * @param {Object|null} expected - Claims from buildUserClaims
+ * @returns {Array} - Differences ({ claim, actual, expected })
+ */
+const diffClaims = (actual, expected) => {
+  const current = actual || {};
+  const wanted = expected || {};
+  // Includes claims that are no longer set, such as the old per-role booleans
+  const keys = [...new Set([...Object.keys(current), ...Object.keys(wanted)])];
+  return keys
+    .map(claim => ({
+      claim,
+      actual: current[claim] ?? null,
+      expected: wanted[claim] ?? null
+    }))
+    .filter(({ actual: value, expected: wantedValue }) => !sameClaim(value, wantedValue));
+};
+
+/**
+ * Compare the Auth claims and disabled flag of users with their users documents,
+ * optionally fixing every mismatch. Users documents that still have a single
+ * role field instead of a roles list are reported too, and moved to a roles list.
+ * @param {Object} options - { organizationId (null for every organization), fix }
+ * @returns {Promise<Object>} - Report ({ checked, mismatched, fixed, mismatches })
+ */
+const reconcileClaims = async ({ organizationId = null, fix = false } = {}) => {
+  const report = { checked: 0, mismatched: 0, fixed: 0, mismatches: [] };
+  const scope = organizationId ? { organizationId } : { allOrganizations: true };
+  let startAfter = null;
+
+  do {
+    const users = await queryDocs('users', [], {
+      ...scope,
+      orderBy: { field: '__name__' },
+      limit: RECONCILE_BATCH_SIZE,
+      startAfter
+    });
+    startAfter = users.length === RECONCILE_BATCH_SIZE ? users[users.length - 1].id : null;
+    if (users.length === 0) {
+      break;
+    }
+
+    const { users: authUsers } = await admin.auth().getUsers(users.map(user => ({ uid: user.id })));
+    const authById = new Map(authUsers.map(authUser => [authUser.uid, authUser]));
+
+    for (const user of users) {
+      report.checked++;
+      const authUser = authById.get(user.id);
+      if (!authUser) {
+        report.mismatched++;
+        report.mismatches.push({ userId: user.id, email: user.email || null, missingAuthUser: true });
+        continue;
+      }
+
+      const expected = buildUserClaims(user);
+      const claims = diffClaims(authUser.customClaims, expected);
+      const shouldBeDisabled = user.active === false;
+      const disabledDrift = authUser.disabled !== shouldBeDisabled;
+      const rolesMissing = !Array.isArray(user.roles);
+      if (claims.length === 0 && !disabledDrift && !rolesMissing) {
+        continue;
+      }
+
+      report.mismatched++;
+      report.mismatches.push({
+        userId: user.id,
+        email: user.email || null,
+        claims,
+        disabled: disabledDrift ? { actual: authUser.disabled, expected: shouldBeDisabled } : null,
+        rolesMissing
+      });
+
+      if (fix) {
+        if (claims.length > 0) {
+          await admin.auth().setCustomUserClaims(user.id, expected);
+        }
+        if (claims.length > 0 || rolesMissing) {
+          await updateDoc('users', user.id, {
+            customClaims: expected,
+            ...(rolesMissing
+              ? { roles: getUserRoles(user), role: admin.firestore.FieldValue.delete() }
+              : {})
+          });
+        }
+        if (disabledDrift) {
+          await admin.auth().updateUser(user.id, { disabled: shouldBeDisabled });
+        }
+        report.fixed++;
+      }
+    }
+  } while (startAfter);
+
+  return report;
+};
+
+module.exports = {
+  buildUserClaims,
+  setUserClaims,
+  diffClaims,
+  reconcileClaims
+};
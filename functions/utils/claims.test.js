@@ -0,0 +1,132 @@
+const { admin, db } = require('../config/firebase');
+const { buildUserClaims, diffClaims, reconcileClaims } = require('./claims');
+const { reconcileUserClaims } = require('../users/api');
+const {
+  describeWithEmulator,
+  clearEmulators,
+  closeFirebase,
+  seedOrganization,
+  seedUser,
+  contextFor
+} = require('../test/emulator');
+
+describe('buildUserClaims', () => {
+  test('gives approved, active users their sorted roles and organization', () => {
+    expect(buildUserClaims({ roles: ['moderator', 'lecturer'], approved: true, organizationId: 'org1' }))
+      .toEqual({ roles: ['lecturer', 'moderator'], approved: true, organizationId: 'org1' });
+  });
+
+  test('reads the single role field of older users documents', () => {
+    expect(buildUserClaims({ role: 'lecturer', approved: true }))
+      .toEqual({ roles: ['lecturer'], approved: true, organizationId: null });
+  });
+
+  test('gives pending and inactive users no claims', () => {
+    expect(buildUserClaims({ roles: ['admin'], approved: false, organizationId: 'org1' })).toBeNull();
+    expect(buildUserClaims({ roles: ['admin'], approved: true, active: false, organizationId: 'org1' })).toBeNull();
+  });
+});
+
+describe('diffClaims', () => {
+  const expected = { roles: ['lecturer', 'moderator'], approved: true, organizationId: 'org1' };
+
+  test('finds nothing when the claims match, whatever the order of the roles', () => {
+    expect(diffClaims({ ...expected, roles: ['moderator', 'lecturer'] }, expected)).toEqual([]);
+    expect(diffClaims(null, null)).toEqual([]);
+  });
+
+  test('lists changed, missing and left over claims', () => {
+    expect(diffClaims({ roles: ['lecturer'], approved: true, isAdmin: true }, expected)).toEqual([
+      { claim: 'roles', actual: ['lecturer'], expected: ['lecturer', 'moderator'] },
+      { claim: 'isAdmin', actual: true, expected: null },
+      { claim: 'organizationId', actual: null, expected: 'org1' }
+    ]);
+  });
+
+  test('lists every claim of users who should have none', () => {
+    expect(diffClaims(expected, null).map(difference => difference.claim))
+      .toEqual(['roles', 'approved', 'organizationId']);
+  });
+});
+
+describeWithEmulator('reconcileClaims', () => {
+  /**
+   * Seed a user with an Auth account carrying the given claims
+   * @param {string} id - User ID
+   * @param {Object} data - User data, see seedUser
+   * @param {Object|null} claims - Custom claims of the Auth account
+   * @returns {Promise<Object>} - User data, including its ID
+   */
+  const seedAccount = async (id, data, claims) => {
+    const user = await seedUser(id, data);
+    await admin.auth().createUser({ uid: id, email: user.email });
+    await admin.auth().setCustomUserClaims(id, claims);
+    return user;
+  };
+
+  beforeEach(async () => {
+    await clearEmulators();
+    await seedOrganization('org1');
+  });
+
+  afterAll(closeFirebase);
+
+  test('reports drift without changing anything unless asked to fix it', async () => {
+    await seedAccount('inSync', { organizationId: 'org1', roles: ['lecturer'] },
+      { roles: ['lecturer'], approved: true, organizationId: 'org1' });
+    await seedAccount('drifted', { organizationId: 'org1', roles: ['lecturer'] },
+      { roles: ['admin'], approved: true, organizationId: 'org1' });
+
+    const report = await reconcileClaims({ organizationId: 'org1' });
+
+    expect(report).toMatchObject({ checked: 2, mismatched: 1, fixed: 0 });
+    expect(report.mismatches[0]).toMatchObject({
+      userId: 'drifted',
+      claims: [{ claim: 'roles', actual: ['admin'], expected: ['lecturer'] }]
+    });
+    expect((await admin.auth().getUser('drifted')).customClaims.roles).toEqual(['admin']);
+  });
+
+  test('fixes claims, disabled flags and single role fields', async () => {
+    await seedAccount('inactive', { organizationId: 'org1', roles: ['lecturer'], active: false },
+      { roles: ['lecturer'], approved: true, organizationId: 'org1' });
+    await seedAccount('legacy', { organizationId: 'org1' },
+      { roles: ['moderator'], approved: true, organizationId: 'org1' });
+    await db.collection('users').doc('legacy').update({
+      roles: admin.firestore.FieldValue.delete(),
+      role: 'moderator'
+    });
+
+    const report = await reconcileClaims({ organizationId: 'org1', fix: true });
+
+    expect(report).toMatchObject({ checked: 2, mismatched: 2, fixed: 2 });
+    const inactive = await admin.auth().getUser('inactive');
+    expect(inactive.disabled).toBe(true);
+    expect(inactive.customClaims?.roles).toBeUndefined();
+    const legacy = (await db.collection('users').doc('legacy').get()).data();
+    expect(legacy.roles).toEqual(['moderator']);
+    expect(legacy).not.toHaveProperty('role');
+
+    expect(await reconcileClaims({ organizationId: 'org1' })).toMatchObject({ mismatched: 0 });
+  });
+
+  test('reports users without an Auth account', async () => {
+    await seedUser('ghost', { organizationId: 'org1', roles: ['lecturer'] });
+
+    const report = await reconcileClaims({ organizationId: 'org1', fix: true });
+
+    expect(report.mismatches).toEqual([{ userId: 'ghost', email: 'ghost@moducate.test', missingAuthUser: true }]);
+    expect(report.fixed).toBe(0);
+  });
+
+  test('only lets admins reconcile their own organization', async () => {
+    const orgAdmin = await seedUser('admin1', { organizationId: 'org1', roles: ['admin'] });
+    await seedOrganization('org2');
+    await seedAccount('elsewhere', { organizationId: 'org2', roles: ['lecturer'] }, null);
+
+    const result = await reconcileUserClaims.run({ organizationId: 'org2', fix: true }, contextFor(orgAdmin));
+
+    expect(result.mismatches.map(mismatch => mismatch.userId)).not.toContain('elsewhere');
+    expect((await admin.auth().getUser('elsewhere')).customClaims?.roles).toBeUndefined();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * CSV utility functions (RFC 4180: comma separated, double-quoted fields,
+ * quotes escaped by doubling them)
+ */
+
+/**
+ * Parse CSV text into rows of fields.
+ * Accepts CRLF and LF line endings and a leading byte order mark; blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array} - Rows ({ line, fields }) with the line each row starts on
+ * @throws {Error} - When a quoted field is not closed
+ */
+const parseCsv = (text) => {
+  const input = text.replace(/^\ufeff/, '');
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim() !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unclosed quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Escape a value for a CSV cell. Values that spreadsheets would run as
+ * formulas are prefixed with a quote.
+ * @param {*} value - Cell value
+ * @returns {string} - CSV cell
+ */
+const toCsvCell = (value) => {
+  let text = String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} - CSV line without a line ending
+ */
+const formatCsvRow = (values) => values.map(toCsvCell).join(',');
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
@@ -0,0 +1,38 @@
+const { parseCsv, formatCsvRow } = require('./csv');
+
+describe('parseCsv', () => {
+  test('splits rows and fields', () => {
+    expect(parseCsv('a,b\r\nc,d\n')).toEqual([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['c', 'd'] }
+    ]);
+  });
+
+  test('reads quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('"Smith, Jo","say ""hi""","two\nlines"\nnext')).toEqual([
+      { line: 1, fields: ['Smith, Jo', 'say "hi"', 'two\nlines'] },
+      { line: 3, fields: ['next'] }
+    ]);
+  });
+
+  test('skips blank lines and a byte order mark', () => {
+    expect(parseCsv('﻿a\n\n  \nb')).toEqual([
+      { line: 1, fields: ['a'] },
+      { line: 4, fields: ['b'] }
+    ]);
+  });
+
+  test('refuses unclosed quotes', () => {
+    expect(() => parseCsv('a\n"open')).toThrow('Unclosed quoted field starting on line 2');
+  });
+});
+
+describe('formatCsvRow', () => {
+  test('quotes cells that need it', () => {
+    expect(formatCsvRow(['plain', 'a,b', 'say "hi"', null])).toBe('plain,"a,b","say ""hi""",');
+  });
+
+  test('keeps spreadsheets from running formulas', () => {
+    expect(formatCsvRow(['=SUM(A1)', '-1', '@user'])).toBe("'=SUM(A1),'-1,'@user");
+  });
+});
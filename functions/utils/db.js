@@ -2,19 +2,39 @@
  * Database utility functions
  */
 
+const functions = require('firebase-functions');
+const { Filter } = require('firebase-admin/firestore');
 const { db } = require('../config/firebase');
 
+// Collections whose documents belong to an organization
+const ORGANIZATION_COLLECTIONS = ['users', 'assessments', 'assessmentSearch', 'courses', 'rubrics', 'invitations', 'roles'];
+
+/**
+ * Check if documents of a collection belong to an organization
+ * @param {string} collection - Collection name
+ * @returns {boolean} - Whether the collection is organization scoped
+ */
+const isOrganizationScoped = (collection) => ORGANIZATION_COLLECTIONS.includes(collection);
+
 /**
  * Get a document by ID from a specific collection
  * @param {string} collection - Collection name
  * @param {string} id - Document ID
+ * @param {string|null} organizationId - Organization the document must belong to (optional).
+ *   Documents of other organizations are reported as not found.
  * @returns {Promise<Object>} - Document data
+ * @throws {functions.https.HttpsError} - When the document does not exist
  */
-const getDocById = async (collection, id) => {
+const getDocById = async (collection, id, organizationId = null) => {
   try {
     const doc = await db.collection(collection).doc(id).get();
-    if (!doc.exists) {
-      throw new Error(`Document not found in ${collection} with ID: ${id}`);
+    const inOrganization = !organizationId || !isOrganizationScoped(collection) ||
+      (doc.exists && doc.data().organizationId === organizationId);
+    if (!doc.exists || !inOrganization) {
+      throw new functions.https.HttpsError(
+        'not-found',
+        `Document not found in ${collection} with ID: ${id}`
+      );
     }
     return { id: doc.id, ...doc.data() };
   } catch (error) {
@@ -88,19 +108,126 @@ const deleteDoc = async (collection, id) => {
   }
 };
 
+/**
+ * Encode a document ID as an opaque page token
+ * @param {string} id - Document ID
+ * @returns {string} - Page token
+ */
+const encodePageToken = (id) => {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url');
+};
+
+/**
+ * Decode a page token created by encodePageToken
+ * @param {string} token - Page token
+ * @returns {string|null} - Document ID, or null if the token is invalid
+ */
+const decodePageToken = (token) => {
+  try {
+    const { id } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    return typeof id === 'string' && id ? id : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Convert a condition to a Firestore filter
+ * @param {Object} condition - { field, operator, value }, or { or: [[condition, ...], ...] }
+ *   to match any of several groups of conditions
+ * @returns {Filter} - Firestore filter
+ */
+const toFilter = (condition) => {
+  if (condition.or) {
+    return Filter.or(...condition.or.map(group => Filter.and(...group.map(toFilter))));
+  }
+  return Filter.where(condition.field, condition.operator, condition.value);
+};
+
+/**
+ * Limit conditions on an organization scoped collection to one organization
+ * @param {string} collection - Collection name
+ * @param {Array} conditions - Array of condition objects, see toFilter
+ * @param {Object} options - Query options ({ organizationId, allOrganizations })
+ * @returns {Array} - Conditions including the organization filter
+ * @throws {Error} - When an organization scoped query names no organization
+ */
+const scopeConditions = (collection, conditions, options) => {
+  if (!isOrganizationScoped(collection)) {
+    return conditions;
+  }
+  if (options.organizationId) {
+    return [{ field: 'organizationId', operator: '==', value: options.organizationId }, ...conditions];
+  }
+  if (options.allOrganizations === true) {
+    return conditions;
+  }
+  throw new Error(`Queries on ${collection} must be scoped to an organization`);
+};
+
+/**
+ * Build a query from conditions and options
+ * @param {string} collection - Collection name
+ * @param {Array} conditions - Array of condition objects, see toFilter
+ * @param {Object} options - See queryDocs
+ * @returns {Promise<Object>} - Firestore query
+ * @throws {functions.https.HttpsError} - When the startAfter document is not in the organization
+ */
+const buildQuery = async (collection, conditions = [], options = {}) => {
+  let query = db.collection(collection);
+  
+  scopeConditions(collection, conditions, options).forEach(condition => {
+    if (condition.or) {
+      query = query.where(toFilter(condition));
+    } else {
+      query = query.where(condition.field, condition.operator, condition.value);
+    }
+  });
+  
+  const orderBy = options.orderBy
+    ? (Array.isArray(options.orderBy) ? options.orderBy : [options.orderBy])
+    : [];
+  orderBy.forEach(order => {
+    query = query.orderBy(order.field, order.direction || 'asc');
+  });
+  
+  // A cursor of another organization would reveal where its documents sort
+  if (options.startAfter) {
+    const cursor = await db.collection(collection).doc(options.startAfter).get();
+    const inOrganization = !options.organizationId || !isOrganizationScoped(collection) ||
+      (cursor.exists && cursor.data().organizationId === options.organizationId);
+    if (!cursor.exists || !inOrganization) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `Cursor document not found in ${collection} with ID: ${options.startAfter}`
+      );
+    }
+    query = query.startAfter(cursor);
+  }
+  
+  if (options.limit) {
+    query = query.limit(options.limit);
+  }
+  
+  return query;
+};
+
 /**
  * Query documents from a collection
  * @param {string} collection - Collection name
- * @param {Array} conditions - Array of condition objects [{ field, operator, value }]
+ * @param {Array} conditions - Array of condition objects, see toFilter
+ * @param {Object} options - Query options
+ * @param {Object|Array} options.orderBy - Sort order ({ field, direction } or an array of them)
+ * @param {number} options.limit - Maximum number of documents
+ * @param {string} options.startAfter - ID of the document to start after
+ * @param {string} options.organizationId - Organization to query, required for
+ *   organization scoped collections
+ * @param {boolean} options.allOrganizations - Query every organization instead (system jobs only)
  * @returns {Promise<Array>} - Array of documents
  */
-const queryDocs = async (collection, conditions = []) => {
+const queryDocs = async (collection, conditions = [], options = {}) => {
   try {
-    let query = db.collection(collection);
-    
-    conditions.forEach(condition => {
-      query = query.where(condition.field, condition.operator, condition.value);
-    });
+    const query = await buildQuery(collection, conditions, options);
     
     const snapshot = await query.get();
     return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
@@ -110,10 +237,72 @@ const queryDocs = async (collection, conditions = []) => {
   }
 };
 
+/**
+ * Count the documents matching conditions without reading them
+ * @param {string} collection - Collection name
+ * @param {Array} conditions - Array of condition objects, see toFilter
+ * @param {Object} options - Organization options ({ organizationId, allOrganizations }), see queryDocs
+ * @returns {Promise<number>} - Number of matching documents
+ */
+const countDocs = async (collection, conditions = [], options = {}) => {
+  try {
+    const { organizationId, allOrganizations } = options;
+    const query = await buildQuery(collection, conditions, { organizationId, allOrganizations });
+    const snapshot = await query.count().get();
+    return snapshot.data().count;
+  } catch (error) {
+    console.error(`Error counting documents in ${collection}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Query one page of documents from a collection
+ * @param {string} collection - Collection name
+ * @param {Array} conditions - Array of condition objects, see toFilter
+ * @param {Object} options - Page options
+ * @param {Object|Array} options.orderBy - Sort order, see queryDocs
+ * @param {number} options.pageSize - Number of documents per page
+ * @param {string} options.pageToken - Token of the page to get, from a previous nextPageToken
+ * @param {boolean} options.includeTotal - Whether to count all matching documents
+ * @param {string} options.organizationId - Organization to query, see queryDocs
+ * @returns {Promise<Object>} - Page ({ docs, nextPageToken, totalCount })
+ */
+const queryPage = async (collection, conditions = [], options = {}) => {
+  const { orderBy, pageSize, pageToken, includeTotal, organizationId, allOrganizations } = options;
+  
+  const startAfter = pageToken ? decodePageToken(pageToken) : null;
+  if (pageToken && !startAfter) {
+    throw new Error('Invalid page token');
+  }
+  
+  // Read one extra document to know whether there is a next page
+  const [docs, totalCount] = await Promise.all([
+    queryDocs(collection, conditions, {
+      orderBy, startAfter, limit: pageSize + 1, organizationId, allOrganizations
+    }),
+    includeTotal
+      ? countDocs(collection, conditions, { organizationId, allOrganizations })
+      : Promise.resolve(undefined)
+  ]);
+  
+  const hasMore = docs.length > pageSize;
+  const page = hasMore ? docs.slice(0, pageSize) : docs;
+  
+  return {
+    docs: page,
+    nextPageToken: hasMore ? encodePageToken(page[page.length - 1].id) : null,
+    totalCount
+  };
+};
+
 module.exports = {
   getDocById,
   createDoc,
   updateDoc,
   deleteDoc,
-  queryDocs
+  queryDocs,
+  countDocs,
+  queryPage,
+  decodePageToken
 };
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { db } = require('../config/firebase');
+const { getDocById, queryDocs, countDocs, queryPage, decodePageToken } = require('./db');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('../test/emulator');
+
+describe('organization scoping', () => {
+  test('refuses queries on organization collections that name no organization', async () => {
+    await expect(queryDocs('assessments', [])).rejects.toThrow('must be scoped to an organization');
+    await expect(countDocs('users', [])).rejects.toThrow('must be scoped to an organization');
+  });
+});
+
+describe('decodePageToken', () => {
+  test('reads the document ID of a token', () => {
+    const token = Buffer.from(JSON.stringify({ id: 'doc1' })).toString('base64url');
+    expect(decodePageToken(token)).toBe('doc1');
+  });
+
+  test('rejects tokens it did not create', () => {
+    expect(decodePageToken('not a token')).toBeNull();
+    expect(decodePageToken(Buffer.from('{"id":""}').toString('base64url'))).toBeNull();
+  });
+});
+
+describeWithEmulator('tenancy of reads', () => {
+  beforeEach(async () => {
+    await clearEmulators();
+    await db.collection('courses').doc('c1').set({ organizationId: 'org1', code: 'CS101' });
+    await db.collection('courses').doc('c2').set({ organizationId: 'org2', code: 'CS101' });
+    await db.collection('courses').doc('c3').set({ organizationId: 'org1', code: 'CS102' });
+  });
+
+  afterAll(closeFirebase);
+
+  test('reads a document of the organization', async () => {
+    expect(await getDocById('courses', 'c1', 'org1')).toMatchObject({ id: 'c1', code: 'CS101' });
+  });
+
+  test('reports documents of other organizations as not found', async () => {
+    await expect(getDocById('courses', 'c2', 'org1')).rejects.toMatchObject({ code: 'not-found' });
+    await expect(getDocById('courses', 'missing')).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  test('only queries the named organization', async () => {
+    const courses = await queryDocs('courses', [
+      { field: 'code', operator: '==', value: 'CS101' }
+    ], { organizationId: 'org1' });
+    expect(courses.map(course => course.id)).toEqual(['c1']);
+    expect(await countDocs('courses', [], { organizationId: 'org1' })).toBe(2);
+  });
+
+  test('pages through the organization\'s documents', async () => {
+    const first = await queryPage('courses', [], {
+      organizationId: 'org1',
+      orderBy: { field: 'code' },
+      pageSize: 1,
+      includeTotal: true
+    });
+    expect(first.docs.map(course => course.id)).toEqual(['c1']);
+    expect(first.totalCount).toBe(2);
+
+    const second = await queryPage('courses', [], {
+      organizationId: 'org1',
+      orderBy: { field: 'code' },
+      pageSize: 1,
+      pageToken: first.nextPageToken
+    });
+    expect(second.docs.map(course => course.id)).toEqual(['c3']);
+    expect(second.nextPageToken).toBeNull();
+  });
+
+  test('refuses cursors of other organizations', async () => {
+    await expect(queryDocs('courses', [], {
+      organizationId: 'org1',
+      orderBy: { field: 'code' },
+      startAfter: 'c2'
+    })).rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+});
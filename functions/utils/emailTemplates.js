@@ -0,0 +1,173 @@
+/**
+ * Email templates for workflow events
+ */
+
+/**
+ * Escape a value for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Wrap paragraphs in the shared HTML layout
+ * @param {Array} paragraphs - Already escaped paragraphs
+ * @returns {string} - HTML body
+ */
+const layout = (paragraphs) => {
+  return [
+    '<div style="font-family: sans-serif; max-width: 600px;">',
+    ...paragraphs.map(paragraph => `<p>${paragraph}</p>`),
+    '<p style="color: #888;">Moducate</p>',
+    '</div>'
+  ].join('\n');
+};
+
+// Wording per moderation outcome
+const DECISION_TEXT = {
+  approved: 'has been approved',
+  rejected: 'has been rejected',
+  pending_changes: 'needs changes before it can be approved'
+};
+
+// Template data that lets the recipient into an account. It is only ever put
+// in the email itself and never stored, e.g. in the mail outbox.
+const SECRET_PARAMS = {
+  accountCreated: ['setPasswordUrl'],
+  invitation: ['acceptUrl', 'token']
+};
+
+// Templates keyed by name; each builds { subject, text, html } from its data
+const templates = {
+  /**
+   * Lecturer: their assessment was decided on
+   * @param {Object} data - { displayName, title, status, feedback }
+   */
+  assessmentDecision: ({ displayName, title, status, feedback }) => {
+    const outcome = DECISION_TEXT[status] || `is now ${status}`;
+    const feedbackText = feedback || 'No feedback was given.';
+    return {
+      subject: `Your assessment "${title}" ${outcome}`,
+      text: [
+        `Hi ${displayName || ''},`,
+        `Your assessment "${title}" ${outcome}.`,
+        `Feedback from the moderator:\n${feedbackText}`
+      ].join('\n\n'),
+      html: layout([
+        `Hi ${escapeHtml(displayName)},`,
+        `Your assessment <strong>${escapeHtml(title)}</strong> ${outcome}.`,
+        `Feedback from the moderator:<br>${escapeHtml(feedbackText).replace(/\n/g, '<br>')}`
+      ])
+    };
+  },
+
+  /**
+   * User: their account was approved
+   * @param {Object} data - { displayName, role }
+   */
+  accountApproved: ({ displayName, role }) => ({
+    subject: 'Your Moducate account has been approved',
+    text: [
+      `Hi ${displayName || ''},`,
+      `Your account has been approved with the ${role} role. You can now sign in to Moducate.`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(displayName)},`,
+      `Your account has been approved with the <strong>${escapeHtml(role)}</strong> role. You can now sign in to Moducate.`
+    ])
+  }),
+
+  /**
+   * User: an admin created an account for them
+   * @param {Object} data - { displayName, role, organizationName, setPasswordUrl }
+   */
+  accountCreated: ({ displayName, role, organizationName, setPasswordUrl }) => ({
+    subject: 'A Moducate account has been created for you',
+    text: [
+      `Hi ${displayName || ''},`,
+      `An account with the ${role} role has been created for you at ${organizationName}.`,
+      `Choose a password to sign in:\n${setPasswordUrl}`
+    ].join('\n\n'),
+    html: layout([
+      `Hi ${escapeHtml(displayName)},`,
+      `An account with the <strong>${escapeHtml(role)}</strong> role has been created for you at ${escapeHtml(organizationName)}.`,
+      `<a href="${escapeHtml(setPasswordUrl)}">Choose a password</a> to sign in.`
+    ])
+  }),
+
+  /**
+   * Invitee: they were invited to join an organization
+   * @param {Object} data - { organizationName, role, inviterName, acceptUrl, token, expiresAt };
+   *   without an acceptUrl the email shows the token as a code to enter in the app
+   */
+  invitation: ({ organizationName, role, inviterName, acceptUrl, token, expiresAt }) => ({
+    subject: `You have been invited to join ${organizationName} on Moducate`,
+    text: [
+      'Hi,',
+      `${inviterName} invited you to join ${organizationName} on Moducate as ${role}.`,
+      acceptUrl
+        ? `Accept the invitation before ${expiresAt}:\n${acceptUrl}`
+        : `Accept the invitation in Moducate before ${expiresAt} with this code:\n${token}`
+    ].join('\n\n'),
+    html: layout([
+      'Hi,',
+      `${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(organizationName)}</strong> on Moducate as ${escapeHtml(role)}.`,
+      acceptUrl
+        ? `<a href="${escapeHtml(acceptUrl)}">Accept the invitation</a> before ${escapeHtml(expiresAt)}.`
+        : `Accept the invitation in Moducate before ${escapeHtml(expiresAt)} with this code:<br><code>${escapeHtml(token)}</code>`
+    ])
+  }),
+
+  /**
+   * Admin: a new user is waiting for approval
+   * @param {Object} data - { displayName, email, role }
+   */
+  userPendingApproval: ({ displayName, email, role }) => ({
+    subject: 'A new user is waiting for approval',
+    text: [
+      `${displayName || email} (${email}) registered as ${role} and is waiting for approval.`,
+      'Review pending users in the Moducate admin panel.'
+    ].join('\n\n'),
+    html: layout([
+      `<strong>${escapeHtml(displayName || email)}</strong> (${escapeHtml(email)}) registered as ${escapeHtml(role)} and is waiting for approval.`,
+      'Review pending users in the Moducate admin panel.'
+    ])
+  })
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Object} - Rendered email ({ subject, text, html })
+ */
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+/**
+ * Check if the data of a template holds anything secret, see SECRET_PARAMS
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {boolean} - Whether the data holds a secret
+ */
+const hasSecretParams = (name, data = {}) => {
+  return (SECRET_PARAMS[name] || []).some(param => data[param]);
+};
+
+module.exports = {
+  escapeHtml,
+  renderTemplate,
+  hasSecretParams
+};
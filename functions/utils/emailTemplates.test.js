@@ -0,0 +1,62 @@
+const { escapeHtml, renderTemplate, hasSecretParams } = require('./emailTemplates');
+
+describe('escapeHtml', () => {
+  test('escapes markup and quotes', () => {
+    expect(escapeHtml('<a href="x">Tom & Jerry\'s</a>'))
+      .toBe('&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+});
+
+describe('renderTemplate', () => {
+  test('words the moderation outcome', () => {
+    const email = renderTemplate('assessmentDecision', {
+      displayName: 'Ada',
+      title: 'Algebra exam',
+      status: 'pending_changes',
+      feedback: 'Add marks.\nFix question 2.'
+    });
+
+    expect(email.subject).toBe('Your assessment "Algebra exam" needs changes before it can be approved');
+    expect(email.text).toContain('Feedback from the moderator:\nAdd marks.\nFix question 2.');
+    expect(email.html).toContain('Add marks.<br>Fix question 2.');
+  });
+
+  test('escapes the data in the HTML body only', () => {
+    const email = renderTemplate('userPendingApproval', {
+      displayName: '<script>',
+      email: 'new@moducate.test',
+      role: 'lecturer'
+    });
+
+    expect(email.text).toContain('<script> (new@moducate.test) registered as lecturer');
+    expect(email.html).toContain('<strong>&lt;script&gt;</strong>');
+    expect(email.html).not.toContain('<script>');
+  });
+
+  test('shows the invitation code when there is no link', () => {
+    const email = renderTemplate('invitation', {
+      organizationName: 'Org',
+      role: 'lecturer',
+      inviterName: 'Admin',
+      token: 'code123',
+      expiresAt: 'tomorrow'
+    });
+
+    expect(email.text).toContain('with this code:\ncode123');
+    expect(email.html).toContain('<code>code123</code>');
+  });
+
+  test('refuses unknown templates', () => {
+    expect(() => renderTemplate('nothing')).toThrow('Unknown email template: nothing');
+  });
+});
+
+describe('hasSecretParams', () => {
+  test('finds the links and tokens that let the recipient into an account', () => {
+    expect(hasSecretParams('invitation', { token: 'code123' })).toBe(true);
+    expect(hasSecretParams('accountCreated', { setPasswordUrl: 'https://moducate.test/reset' })).toBe(true);
+    expect(hasSecretParams('accountCreated', { displayName: 'Ada' })).toBe(false);
+    expect(hasSecretParams('accountApproved', { displayName: 'Ada', role: 'lecturer' })).toBe(false);
+  });
+});
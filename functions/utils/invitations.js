@@ -0,0 +1,135 @@
+/**
+ * Invitation utility functions
+ *
+ * An invitation lets someone join an organization with a role without waiting
+ * for approval. Its token is only ever given to the invitee; the invitations
+ * collection stores a SHA-256 hash of it. Accepting an invitation uses it up.
+ */
+
+const crypto = require('crypto');
+const { admin, db } = require('../config/firebase');
+const { queryDocs } = require('./db');
+const { AUDIT_ACTIONS, recordAuditEntry } = require('./audit');
+const { setUserClaims } = require('./claims');
+
+// Course staff list each invited role joins
+const COURSE_STAFF_FIELDS = {
+  lecturer: 'lecturerIds',
+  moderator: 'moderatorIds'
+};
+
+// Stored states of an invitation; a pending invitation past its expiry is expired
+const INVITATION_STATUSES = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked'
+};
+
+/**
+ * Create a new invitation token
+ * @returns {string} - Random URL-safe token
+ */
+const createInvitationToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Hash an invitation token for storage and lookup
+ * @param {string} token - Invitation token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+const hashInvitationToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Check if an invitation can still be accepted
+ * @param {Object} invitation - Invitation data
+ * @returns {boolean} - Whether the invitation is pending and not expired
+ */
+const isInvitationOpen = (invitation) => {
+  return invitation.status === INVITATION_STATUSES.PENDING &&
+    invitation.expiresAt.toMillis() > Date.now();
+};
+
+/**
+ * Find the open invitation of an email address, newest first
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} - Invitation data, or null if there is none
+ */
+const findOpenInvitation = async (email) => {
+  const invitations = await queryDocs('invitations', [
+    { field: 'email', operator: '==', value: email.toLowerCase() },
+    { field: 'status', operator: '==', value: INVITATION_STATUSES.PENDING }
+  ], {
+    allOrganizations: true,
+    orderBy: { field: 'createdAt', direction: 'desc' }
+  });
+  return invitations.find(isInvitationOpen) || null;
+};
+
+/**
+ * Mark an invitation as accepted, once
+ * @param {string} invitationId - Invitation ID
+ * @param {string} userId - ID of the user who accepted it
+ * @returns {Promise<Object|null>} - Invitation data, or null if it was no longer open
+ */
+const claimInvitation = async (invitationId, userId) => {
+  const docRef = db.collection('invitations').doc(invitationId);
+  return db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists || !isInvitationOpen(doc.data())) {
+      return null;
+    }
+    transaction.update(docRef, {
+      status: INVITATION_STATUSES.ACCEPTED,
+      acceptedBy: userId,
+      acceptedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { id: doc.id, ...doc.data() };
+  });
+};
+
+/**
+ * Give a user what their accepted invitation grants: approved role claims
+ * in the organization and a place on the invited course
+ * @param {Object} invitation - Accepted invitation data, including its ID
+ * @param {string} userId - ID of the user who accepted it
+ * @returns {Promise<Object>} - The custom claims that were set
+ */
+const applyInvitation = async (invitation, userId) => {
+  const customClaims = await setUserClaims(userId, {
+    roles: [invitation.role],
+    approved: true,
+    organizationId: invitation.organizationId
+  });
+
+  if (invitation.courseId && COURSE_STAFF_FIELDS[invitation.role]) {
+    await db.collection('courses').doc(invitation.courseId).update({
+      [COURSE_STAFF_FIELDS[invitation.role]]: admin.firestore.FieldValue.arrayUnion(userId),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  await recordAuditEntry({
+    organizationId: invitation.organizationId,
+    actorId: userId,
+    action: AUDIT_ACTIONS.INVITATION_ACCEPT,
+    targetType: 'invitation',
+    targetId: invitation.id,
+    before: { status: INVITATION_STATUSES.PENDING },
+    after: { status: INVITATION_STATUSES.ACCEPTED, role: invitation.role, userId }
+  });
+
+  return customClaims;
+};
+
+module.exports = {
+  INVITATION_STATUSES,
+  COURSE_STAFF_FIELDS,
+  createInvitationToken,
+  hashInvitationToken,
+  isInvitationOpen,
+  findOpenInvitation,
+  claimInvitation,
+  applyInvitation
+};
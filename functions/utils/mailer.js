@@ -0,0 +1,234 @@
+/**
+ * Email delivery through a pluggable transport
+ *
+ * MAIL_TRANSPORT selects the transport:
+ * - smtp: any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+ *   Point it at a local SMTP stand-in such as Mailpit when running the emulator.
+ * - file: writes each message as an .eml file to MAIL_FILE_DIR
+ * - memory: keeps messages in memory, see getSentMessages()
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { admin, db } = require('../config/firebase');
+const { renderTemplate, hasSecretParams } = require('./emailTemplates');
+
+// Failed messages are retried with exponential backoff up to this many attempts
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+
+// Messages "sent" through the memory transport
+const sentMessages = [];
+
+// Transport factories, keyed by name. Each returns { send(message) }.
+const transportFactories = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  file: () => {
+    const directory = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'moducate-mail');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        await fs.promises.mkdir(directory, { recursive: true });
+        const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+        await fs.promises.writeFile(path.join(directory, fileName), info.message);
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  memory: () => ({
+    send: async (message) => {
+      const messageId = `memory-${sentMessages.length + 1}@moducate`;
+      sentMessages.push({ ...message, messageId, sentAt: new Date() });
+      return { messageId };
+    }
+  })
+};
+
+let transport = null;
+
+/**
+ * Register an additional transport
+ * @param {string} name - Transport name, as used in MAIL_TRANSPORT
+ * @param {Function} factory - () => ({ send: async (message) => ({ messageId }) })
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  transport = null;
+};
+
+/**
+ * Get the configured transport, creating it on first use
+ * @returns {Object} - Transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'smtp';
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Get the messages sent through the memory transport
+ * @returns {Array} - Sent messages
+ */
+const getSentMessages = () => sentMessages;
+
+/**
+ * Get the delay before the next attempt to send a failed message
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1);
+
+/**
+ * Put a message that could not be sent in the outbox for a later retry.
+ * The outbox keeps the template and its data, and renders them again when
+ * retrying, so the rendered email is never stored.
+ * @param {Object} message - Message ({ from, to })
+ * @param {string} template - Template name
+ * @param {Object} data - Template data, without secrets
+ * @param {Error} error - Error from the failed attempt
+ * @returns {Promise<void>}
+ */
+const queueForRetry = async ({ from, to }, template, data, error) => {
+  await db.collection('mailOutbox').add({
+    from,
+    to,
+    template,
+    data,
+    status: 'pending',
+    attempts: 1,
+    lastError: error.message,
+    nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + getRetryDelay(1)),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+/**
+ * Render a template and send it to one recipient. Failed sends go to the
+ * outbox instead of throwing, unless the data holds a secret such as an
+ * invitation token: those are not stored, so the caller has to send again.
+ * @param {string} to - Recipient address
+ * @param {string} template - Template name
+ * @param {Object} data - Template data
+ * @returns {Promise<boolean>} - Whether the message was sent right away
+ */
+const sendToRecipient = async (to, template, data) => {
+  let message;
+  try {
+    message = {
+      from: process.env.MAIL_FROM || 'Moducate <no-reply@moducate.app>',
+      to,
+      ...renderTemplate(template, data)
+    };
+    await getTransport().send(message);
+    console.log(`Email '${template}' sent to ${to}`);
+    return true;
+  } catch (error) {
+    console.error(`Error sending email '${template}':`, error);
+    if (message && hasSecretParams(template, data)) {
+      console.warn(`Email '${template}' to ${to} holds a secret and is not queued for a retry`);
+    } else if (message) {
+      try {
+        await queueForRetry(message, template, data, error);
+      } catch (queueError) {
+        console.error('Error adding email to outbox:', queueError);
+      }
+    }
+    return false;
+  }
+};
+
+/**
+ * Render a template and send it. Each recipient gets a message of their own,
+ * so recipients never see each other's addresses.
+ * @param {string|Array} to - Recipient address(es)
+ * @param {string} template - Template name
+ * @param {Object} data - Template data
+ * @returns {Promise<boolean>} - Whether every message was sent right away
+ */
+const sendTemplatedEmail = async (to, template, data = {}) => {
+  const recipients = [...new Set((Array.isArray(to) ? to : [to]).filter(Boolean))];
+  if (recipients.length === 0) {
+    return false;
+  }
+
+  const results = await Promise.all(recipients.map(recipient => sendToRecipient(recipient, template, data)));
+  return results.every(Boolean);
+};
+
+/**
+ * Retry the outbox messages that are due
+ * @param {number} limit - Maximum number of messages to retry
+ * @returns {Promise<Object>} - Counts of sent and failed messages
+ */
+const processOutbox = async (limit = 50) => {
+  const snapshot = await db.collection('mailOutbox')
+    .where('status', '==', 'pending')
+    .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+    .limit(limit)
+    .get();
+
+  const result = { sent: 0, failed: 0 };
+
+  for (const doc of snapshot.docs) {
+    const { from, to, template, data, attempts } = doc.data();
+    try {
+      await getTransport().send({ from, to, ...renderTemplate(template, data) });
+      await doc.ref.update({
+        status: 'sent',
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      result.sent++;
+    } catch (error) {
+      const nextAttempts = attempts + 1;
+      const givenUp = nextAttempts >= MAX_SEND_ATTEMPTS;
+      await doc.ref.update({
+        status: givenUp ? 'failed' : 'pending',
+        attempts: nextAttempts,
+        lastError: error.message,
+        nextAttemptAt: givenUp
+          ? null
+          : admin.firestore.Timestamp.fromMillis(Date.now() + getRetryDelay(nextAttempts)),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      result.failed++;
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  registerTransport,
+  getSentMessages,
+  sendTemplatedEmail,
+  processOutbox
+};
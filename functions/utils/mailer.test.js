@@ -0,0 +1,104 @@
+const { db } = require('../config/firebase');
+const { registerTransport, sendTemplatedEmail, processOutbox } = require('./mailer');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('../test/emulator');
+
+// Messages sent through the test transport, which fails while failing is set
+const sent = [];
+let failing = false;
+
+beforeAll(() => {
+  process.env.MAIL_TRANSPORT = 'test';
+  registerTransport('test', () => ({
+    send: async (message) => {
+      if (failing) {
+        throw new Error('Connection refused');
+      }
+      sent.push(message);
+      return { messageId: `test-${sent.length}` };
+    }
+  }));
+});
+
+beforeEach(() => {
+  sent.length = 0;
+  failing = false;
+});
+
+afterAll(() => {
+  process.env.MAIL_TRANSPORT = 'memory';
+});
+
+const pendingApproval = { displayName: 'New User', email: 'new@moducate.test', role: 'lecturer' };
+
+describe('sendTemplatedEmail', () => {
+  test('sends each recipient a message of their own', async () => {
+    const result = await sendTemplatedEmail(
+      ['admin1@moducate.test', 'admin2@moducate.test', 'admin1@moducate.test', null],
+      'userPendingApproval',
+      pendingApproval
+    );
+
+    expect(result).toBe(true);
+    expect(sent.map(message => message.to)).toEqual(['admin1@moducate.test', 'admin2@moducate.test']);
+    expect(sent[0].subject).toBe('A new user is waiting for approval');
+  });
+
+  test('sends nothing without recipients', async () => {
+    expect(await sendTemplatedEmail([], 'userPendingApproval', pendingApproval)).toBe(false);
+    expect(sent).toEqual([]);
+  });
+
+  test('does not keep messages that hold a secret for a retry', async () => {
+    failing = true;
+    const add = jest.spyOn(db.collection('mailOutbox').constructor.prototype, 'add');
+
+    const result = await sendTemplatedEmail('new@moducate.test', 'invitation', {
+      organizationName: 'Org',
+      role: 'lecturer',
+      inviterName: 'Admin',
+      acceptUrl: 'https://moducate.test/invitations/accept?token=secret',
+      token: 'secret',
+      expiresAt: 'tomorrow'
+    });
+
+    expect(result).toBe(false);
+    expect(add).not.toHaveBeenCalled();
+    add.mockRestore();
+  });
+});
+
+describeWithEmulator('mail outbox', () => {
+  beforeEach(clearEmulators);
+
+  afterAll(closeFirebase);
+
+  test('stores the template and its data instead of the rendered email', async () => {
+    failing = true;
+    expect(await sendTemplatedEmail('admin1@moducate.test', 'userPendingApproval', pendingApproval)).toBe(false);
+
+    const snapshot = await db.collection('mailOutbox').get();
+    expect(snapshot.size).toBe(1);
+    const queued = snapshot.docs[0].data();
+    expect(queued).toMatchObject({
+      to: 'admin1@moducate.test',
+      template: 'userPendingApproval',
+      data: pendingApproval,
+      status: 'pending',
+      attempts: 1
+    });
+    expect(queued).not.toHaveProperty('text');
+    expect(queued).not.toHaveProperty('html');
+  });
+
+  test('renders the queued messages again when retrying', async () => {
+    failing = true;
+    await sendTemplatedEmail('admin1@moducate.test', 'userPendingApproval', pendingApproval);
+    const [doc] = (await db.collection('mailOutbox').get()).docs;
+    await doc.ref.update({ nextAttemptAt: new Date(0) });
+
+    failing = false;
+    expect(await processOutbox()).toEqual({ sent: 1, failed: 0 });
+    expect(sent[0]).toMatchObject({ to: 'admin1@moducate.test', subject: 'A new user is waiting for approval' });
+    expect((await doc.ref.get()).data().status).toBe('sent');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * In-app notification utility functions
+ */
+
+const { admin, db } = require('../config/firebase');
+const { getUsersWithPermission } = require('./permissions');
+
+// Most writes a Firestore batch can hold
+const MAX_BATCH_SIZE = 500;
+
+// Event types users can receive notifications for
+const NOTIFICATION_TYPES = {
+  ASSESSMENT_SUBMITTED: 'assessment_submitted',
+  MODERATOR_ASSIGNED: 'moderator_assigned',
+  ASSESSMENT_STATUS_CHANGED: 'assessment_status_changed',
+  ASSESSMENT_HANDED_OFF: 'assessment_handed_off',
+  MODERATION_DUE_SOON: 'moderation_due_soon',
+  MODERATION_OVERDUE: 'moderation_overdue',
+  COMMENT_MENTION: 'comment_mention',
+  USER_PENDING_APPROVAL: 'user_pending_approval',
+  USER_APPROVED: 'user_approved',
+  REPORT_READY: 'report_ready'
+};
+
+/**
+ * Get a user's notification preferences
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Preferences ({ mutedTypes })
+ */
+const getNotificationPreferences = async (userId) => {
+  const doc = await db.collection('notificationPreferences').doc(userId).get();
+  const preferences = doc.exists ? doc.data() : {};
+  return {
+    mutedTypes: preferences.mutedTypes || []
+  };
+};
+
+/**
+ * Create a notification for each user, skipping users who muted the event type
+ * @param {Array} userIds - IDs of the users to notify
+ * @param {Object} notification - Notification ({ type, title, message, data })
+ * @returns {Promise<number>} - Number of notifications created
+ */
+const createNotifications = async (userIds, notification) => {
+  try {
+    const recipients = [...new Set(userIds.filter(Boolean))];
+    if (recipients.length === 0) {
+      return 0;
+    }
+
+    const preferences = await Promise.all(recipients.map(getNotificationPreferences));
+    const unmuted = recipients.filter((userId, index) => {
+      return !preferences[index].mutedTypes.includes(notification.type);
+    });
+
+    for (let i = 0; i < unmuted.length; i += MAX_BATCH_SIZE) {
+      const batch = db.batch();
+      unmuted.slice(i, i + MAX_BATCH_SIZE).forEach(userId => {
+        batch.set(db.collection('notifications').doc(), {
+          userId,
+          type: notification.type,
+          title: notification.title,
+          message: notification.message,
+          data: notification.data || {},
+          read: false,
+          readAt: null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+      await batch.commit();
+    }
+    return unmuted.length;
+  } catch (error) {
+    // Notifications are best effort and never fail the calling operation
+    console.error('Error creating notifications:', error);
+    return 0;
+  }
+};
+
+/**
+ * Get the IDs of the users of an organization who hold a permission,
+ * e.g. the admins who assign moderators
+ * @param {string} organizationId - Organization ID
+ * @param {string} permission - Permission
+ * @returns {Promise<Array>} - User IDs
+ */
+const getUserIdsWithPermission = async (organizationId, permission) => {
+  const users = await getUsersWithPermission(organizationId, permission);
+  return users.map(user => user.id);
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  getNotificationPreferences,
+  createNotifications,
+  getUserIdsWithPermission
+};
@@ -0,0 +1,105 @@
+/**
+ * Paging, sorting and range filter options for list endpoints
+ */
+
+const functions = require('firebase-functions');
+const { admin } = require('../config/firebase');
+const { decodePageToken } = require('./db');
+
+// Page size limits
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Range filters: request option -> document field and operator
+const RANGE_FILTERS = {
+  createdAfter: { field: 'createdAt', operator: '>=' },
+  createdBefore: { field: 'createdAt', operator: '<=' },
+  updatedAfter: { field: 'updatedAt', operator: '>=' },
+  updatedBefore: { field: 'updatedAt', operator: '<=' }
+};
+
+/**
+ * Parse the list options of a request
+ * @param {Object} data - Request data
+ * @param {Array} sortFields - Fields the list may be sorted by
+ * @returns {Object} - Range conditions and queryPage options ({ conditions, options })
+ * @throws {functions.https.HttpsError} - When an option is invalid
+ */
+const parseListOptions = (data, sortFields = ['createdAt', 'updatedAt']) => {
+  data = data || {};
+  const conditions = [];
+
+  Object.entries(RANGE_FILTERS).forEach(([option, { field, operator }]) => {
+    if (data[option] === undefined || data[option] === null) {
+      return;
+    }
+    const date = new Date(data[option]);
+    if (isNaN(date.getTime())) {
+      throw new functions.https.HttpsError(
+        'invalid-argument',
+        `${option} must be a valid date.`
+      );
+    }
+    conditions.push({ field, operator, value: admin.firestore.Timestamp.fromDate(date) });
+  });
+
+  // Firestore needs a range filter's field to be the one the results are sorted by
+  const rangeFields = [...new Set(conditions.map(condition => condition.field))];
+  if (rangeFields.length > 1) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Filter on either the created or the updated date, not both.'
+    );
+  }
+
+  const sortBy = data.sortBy || rangeFields[0] || 'createdAt';
+  if (!sortFields.includes(sortBy)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `sortBy must be one of: ${sortFields.join(', ')}`
+    );
+  }
+  if (rangeFields.length > 0 && rangeFields[0] !== sortBy) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Results filtered on ${rangeFields[0]} must be sorted by ${rangeFields[0]}.`
+    );
+  }
+
+  const sortDirection = data.sortDirection || 'desc';
+  if (!['asc', 'desc'].includes(sortDirection)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'sortDirection must be asc or desc.'
+    );
+  }
+
+  const pageSize = data.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(data.pageSize);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `pageSize must be a whole number between 1 and ${MAX_PAGE_SIZE}.`
+    );
+  }
+
+  if (data.pageToken && !decodePageToken(data.pageToken)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      'Invalid page token.'
+    );
+  }
+
+  return {
+    conditions,
+    options: {
+      orderBy: { field: sortBy, direction: sortDirection },
+      pageSize,
+      pageToken: data.pageToken || null,
+      includeTotal: data.includeTotal === true
+    }
+  };
+};
+
+module.exports = {
+  parseListOptions
+};
@@ -0,0 +1,105 @@
+const path = require('path');
+const { parseListOptions } = require('./pagination');
+
+const { indexes } = require(path.join(__dirname, '..', '..', 'firestore.indexes.json'));
+
+describe('parseListOptions', () => {
+  test('sorts by the newest first by default', () => {
+    expect(parseListOptions({})).toEqual({
+      conditions: [],
+      options: {
+        orderBy: { field: 'createdAt', direction: 'desc' },
+        pageSize: 50,
+        pageToken: null,
+        includeTotal: false
+      }
+    });
+  });
+
+  test('sorts by the field of the date range', () => {
+    const { conditions, options } = parseListOptions({ updatedAfter: '2024-01-01T00:00:00Z' });
+    expect(conditions).toEqual([{ field: 'updatedAt', operator: '>=', value: expect.anything() }]);
+    expect(options.orderBy).toEqual({ field: 'updatedAt', direction: 'desc' });
+  });
+
+  test.each([
+    [{ createdAfter: 'yesterday' }, 'createdAfter must be a valid date.'],
+    [{ createdAfter: '2024-01-01', updatedBefore: '2024-02-01' }, 'Filter on either the created or the updated date, not both.'],
+    [{ sortBy: 'title', createdAfter: '2024-01-01' }, 'Results filtered on createdAt must be sorted by createdAt.'],
+    [{ sortBy: 'email' }, 'sortBy must be one of: createdAt, updatedAt, title'],
+    [{ sortDirection: 'up' }, 'sortDirection must be asc or desc.'],
+    [{ pageSize: 201 }, 'pageSize must be a whole number between 1 and 200.'],
+    [{ pageToken: 'not a token' }, 'Invalid page token.']
+  ])('refuses %p', (data, message) => {
+    expect(() => parseListOptions(data, ['createdAt', 'updatedAt', 'title']))
+      .toThrow(expect.objectContaining({ code: 'invalid-argument', message }));
+  });
+});
+
+describe('indexes of the paged lists', () => {
+  /**
+   * Check that an index exists for equality filters on some fields and a sort order
+   * @param {string} collection - Collection name
+   * @param {Array} fields - Filtered fields, ending in [] for array-contains filters
+   * @param {string} sortBy - Sort field
+   * @param {string} order - ASCENDING or DESCENDING
+   * @returns {boolean} - Whether the index exists
+   */
+  const hasIndex = (collection, fields, sortBy, order) => {
+    return indexes.some(index => {
+      if (index.collectionGroup !== collection || index.fields.length !== fields.length + 1) {
+        return false;
+      }
+      const sortField = index.fields[index.fields.length - 1];
+      const filterFields = index.fields.slice(0, -1)
+        .map(field => field.arrayConfig ? `${field.fieldPath}[]` : field.fieldPath);
+      return sortField.fieldPath === sortBy && sortField.order === order &&
+        [...filterFields].sort().join() === [...fields].sort().join();
+    });
+  };
+
+  /**
+   * List the filter and sort combinations that have no index
+   * @param {string} collection - Collection name
+   * @param {Array} filterSets - Sets of filtered fields a list can query
+   * @param {Array} sortFields - Fields the list can be sorted by
+   * @returns {Array} - Missing combinations
+   */
+  const findMissing = (collection, filterSets, sortFields) => {
+    const missing = [];
+    filterSets.forEach(fields => {
+      sortFields.forEach(sortBy => {
+        ['ASCENDING', 'DESCENDING'].forEach(order => {
+          if (!hasIndex(collection, fields, sortBy, order)) {
+            missing.push(`${fields.join(', ')} by ${sortBy} ${order}`);
+          }
+        });
+      });
+    });
+    return missing;
+  };
+
+  test('cover every filter of getAssessments for every viewer and sort order', () => {
+    const lecturer = ['lecturerId'];
+    const moderator = ['moderatorId'];
+    const queue = ['moderatorId', 'status', 'courseModeratorIds[]'];
+    const scopes = [lecturer, moderator, queue];
+    const filterSets = [
+      [],
+      ...['status', 'lecturerId', 'moderatorId', 'courseId', 'department'].map(field => [field]),
+      ...scopes.flatMap(scope => [scope, [...new Set([...scope, 'status'])], [...scope, 'courseId']])
+    ].map(fields => ['organizationId', ...fields, 'archived']);
+
+    expect(findMissing('assessments', filterSets, ['createdAt', 'updatedAt', 'title'])).toEqual([]);
+  });
+
+  test('cover every filter of getUsers and listInvitations', () => {
+    const userFilters = [[], ['approved'], ['roles[]'], ['roles[]', 'approved']];
+    expect(findMissing('users', userFilters.map(fields => ['organizationId', ...fields]),
+      ['createdAt', 'updatedAt', 'displayName', 'email'])).toEqual([]);
+
+    const invitationFilters = [[], ['status'], ['email'], ['email', 'status']];
+    expect(findMissing('invitations', invitationFilters.map(fields => ['organizationId', ...fields]),
+      ['createdAt', 'updatedAt', 'expiresAt'])).toEqual([]);
+  });
+});
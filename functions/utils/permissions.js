@@ -0,0 +1,248 @@
+/**
+ * Permission utility functions
+ *
+ * What a user may do is decided by permissions, not by role names. A role is a
+ * named bundle of permissions, and a user holds one or more roles (the roles
+ * field of their users document). The built-in roles below exist in every
+ * organization. Admins can change the permissions of the built-in moderator and
+ * lecturer roles and add roles of their own; those are stored in the roles
+ * collection as {organizationId}_{key}. The admin and super admin roles are
+ * locked, so nobody can lock an organization out of its own administration.
+ */
+
+const { queryDocs } = require('./db');
+const { SUPER_ADMIN_ROLE } = require('./tenancy');
+
+// Every permission a role can grant
+const PERMISSIONS = {
+  // Create assessments for one's courses, and edit and submit one's own
+  ASSESSMENT_CREATE: 'assessment.create',
+  // Review the assessments assigned to one, or waiting in one's courses' queue
+  ASSESSMENT_MODERATE: 'assessment.moderate',
+  // See and act on every assessment of the organization
+  ASSESSMENT_MANAGE: 'assessment.manage',
+  // Assign moderators and follow moderation deadlines
+  ASSESSMENT_ASSIGN: 'assessment.assign',
+  ASSESSMENT_DELETE: 'assessment.delete',
+  COURSE_MANAGE: 'course.manage',
+  RUBRIC_MANAGE: 'rubric.manage',
+  USER_VIEW: 'user.view',
+  USER_APPROVE: 'user.approve',
+  // Change roles, deactivate and reactivate users, and reconcile their claims
+  USER_MANAGE: 'user.manage',
+  // Invite users and import them in bulk
+  USER_INVITE: 'user.invite',
+  ROLE_MANAGE: 'role.manage',
+  REPORT_EXPORT: 'report.export',
+  ANALYTICS_VIEW: 'analytics.view',
+  AUDIT_VIEW: 'audit.view',
+  // Check the audit log chain of the organization for tampering
+  AUDIT_VERIFY: 'audit.verify',
+  // Deployment wide: manage organizations and act across them
+  ORGANIZATION_MANAGE: 'organization.manage'
+};
+
+// Permissions that only the deployment's own roles can grant
+const DEPLOYMENT_PERMISSIONS = [PERMISSIONS.ORGANIZATION_MANAGE];
+
+// Permissions that roles of an organization can grant
+const ORGANIZATION_PERMISSIONS = Object.values(PERMISSIONS)
+  .filter(permission => !DEPLOYMENT_PERMISSIONS.includes(permission));
+
+// Roles every organization has. Locked roles cannot be changed or deleted;
+// deployment roles belong to no organization and cannot be given out by admins.
+const BUILT_IN_ROLES = {
+  admin: {
+    name: 'Admin',
+    description: 'Manages the organization, its users and all of its assessments.',
+    permissions: ORGANIZATION_PERMISSIONS,
+    locked: true
+  },
+  moderator: {
+    name: 'Moderator',
+    description: 'Reviews the assessments of the courses they moderate.',
+    permissions: [PERMISSIONS.ASSESSMENT_MODERATE]
+  },
+  lecturer: {
+    name: 'Lecturer',
+    description: 'Creates and submits assessments for the courses they teach.',
+    permissions: [PERMISSIONS.ASSESSMENT_CREATE]
+  },
+  [SUPER_ADMIN_ROLE]: {
+    name: 'Super admin',
+    description: 'Creates organizations and their first admins.',
+    permissions: [
+      PERMISSIONS.ORGANIZATION_MANAGE,
+      PERMISSIONS.AUDIT_VERIFY,
+      PERMISSIONS.AUDIT_VIEW,
+      PERMISSIONS.USER_MANAGE
+    ],
+    locked: true,
+    deployment: true
+  }
+};
+
+// Keys of custom roles: lowercase letters, digits and underscores
+const ROLE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+/**
+ * Get the ID of the roles document of an organization's role
+ * @param {string} organizationId - Organization ID
+ * @param {string} key - Role key
+ * @returns {string} - Document ID
+ */
+const roleDocId = (organizationId, key) => `${organizationId}_${key}`;
+
+/**
+ * Get the roles a user holds.
+ * Users written before roles were introduced have a single role field.
+ * @param {Object} user - User data
+ * @returns {Array} - Role keys
+ */
+const getUserRoles = (user) => {
+  if (Array.isArray(user.roles)) {
+    return user.roles;
+  }
+  return user.role ? [user.role] : [];
+};
+
+/**
+ * Get every role of an organization: the built-in roles as the organization
+ * configured them, and its own roles
+ * @param {string|null} organizationId - Organization ID, or null for users of no organization
+ * @returns {Promise<Object>} - Roles keyed by role key ({ key, name, description, permissions, builtIn, locked })
+ */
+const getOrganizationRoles = async (organizationId) => {
+  const roles = {};
+  Object.entries(BUILT_IN_ROLES).forEach(([key, role]) => {
+    if (Boolean(role.deployment) === !organizationId) {
+      roles[key] = { key, ...role, builtIn: true, locked: Boolean(role.locked) };
+    }
+  });
+  if (!organizationId) {
+    return roles;
+  }
+
+  const stored = await queryDocs('roles', [], { organizationId });
+  stored.forEach(role => {
+    if (roles[role.key]?.locked) {
+      return;
+    }
+    roles[role.key] = {
+      ...roles[role.key],
+      key: role.key,
+      name: role.name,
+      description: role.description || '',
+      // Deployment permissions are never granted through an organization's roles
+      permissions: (role.permissions || []).filter(permission => ORGANIZATION_PERMISSIONS.includes(permission)),
+      builtIn: Boolean(BUILT_IN_ROLES[role.key]),
+      locked: false
+    };
+  });
+  return roles;
+};
+
+/**
+ * Get the permissions a set of roles grants
+ * @param {Array} roleKeys - Role keys
+ * @param {Object} roles - Roles of the organization, see getOrganizationRoles
+ * @returns {Array} - Sorted permissions; unknown roles grant nothing
+ */
+const resolvePermissions = (roleKeys, roles) => {
+  const permissions = new Set();
+  roleKeys.forEach(key => {
+    (roles[key]?.permissions || []).forEach(permission => permissions.add(permission));
+  });
+  return [...permissions].sort();
+};
+
+/**
+ * Get the permissions of a user from the roles they hold.
+ * Does not check that the user is approved or active, see utils/auth.
+ * @param {Object} user - User data
+ * @returns {Promise<Array>} - Permissions
+ */
+const getUserPermissions = async (user) => {
+  const roles = await getOrganizationRoles(user.organizationId || null);
+  return resolvePermissions(getUserRoles(user), roles);
+};
+
+/**
+ * Check if a user whose permissions have been loaded holds a permission
+ * @param {Object} user - User data including permissions
+ * @param {string} permission - Permission
+ * @returns {boolean} - Whether the user holds the permission
+ */
+const hasPermission = (user, permission) => {
+  return Boolean(user && (user.permissions || []).includes(permission));
+};
+
+/**
+ * Find the roles a user may not give to (or take from) others: roles the
+ * organization does not have, and roles granting permissions the user does not
+ * hold themselves, so nobody can hand out more than they have
+ * @param {Array} roleKeys - Role keys
+ * @param {Object} grantor - User data including permissions
+ * @param {Object} roles - Roles of the organization, see getOrganizationRoles
+ * @returns {Array} - One entry per role that cannot be granted ({ role, message })
+ */
+const getUngrantableRoles = (roleKeys, grantor, roles) => {
+  return roleKeys
+    .map(key => {
+      const role = roles[key];
+      if (!role) {
+        return { role: key, message: `Role '${key}' does not exist.` };
+      }
+      if (role.permissions.some(permission => !hasPermission(grantor, permission))) {
+        return { role: key, message: `You cannot grant the ${role.name} role, it has permissions you do not hold.` };
+      }
+      return null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Get the approved users of an organization who hold a permission through any of their roles
+ * @param {string} organizationId - Organization ID
+ * @param {string} permission - Permission
+ * @returns {Promise<Array>} - User data including permissions
+ */
+const getUsersWithPermission = async (organizationId, permission) => {
+  const roles = await getOrganizationRoles(organizationId);
+  const roleKeys = Object.values(roles)
+    .filter(role => role.permissions.includes(permission))
+    .map(role => role.key);
+  if (roleKeys.length === 0) {
+    return [];
+  }
+
+  // array-contains-any takes at most 30 values
+  const users = [];
+  for (let i = 0; i < roleKeys.length; i += 30) {
+    users.push(...await queryDocs('users', [
+      { field: 'roles', operator: 'array-contains-any', value: roleKeys.slice(i, i + 30) },
+      { field: 'approved', operator: '==', value: true }
+    ], { organizationId }));
+  }
+
+  const unique = new Map(users.map(user => [user.id, user]));
+  return [...unique.values()]
+    .filter(user => user.active !== false)
+    .map(user => ({ ...user, permissions: resolvePermissions(getUserRoles(user), roles) }));
+};
+
+module.exports = {
+  PERMISSIONS,
+  DEPLOYMENT_PERMISSIONS,
+  ORGANIZATION_PERMISSIONS,
+  BUILT_IN_ROLES,
+  ROLE_KEY_PATTERN,
+  roleDocId,
+  getUserRoles,
+  getOrganizationRoles,
+  resolvePermissions,
+  getUserPermissions,
+  hasPermission,
+  getUngrantableRoles,
+  getUsersWithPermission
+};
@@ -0,0 +1,116 @@
+const { db } = require('../config/firebase');
+const {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  roleDocId,
+  getUserRoles,
+  getOrganizationRoles,
+  resolvePermissions,
+  hasPermission,
+  getUngrantableRoles
+} = require('./permissions');
+const { SUPER_ADMIN_ROLE } = require('./tenancy');
+const { describeWithEmulator, clearEmulators, closeFirebase } = require('../test/emulator');
+
+const builtInRoles = Object.fromEntries(
+  Object.entries(BUILT_IN_ROLES).map(([key, role]) => [key, { key, ...role }])
+);
+
+describe('getUserRoles', () => {
+  test('reads the roles list', () => {
+    expect(getUserRoles({ roles: ['lecturer', 'moderator'] })).toEqual(['lecturer', 'moderator']);
+  });
+
+  test('reads the single role of users written before roles', () => {
+    expect(getUserRoles({ role: 'moderator' })).toEqual(['moderator']);
+    expect(getUserRoles({})).toEqual([]);
+  });
+});
+
+describe('resolvePermissions', () => {
+  test('combines the permissions of every role', () => {
+    expect(resolvePermissions(['lecturer', 'moderator'], builtInRoles)).toEqual([
+      PERMISSIONS.ASSESSMENT_CREATE,
+      PERMISSIONS.ASSESSMENT_MODERATE
+    ]);
+  });
+
+  test('grants nothing for unknown roles', () => {
+    expect(resolvePermissions(['unknown'], builtInRoles)).toEqual([]);
+  });
+});
+
+describe('hasPermission', () => {
+  test('checks the loaded permissions', () => {
+    expect(hasPermission({ permissions: [PERMISSIONS.USER_VIEW] }, PERMISSIONS.USER_VIEW)).toBe(true);
+    expect(hasPermission({ permissions: [] }, PERMISSIONS.USER_VIEW)).toBe(false);
+    expect(hasPermission(null, PERMISSIONS.USER_VIEW)).toBe(false);
+  });
+});
+
+describe('getUngrantableRoles', () => {
+  const admin = { permissions: BUILT_IN_ROLES.admin.permissions };
+  const lecturer = { permissions: BUILT_IN_ROLES.lecturer.permissions };
+
+  test('lets admins grant the organization roles', () => {
+    expect(getUngrantableRoles(['admin', 'moderator', 'lecturer'], admin, builtInRoles)).toEqual([]);
+  });
+
+  test('refuses roles with permissions the grantor lacks', () => {
+    expect(getUngrantableRoles(['moderator'], lecturer, builtInRoles)).toEqual([
+      { role: 'moderator', message: expect.stringContaining('permissions you do not hold') }
+    ]);
+  });
+
+  test('refuses deployment roles to organization admins', () => {
+    expect(getUngrantableRoles([SUPER_ADMIN_ROLE], admin, builtInRoles)).toHaveLength(1);
+  });
+
+  test('refuses roles that do not exist', () => {
+    expect(getUngrantableRoles(['dean'], admin, builtInRoles)).toEqual([
+      { role: 'dean', message: "Role 'dean' does not exist." }
+    ]);
+  });
+});
+
+describeWithEmulator('getOrganizationRoles', () => {
+  beforeEach(clearEmulators);
+  afterAll(closeFirebase);
+
+  test('gives users of no organization only the deployment roles', async () => {
+    expect(Object.keys(await getOrganizationRoles(null))).toEqual([SUPER_ADMIN_ROLE]);
+  });
+
+  test('applies the organization\'s own roles but never to locked ones', async () => {
+    await db.collection('roles').doc(roleDocId('org1', 'moderator')).set({
+      organizationId: 'org1',
+      key: 'moderator',
+      name: 'Reviewer',
+      permissions: [PERMISSIONS.ASSESSMENT_MODERATE, PERMISSIONS.ORGANIZATION_MANAGE]
+    });
+    await db.collection('roles').doc(roleDocId('org1', 'admin')).set({
+      organizationId: 'org1',
+      key: 'admin',
+      name: 'Nobody',
+      permissions: []
+    });
+    await db.collection('roles').doc(roleDocId('org2', 'dean')).set({
+      organizationId: 'org2',
+      key: 'dean',
+      name: 'Dean',
+      permissions: [PERMISSIONS.ANALYTICS_VIEW]
+    });
+
+    const roles = await getOrganizationRoles('org1');
+
+    expect(roles.moderator).toMatchObject({
+      name: 'Reviewer',
+      // Deployment permissions are dropped from organization roles
+      permissions: [PERMISSIONS.ASSESSMENT_MODERATE],
+      builtIn: true
+    });
+    expect(roles.admin.permissions).toEqual(BUILT_IN_ROLES.admin.permissions);
+    expect(roles.dean).toBeUndefined();
+    expect(roles[SUPER_ADMIN_ROLE]).toBeUndefined();
+  });
+});
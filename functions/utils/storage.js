@@ -0,0 +1,137 @@
+/**
+ * Cloud Storage utility functions
+ *
+ * Clients never get direct bucket access: they upload and download through
+ * short-lived URLs issued here. Against the Storage emulator
+ * (FIREBASE_STORAGE_EMULATOR_HOST set) URLs are not signed; the emulator's
+ * Cloud Storage endpoints accept plain requests instead.
+ */
+
+const { admin } = require('../config/firebase');
+
+/**
+ * Get the default bucket
+ * @returns {Object} - Bucket
+ */
+const getBucket = () => admin.storage().bucket();
+
+/**
+ * Get the base URL of the Storage emulator, if one is in use
+ * @returns {string|null} - Emulator base URL
+ */
+const getEmulatorUrl = () => {
+  const host = process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+  if (!host) {
+    return null;
+  }
+  return /^https?:\/\//.test(host) ? host : `http://${host}`;
+};
+
+/**
+ * Issue a URL that uploads one file of at most a given size
+ * @param {string} path - Object path in the bucket
+ * @param {string} contentType - MIME type the upload must be sent with
+ * @param {number} maxSize - Largest file the URL accepts, in bytes
+ * @param {number} expiresInMs - How long the URL stays valid
+ * @returns {Promise<Object>} - Upload instructions ({ url, method, headers, expiresAt })
+ */
+const getUploadUrl = async (path, contentType, maxSize, expiresInMs) => {
+  const bucket = getBucket();
+  const expiresAt = Date.now() + expiresInMs;
+  // Cloud Storage refuses uploads outside the signed length range
+  const headers = { 'Content-Type': contentType, 'x-goog-content-length-range': `0,${maxSize}` };
+
+  const emulatorUrl = getEmulatorUrl();
+  if (emulatorUrl) {
+    const url = `${emulatorUrl}/upload/storage/v1/b/${bucket.name}/o` +
+      `?uploadType=media&name=${encodeURIComponent(path)}`;
+    return { url, method: 'POST', headers, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  const [url] = await bucket.file(path).getSignedUrl({
+    version: 'v4',
+    action: 'write',
+    expires: expiresAt,
+    contentType,
+    extensionHeaders: { 'x-goog-content-length-range': headers['x-goog-content-length-range'] }
+  });
+  return { url, method: 'PUT', headers, expiresAt: new Date(expiresAt).toISOString() };
+};
+
+/**
+ * Issue a URL that downloads one file
+ * @param {string} path - Object path in the bucket
+ * @param {number} expiresInMs - How long the URL stays valid
+ * @param {string} fileName - File name offered to the browser (optional)
+ * @returns {Promise<Object>} - Download link ({ url, expiresAt })
+ */
+const getDownloadUrl = async (path, expiresInMs, fileName = null) => {
+  const bucket = getBucket();
+  const expiresAt = Date.now() + expiresInMs;
+
+  const emulatorUrl = getEmulatorUrl();
+  if (emulatorUrl) {
+    const url = `${emulatorUrl}/download/storage/v1/b/${bucket.name}/o/${encodeURIComponent(path)}?alt=media`;
+    return { url, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  const options = { version: 'v4', action: 'read', expires: expiresAt };
+  if (fileName) {
+    options.responseDisposition = `attachment; filename="${fileName.replace(/["\\\r\n]/g, '_')}"`;
+  }
+  const [url] = await bucket.file(path).getSignedUrl(options);
+  return { url, expiresAt: new Date(expiresAt).toISOString() };
+};
+
+/**
+ * Store a file generated by the backend
+ * @param {string} path - Object path in the bucket
+ * @param {Buffer|string} contents - File contents
+ * @param {string} contentType - MIME type of the file
+ * @returns {Promise<void>}
+ */
+const saveFile = async (path, contents, contentType) => {
+  await getBucket().file(path).save(contents, { contentType, resumable: false });
+};
+
+/**
+ * Get the metadata of a stored file
+ * @param {string} path - Object path in the bucket
+ * @returns {Promise<Object|null>} - Metadata, or null if the file does not exist
+ */
+const getFileMetadata = async (path) => {
+  const file = getBucket().file(path);
+  const [exists] = await file.exists();
+  if (!exists) {
+    return null;
+  }
+  const [metadata] = await file.getMetadata();
+  return metadata;
+};
+
+/**
+ * Delete a file, if it exists
+ * @param {string} path - Object path in the bucket
+ * @returns {Promise<void>}
+ */
+const deleteFile = async (path) => {
+  await getBucket().file(path).delete({ ignoreNotFound: true });
+};
+
+/**
+ * Delete every file under a prefix
+ * @param {string} prefix - Object path prefix, e.g. a folder ending in '/'
+ * @returns {Promise<void>}
+ */
+const deleteFolder = async (prefix) => {
+  await getBucket().deleteFiles({ prefix, force: true });
+};
+
+module.exports = {
+  getUploadUrl,
+  getDownloadUrl,
+  saveFile,
+  getFileMetadata,
+  deleteFile,
+  deleteFolder
+};
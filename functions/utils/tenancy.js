@@ -0,0 +1,47 @@
+/**
+ * Organization (tenant) utility functions
+ *
+ * Every college hosted on the deployment is an organization. Users,
+ * assessments, courses and rubrics carry the organizationId they belong to,
+ * and the organizationId of a signed-in user is carried in their custom
+ * claims. Admins manage only their own organization; super admins create
+ * organizations and do not belong to one.
+ */
+
+const functions = require('firebase-functions');
+
+// Role of the users who manage the deployment itself
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+/**
+ * Get the organization of the signed-in user from their custom claims
+ * @param {Object} context - Callable context
+ * @returns {string} - Organization ID
+ * @throws {functions.https.HttpsError} - When the user belongs to no organization
+ */
+const getOrganizationId = (context) => {
+  const organizationId = context.auth?.token?.organizationId;
+  if (!organizationId) {
+    throw new functions.https.HttpsError(
+      'permission-denied',
+      'Your account is not linked to an organization.'
+    );
+  }
+  return organizationId;
+};
+
+/**
+ * Check if a user belongs to an organization
+ * @param {Object} user - User data
+ * @param {string} organizationId - Organization ID
+ * @returns {boolean} - Whether the user is a member of the organization
+ */
+const isOrganizationMember = (user, organizationId) => {
+  return Boolean(organizationId) && user.organizationId === organizationId;
+};
+
+module.exports = {
+  SUPER_ADMIN_ROLE,
+  getOrganizationId,
+  isOrganizationMember
+};
@@ -0,0 +1,24 @@
+const { getOrganizationId, isOrganizationMember } = require('./tenancy');
+
+describe('getOrganizationId', () => {
+  test('reads the organization from the caller\'s claims', () => {
+    expect(getOrganizationId({ auth: { uid: 'u1', token: { organizationId: 'org1' } } })).toBe('org1');
+  });
+
+  test('refuses callers without an organization', () => {
+    expect(() => getOrganizationId({ auth: { uid: 'u1', token: {} } }))
+      .toThrow(expect.objectContaining({ code: 'permission-denied' }));
+    expect(() => getOrganizationId({})).toThrow(expect.objectContaining({ code: 'permission-denied' }));
+  });
+});
+
+describe('isOrganizationMember', () => {
+  test('matches the user\'s organization', () => {
+    expect(isOrganizationMember({ organizationId: 'org1' }, 'org1')).toBe(true);
+    expect(isOrganizationMember({ organizationId: 'org1' }, 'org2')).toBe(false);
+  });
+
+  test('never matches a missing organization', () => {
+    expect(isOrganizationMember({ organizationId: null }, null)).toBe(false);
+  });
+});